@@ -0,0 +1,225 @@
+import http from 'node:http';
+import { createRateLimiter } from './rateLimit.mjs';
+import { createStructureCache } from './structureCache.mjs';
+
+// HTTP API used by the browser's "server" provider (src/providers/server.js):
+//
+//   POST /api/design               { prompt, request: { userPrompt, sampling }, stream }
+//   POST /api/evolve               { prompt, request: { evolutionParams, sampling }, stream }
+//        -> { text, provider, model }, or with `stream` server-sent events
+//           data: {"delta": "..."} ... data: [DONE]   (data: {"error": {...}} on failure)
+//   GET  /api/structure/:pdbId     PDB or mmCIF text; X-Structure-Format and X-Cache headers
+//   GET  /api/health               { status, provider, model }
+//
+// With ACCESS_TOKENS set, the model endpoints need "Authorization: Bearer <token>". Structures are
+// public PDB data and the browser fetches them like any mirror, so /api/structure stays open and
+// counts requests without a valid token against the client address.
+// Errors are JSON { error: { message } } with the HTTP status; 429 answers carry Retry-After.
+// Prompts are rendered by the browser (prompt templates live there); the server only adds the
+// model credentials, so the model sees exactly what the app's audit log records.
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_PROMPT_LENGTH = 100000;
+const PDB_ID = /^[0-9][A-Za-z0-9]{3}$/;
+
+const httpError = (status, message, extra = {}) => Object.assign(new Error(message), { status, ...extra });
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(httpError(413, 'Request body is too large.'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+        } catch (e) {
+            reject(httpError(400, 'Request body is not valid JSON.'));
+        }
+    });
+    req.on('error', reject);
+});
+
+// Upstream failures keep their retry semantics for the browser: rate limits stay 429, upstream
+// outages become 502, and rejected server credentials become 424 so they are not retried.
+const upstreamError = (error) => {
+    if (typeof error.status !== 'number') return httpError(502, `Model provider unreachable. ${error.message}`);
+    if (error.status === 429) return httpError(429, error.message, { retryAfter: error.retryAfter || 10 });
+    if (error.status === 401 || error.status === 403) return httpError(424, 'The model provider rejected the server credentials.');
+    if (error.status >= 500) return httpError(502, error.message);
+    return httpError(error.status, error.message);
+};
+
+const validateModelRequest = (kind, body) => {
+    const { prompt, request } = body;
+    if (typeof prompt !== 'string' || !prompt.trim()) throw httpError(400, '"prompt" must be a non-empty string.');
+    if (prompt.length > MAX_PROMPT_LENGTH) throw httpError(413, `"prompt" is longer than ${MAX_PROMPT_LENGTH} characters.`);
+    if (!request || typeof request !== 'object') throw httpError(400, '"request" must be an object.');
+    if (kind === 'design' && typeof request.userPrompt !== 'string') throw httpError(400, '"request.userPrompt" must be a string.');
+    if (kind === 'evolve' && (!request.evolutionParams || typeof request.evolutionParams.sequence !== 'string')) {
+        throw httpError(400, '"request.evolutionParams.sequence" must be a string.');
+    }
+    const sampling = request.sampling && typeof request.sampling === 'object'
+        ? { temperature: Number(request.sampling.temperature), seed: Number(request.sampling.seed) }
+        : null;
+    return {
+        prompt,
+        request: {
+            userPrompt: kind === 'design' ? request.userPrompt : null,
+            evolutionParams: kind === 'evolve' ? request.evolutionParams : null,
+            sampling: sampling && Number.isFinite(sampling.temperature) && Number.isFinite(sampling.seed) ? sampling : null,
+        },
+        stream: body.stream === true,
+    };
+};
+
+export const createApp = (config, { fetchImpl = fetch } = {}) => {
+    const { provider } = config;
+    const modelLimiter = createRateLimiter({ limit: config.modelRateLimit });
+    const structureLimiter = createRateLimiter({ limit: config.structureRateLimit });
+    const structures = createStructureCache({
+        mirrors: config.structureMirrors,
+        maxEntries: config.structureCacheSize,
+        ttlMs: config.structureCacheTtlMs,
+        fetchImpl,
+    });
+
+    // The user a request is counted against: the access token's name, else the client address.
+    const identify = (req, { requireToken }) => {
+        if (config.accessTokens.size > 0) {
+            const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+            const user = config.accessTokens.get(token);
+            if (user) return `user:${user}`;
+            if (requireToken) throw httpError(401, 'A valid access token is required.');
+        }
+        const forwarded = config.trustProxy && req.headers['x-forwarded-for'];
+        return `ip:${forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress}`;
+    };
+
+    const limit = (limiter, user) => {
+        const { allowed, retryAfterSeconds } = limiter.hit(user);
+        if (!allowed) throw httpError(429, 'Rate limit exceeded; try again shortly.', { retryAfter: retryAfterSeconds });
+    };
+
+    const handleModel = async (kind, req, res, user) => {
+        const { prompt, request, stream } = validateModelRequest(kind, await readJsonBody(req));
+        limit(modelLimiter, user);
+
+        // A closed browser connection cancels the upstream call.
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        if (!stream) {
+            let text;
+            try {
+                text = await provider.generate({ prompt, request, signal: controller.signal });
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                throw upstreamError(error);
+            }
+            sendJson(res, 200, { text: text ?? '', provider: provider.id, model: provider.model });
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        let sent = 0;
+        const send = (payload) => res.write(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`);
+        try {
+            const text = await provider.generate({
+                prompt,
+                request,
+                signal: controller.signal,
+                onText: (soFar) => {
+                    send({ delta: soFar.slice(sent) });
+                    sent = soFar.length;
+                },
+            });
+            if (text && text.length > sent) send({ delta: text.slice(sent) });
+            send('[DONE]');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            const mapped = upstreamError(error);
+            console.error(`Streaming ${kind} request failed:`, error.message);
+            send({ error: { message: mapped.message, status: mapped.status, retryAfter: mapped.retryAfter } });
+        }
+        res.end();
+    };
+
+    const handleStructure = async (pdbId, res, user) => {
+        if (!PDB_ID.test(pdbId)) throw httpError(400, `"${pdbId}" is not a PDB ID.`);
+        limit(structureLimiter, user);
+        const result = await structures.get(pdbId.toUpperCase());
+        if (!result) throw httpError(404, `No mirror has structure ${pdbId.toUpperCase()}.`);
+        const { entry, cached } = result;
+        res.writeHead(200, {
+            'Content-Type': entry.format === 'cif' ? 'chemical/x-mmcif' : 'chemical/x-pdb',
+            'Cache-Control': 'public, max-age=86400',
+            'X-Structure-Format': entry.format,
+            'X-Structure-Source': entry.source,
+            'X-Cache': cached ? 'HIT' : 'MISS',
+        });
+        res.end(entry.data);
+    };
+
+    const route = async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && pathname === '/api/health') {
+            sendJson(res, 200, { status: 'ok', provider: provider.id, model: provider.model });
+            return;
+        }
+        const structureMatch = pathname.match(/^\/api\/structure\/([^/]+)$/);
+        if (req.method === 'GET' && structureMatch) {
+            return handleStructure(decodeURIComponent(structureMatch[1]), res, identify(req, { requireToken: false }));
+        }
+        const user = identify(req, { requireToken: true });
+        if (req.method === 'POST' && pathname === '/api/design') return handleModel('design', req, res, user);
+        if (req.method === 'POST' && pathname === '/api/evolve') return handleModel('evolve', req, res, user);
+        throw httpError(404, `No route for ${req.method} ${pathname}.`);
+    };
+
+    const server = http.createServer(async (req, res) => {
+        if (config.corsOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', config.corsOrigin);
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-Structure-Format, X-Structure-Source, X-Cache');
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+        }
+        try {
+            await route(req, res);
+        } catch (error) {
+            const status = error.status || 500;
+            if (status >= 500) console.error(`${req.method} ${req.url} failed:`, error);
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            sendJson(res, status, { error: { message: status >= 500 && !error.status ? 'Internal server error.' : error.message } },
+                error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {});
+        }
+    });
+
+    const sweeper = setInterval(() => {
+        modelLimiter.sweep();
+        structureLimiter.sweep();
+    }, 60 * 1000);
+    sweeper.unref();
+    server.on('close', () => clearInterval(sweeper));
+    return server;
+};
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from './app.mjs';
+import { loadConfig } from './config.mjs';
+
+const PDB = 'HEADER    TEST\nATOM      1  CA  GLY A   1       0.000   0.000   0.000  1.00 20.00           C\n';
+const DESIGN_BODY = { prompt: 'Design a lysozyme binder.', request: { userPrompt: 'a lysozyme binder' } };
+
+// Starts the app on a free port with the mock provider config and `overrides`; stopped after the test.
+const startApp = async (t, overrides = {}, { files = { 'https://mirror.example/1ABC.pdb': PDB } } = {}) => {
+    const requests = [];
+    const fetchImpl = async (url) => {
+        requests.push(url);
+        return url in files ? new Response(files[url]) : new Response('Not found', { status: 404 });
+    };
+    const config = { ...loadConfig({}, ['--mock']), structureMirrors: ['https://mirror.example/{id}.pdb'], ...overrides };
+    const server = createApp(config, { fetchImpl });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, body, headers = {}) => fetch(`${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return { base, post, requests };
+};
+
+// `data:` payloads of a server-sent event body, JSON-decoded except for [DONE].
+const events = (text) => text.split('\n\n').filter(Boolean).map((frame) => {
+    assert.match(frame, /^data: /);
+    const payload = frame.slice(6);
+    return payload === '[DONE]' ? payload : JSON.parse(payload);
+});
+
+const failingProvider = (error, partial = null) => ({
+    id: 'failing',
+    model: null,
+    generate: async ({ onText }) => {
+        if (onText && partial) onText(partial);
+        throw error;
+    },
+});
+
+test('answers design and evolve requests with the mock provider', async (t) => {
+    const { post } = await startApp(t);
+    const design = await post('/api/design', DESIGN_BODY);
+    assert.equal(design.status, 200);
+    const body = await design.json();
+    assert.equal(body.provider, 'mock');
+    assert.match(JSON.parse(body.text).sequence, /^M[A-Z]+$/);
+
+    const evolve = await post('/api/evolve', { prompt: 'Evolve it.', request: { evolutionParams: { sequence: 'MKVLAAG', feedback: 'more stable' } } });
+    assert.equal(evolve.status, 200);
+    assert.equal(JSON.parse((await evolve.json()).text).evolved_sequence.length, 7);
+});
+
+test('rejects model requests without a valid access token', async (t) => {
+    const { base, post } = await startApp(t, { accessTokens: new Map([['token1', 'alice']]) });
+    assert.equal((await post('/api/design', DESIGN_BODY)).status, 401);
+    const wrong = await post('/api/design', DESIGN_BODY, { Authorization: 'Bearer nope' });
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(await wrong.json(), { error: { message: 'A valid access token is required.' } });
+    assert.equal((await post('/api/design', DESIGN_BODY, { Authorization: 'Bearer token1' })).status, 200);
+    assert.equal((await fetch(`${base}/api/health`)).status, 200);
+});
+
+test('validates request bodies', async (t) => {
+    const { post } = await startApp(t);
+    const cases = [
+        ['/api/design', '{not json', /not valid JSON/],
+        ['/api/design', { request: { userPrompt: 'x' } }, /"prompt" must be a non-empty string/],
+        ['/api/design', { prompt: 'x' }, /"request" must be an object/],
+        ['/api/design', { prompt: 'x', request: {} }, /"request.userPrompt" must be a string/],
+        ['/api/evolve', { prompt: 'x', request: { evolutionParams: {} } }, /"request.evolutionParams.sequence" must be a string/],
+    ];
+    for (const [path, body, message] of cases) {
+        const response = await post(path, body);
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error.message, message);
+    }
+    assert.equal((await post('/api/design', { prompt: 'x'.repeat(100001), request: { userPrompt: 'x' } })).status, 413);
+    assert.equal((await post('/api/nothing', DESIGN_BODY)).status, 404);
+});
+
+test('limits model calls per user with 429 and Retry-After', async (t) => {
+    const { post } = await startApp(t, { modelRateLimit: 1, accessTokens: new Map([['token1', 'alice'], ['token2', 'bob']]) });
+    assert.equal((await post('/api/design', DESIGN_BODY, { Authorization: 'Bearer token1' })).status, 200);
+    const limited = await post('/api/design', DESIGN_BODY, { Authorization: 'Bearer token1' });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('Retry-After')) >= 1);
+    assert.match((await limited.json()).error.message, /Rate limit exceeded/);
+    assert.equal((await post('/api/design', DESIGN_BODY, { Authorization: 'Bearer token2' })).status, 200);
+});
+
+test('streams the answer as {delta} events ending in [DONE]', async (t) => {
+    const { post } = await startApp(t);
+    const whole = JSON.parse(await (await post('/api/design', DESIGN_BODY)).text()).text;
+    const response = await post('/api/design', { ...DESIGN_BODY, stream: true });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /^text\/event-stream/);
+    const frames = events(await response.text());
+    assert.equal(frames[frames.length - 1], '[DONE]');
+    const deltas = frames.slice(0, -1);
+    assert.ok(deltas.length > 1);
+    assert.equal(deltas.map(({ delta }) => delta).join(''), whole);
+});
+
+test('ends a stream with an error event when the provider fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const upstream = Object.assign(new Error('Upstream overloaded.'), { status: 503 });
+    const { post } = await startApp(t, { provider: failingProvider(upstream, '{"analysis":') });
+    const frames = events(await (await post('/api/design', { ...DESIGN_BODY, stream: true })).text());
+    assert.deepEqual(frames, [{ delta: '{"analysis":' }, { error: { message: 'Upstream overloaded.', status: 502 } }]);
+});
+
+test('maps provider failures to statuses the browser retries correctly', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const cases = [
+        [Object.assign(new Error('Too many requests.'), { status: 429, retryAfter: 30 }), 429, '30'],
+        [Object.assign(new Error('Bad key.'), { status: 401 }), 424, null],
+        [Object.assign(new Error('Broken.'), { status: 500 }), 502, null],
+        [new Error('getaddrinfo ENOTFOUND'), 502, null],
+    ];
+    for (const [error, status, retryAfter] of cases) {
+        const { post } = await startApp(t, { provider: failingProvider(error) });
+        const response = await post('/api/design', DESIGN_BODY);
+        assert.equal(response.status, status);
+        assert.equal(response.headers.get('Retry-After'), retryAfter);
+    }
+});
+
+test('serves structures through the cache and reports hits and misses', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { base, requests } = await startApp(t);
+    const miss = await fetch(`${base}/api/structure/1abc`);
+    assert.equal(miss.status, 200);
+    assert.equal(miss.headers.get('X-Cache'), 'MISS');
+    assert.equal(miss.headers.get('X-Structure-Format'), 'pdb');
+    assert.equal(await miss.text(), PDB);
+    const hit = await fetch(`${base}/api/structure/1ABC`);
+    assert.equal(hit.headers.get('X-Cache'), 'HIT');
+    assert.equal(await hit.text(), PDB);
+    assert.deepEqual(requests, ['https://mirror.example/1ABC.pdb']);
+
+    assert.equal((await fetch(`${base}/api/structure/2XYZ`)).status, 404);
+    assert.equal((await fetch(`${base}/api/structure/not-an-id`)).status, 400);
+});
+
+test('serves structures without a token when access tokens are configured', async (t) => {
+    const { base } = await startApp(t, { accessTokens: new Map([['token1', 'alice']]) });
+    const anonymous = await fetch(`${base}/api/structure/1ABC`);
+    assert.equal(anonymous.status, 200);
+    assert.equal(await anonymous.text(), PDB);
+    const withToken = await fetch(`${base}/api/structure/1ABC`, { headers: { Authorization: 'Bearer token1' } });
+    assert.equal(withToken.status, 200);
+    assert.equal(withToken.headers.get('X-Cache'), 'HIT');
+    assert.equal((await fetch(`${base}/api/structure/1ABC`, { headers: { Authorization: 'Bearer nope' } })).status, 200);
+});
+
+test('counts structure requests without a token per client address and with one per user', async (t) => {
+    const { base } = await startApp(t, { structureRateLimit: 1, accessTokens: new Map([['token1', 'alice']]) });
+    assert.equal((await fetch(`${base}/api/structure/1ABC`)).status, 200);
+    const limited = await fetch(`${base}/api/structure/1ABC`);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('Retry-After')) >= 1);
+    assert.equal((await fetch(`${base}/api/structure/1ABC`, { headers: { Authorization: 'Bearer token1' } })).status, 200);
+});
@@ -0,0 +1,89 @@
+import {
+    createGeminiProvider,
+    GEMINI_DEFAULTS,
+    createOpenAIProvider,
+    OPENAI_DEFAULTS,
+    createMockProvider,
+    MOCK_DEFAULTS,
+} from '../shared/providers/index.js';
+
+// Server settings come from environment variables only. They deliberately have no REACT_APP_
+// prefix, so Create React App never inlines them into the browser bundle.
+//
+//   PORT                             3001
+//   MODEL_PROVIDER                   gemini | openai | mock (default gemini; --mock forces mock)
+//   GEMINI_API_KEY, GEMINI_MODEL
+//   OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL
+//   ACCESS_TOKENS                    "alice:token1,bob:token2"; when set, model requests need
+//                                    "Authorization: Bearer <token>" and limits apply per name
+//                                    (structure requests stay open, see app.mjs)
+//   RATE_LIMIT_PER_MINUTE            model calls per user and minute (default 10)
+//   STRUCTURE_RATE_LIMIT_PER_MINUTE  structure requests per user and minute (default 60)
+//   STRUCTURE_MIRRORS                comma-separated URL templates with {id}
+//   STRUCTURE_CACHE_SIZE             structures kept in memory (default 200)
+//   STRUCTURE_CACHE_TTL_HOURS        default 24
+//   CORS_ORIGIN                      allowed browser origin when the app is served elsewhere
+//   TRUST_PROXY                      "true" to take the client address from X-Forwarded-For
+
+export const DEFAULT_STRUCTURE_MIRRORS = [
+    'https://files.rcsb.org/view/{id}.pdb',
+    'https://models.rcsb.org/{id}.pdb',
+    'https://files.rcsb.org/download/{id}.cif',
+];
+
+const MODEL_PROVIDERS = {
+    gemini: (env) => createGeminiProvider({
+        ...GEMINI_DEFAULTS,
+        model: env.GEMINI_MODEL || GEMINI_DEFAULTS.model,
+        apiKey: env.GEMINI_API_KEY || '',
+    }),
+    openai: (env) => createOpenAIProvider({
+        ...OPENAI_DEFAULTS,
+        baseUrl: env.OPENAI_BASE_URL || OPENAI_DEFAULTS.baseUrl,
+        model: env.OPENAI_MODEL || OPENAI_DEFAULTS.model,
+        apiKey: env.OPENAI_API_KEY || '',
+    }),
+    mock: () => createMockProvider(MOCK_DEFAULTS),
+};
+
+const positiveNumber = (value, fallback, name) => {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) throw new Error(`${name} must be a positive number, got "${value}".`);
+    return number;
+};
+
+// "alice:token1,bob:token2" -> Map(token -> user name)
+const parseAccessTokens = (text) => {
+    const tokens = new Map();
+    (text || '').split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+        const separator = entry.indexOf(':');
+        if (separator < 1 || separator === entry.length - 1) throw new Error(`ACCESS_TOKENS entry "${entry}" needs the form name:token.`);
+        tokens.set(entry.slice(separator + 1), entry.slice(0, separator));
+    });
+    return tokens;
+};
+
+export const loadConfig = (env = process.env, argv = process.argv.slice(2)) => {
+    const providerId = argv.includes('--mock') ? 'mock' : (env.MODEL_PROVIDER || 'gemini');
+    if (!MODEL_PROVIDERS[providerId]) {
+        throw new Error(`Unknown MODEL_PROVIDER "${providerId}"; use one of ${Object.keys(MODEL_PROVIDERS).join(', ')}.`);
+    }
+    if (providerId === 'gemini' && !env.GEMINI_API_KEY) {
+        throw new Error('GEMINI_API_KEY is not set. Set it, choose another MODEL_PROVIDER or start with --mock.');
+    }
+    return {
+        port: positiveNumber(env.PORT, 3001, 'PORT'),
+        provider: MODEL_PROVIDERS[providerId](env),
+        accessTokens: parseAccessTokens(env.ACCESS_TOKENS),
+        modelRateLimit: positiveNumber(env.RATE_LIMIT_PER_MINUTE, 10, 'RATE_LIMIT_PER_MINUTE'),
+        structureRateLimit: positiveNumber(env.STRUCTURE_RATE_LIMIT_PER_MINUTE, 60, 'STRUCTURE_RATE_LIMIT_PER_MINUTE'),
+        structureMirrors: env.STRUCTURE_MIRRORS
+            ? env.STRUCTURE_MIRRORS.split(',').map((url) => url.trim()).filter(Boolean)
+            : DEFAULT_STRUCTURE_MIRRORS,
+        structureCacheSize: positiveNumber(env.STRUCTURE_CACHE_SIZE, 200, 'STRUCTURE_CACHE_SIZE'),
+        structureCacheTtlMs: positiveNumber(env.STRUCTURE_CACHE_TTL_HOURS, 24, 'STRUCTURE_CACHE_TTL_HOURS') * 3600 * 1000,
+        corsOrigin: env.CORS_ORIGIN || null,
+        trustProxy: env.TRUST_PROXY === 'true',
+    };
+};
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig, DEFAULT_STRUCTURE_MIRRORS } from './config.mjs';
+
+test('--mock starts the mock provider without credentials and with the default limits', () => {
+    const config = loadConfig({}, ['--mock']);
+    assert.equal(config.provider.id, 'mock');
+    assert.equal(config.port, 3001);
+    assert.equal(config.modelRateLimit, 10);
+    assert.equal(config.structureRateLimit, 60);
+    assert.deepEqual(config.structureMirrors, DEFAULT_STRUCTURE_MIRRORS);
+    assert.equal(config.accessTokens.size, 0);
+    assert.equal(config.corsOrigin, null);
+    assert.equal(config.trustProxy, false);
+});
+
+test('needs a Gemini key unless another provider is chosen', () => {
+    assert.throws(() => loadConfig({}, []), /GEMINI_API_KEY is not set/);
+    assert.equal(loadConfig({ GEMINI_API_KEY: 'key', GEMINI_MODEL: 'gemini-test' }, []).provider.model, 'gemini-test');
+    assert.equal(loadConfig({ MODEL_PROVIDER: 'openai', OPENAI_MODEL: 'local-model' }, []).provider.model, 'local-model');
+    assert.throws(() => loadConfig({ MODEL_PROVIDER: 'claude' }, []), /Unknown MODEL_PROVIDER "claude"/);
+});
+
+test('parses access tokens, mirrors and numbers', () => {
+    const config = loadConfig({
+        ACCESS_TOKENS: 'alice:token1, bob:token2',
+        STRUCTURE_MIRRORS: 'http://files.local/{id}.cif, ,https://files.rcsb.org/view/{id}.pdb',
+        RATE_LIMIT_PER_MINUTE: '3',
+        STRUCTURE_CACHE_TTL_HOURS: '0.5',
+    }, ['--mock']);
+    assert.deepEqual([...config.accessTokens], [['token1', 'alice'], ['token2', 'bob']]);
+    assert.deepEqual(config.structureMirrors, ['http://files.local/{id}.cif', 'https://files.rcsb.org/view/{id}.pdb']);
+    assert.equal(config.modelRateLimit, 3);
+    assert.equal(config.structureCacheTtlMs, 30 * 60 * 1000);
+});
+
+test('rejects malformed settings', () => {
+    assert.throws(() => loadConfig({ ACCESS_TOKENS: 'alice' }, ['--mock']), /needs the form name:token/);
+    assert.throws(() => loadConfig({ ACCESS_TOKENS: 'alice:' }, ['--mock']), /needs the form name:token/);
+    assert.throws(() => loadConfig({ PORT: 'eighty' }, ['--mock']), /PORT must be a positive number/);
+    assert.throws(() => loadConfig({ RATE_LIMIT_PER_MINUTE: '0' }, ['--mock']), /RATE_LIMIT_PER_MINUTE must be a positive number/);
+});
@@ -0,0 +1,25 @@
+import { loadConfig } from './config.mjs';
+import { createApp } from './app.mjs';
+
+// Entry point: `npm run server` (credentials from the environment, see config.mjs) or
+// `npm run server:mock` for the offline mock provider.
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+const server = createApp(config);
+server.listen(config.port, () => {
+    console.log(`protieno server on http://localhost:${config.port} (model provider: ${config.provider.id}${config.provider.model ? `, ${config.provider.model}` : ''})`);
+    if (config.accessTokens.size === 0) console.log('No ACCESS_TOKENS set; rate limits apply per client address.');
+});
+
+const shutdown = () => {
+    server.close(() => process.exit(0));
+    server.closeAllConnections();
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,26 @@
+// Sliding-window rate limiter: at most `limit` hits per key within `windowMs`.
+// `hit(key)` records a hit and returns { allowed, retryAfterSeconds }; rejected hits are not counted.
+export const createRateLimiter = ({ limit, windowMs = 60 * 1000, now = Date.now }) => {
+    const hits = new Map();
+
+    const recent = (key) => {
+        const cutoff = now() - windowMs;
+        const times = (hits.get(key) || []).filter((time) => time > cutoff);
+        if (times.length > 0) hits.set(key, times);
+        else hits.delete(key);
+        return times;
+    };
+
+    return {
+        hit: (key) => {
+            const times = recent(key);
+            if (times.length >= limit) {
+                return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil((times[0] + windowMs - now()) / 1000)) };
+            }
+            hits.set(key, [...times, now()]);
+            return { allowed: true, retryAfterSeconds: 0 };
+        },
+        // Drops keys without recent hits so idle clients do not accumulate.
+        sweep: () => [...hits.keys()].forEach(recent),
+    };
+};
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from './rateLimit.mjs';
+
+const clock = (start = 0) => {
+    const state = { now: start };
+    return { advance: (ms) => { state.now += ms; }, now: () => state.now };
+};
+
+test('allows `limit` hits per window and reports when the next one is allowed', () => {
+    const time = clock();
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60000, now: time.now });
+    assert.deepEqual(limiter.hit('alice'), { allowed: true, retryAfterSeconds: 0 });
+    time.advance(10000);
+    assert.equal(limiter.hit('alice').allowed, true);
+    time.advance(5000);
+    assert.deepEqual(limiter.hit('alice'), { allowed: false, retryAfterSeconds: 45 });
+    assert.equal(limiter.hit('bob').allowed, true);
+});
+
+test('frees hits once they leave the window and does not count rejected hits', () => {
+    const time = clock();
+    const limiter = createRateLimiter({ limit: 1, windowMs: 1000, now: time.now });
+    limiter.hit('alice');
+    time.advance(500);
+    assert.equal(limiter.hit('alice').allowed, false);
+    time.advance(501);
+    assert.equal(limiter.hit('alice').allowed, true);
+});
+
+test('never asks to wait less than a second', () => {
+    const time = clock();
+    const limiter = createRateLimiter({ limit: 1, windowMs: 1000, now: time.now });
+    limiter.hit('alice');
+    time.advance(999);
+    assert.equal(limiter.hit('alice').retryAfterSeconds, 1);
+});
@@ -0,0 +1,66 @@
+// Structure fetches through the server: mirrors are tried in order like in the browser, and
+// results are kept in an in-memory LRU cache with a time-to-live. Concurrent requests for the
+// same entry share one upstream fetch.
+//
+// Entry: { id, format: 'pdb' | 'cif', data, source, fetchedAt }
+
+const detectFormat = (url, text) => {
+    if (/\.(cif|mmcif)$/i.test(url.split('?')[0])) return 'cif';
+    if (/\.(pdb|ent)$/i.test(url.split('?')[0])) return 'pdb';
+    return /^\s*data_/.test(text) || text.includes('_atom_site.') ? 'cif' : 'pdb';
+};
+
+export const createStructureCache = ({ mirrors, maxEntries, ttlMs, fetchImpl = fetch, now = Date.now }) => {
+    const entries = new Map();
+    const pending = new Map();
+
+    const fresh = (id) => {
+        const entry = entries.get(id);
+        if (!entry) return null;
+        if (now() - entry.fetchedAt > ttlMs) {
+            entries.delete(id);
+            return null;
+        }
+        // Re-insert so Map order doubles as recency order.
+        entries.delete(id);
+        entries.set(id, entry);
+        return entry;
+    };
+
+    const store = (entry) => {
+        entries.set(entry.id, entry);
+        while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    };
+
+    const fetchFromMirrors = async (id) => {
+        for (const template of mirrors) {
+            const url = template.replace(/\{id\}/g, id);
+            try {
+                const response = await fetchImpl(url);
+                if (response.ok) {
+                    const data = await response.text();
+                    return { id, format: detectFormat(url, data), data, source: url, fetchedAt: now() };
+                }
+                console.warn(`Failed to fetch from ${url}, status: ${response.status}`);
+            } catch (error) {
+                console.error(`Error fetching from ${url}:`, error.message);
+            }
+        }
+        return null;
+    };
+
+    // Resolves to { entry, cached } or null when no mirror has the entry. Misses are not cached.
+    const get = async (id) => {
+        const cached = fresh(id);
+        if (cached) return { entry: cached, cached: true };
+        if (!pending.has(id)) {
+            pending.set(id, fetchFromMirrors(id).finally(() => pending.delete(id)));
+        }
+        const entry = await pending.get(id);
+        if (!entry) return null;
+        store(entry);
+        return { entry, cached: false };
+    };
+
+    return { get, size: () => entries.size };
+};
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStructureCache } from './structureCache.mjs';
+
+const PDB = 'HEADER    TEST\nATOM      1  CA  GLY A   1       0.000   0.000   0.000  1.00 20.00           C\n';
+const CIF = 'data_1ABC\nloop_\n_atom_site.id\n1\n';
+
+// A fetch that serves `files` by URL and counts the requests it sees.
+const fakeFetch = (files) => {
+    const requests = [];
+    const fetchImpl = async (url) => {
+        requests.push(url);
+        return url in files ? new Response(files[url]) : new Response('Not found', { status: 404 });
+    };
+    return { fetchImpl, requests };
+};
+
+const quietly = (t) => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+};
+
+test('misses fetch from the first mirror that has the entry, hits come from memory', async (t) => {
+    quietly(t);
+    const { fetchImpl, requests } = fakeFetch({ 'https://b.example/1ABC.cif': CIF });
+    const cache = createStructureCache({ mirrors: ['https://a.example/{id}.pdb', 'https://b.example/{id}.cif'], maxEntries: 10, ttlMs: 60000, fetchImpl });
+
+    const first = await cache.get('1ABC');
+    assert.equal(first.cached, false);
+    assert.deepEqual({ format: first.entry.format, source: first.entry.source, data: first.entry.data }, { format: 'cif', source: 'https://b.example/1ABC.cif', data: CIF });
+    const second = await cache.get('1ABC');
+    assert.equal(second.cached, true);
+    assert.equal(requests.length, 2);
+});
+
+test('does not cache misses', async (t) => {
+    quietly(t);
+    const { fetchImpl, requests } = fakeFetch({});
+    const cache = createStructureCache({ mirrors: ['https://a.example/{id}.pdb'], maxEntries: 10, ttlMs: 60000, fetchImpl });
+    assert.equal(await cache.get('9XYZ'), null);
+    assert.equal(await cache.get('9XYZ'), null);
+    assert.equal(requests.length, 2);
+    assert.equal(cache.size(), 0);
+});
+
+test('concurrent requests for one entry share a single fetch', async () => {
+    const { fetchImpl, requests } = fakeFetch({ 'https://a.example/1ABC.pdb': PDB });
+    const cache = createStructureCache({ mirrors: ['https://a.example/{id}.pdb'], maxEntries: 10, ttlMs: 60000, fetchImpl });
+    const results = await Promise.all([cache.get('1ABC'), cache.get('1ABC')]);
+    assert.equal(requests.length, 1);
+    assert.equal(results[0].entry, results[1].entry);
+});
+
+test('entries expire after the time-to-live', async () => {
+    let now = 0;
+    const { fetchImpl, requests } = fakeFetch({ 'https://a.example/1ABC.pdb': PDB });
+    const cache = createStructureCache({ mirrors: ['https://a.example/{id}.pdb'], maxEntries: 10, ttlMs: 1000, fetchImpl, now: () => now });
+    await cache.get('1ABC');
+    now = 1000;
+    assert.equal((await cache.get('1ABC')).cached, true);
+    now = 2001;
+    assert.equal((await cache.get('1ABC')).cached, false);
+    assert.equal(requests.length, 2);
+});
+
+test('evicts the least recently used entry beyond the size limit', async () => {
+    const files = Object.fromEntries(['1AAA', '2BBB', '3CCC'].map((id) => [`https://a.example/${id}.pdb`, PDB]));
+    const { fetchImpl } = fakeFetch(files);
+    const cache = createStructureCache({ mirrors: ['https://a.example/{id}.pdb'], maxEntries: 2, ttlMs: 60000, fetchImpl });
+    await cache.get('1AAA');
+    await cache.get('2BBB');
+    await cache.get('1AAA');
+    await cache.get('3CCC');
+    assert.equal(cache.size(), 2);
+    assert.equal((await cache.get('1AAA')).cached, true);
+    assert.equal((await cache.get('2BBB')).cached, false);
+});
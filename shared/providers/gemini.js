@@ -0,0 +1,42 @@
+import { responseError, readServerSentEvents } from './stream.js';
+
+// Google Gemini adapter (generateContent REST endpoint, streamGenerateContent when streaming)
+export const GEMINI_DEFAULTS = {
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    model: 'gemini-2.5-flash-preview-05-20',
+    apiKey: '',
+};
+
+export const createGeminiProvider = ({ baseUrl, model, apiKey }) => ({
+    id: 'gemini',
+    model,
+    generate: async ({ prompt, request = {}, signal, onText }) => {
+        const apiUrl = onText
+            ? `${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+            : `${baseUrl}/models/${model}:generateContent?key=${apiKey}`;
+        const payload = {
+            contents: [{ role: "user", parts: [{ text: prompt }] }],
+            generationConfig: { responseMimeType: "application/json" }
+        };
+        const { sampling } = request;
+        if (sampling && sampling.temperature !== undefined) payload.generationConfig.temperature = sampling.temperature;
+        if (sampling && sampling.seed !== undefined) payload.generationConfig.seed = sampling.seed;
+
+        const response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload), signal });
+        if (!response.ok) throw await responseError(response, 'Gemini');
+        if (!onText) {
+            const result = await response.json();
+            return result?.candidates?.[0]?.content?.parts?.[0]?.text;
+        }
+
+        let text = '';
+        await readServerSentEvents(response, (data) => {
+            const chunk = JSON.parse(data)?.candidates?.[0]?.content?.parts?.map((part) => part.text || '').join('');
+            if (chunk) {
+                text += chunk;
+                onText(text);
+            }
+        });
+        return text;
+    },
+});
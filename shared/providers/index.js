@@ -0,0 +1,6 @@
+// Model adapters shared by the browser (src/providers) and the backend (server/). Plain ES
+// modules without build-time configuration: each side passes its own settings to the factories.
+export { createGeminiProvider, GEMINI_DEFAULTS } from './gemini.js';
+export { createOpenAIProvider, OPENAI_DEFAULTS } from './openai.js';
+export { createMockProvider, MOCK_DEFAULTS } from './mock.js';
+export { responseError, readServerSentEvents, abortError, emitInChunks } from './stream.js';
@@ -0,0 +1,123 @@
+import { abortError, emitInChunks } from './stream.js';
+
+// Deterministic local backend. Returns canned design JSON derived from a hash of the
+// request, so the whole workflow runs offline and gives identical results in CI.
+const AMINO_ACIDS = 'ACDEFGHIKLMNPQRSTVWY';
+const TEMPLATE_PDB_IDS = ['6EQE', '1LYZ', '1UBQ', '2LZM', '1GFL'];
+const VALIDATION_STEPS = [
+    'Express the construct in E. coli BL21(DE3) and purify by Ni-NTA chromatography.',
+    'Confirm folding by circular dichroism spectroscopy.',
+    'Measure thermal stability (Tm) by differential scanning fluorimetry.',
+    'Determine binding affinity by isothermal titration calorimetry.',
+];
+
+const hashString = (text) => {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+// mulberry32
+const createRandom = (seed) => {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+const pickPocket = (random, length) => {
+    const start = 10 + Math.floor(random() * (length - 30));
+    const residues = new Set();
+    while (residues.size < 6) {
+        residues.add(start + Math.floor(random() * 20));
+    }
+    return [...residues].sort((a, b) => a - b);
+};
+
+// The seed only enters the hash when given, so unseeded requests keep their canned answers.
+const seedSuffix = (sampling) => (sampling && sampling.seed !== undefined ? `:${sampling.seed}` : '');
+
+const buildDesign = (userPrompt, sampling) => {
+    const random = createRandom(hashString(`design:${userPrompt}${seedSuffix(sampling)}`));
+    const length = 80 + Math.floor(random() * 71);
+    let sequence = 'M';
+    while (sequence.length < length) sequence += pick(random, AMINO_ACIDS);
+
+    return {
+        analysis: `Mock analysis for "${userPrompt}". A compact alpha/beta fold with a hydrophobic cleft lined by aromatic residues is proposed.`,
+        sequence,
+        binding_affinity_score: -Number((6 + random() * 5).toFixed(2)),
+        predicted_stability_score: Number((random() * 3 - 0.5).toFixed(2)),
+        binding_pocket_residues: pickPocket(random, length),
+        pdb_id: pick(random, TEMPLATE_PDB_IDS),
+        design_confidence: pick(random, ['High', 'Promising', 'Experimental']),
+        experimental_validation_steps: VALIDATION_STEPS,
+    };
+};
+
+// Substitution choices that respect the structured evolution constraints (locked positions,
+// allowed residues, no new cysteines). Glycosylation motifs are left to the local check.
+const allowedSubstitutions = (constraints, position, from) => {
+    if (!constraints) return AMINO_ACIDS.replace(from, '');
+    if (constraints.lockedPositions.includes(position)) return '';
+    let choices = (constraints.allowedResidues[position] || AMINO_ACIDS).replace(from, '');
+    if (constraints.noNewCysteines) choices = choices.replace('C', '');
+    return choices;
+};
+
+const buildEvolution = ({ sequence, feedback, constraints = null }, sampling) => {
+    const random = createRandom(hashString(`evolve:${sequence}:${feedback}${seedSuffix(sampling)}`));
+    const residues = sequence.split('');
+    const mutations = [];
+    const count = constraints && constraints.maxSubstitutions !== null ? Math.min(3, constraints.maxSubstitutions) : 3;
+    for (let i = 0; i < count; i++) {
+        let position = 1 + Math.floor(random() * (residues.length - 1));
+        let choices = allowedSubstitutions(constraints, position + 1, residues[position]);
+        for (let attempt = 0; !choices && attempt < 20; attempt++) {
+            position = 1 + Math.floor(random() * (residues.length - 1));
+            choices = allowedSubstitutions(constraints, position + 1, residues[position]);
+        }
+        if (!choices) continue;
+        const from = residues[position];
+        const to = pick(random, choices);
+        residues[position] = to;
+        mutations.push(`${from}${position + 1}${to}`);
+    }
+
+    return {
+        analysis_goal: `Mock evolution towards "${feedback}". Introduced ${mutations.join(', ')}.`,
+        evolved_sequence: residues.join(''),
+        binding_affinity_score: -Number((6 + random() * 5).toFixed(2)),
+        predicted_stability_score: Number((random() * 3 - 0.5).toFixed(2)),
+        binding_pocket_residues: pickPocket(random, residues.length),
+        pdb_id: pick(random, TEMPLATE_PDB_IDS),
+        design_confidence: pick(random, ['High', 'Promising', 'Experimental']),
+        experimental_validation_steps: VALIDATION_STEPS,
+    };
+};
+
+export const MOCK_DEFAULTS = {
+    model: 'mock-designer-v1',
+};
+
+export const createMockProvider = ({ model }) => ({
+    id: 'mock',
+    model,
+    generate: async ({ request, signal, onText }) => {
+        const result = request.evolutionParams
+            ? buildEvolution(request.evolutionParams, request.sampling)
+            : buildDesign(request.userPrompt || '', request.sampling);
+        const text = JSON.stringify(result);
+        if (signal && signal.aborted) throw abortError();
+        if (!onText) return text;
+        return emitInChunks(text, { signal, onText });
+    },
+});
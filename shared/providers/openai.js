@@ -0,0 +1,45 @@
+import { responseError, readServerSentEvents } from './stream.js';
+
+// OpenAI-compatible adapter (/chat/completions). Works with OpenAI itself and with
+// self-hosted servers that implement the same API (vLLM, llama.cpp, Ollama, ...).
+export const OPENAI_DEFAULTS = {
+    baseUrl: 'http://localhost:8000/v1',
+    model: 'gpt-4o-mini',
+    apiKey: '',
+};
+
+export const createOpenAIProvider = ({ baseUrl, model, apiKey }) => ({
+    id: 'openai',
+    model,
+    generate: async ({ prompt, request = {}, signal, onText }) => {
+        const apiUrl = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        const payload = {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            response_format: { type: 'json_object' },
+            stream: Boolean(onText),
+        };
+        const { sampling } = request;
+        if (sampling && sampling.temperature !== undefined) payload.temperature = sampling.temperature;
+        if (sampling && sampling.seed !== undefined) payload.seed = sampling.seed;
+
+        const response = await fetch(apiUrl, { method: 'POST', headers, body: JSON.stringify(payload), signal });
+        if (!response.ok) throw await responseError(response, 'OpenAI-compatible');
+        if (!onText) {
+            const result = await response.json();
+            return result?.choices?.[0]?.message?.content;
+        }
+
+        let text = '';
+        await readServerSentEvents(response, (data) => {
+            const chunk = JSON.parse(data)?.choices?.[0]?.delta?.content;
+            if (chunk) {
+                text += chunk;
+                onText(text);
+            }
+        });
+        return text;
+    },
+});
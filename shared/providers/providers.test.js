@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createGeminiProvider,
+    GEMINI_DEFAULTS,
+    createMockProvider,
+    MOCK_DEFAULTS,
+    responseError,
+    readServerSentEvents,
+    abortError,
+    emitInChunks,
+} from './index.js';
+
+// Runs with `npm run test:node`: the server loads these modules in Node exactly like this.
+
+test('emitInChunks reports growing prefixes and returns the whole text', async () => {
+    const seen = [];
+    const text = 'abcdefghijklmnopqrstuvwxyz';
+    assert.equal(await emitInChunks(text, { onText: (partial) => seen.push(partial) }), text);
+    assert.ok(seen.length > 1);
+    assert.equal(seen[seen.length - 1], text);
+    seen.forEach((partial) => assert.ok(text.startsWith(partial)));
+});
+
+test('emitInChunks stops with an AbortError once the signal fires', async () => {
+    const controller = new AbortController();
+    const seen = [];
+    const playback = emitInChunks('abcdefghijklmnop', { signal: controller.signal, onText: (partial) => { seen.push(partial); controller.abort(); } });
+    await assert.rejects(playback, { name: 'AbortError' });
+    assert.equal(seen.length, 1);
+    assert.equal(abortError().name, 'AbortError');
+    assert.equal(abortError().message, 'The request was cancelled.');
+});
+
+test('the mock provider streams the same answer it returns in one piece', async () => {
+    const provider = createMockProvider(MOCK_DEFAULTS);
+    const request = { userPrompt: 'a binder' };
+    const whole = await provider.generate({ request });
+    const partials = [];
+    assert.equal(await provider.generate({ request, onText: (partial) => partials.push(partial) }), whole);
+    assert.equal(partials[partials.length - 1], whole);
+    assert.match(JSON.parse(whole).sequence, /^M[A-Z]+$/);
+});
+
+test('readServerSentEvents joins data lines split across chunks and skips [DONE]', async () => {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        start(controller) {
+            ['data: {"a":', '1}\n\ndata: {"b":2}\n', '\ndata: [DONE]\n\n'].forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+            controller.close();
+        },
+    });
+    const payloads = [];
+    await readServerSentEvents(new Response(body), (data) => payloads.push(JSON.parse(data)));
+    assert.deepEqual(payloads, [{ a: 1 }, { b: 2 }]);
+});
+
+test('responseError keeps the status, the error message and Retry-After', async () => {
+    const response = new Response(JSON.stringify({ error: { message: 'Slow down.' } }), { status: 429, headers: { 'Retry-After': '7' } });
+    const error = await responseError(response, 'Gemini');
+    assert.equal(error.message, 'Gemini request failed with status 429. Slow down.');
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfter, 7);
+});
+
+test('the Gemini adapter sends the prompt and sampling settings', async () => {
+    const realFetch = global.fetch;
+    const calls = [];
+    global.fetch = async (url, init) => {
+        calls.push({ url, body: JSON.parse(init.body) });
+        return new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text: '{"ok":true}' }] } }] }));
+    };
+    try {
+        const provider = createGeminiProvider({ ...GEMINI_DEFAULTS, apiKey: 'key' });
+        const text = await provider.generate({ prompt: 'Design a binder.', request: { sampling: { temperature: 0.2, seed: 7 } } });
+        assert.equal(text, '{"ok":true}');
+        assert.match(calls[0].url, /:generateContent\?key=key$/);
+        assert.equal(calls[0].body.contents[0].parts[0].text, 'Design a binder.');
+        assert.deepEqual(calls[0].body.generationConfig, { responseMimeType: 'application/json', temperature: 0.2, seed: 7 });
+    } finally {
+        global.fetch = realFetch;
+    }
+});
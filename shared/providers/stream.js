@@ -0,0 +1,70 @@
+// Shared helpers for the provider adapters: HTTP error mapping, server-sent event parsing and
+// chunked playback for the offline providers.
+
+// Builds the error thrown for a non-ok response. `status` drives the retry decision in the
+// design client; `retryAfter` (seconds) is taken from the Retry-After header when present.
+export const responseError = async (response, label) => {
+    let detail = '';
+    try {
+        const body = await response.text();
+        const parsed = JSON.parse(body);
+        detail = parsed?.error?.message || '';
+    } catch (e) {
+        // No JSON error body.
+    }
+    const error = new Error(`${label} request failed with status ${response.status}.${detail ? ` ${detail}` : ''}`);
+    error.status = response.status;
+    const retryAfter = Number(response.headers?.get?.('Retry-After'));
+    if (Number.isFinite(retryAfter) && retryAfter > 0) error.retryAfter = retryAfter;
+    return error;
+};
+
+const dispatchLines = (lines, onData) => {
+    lines.forEach((line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (payload && payload !== '[DONE]') onData(payload);
+    });
+};
+
+// Calls `onData(payload)` for every `data:` line of an SSE response. Falls back to reading the
+// whole body where streaming bodies are not supported.
+export const readServerSentEvents = async (response, onData) => {
+    if (!response.body || !response.body.getReader) {
+        dispatchLines((await response.text()).split(/\r?\n/), onData);
+        return;
+    }
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        dispatchLines(lines, onData);
+    }
+    dispatchLines([buffer + decoder.decode()], onData);
+};
+
+export const abortError = (message = 'The request was cancelled.') => {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+};
+
+const STREAM_CHUNKS = 8;
+const STREAM_DELAY_MS = 30;
+
+// Plays a finished answer back through `onText` in a few chunks, so streaming and cancellation
+// work without a model (mock and replay providers).
+export const emitInChunks = async (text, { signal, onText }) => {
+    const size = Math.max(1, Math.ceil(text.length / STREAM_CHUNKS));
+    for (let end = size; end < text.length + size; end += size) {
+        await new Promise(resolve => setTimeout(resolve, STREAM_DELAY_MS));
+        if (signal && signal.aborted) throw abortError();
+        onText(text.slice(0, end));
+    }
+    return text;
+};
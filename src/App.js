@@ -1,373 +1,919 @@
-// import React, { useState, useEffect, useRef } from 'react';
-
-// // Helper function to fetch PDB data
-// const fetchPdbData = async (pdbId) => {
-//     if (!pdbId) return null;
-//     const upperCasePdbId = pdbId.toUpperCase();
-//     const urlsToTry = [
-//         `https://files.rcsb.org/view/${upperCasePdbId}.pdb`,
-//         `https://models.rcsb.org/${upperCasePdbId}.pdb`
-//     ];
-
-//     for (const url of urlsToTry) {
-//         try {
-//             const response = await fetch(url);
-//             if (response.ok) {
-//                 console.log(`Successfully fetched PDB data from ${url}`);
-//                 return await response.text();
-//             } else {
-//                 console.warn(`Failed to fetch from ${url}, status: ${response.status}`);
-//             }
-//         } catch (error) {
-//             console.error(`Error fetching from ${url}:`, error);
-//         }
-//     }
-//     console.error(`Failed to fetch PDB data for ${upperCasePdbId} from all sources.`);
-//     return null;
-// };
-
-// // 3Dmol.js viewer component
-// const ProteinViewer = ({ pdbData, bindingPocketResidues }) => {
-//     const viewerRef = useRef(null);
-//     const glviewer = useRef(null);
-//     const [highlight, setHighlight] = useState(false);
-
-//     const setupViewer = () => {
-//         if (viewerRef.current && window.$3Dmol) {
-//             if (!glviewer.current) {
-//                 glviewer.current = window.$3Dmol.createViewer(viewerRef.current, {
-//                     defaultcolors: window.$3Dmol.rasmolElementColors
-//                 });
-//             }
-//             renderStructure();
-//         }
-//     };
-
-//     const renderStructure = () => {
-//         if (!glviewer.current) return;
-//         glviewer.current.clear();
-//         if (pdbData) {
-//             glviewer.current.addModel(pdbData, "pdb");
-//             glviewer.current.setStyle({}, { cartoon: { color: 'spectrum' } });
-
-//             if (highlight && bindingPocketResidues && bindingPocketResidues.length > 0) {
-//                 const sel = { resi: bindingPocketResidues };
-//                 glviewer.current.addStyle(sel, { stick: { colorscheme: 'yellowCarbon', radius: 0.2 } });
-//                 glviewer.current.addStyle(sel, { sphere: { color: 'yellow', radius: 0.5, alpha: 0.7 } });
-//             }
-            
-//             glviewer.current.zoomTo();
-//             glviewer.current.render();
-//         } else {
-//             glviewer.current.addSphere({center:{x:0,y:0,z:0},radius:10.0,color:'rgba(55, 65, 81, 0.5)'});
-//             glviewer.current.zoomTo();
-//             glviewer.current.render();
-//         }
-//     };
-
-//     useEffect(() => {
-//         const scriptId = '3dmol-script';
-//         if (!document.getElementById(scriptId)) {
-//             const script = document.createElement('script');
-//             script.id = scriptId;
-//             script.src = 'https://3dmol.org/build/3Dmol-min.js';
-//             script.async = true;
-//             script.onload = setupViewer;
-//             document.body.appendChild(script);
-//             return () => { document.body.removeChild(script); };
-//         } else {
-//             setupViewer();
-//         }
-//     }, []);
-
-//     useEffect(() => {
-//         renderStructure();
-//     }, [pdbData, highlight, bindingPocketResidues]);
-
-//     return (
-//         <div className="w-full h-full flex flex-col">
-//             <div ref={viewerRef} className="flex-grow min-h-[400px] relative bg-gray-900 rounded-lg border border-gray-700">
-//                 {!pdbData && (
-//                      <div className="absolute inset-0 flex items-center justify-center text-gray-400">
-//                         3D structure will be displayed here
-//                     </div>
-//                 )}
-//             </div>
-//             {pdbData && bindingPocketResidues && bindingPocketResidues.length > 0 && (
-//                 <div className="flex justify-center items-center mt-4">
-//                     <label className="flex items-center cursor-pointer">
-//                         <div className="relative">
-//                             <input type="checkbox" checked={highlight} onChange={() => setHighlight(!highlight)} className="sr-only" />
-//                             <div className="block bg-gray-600 w-14 h-8 rounded-full"></div>
-//                             <div className={`dot absolute left-1 top-1 bg-white w-6 h-6 rounded-full transition-transform ${highlight ? 'transform translate-x-full bg-cyan-400' : ''}`}></div>
-//                         </div>
-//                         <div className="ml-3 text-gray-300 font-medium">Highlight Binding Pocket</div>
-//                     </label>
-//                 </div>
-//             )}
-//         </div>
-//     );
-// };
-
-
-// // Main App Component
-// export default function App() {
-//     const [prompt, setPrompt] = useState('An enzyme that can bind to and degrade PET plastic.');
-//     const [evolutionPrompt, setEvolutionPrompt] = useState('Improve binding affinity by 10%.');
-//     const [generatedSequence, setGeneratedSequence] = useState('');
-//     const [pdbData, setPdbData] = useState(null);
-//     const [isLoading, setIsLoading] = useState(false);
-//     const [error, setError] = useState('');
-//     const [analysis, setAnalysis] = useState('');
-//     const [bindingAffinity, setBindingAffinity] = useState(null);
-//     const [predictedStability, setPredictedStability] = useState(null);
-//     const [bindingPocketResidues, setBindingPocketResidues] = useState([]);
-//     const [designConfidence, setDesignConfidence] = useState('');
-//     const [validationSteps, setValidationSteps] = useState([]);
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { createProvider, loadProviderConfig, saveProviderConfig } from './providers';
+import { createReplayProvider } from './providers/replay';
+import { requestDesign, describeProgressEvent, isAbortError } from './design/designClient';
+import { extractPartialAnalysis } from './design/schema';
+import { createLineage, addNode, updateNode } from './design/lineage';
+import { DEFAULT_BATCH_SETTINGS, createSamplingPlan, createCandidates, runWithConcurrency, withDesign } from './design/batch';
+import { EMPTY_CONSTRAINT_FORM, parseConstraintForm, hasConstraints, describeConstraints } from './design/constraints';
+import { appendAudit } from './design/auditLog';
+import { getValidationPlan } from './design/validationPlan';
+import { loadTemplates, saveTemplates, loadTemplateSelection, saveTemplateSelection, resolveTemplate, describeTemplate } from './design/promptTemplates';
+import { createImportedDesign, describeSource } from './design/sequenceImport';
+import { runAutoEvolution, createRunControl, describeObjective, getVariantPath } from './design/autoEvolve';
+import { parseStructure } from './structure/pdbParser';
+import { mapDesignToStructure, toStructureSelection, designPositionOf } from './structure/templateMapping';
+import { analyzePocket, pocketSelection as toPocketSelection, DEFAULT_POCKET_OPTIONS } from './structure/pocketGeometry';
+import { fetchStructure, readStructureFile, loadMirrors, saveMirrors, configuredMirrors } from './structure/structureStore';
+import { annotateMutations } from './analysis/mutations';
+import { checkDevelopability, loadDevelopabilitySettings, saveDevelopabilitySettings } from './analysis/developability';
+import { toFileSlug, recordFromNode, recordFromCandidate, toFasta, toCdsFasta, toGenBank, toCsv, buildReportHtml } from './export/designExport';
+import { createProject, listProjects, loadProject, saveProject, deleteProject, exportProjectBundle, parseProjectBundle, downloadFile } from './storage/projectStore';
+import ProteinViewer from './components/ProteinViewer';
+import ProviderSettings from './components/ProviderSettings';
+import PromptTemplates from './components/PromptTemplates';
+import StructureSettings from './components/StructureSettings';
+import ConfidencePill from './components/ConfidencePill';
+import LineagePanel from './components/LineagePanel';
+import ComparisonDashboard from './components/ComparisonDashboard';
+import CalibrationView from './components/CalibrationView';
+import ProjectBar from './components/ProjectBar';
+import MutationDiff from './components/MutationDiff';
+import SequenceProperties from './components/SequenceProperties';
+import TemplateMappingInfo from './components/TemplateMappingInfo';
+import PocketAnalysis from './components/PocketAnalysis';
+import BatchSettings from './components/BatchSettings';
+import BatchResults from './components/BatchResults';
+import AutoEvolvePanel from './components/AutoEvolvePanel';
+import EvolutionConstraints from './components/EvolutionConstraints';
+import RequestProgress from './components/RequestProgress';
+import ExportMenu from './components/ExportMenu';
+import CodonOptimizer from './components/CodonOptimizer';
+import SequenceImport from './components/SequenceImport';
+import SequenceViewer from './components/SequenceViewer';
+import DevelopabilityChecks from './components/DevelopabilityChecks';
+import AuditLogPanel from './components/AuditLogPanel';
+import ValidationPlanner from './components/ValidationPlanner';
+
+// Main App Component
+export default function App() {
+    const [prompt, setPrompt] = useState('An enzyme that can bind to and degrade PET plastic.');
+    const [evolutionPrompt, setEvolutionPrompt] = useState('Improve binding affinity by 10%.');
+    const [constraintForm, setConstraintForm] = useState(EMPTY_CONSTRAINT_FORM);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [lineage, setLineage] = useState(createLineage);
+    const [selectedNodeId, setSelectedNodeId] = useState(null);
+    const [project, setProject] = useState(createProject);
+    const [projects, setProjects] = useState([]);
+    const [projectStatus, setProjectStatus] = useState('');
+    const [providerConfig, setProviderConfig] = useState(loadProviderConfig);
+    const [promptTemplates, setPromptTemplates] = useState(loadTemplates);
+    const [templateSelection, setTemplateSelection] = useState(loadTemplateSelection);
+    const [structureMirrors, setStructureMirrors] = useState(loadMirrors);
+    const [developabilitySettings, setDevelopabilitySettings] = useState(loadDevelopabilitySettings);
+    const [looseStructure, setLooseStructure] = useState(null);
+    const [batchSettings, setBatchSettings] = useState(DEFAULT_BATCH_SETTINGS);
+    const [batch, setBatch] = useState(null);
+    const [isBatchRunning, setIsBatchRunning] = useState(false);
+    const [focusEvolution, setFocusEvolution] = useState(false);
+    const batchController = useRef(null);
+    const evolutionInputRef = useRef(null);
+    const [autoRun, setAutoRun] = useState(null);
+    const [isAutoPaused, setIsAutoPaused] = useState(false);
+    const autoControl = useRef(null);
+    const [requestLog, setRequestLog] = useState([]);
+    const [auditLog, setAuditLog] = useState([]);
+    const [streamedAnalysis, setStreamedAnalysis] = useState('');
+    const [canCancelRequest, setCanCancelRequest] = useState(false);
+    const requestController = useRef(null);
+    const viewerHandle = useRef(null);
+    const [sequenceSelection, setSequenceSelection] = useState(null);
+    const [sequenceFocus, setSequenceFocus] = useState(null);
+    const [pocketOptions, setPocketOptions] = useState(DEFAULT_POCKET_OPTIONS);
+
+    // Handlers that await a model call or a structure fetch build on the latest lineage and project
+    // through these refs instead of the values captured when they started, so edits made in the
+    // meantime (renames, new designs, dropped structure files) are kept. Every lineage change goes
+    // through commitLineage so the ref is current even before the next render.
+    const lineageRef = useRef(lineage);
+    const recordRef = useRef(null);
+    recordRef.current = { project, prompt, evolutionPrompt, constraintForm, selectedNodeId };
+
+    const commitLineage = (nextLineage) => {
+        lineageRef.current = nextLineage;
+        setLineage(nextLineage);
+    };
+
+    useEffect(() => {
+        saveProviderConfig(providerConfig);
+    }, [providerConfig]);
+
+    useEffect(() => {
+        saveDevelopabilitySettings(developabilitySettings);
+    }, [developabilitySettings]);
+
+    useEffect(() => {
+        saveTemplates(promptTemplates);
+    }, [promptTemplates]);
+
+    useEffect(() => {
+        saveTemplateSelection(templateSelection);
+    }, [templateSelection]);
+
+    const applyProject = (saved) => {
+        const { prompt: savedPrompt, evolutionPrompt: savedEvolutionPrompt, constraintForm: savedConstraintForm, lineage: savedLineage, selectedNodeId: savedSelection, ...meta } = saved;
+        setProject(meta);
+        // Spelled out instead of commitLineage so the mount effect below only depends on setters and refs.
+        lineageRef.current = savedLineage || createLineage();
+        setLineage(lineageRef.current);
+        setSelectedNodeId(savedSelection || null);
+        setLooseStructure(null);
+        // Batch candidates point at nodes of the lineage they were promoted into.
+        if (batchController.current) batchController.current.abort();
+        setBatch(null);
+        if (autoControl.current) autoControl.current.cancel();
+        autoControl.current = null;
+        setAutoRun(null);
+        if (savedPrompt !== undefined) setPrompt(savedPrompt);
+        if (savedEvolutionPrompt !== undefined) setEvolutionPrompt(savedEvolutionPrompt);
+        setConstraintForm({ ...EMPTY_CONSTRAINT_FORM, ...savedConstraintForm });
+        setError('');
+    };
+
+    const refreshProjects = () => listProjects().then(setProjects).catch((err) => setProjectStatus(`Project storage unavailable: ${err.message}`));
+
+    // Reopen the most recently edited project so a refresh doesn't lose work.
+    useEffect(() => {
+        listProjects()
+            .then(async (saved) => {
+                setProjects(saved);
+                if (saved.length > 0) applyProject(await loadProject(saved[0].id));
+            })
+            .catch((err) => setProjectStatus(`Project storage unavailable: ${err.message}`));
+    }, []);
+
+    const buildProjectRecord = (overrides = {}) => {
+        const { project: meta, ...fields } = recordRef.current;
+        return { ...meta, ...fields, lineage: lineageRef.current, ...overrides };
+    };
+
+    const persistProject = async (overrides) => {
+        try {
+            const saved = await saveProject(buildProjectRecord(overrides));
+            setProject((current) => ({ ...current, updatedAt: saved.updatedAt }));
+            setProjectStatus(`Saved ${new Date(saved.updatedAt).toLocaleTimeString()}`);
+            refreshProjects();
+        } catch (err) {
+            console.error(err);
+            setProjectStatus(`Autosave failed: ${err.message}`);
+        }
+    };
+
+    // Only edits are stored; null goes back to the configured mirrors (see structureStore.js).
+    const handleMirrorsChange = (mirrors) => {
+        saveMirrors(mirrors);
+        setStructureMirrors(mirrors || configuredMirrors());
+    };
+
+    const handleRenameProject = (name) => {
+        setProject((current) => ({ ...current, name }));
+        persistProject({ name });
+    };
+
+    const handleOpenProject = async (id) => {
+        try {
+            applyProject(await loadProject(id));
+            setProjectStatus('');
+        } catch (err) {
+            setProjectStatus(`Could not open project: ${err.message}`);
+        }
+    };
+
+    const handleNewProject = () => {
+        applyProject({ ...createProject(), lineage: createLineage(), selectedNodeId: null });
+        setProjectStatus('');
+    };
+
+    const handleDeleteProject = async () => {
+        if (!window.confirm(`Delete project "${project.name}"? This cannot be undone.`)) return;
+        try {
+            await deleteProject(project.id);
+        } catch (err) {
+            setProjectStatus(`Could not delete project: ${err.message}`);
+            return;
+        }
+        handleNewProject();
+        refreshProjects();
+    };
+
+    const handleExportProject = () => {
+        const filename = `${toFileSlug(project.name) || 'project'}.protieno.json`;
+        downloadFile(filename, exportProjectBundle(buildProjectRecord()));
+    };
+
+    // Design exports are named after the project and the exported design(s).
+    const exportFilename = (name, extension) => `${toFileSlug(project.name) || 'project'}-${toFileSlug(name)}.${extension}`;
+
+    const downloadRecords = (format, records, name) => {
+        if (format === 'fasta') downloadFile(exportFilename(name, 'fasta'), toFasta(records, { projectName: project.name }), 'text/x-fasta');
+        else if (format === 'csv') downloadFile(exportFilename(name, 'csv'), toCsv(records), 'text/csv');
+    };
+
+    const handleExportDesign = (format) => {
+        const record = recordFromNode(lineage, selectedNode);
+        if (format === 'genbank') {
+            downloadFile(exportFilename(record.label, 'gb'), toGenBank(record), 'chemical/x-genbank');
+        } else if (format === 'report') {
+            const snapshot = viewerHandle.current ? viewerHandle.current.snapshot() : null;
+            const structureSource = structure ? `${structure.id}, ${structure.source}` : null;
+            downloadFile(exportFilename(`${record.label}-report`, 'html'), buildReportHtml(record, { projectName: project.name, snapshot, structureSource }), 'text/html');
+        } else {
+            downloadRecords(format, [record], record.label);
+        }
+    };
+
+    const handleDownloadCds = (result) => {
+        downloadFile(exportFilename(`${selectedNode.label}-${result.host.id}-cds`, 'fasta'), toCdsFasta(selectedNode.label, result), 'text/x-fasta');
+    };
+
+    // Lineage order (creation order) rather than click order.
+    const handleExportNodes = (format, ids) => {
+        const records = Object.keys(lineage.nodes).filter((id) => ids.includes(id)).map((id) => recordFromNode(lineage, lineage.nodes[id]));
+        downloadRecords(format, records, records.length === 1 ? records[0].label : 'lineage');
+    };
+
+    const handleExportCandidates = (format, candidates) => {
+        const records = [...candidates].sort((a, b) => a.index - b.index).map((candidate) => recordFromCandidate(batch, candidate));
+        downloadRecords(format, records, `batch-${batch.id}`);
+    };
+
+    const handleImportProject = async (file) => {
+        try {
+            const imported = parseProjectBundle(await file.text());
+            applyProject(imported);
+            await saveProject(imported);
+            setProjectStatus(`Imported "${imported.name}".`);
+            refreshProjects();
+        } catch (err) {
+            setProjectStatus(`Import failed: ${err.message}`);
+        }
+    };
+
+    // Everything shown in the main view comes from the selected lineage node.
+    const selectedNode = selectedNodeId ? lineage.nodes[selectedNodeId] : null;
+    const design = selectedNode ? selectedNode.design : null;
+    const generatedSequence = design ? design.sequence : '';
+    const structure = selectedNode ? selectedNode.structure : looseStructure;
+    const analysis = design ? design.analysis : '';
+    const bindingAffinity = design ? design.bindingAffinity : null;
+    const predictedStability = design ? design.predictedStability : null;
+    const bindingPocketResidues = useMemo(() => (design ? design.bindingPocketResidues : []), [design]);
+    const designConfidence = design ? design.designConfidence : '';
+    const validationPlan = useMemo(() => (selectedNode ? getValidationPlan(selectedNode) : null), [selectedNode]);
+
+    const constraintCheck = useMemo(() => parseConstraintForm(constraintForm, generatedSequence), [constraintForm, generatedSequence]);
+    const activeConstraints = hasConstraints(constraintCheck.constraints) ? constraintCheck.constraints : null;
+    const templatePreviewValues = {
+        design: { userPrompt: prompt },
+        evolve: {
+            sequence: generatedSequence || '(sequence of the selected design)',
+            feedback: evolutionPrompt,
+            constraints: describeConstraints(activeConstraints, generatedSequence),
+        },
+    };
+
+    const parentNode = selectedNode && selectedNode.parentId ? lineage.nodes[selectedNode.parentId] : null;
+    const mutationDiff = useMemo(
+        () => (parentNode && generatedSequence ? annotateMutations(parentNode.design.sequence, generatedSequence) : null),
+        [parentNode, generatedSequence]
+    );
+    const developabilityFindings = useMemo(
+        () => checkDevelopability(generatedSequence, { mutationDiff, settings: developabilitySettings }),
+        [generatedSequence, mutationDiff, developabilitySettings]
+    );
+    const mutatedResidues = useMemo(() => (mutationDiff ? mutationDiff.changedPositions : []), [mutationDiff]);
+    const mutatedSet = useMemo(() => new Set(mutatedResidues), [mutatedResidues]);
+
+    // Pocket residues and mutations are design positions; translate them onto the structure.
+    const parsedStructure = useMemo(() => (structure ? parseStructure(structure) : null), [structure]);
+    const chainIds = useMemo(() => (parsedStructure ? parsedStructure.chains.map(({ id }) => id) : []), [parsedStructure]);
+    const templateMapping = useMemo(() => mapDesignToStructure(generatedSequence, parsedStructure), [generatedSequence, parsedStructure]);
+    const pocketMapping = useMemo(() => toStructureSelection(templateMapping, bindingPocketResidues), [templateMapping, bindingPocketResidues]);
+    const mutationMapping = useMemo(() => toStructureSelection(templateMapping, mutatedResidues), [templateMapping, mutatedResidues]);
+    const pocketAnalysis = useMemo(
+        () => analyzePocket(parsedStructure, templateMapping, bindingPocketResidues, pocketOptions),
+        [parsedStructure, templateMapping, bindingPocketResidues, pocketOptions]
+    );
+    const ligandPocketSelection = useMemo(() => toPocketSelection(pocketAnalysis && pocketAnalysis.contact), [pocketAnalysis]);
+    const pocketCentroids = useMemo(() => (pocketAnalysis ? {
+        claimed: pocketAnalysis.claimed && pocketAnalysis.claimed.centroid,
+        ligand: pocketAnalysis.contact && pocketAnalysis.contact.centroid,
+    } : null), [pocketAnalysis]);
+
+    // Sequence range selected in the sequence viewer, mirrored in 3D. Cleared with the design.
+    useEffect(() => {
+        setSequenceSelection(null);
+        setSequenceFocus(null);
+    }, [selectedNodeId]);
+    const selectedPositions = useMemo(() => (sequenceSelection
+        ? Array.from({ length: sequenceSelection.end - sequenceSelection.start + 1 }, (_, offset) => sequenceSelection.start + offset)
+        : []), [sequenceSelection]);
+    const rangeMapping = useMemo(() => toStructureSelection(templateMapping, selectedPositions), [templateMapping, selectedPositions]);
+
+    // A residue clicked in 3D selects and scrolls to its design position, if it has one.
+    const handleResidueClick = (residue) => {
+        const position = designPositionOf(templateMapping, residue);
+        if (position === null) return;
+        setSequenceSelection({ start: position, end: position });
+        setSequenceFocus({ position });
+    };
     
-//     const callGeminiAPI = async (userPrompt, evolutionParams = null) => {
-//         const apiKey = process.env.REACT_APP_GEMINI_API_KEY; // Leave empty
-//         const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-
-//         let fullPrompt;
-//         const commonInstructions = `
-//             8.  **Assess Confidence:** Provide a "design_confidence" score ('High', 'Promising', 'Experimental').
-//             9.  **Outline Validation:** List the necessary "experimental_validation_steps" as an array of strings.
-//             10. **Format Output:** Return a single, clean JSON object with all required keys.
-//         `;
-
-//         if (evolutionParams) {
-//             fullPrompt = `
-//                 You are a world-class computational biologist AI specializing in protein evolution.
-//                 Your task is to evolve an existing protein sequence to improve its function based on user feedback.
-
-//                 Previous Sequence: "${evolutionParams.sequence}"
-//                 User's Goal for Evolution: "${evolutionParams.feedback}"
-
-//                 Follow these steps precisely:
-//                 1.  **Analyze Goal:** Briefly describe the mutations required in a field named "analysis_goal".
-//                 2.  **Evolve Sequence:** Generate a new sequence in a field named "evolved_sequence".
-//                 3.  **Simulate Binding:** Provide an updated "binding_affinity_score" (kcal/mol).
-//                 4.  **Predict Stability:** Provide an updated "predicted_stability_score".
-//                 5.  **Identify Binding Pocket:** List key residue numbers in "binding_pocket_residues".
-//                 6.  **Find PDB Template:** Identify a real PDB entry for visualization ("pdb_id").
-//                 ${commonInstructions}
-//             `;
-//         } else {
-//             fullPrompt = `
-//                 You are a world-class computational biologist AI. Your task is to perform a complete *de novo* protein design workflow.
-
-//                 User's desired function: "${userPrompt}"
-
-//                 Follow these steps precisely:
-//                 1.  **Analyze Function:** Describe key structural features in a field named "analysis".
-//                 2.  **Generate Sequence:** Create a plausible, novel amino acid sequence (80-150 residues) in a field named "sequence". This can be a string or an object with an "amino_acid_sequence" key.
-//                 3.  **Simulate Binding:** Provide a "binding_affinity_score" (kcal/mol).
-//                 4.  **Predict Stability:** Calculate a "predicted_stability_score".
-//                 5.  **Identify Binding Pocket:** List key residue numbers in "binding_pocket_residues".
-//                 6.  **Find PDB Template:** Identify a real PDB entry for visualization ("pdb_id").
-//                 ${commonInstructions}
-//             `;
-//         }
-
-//         const payload = {
-//             contents: [{ role: "user", parts: [{ text: fullPrompt }] }],
-//             generationConfig: { responseMimeType: "application/json" }
-//         };
-        
-//         let response;
-//         let delay = 1000;
-//         for (let i = 0; i < 5; i++) {
-//             try {
-//                 response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-//                 if (response.ok) break;
-//             } catch (error) { /* ignore and retry */ }
-//             await new Promise(resolve => setTimeout(resolve, delay));
-//             delay *= 2;
-//         }
-
-//         if (!response || !response.ok) throw new Error("AI model failed to respond after retries.");
-//         const result = await response.json();
-//         const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
-//         if (!text) throw new Error("The AI model returned an empty response.");
-        
-//         let jsonString = text;
-//         const jsonMatch = text.match(/\{[\s\S]*\}/);
-//         if (jsonMatch && jsonMatch[0]) {
-//             jsonString = jsonMatch[0];
-//         } else {
-//              jsonString = text.replace(/```json/g, '').replace(/```/g, '').trim();
-//         }
-
-//         try {
-//             return JSON.parse(jsonString);
-//         } catch (e) {
-//             console.error("Failed to parse AI response as JSON:", jsonString);
-//             throw new Error("AI response was not valid JSON.");
-//         }
-//     };
-
-//     const processApiResponse = async (apiCall) => {
-//         setIsLoading(true);
-//         setError('');
-//         try {
-//             const result = await apiCall;
-            
-//             if (typeof result !== 'object' || result === null) {
-//                  throw new Error("AI response was not a valid object.");
-//             }
-
-//             let sequence = result.sequence || result.generated_sequence || result.amino_acid_sequence || result.evolved_sequence;
-//             const pdbId = result.pdb_id;
-            
-//             if (typeof sequence === 'object' && sequence !== null && sequence.amino_acid_sequence) {
-//                 sequence = sequence.amino_acid_sequence;
-//             }
-
-//             let analysisValue = result.analysis || result.analysis_function || result.function_analysis || result.analysis_goal || "Analysis not provided.";
-//             if (typeof analysisValue === 'object' && analysisValue !== null) {
-//                 analysisValue = Object.values(analysisValue).join(' \n\n');
-//             }
-
-//             if (!sequence || typeof sequence !== 'string' || !pdbId) {
-//                 console.error("Incomplete or malformed AI response received:", result);
-//                 const reason = analysisValue || result.error || "The AI did not provide a valid sequence or PDB ID.";
-//                 throw new Error(`AI response was incomplete. Reason provided: "${reason}"`);
-//             }
-
-//             setGeneratedSequence(sequence);
-//             setAnalysis(analysisValue);
-//             setBindingAffinity(result.binding_affinity_score || result.simulated_binding_affinity_score || null);
-//             setPredictedStability(result.predicted_stability_score || null);
-//             setBindingPocketResidues(result.binding_pocket_residues || []);
-//             setDesignConfidence(result.design_confidence || 'Unknown');
-//             setValidationSteps(result.experimental_validation_steps || []);
-
-
-//             const pdb = await fetchPdbData(pdbId);
-//             if (pdb) {
-//                 setPdbData(pdb);
-//             } else {
-//                 setError(`Could not fetch 3D structure for PDB ID: ${pdbId}. Displaying results only.`);
-//                 setPdbData(null);
-//             }
-//         } catch (err) {
-//             console.error(err);
-//             setError(err.message);
-//         } finally {
-//             setIsLoading(false);
-//         }
-//     };
+    const activeTemplate = (kind) => resolveTemplate(promptTemplates, templateSelection, kind);
+
+    const recordAudit = (audit) => setAuditLog((log) => appendAudit(log, audit));
+
+    const callModelAPI = (userPrompt, evolutionParams = null, options = {}) => (
+        requestDesign(createProvider(providerConfig), { userPrompt, evolutionParams, template: activeTemplate(evolutionParams ? 'evolve' : 'design'), onAudit: recordAudit, ...options })
+    );
+
+    // Fetches the template structure for a design; null (with an error shown) when no mirror has it.
+    const fetchDesignStructure = async (result, signal) => {
+        const fetched = await fetchStructure(result.pdbId, { mirrors: structureMirrors, signal });
+        if (!fetched) {
+            setError(`Could not fetch 3D structure for PDB ID: ${result.pdbId}. Displaying results only.`);
+        }
+        return fetched;
+    };
+
+    // `makeCall(options)` starts the model request with the streaming, cancel and progress options.
+    // `origin` describes where the design came from: { parentId, userPrompt, evolutionPrompt, constraints }.
+    const processApiResponse = async (makeCall, origin) => {
+        const controller = new AbortController();
+        requestController.current = controller;
+        const log = (message, tone = 'info') => setRequestLog((entries) => [...entries, { time: new Date().toLocaleTimeString(), message, tone }]);
+        const onProgress = (event) => {
+            if (event.type === 'text') {
+                setStreamedAnalysis(extractPartialAnalysis(event.text));
+                return;
+            }
+            const message = describeProgressEvent(event);
+            if (message) log(message, event.type === 'attempt' ? 'info' : 'warning');
+        };
+
+        setIsLoading(true);
+        setCanCancelRequest(true);
+        setError('');
+        setRequestLog([]);
+        setStreamedAnalysis('');
+        try {
+            const result = await makeCall({ signal: controller.signal, stream: true, onProgress });
+            log('Design received and validated.', 'success');
+            const parent = origin.parentId ? lineageRef.current.nodes[origin.parentId] : null;
+            const parentSequence = parent ? parent.design.sequence : null;
+            const findings = checkDevelopability(result.sequence, {
+                mutationDiff: parentSequence ? annotateMutations(parentSequence, result.sequence) : null,
+                settings: developabilitySettings,
+            });
+            if (findings.length > 0) log(`Sequence checks: ${findings.length} finding(s), see "Sequence checks" below the sequence.`, 'warning');
+
+            log(`Fetching template structure ${result.pdbId}...`);
+            const fetched = await fetchDesignStructure(result, controller.signal);
+            log(fetched ? `Structure ${fetched.id} loaded (${fetched.source}).` : `No mirror had ${result.pdbId}.`, fetched ? 'success' : 'warning');
+
+            const { lineage: nextLineage, node } = addNode(lineageRef.current, { ...origin, design: result, structure: fetched });
+            commitLineage(nextLineage);
+            setSelectedNodeId(node.id);
+            persistProject({ lineage: nextLineage, selectedNodeId: node.id });
+        } catch (err) {
+            if (isAbortError(err)) {
+                log('Cancelled.', 'error');
+            } else {
+                console.error(err);
+                log(err.message, 'error');
+                setError(err.message);
+            }
+        } finally {
+            requestController.current = null;
+            setCanCancelRequest(false);
+            setIsLoading(false);
+        }
+    };
+
+    const handleCancelRequest = () => {
+        if (requestController.current) requestController.current.abort();
+    };
     
-//     const handleGenerate = () => {
-//         processApiResponse(callGeminiAPI(prompt));
-//     };
-
-//     const handleEvolve = () => {
-//         if (!generatedSequence) {
-//             setError("You must generate a protein first before evolving it.");
-//             return;
-//         }
-//         const evolutionParams = { sequence: generatedSequence, feedback: evolutionPrompt };
-//         processApiResponse(callGeminiAPI(null, evolutionParams));
-//     };
-
-//     const ConfidencePill = ({ confidence }) => {
-//         const styles = {
-//             'High': 'bg-green-800 text-green-200 border-green-600',
-//             'Promising': 'bg-yellow-800 text-yellow-200 border-yellow-600',
-//             'Experimental': 'bg-red-800 text-red-200 border-red-600',
-//             'Unknown': 'bg-gray-700 text-gray-300 border-gray-500',
-//         };
-//         return <span className={`px-3 py-1 text-sm font-bold rounded-full border ${styles[confidence] || styles['Unknown']}`}>{confidence}</span>;
-//     };
-
-//     return (
-//         <div className="bg-gray-900 text-gray-200 min-h-screen font-sans p-4 sm:p-6 lg:p-8">
-//             <div className="max-w-7xl mx-auto">
-//                 <header className="text-center mb-8">
-//                     <h1 className="text-4xl sm:text-5xl font-bold text-cyan-400">Protein Designer</h1>
-//                     <p className="mt-2 text-lg text-gray-400">Design, analyze, and evolve novel proteins with AI.</p>
-//                 </header>
-
-//                 <main className="flex flex-col gap-8">
-//                     {/* Top Section: Inputs and Viewer */}
-//                     <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-//                         {/* Left Panel: Inputs, Evolution, Metrics */}
-//                         <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 flex flex-col space-y-6">
-//                             <div>
-//                                 <label htmlFor="prompt" className="block text-lg font-medium text-cyan-400 mb-2">1. Describe Initial Desired Function</label>
-//                                 <textarea id="prompt" value={prompt} onChange={(e) => setPrompt(e.target.value)} className="w-full h-24 p-3 bg-gray-900 border border-gray-600 rounded-md focus:ring-2 focus:ring-cyan-500 transition" placeholder="e.g., An enzyme that can bind to and degrade PET plastic..."/>
-//                             </div>
-//                             <button onClick={handleGenerate} disabled={isLoading} className="w-full bg-cyan-600 text-white font-bold py-3 px-4 rounded-md hover:bg-cyan-500 disabled:bg-gray-600 transition flex items-center justify-center text-lg">
-//                                 {isLoading ? 'Designing...' : 'Run Initial Design'}
-//                             </button>
-                            
-//                             {generatedSequence && (
-//                                 <div className="border-t-2 border-cyan-800/50 pt-6 space-y-4">
-//                                     <h3 className="text-lg font-medium text-cyan-400 mb-2">2. Evolve This Design</h3>
-//                                     <textarea value={evolutionPrompt} onChange={(e) => setEvolutionPrompt(e.target.value)} className="w-full h-20 p-3 bg-gray-900 border border-gray-600 rounded-md focus:ring-2 focus:ring-cyan-500 transition" placeholder="e.g., Increase stability in high temperatures."/>
-//                                     <button onClick={handleEvolve} disabled={isLoading} className="w-full bg-purple-600 text-white font-bold py-3 px-4 rounded-md hover:bg-purple-500 disabled:bg-gray-600 transition flex items-center justify-center text-lg">
-//                                         {isLoading ? 'Evolving...' : 'Evolve Protein'}
-//                                     </button>
-//                                 </div>
-//                             )}
-
-//                             {error && <div className="bg-red-900/50 border border-red-700 text-red-300 p-3 rounded-md">{error}</div>}
-
-//                             {generatedSequence && (
-//                                 <div>
-//                                     <h3 className="text-lg font-medium text-cyan-400 mb-2 mt-4">Performance Metrics</h3>
-//                                     <div className="grid grid-cols-2 gap-4 text-center">
-//                                         <div className="bg-gray-900 p-4 rounded-lg border border-gray-700">
-//                                             <div className="text-sm text-gray-400">Binding Affinity</div>
-//                                             <div className={`text-2xl font-bold ${bindingAffinity ? 'text-green-400' : 'text-gray-500'}`}>{bindingAffinity ? `${bindingAffinity} kcal/mol` : 'N/A'}</div>
-//                                         </div>
-//                                         <div className="bg-gray-900 p-4 rounded-lg border border-gray-700">
-//                                             <div className="text-sm text-gray-400">Predicted Stability</div>
-//                                             <div className={`text-2xl font-bold ${predictedStability !== null ? (Number(predictedStability) > 0 ? 'text-green-400' : 'text-red-400') : 'text-gray-500'}`}>{predictedStability !== null ? Number(predictedStability).toFixed(2) : 'N/A'}</div>
-//                                         </div>
-//                                     </div>
-//                                 </div>
-//                             )}
-//                         </div>
-
-//                         {/* Right Panel: 3D Viewer */}
-//                         <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 flex flex-col">
-//                              <h2 className="text-lg font-medium text-cyan-400 mb-4 text-center">3. Predicted 3D Structure</h2>
-//                              <div className="flex-grow">
-//                                 <ProteinViewer pdbData={pdbData} bindingPocketResidues={bindingPocketResidues} />
-//                              </div>
-//                         </div>
-//                     </div>
-
-//                     {/* Bottom Section: Analysis and Validation */}
-//                     {generatedSequence && (
-//                         <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 flex flex-col space-y-6">
-//                             <div>
-//                                 <h3 className="text-lg font-medium text-cyan-400 mb-2">4. AI Analysis</h3>
-//                                 <div className="w-full p-3 bg-gray-900 border border-gray-600 rounded-md min-h-[80px] text-gray-300 italic">{analysis}</div>
-//                             </div>
-
-//                             <div className="bg-gray-900 p-4 rounded-lg border border-gray-700">
-//                                 <h3 className="text-lg font-medium text-cyan-400 mb-3 flex justify-between items-center">
-//                                     <span>5. Design Validation</span>
-//                                     <ConfidencePill confidence={designConfidence} />
-//                                 </h3>
-//                                 <p className="text-sm text-gray-400 mb-2">This is a computational prediction. Real-world validation requires the following lab work:</p>
-//                                 <ol className="list-decimal list-inside text-gray-300 space-y-1">
-//                                     {validationSteps.map((step, index) => <li key={index}>{step}</li>)}
-//                                 </ol>
-//                             </div>
-
-//                             <div>
-//                                 <h3 className="text-lg font-medium text-cyan-400 mb-2">6. Generated Amino Acid Sequence</h3>
-//                                 <div className="w-full p-3 bg-gray-900 border border-gray-600 rounded-md font-mono text-sm break-words min-h-[120px]">{generatedSequence}</div>
-//                             </div>
-//                         </div>
-//                     )}
-//                 </main>
-//             </div>
-//         </div>
-//     );
-// }
+    // A dropped file replaces the template structure of the selected design, e.g. with its AlphaFold model.
+    const handleLoadStructureFile = async (file) => {
+        try {
+            const loaded = await readStructureFile(file);
+            setError('');
+            if (selectedNodeId) {
+                const nextLineage = updateNode(lineageRef.current, selectedNodeId, { structure: loaded });
+                commitLineage(nextLineage);
+                persistProject({ lineage: nextLineage });
+            } else {
+                setLooseStructure(loaded);
+            }
+        } catch (err) {
+            setError(`Could not load structure file: ${err.message}`);
+        }
+    };
+
+    const updateCandidate = (batchId, candidateId, update) => setBatch((current) => (
+        current && current.id === batchId
+            ? { ...current, candidates: current.candidates.map((candidate) => (candidate.id === candidateId ? update(candidate) : candidate)) }
+            : current
+    ));
+
+    const runBatch = async () => {
+        const provider = createProvider(providerConfig);
+        const batchId = Date.now();
+        const batchPrompt = prompt;
+        const template = activeTemplate('design');
+        const candidates = createCandidates(createSamplingPlan(batchSettings.count, batchSettings));
+        const controller = new AbortController();
+        batchController.current = controller;
+        setBatch({ id: batchId, prompt: batchPrompt, candidates });
+        setIsBatchRunning(true);
+        setError('');
+
+        await runWithConcurrency(candidates, async (candidate) => {
+            updateCandidate(batchId, candidate.id, (current) => ({ ...current, status: 'running' }));
+            try {
+                const result = await requestDesign(provider, { userPrompt: batchPrompt, template, sampling: candidate.sampling, signal: controller.signal, onAudit: recordAudit });
+                updateCandidate(batchId, candidate.id, (current) => withDesign(current, result));
+            } catch (err) {
+                if (!isAbortError(err)) console.error(err);
+                updateCandidate(batchId, candidate.id, (current) => ({ ...current, status: 'failed', error: isAbortError(err) ? 'Cancelled.' : err.message }));
+            }
+        }, { concurrency: batchSettings.concurrency, startIntervalMs: batchSettings.startIntervalMs, shouldStop: () => controller.signal.aborted });
+
+        setBatch((current) => (current && current.id === batchId ? {
+            ...current,
+            candidates: current.candidates.map((candidate) => (
+                candidate.status === 'pending' ? { ...candidate, status: 'failed', error: 'Stopped before it started.' } : candidate
+            )),
+        } : current));
+        setIsBatchRunning(false);
+    };
+
+    // Adds finished candidates to the lineage as new root designs and selects the last one.
+    const promoteCandidates = async (candidates) => {
+        setIsLoading(true);
+        setError('');
+        const structures = new Map();
+        try {
+            for (const candidate of candidates) {
+                if (candidate.nodeId && lineageRef.current.nodes[candidate.nodeId]) continue;
+                structures.set(candidate.id, await fetchDesignStructure(candidate.design));
+            }
+        } catch (err) {
+            console.error(err);
+            setError(`Could not add the candidates to the lineage: ${err.message}`);
+            return null;
+        } finally {
+            setIsLoading(false);
+        }
+
+        let nextLineage = lineageRef.current;
+        let lastNode = null;
+        const promoted = new Map();
+        candidates.forEach((candidate) => {
+            if (candidate.nodeId && nextLineage.nodes[candidate.nodeId]) {
+                lastNode = nextLineage.nodes[candidate.nodeId];
+                return;
+            }
+            const added = addNode(nextLineage, { userPrompt: batch.prompt, design: candidate.design, structure: structures.get(candidate.id) });
+            nextLineage = added.lineage;
+            lastNode = added.node;
+            promoted.set(candidate.id, added.node);
+        });
+        if (!lastNode) return null;
+
+        setBatch((current) => current && {
+            ...current,
+            candidates: current.candidates.map((candidate) => {
+                const node = promoted.get(candidate.id);
+                return node ? { ...candidate, nodeId: node.id, nodeLabel: node.label } : candidate;
+            }),
+        });
+        commitLineage(nextLineage);
+        setSelectedNodeId(lastNode.id);
+        if (promoted.size > 0) persistProject({ lineage: nextLineage, selectedNodeId: lastNode.id });
+        return lastNode;
+    };
+
+    const handleEvolveCandidate = async (candidate) => {
+        if (await promoteCandidates([candidate])) setFocusEvolution(true);
+    };
+
+    useEffect(() => {
+        if (!focusEvolution || !evolutionInputRef.current) return;
+        evolutionInputRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        evolutionInputRef.current.focus();
+        setFocusEvolution(false);
+    }, [focusEvolution, selectedNodeId]);
+
+    const ensureValidConstraints = () => {
+        if (constraintCheck.errors.length === 0) return true;
+        setError(`Fix the evolution constraints first:\n${constraintCheck.errors.join('\n')}`);
+        return false;
+    };
+
+    const handleStartAutoEvolve = async (objective, settings) => {
+        const provider = createProvider(providerConfig);
+        const goal = describeObjective(objective);
+        const control = createRunControl();
+        if (!ensureValidConstraints()) return;
+        const constraints = activeConstraints;
+        const template = activeTemplate('evolve');
+        const meta = { objective, settings, goal, constraints, startNodeId: selectedNodeId, startLabel: selectedNode.label, addedToLineage: false };
+        autoControl.current = control;
+        setIsAutoPaused(false);
+        setError('');
+        await runAutoEvolution({
+            startDesign: design,
+            objective,
+            settings,
+            control,
+            evolve: (parent, sampling) => requestDesign(provider, { evolutionParams: { sequence: parent.design.sequence, feedback: goal, constraints }, template, sampling, signal: control.signal, onAudit: recordAudit }),
+            onUpdate: (state) => {
+                if (autoControl.current === control) setAutoRun({ ...meta, ...state });
+            },
+        });
+    };
+
+    const handlePauseAutoEvolve = () => {
+        autoControl.current.pause();
+        setIsAutoPaused(true);
+    };
+
+    const handleResumeAutoEvolve = () => {
+        autoControl.current.resume();
+        setIsAutoPaused(false);
+    };
+
+    // Adds the chain of variants leading to the best design under the node the run started from.
+    const handleAddAutoEvolveBest = async () => {
+        const variants = getVariantPath(autoRun.variants, autoRun.best.id);
+        if (!lineageRef.current.nodes[autoRun.startNodeId]) {
+            setError('The design this run started from is no longer in the lineage.');
+            return;
+        }
+        setIsLoading(true);
+        setError('');
+        const structures = [];
+        try {
+            for (const variant of variants) structures.push(await fetchDesignStructure(variant.design));
+        } catch (err) {
+            console.error(err);
+            setError(`Could not add the auto-evolve designs to the lineage: ${err.message}`);
+            return;
+        } finally {
+            setIsLoading(false);
+        }
+
+        let nextLineage = lineageRef.current;
+        let parentId = autoRun.startNodeId;
+        if (!nextLineage.nodes[parentId]) {
+            setError('The design this run started from is no longer in the lineage.');
+            return;
+        }
+        variants.forEach((variant, index) => {
+            const added = addNode(nextLineage, {
+                parentId,
+                evolutionPrompt: `${autoRun.goal} (auto-evolve round ${variant.round})`,
+                constraints: autoRun.constraints,
+                design: variant.design,
+                structure: structures[index],
+            });
+            nextLineage = added.lineage;
+            parentId = added.node.id;
+        });
+        commitLineage(nextLineage);
+        setSelectedNodeId(parentId);
+        setAutoRun((current) => current && { ...current, addedToLineage: true });
+        persistProject({ lineage: nextLineage, selectedNodeId: parentId });
+    };
+
+    const handleGenerate = () => {
+        if (batchSettings.count > 1) {
+            runBatch();
+            return;
+        }
+        processApiResponse((options) => callModelAPI(prompt, null, options), { userPrompt: prompt });
+    };
+
+    // An existing protein becomes a root design; a structure chain keeps its structure for the viewer.
+    const handleImportSequence = ({ sequence, source }) => {
+        const fromStructure = source.kind === 'structure';
+        const pdbId = fromStructure && /^[0-9][A-Z0-9]{3}$/i.test(structure.id) ? structure.id.toUpperCase() : null;
+        const { lineage: nextLineage, node } = addNode(lineage, {
+            userPrompt: describeSource(source),
+            source,
+            design: createImportedDesign(sequence, source, { pdbId }),
+            structure: fromStructure ? structure : null,
+        });
+        setError('');
+        commitLineage(nextLineage);
+        setSelectedNodeId(node.id);
+        setFocusEvolution(true);
+        persistProject({ lineage: nextLineage, selectedNodeId: node.id });
+    };
+
+    // Opens a design from the comparison dashboard; batch candidates and designs of other projects
+    // are added to the lineage first, like opening a candidate from the batch table.
+    const handleOpenComparison = async (entry) => {
+        if (entry.origin === 'lineage') {
+            setSelectedNodeId(entry.ref);
+            return;
+        }
+        if (entry.origin === 'batch') {
+            await promoteCandidates([entry.ref]);
+            return;
+        }
+        const { userPrompt, source, design: projectDesign, structure: projectStructure } = entry.ref;
+        setError('');
+        setIsLoading(true);
+        let fetched = projectStructure;
+        try {
+            if (!fetched && projectDesign.pdbId) fetched = await fetchDesignStructure(projectDesign);
+        } catch (err) {
+            console.error(err);
+            setError(`Could not add the design to the lineage: ${err.message}`);
+            return;
+        } finally {
+            setIsLoading(false);
+        }
+        const { lineage: nextLineage, node } = addNode(lineageRef.current, {
+            userPrompt: userPrompt || `From project "${entry.originLabel}"`,
+            source,
+            design: projectDesign,
+            structure: fetched,
+        });
+        commitLineage(nextLineage);
+        setSelectedNodeId(node.id);
+        persistProject({ lineage: nextLineage, selectedNodeId: node.id });
+    };
+
+    // Lab progress and measured values are kept on the design's lineage node.
+    const handleValidationChange = (plan) => {
+        const nextLineage = updateNode(lineage, selectedNodeId, { validation: plan });
+        commitLineage(nextLineage);
+        persistProject({ lineage: nextLineage });
+    };
+
+    // Runs a recorded request again with its recorded responses instead of the model. Evolution
+    // replays are added under the design with the recorded parent sequence when it is still there.
+    const handleReplayAudit = (audit) => {
+        const { userPrompt, evolutionParams, sampling } = audit.request;
+        const makeCall = (options) => requestDesign(createReplayProvider(audit), {
+            userPrompt, evolutionParams, sampling, template: audit.promptTemplate, variables: audit.promptVariables, onAudit: recordAudit, ...options,
+        });
+        if (!evolutionParams) {
+            processApiResponse(makeCall, { userPrompt: `Replay: ${userPrompt}` });
+            return;
+        }
+        const parent = Object.values(lineage.nodes).find((node) => node.design.sequence === evolutionParams.sequence);
+        processApiResponse(makeCall, parent
+            ? { parentId: parent.id, evolutionPrompt: evolutionParams.feedback, constraints: evolutionParams.constraints }
+            : { userPrompt: `Replay: ${evolutionParams.feedback}`, evolutionPrompt: evolutionParams.feedback, constraints: evolutionParams.constraints });
+    };
+
+    const handleDownloadAudit = (audit) => {
+        downloadFile(exportFilename(`model-call-${audit.startedAt}`, 'json'), JSON.stringify(audit, null, 2));
+    };
+
+    const handleEvolve = () => {
+        if (!generatedSequence) {
+            setError("You must generate or import a protein first before evolving it.");
+            return;
+        }
+        if (!ensureValidConstraints()) return;
+        const evolutionParams = { sequence: generatedSequence, feedback: evolutionPrompt, constraints: activeConstraints };
+        processApiResponse((options) => callModelAPI(null, evolutionParams, options), { parentId: selectedNodeId, evolutionPrompt, constraints: activeConstraints });
+    };
+
+    return (
+        <div className="bg-gray-900 text-gray-200 min-h-screen font-sans p-4 sm:p-6 lg:p-8">
+            <div className="max-w-7xl mx-auto">
+                <header className="text-center mb-8">
+                    <h1 className="text-4xl sm:text-5xl font-bold text-cyan-400">Protein Designer</h1>
+                    <p className="mt-2 text-lg text-gray-400">Design, analyze, and evolve novel proteins with AI.</p>
+                </header>
+
+                <main className="flex flex-col gap-8">
+                    <ProjectBar
+                        project={project}
+                        projects={projects}
+                        status={projectStatus}
+                        disabled={isLoading}
+                        onRename={handleRenameProject}
+                        onOpen={handleOpenProject}
+                        onNew={handleNewProject}
+                        onDelete={handleDeleteProject}
+                        onExport={handleExportProject}
+                        onImport={handleImportProject}
+                    />
+
+                    {/* Top Section: Inputs and Viewer */}
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                        {/* Left Panel: Inputs, Evolution, Metrics */}
+                        <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 flex flex-col space-y-6">
+                            <ProviderSettings config={providerConfig} onChange={setProviderConfig} disabled={isLoading} />
+                            <PromptTemplates
+                                templates={promptTemplates}
+                                selection={templateSelection}
+                                onTemplatesChange={setPromptTemplates}
+                                onSelectionChange={setTemplateSelection}
+                                previewValues={templatePreviewValues}
+                                disabled={isLoading || isBatchRunning}
+                            />
+                            <StructureSettings mirrors={structureMirrors} onChange={handleMirrorsChange} disabled={isLoading} />
+                            <div>
+                                <label htmlFor="prompt" className="block text-lg font-medium text-cyan-400 mb-2">1. Describe Initial Desired Function</label>
+                                <textarea id="prompt" value={prompt} onChange={(e) => setPrompt(e.target.value)} className="w-full h-24 p-3 bg-gray-900 border border-gray-600 rounded-md focus:ring-2 focus:ring-cyan-500 transition" placeholder="e.g., An enzyme that can bind to and degrade PET plastic..."/>
+                                <BatchSettings settings={batchSettings} onChange={setBatchSettings} disabled={isLoading || isBatchRunning} />
+                            </div>
+                            <button onClick={handleGenerate} disabled={isLoading || isBatchRunning} className="w-full bg-cyan-600 text-white font-bold py-3 px-4 rounded-md hover:bg-cyan-500 disabled:bg-gray-600 transition flex items-center justify-center text-lg">
+                                {isBatchRunning ? 'Designing Candidates...' : isLoading ? 'Designing...' : batchSettings.count > 1 ? `Design ${batchSettings.count} Candidates` : 'Run Initial Design'}
+                            </button>
+                            <SequenceImport structure={structure} parsedStructure={parsedStructure} disabled={isLoading} onImport={handleImportSequence} />
+
+                            {generatedSequence && (
+                                <div className="border-t-2 border-cyan-800/50 pt-6 space-y-4">
+                                    <h3 className="text-lg font-medium text-cyan-400 mb-2">2. Evolve Design <span className="font-mono">{selectedNode.label}</span></h3>
+                                    <textarea ref={evolutionInputRef} value={evolutionPrompt} onChange={(e) => setEvolutionPrompt(e.target.value)} className="w-full h-20 p-3 bg-gray-900 border border-gray-600 rounded-md focus:ring-2 focus:ring-cyan-500 transition" placeholder="e.g., Increase stability in high temperatures."/>
+                                    <EvolutionConstraints
+                                        form={constraintForm}
+                                        onChange={setConstraintForm}
+                                        constraints={constraintCheck.constraints}
+                                        errors={constraintCheck.errors}
+                                        pocketResidues={bindingPocketResidues}
+                                        disabled={isLoading}
+                                    />
+                                    <button onClick={handleEvolve} disabled={isLoading} className="w-full bg-purple-600 text-white font-bold py-3 px-4 rounded-md hover:bg-purple-500 disabled:bg-gray-600 transition flex items-center justify-center text-lg">
+                                        {isLoading ? 'Evolving...' : 'Evolve Protein'}
+                                    </button>
+                                </div>
+                            )}
+
+                            <RequestProgress running={canCancelRequest} analysis={streamedAnalysis} log={requestLog} onCancel={handleCancelRequest} />
+
+                            {error && <div className="bg-red-900/50 border border-red-700 text-red-300 p-3 rounded-md whitespace-pre-line">{error}</div>}
+
+                            {generatedSequence && (
+                                <div>
+                                    <h3 className="text-lg font-medium text-cyan-400 mb-2 mt-4">Performance Metrics</h3>
+                                    <h4 className="text-sm font-medium text-gray-300 mb-2">AI-Predicted</h4>
+                                    <div className="grid grid-cols-2 gap-4 text-center mb-4">
+                                        <div className="bg-gray-900 p-4 rounded-lg border border-gray-700">
+                                            <div className="text-sm text-gray-400">Binding Affinity</div>
+                                            <div className={`text-2xl font-bold ${bindingAffinity ? 'text-green-400' : 'text-gray-500'}`}>{bindingAffinity ? `${bindingAffinity} kcal/mol` : 'N/A'}</div>
+                                        </div>
+                                        <div className="bg-gray-900 p-4 rounded-lg border border-gray-700">
+                                            <div className="text-sm text-gray-400">Predicted Stability</div>
+                                            <div className={`text-2xl font-bold ${predictedStability !== null ? (Number(predictedStability) > 0 ? 'text-green-400' : 'text-red-400') : 'text-gray-500'}`}>{predictedStability !== null ? Number(predictedStability).toFixed(2) : 'N/A'}</div>
+                                        </div>
+                                    </div>
+                                    <SequenceProperties sequence={generatedSequence} />
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Right Panel: 3D Viewer */}
+                        <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 flex flex-col">
+                             <h2 className="text-lg font-medium text-cyan-400 mb-4 text-center">3. Predicted 3D Structure</h2>
+                             <div className="flex-grow">
+                                <ProteinViewer
+                                    ref={viewerHandle}
+                                    structure={structure}
+                                    parsedStructure={parsedStructure}
+                                    chainIds={chainIds}
+                                    onLoadFile={handleLoadStructureFile}
+                                    pocketSelection={pocketMapping.selection}
+                                    ligandPocketSelection={ligandPocketSelection}
+                                    pocketCentroids={pocketCentroids}
+                                    mutationSelection={mutationMapping.selection}
+                                    rangeSelection={rangeMapping.selection}
+                                    onResidueClick={handleResidueClick}
+                                />
+                                <TemplateMappingInfo mapping={templateMapping} pocket={pocketMapping} />
+                                <PocketAnalysis
+                                    analysis={pocketAnalysis}
+                                    options={pocketOptions}
+                                    onOptionsChange={setPocketOptions}
+                                    onSelectPosition={(position) => {
+                                        setSequenceSelection({ start: position, end: position });
+                                        setSequenceFocus({ position });
+                                    }}
+                                />
+                             </div>
+                        </div>
+                    </div>
+
+                    {batch && (
+                        <BatchResults
+                            batch={batch}
+                            running={isBatchRunning}
+                            disabled={isLoading}
+                            onOpen={(candidate) => promoteCandidates([candidate])}
+                            onEvolve={handleEvolveCandidate}
+                            onPromote={promoteCandidates}
+                            onExport={handleExportCandidates}
+                            onCancel={() => batchController.current.abort()}
+                        />
+                    )}
+
+                    {(generatedSequence || autoRun) && (
+                        <AutoEvolvePanel
+                            startLabel={selectedNode ? selectedNode.label : autoRun.startLabel}
+                            run={autoRun}
+                            paused={isAutoPaused}
+                            disabled={isLoading || !generatedSequence}
+                            onStart={handleStartAutoEvolve}
+                            onPause={handlePauseAutoEvolve}
+                            onResume={handleResumeAutoEvolve}
+                            onCancel={() => autoControl.current.cancel()}
+                            onAddBest={handleAddAutoEvolveBest}
+                        />
+                    )}
+
+                    <LineagePanel lineage={lineage} selectedId={selectedNodeId} onSelect={setSelectedNodeId} onExport={handleExportNodes} />
+
+                    <ComparisonDashboard
+                        lineage={lineage}
+                        batch={batch}
+                        projects={projects.filter(({ id }) => id !== project.id)}
+                        selectedKey={selectedNodeId && `node:${selectedNodeId}`}
+                        onOpen={handleOpenComparison}
+                        disabled={isLoading}
+                    />
+
+                    <CalibrationView lineage={lineage} project={project} />
+
+                    {/* Bottom Section: Analysis and Validation */}
+                    {generatedSequence && (
+                        <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 flex flex-col space-y-6">
+                            <div>
+                                <h3 className="text-lg font-medium text-cyan-400 mb-2">4. AI Analysis</h3>
+                                <div className="w-full p-3 bg-gray-900 border border-gray-600 rounded-md min-h-[80px] text-gray-300 italic">{analysis}</div>
+                                {design.promptTemplate && <p className="mt-1 text-xs text-gray-500">Prompt template: {describeTemplate(design.promptTemplate)}</p>}
+                            </div>
+
+                            <div className="bg-gray-900 p-4 rounded-lg border border-gray-700">
+                                <h3 className="text-lg font-medium text-cyan-400 mb-3 flex justify-between items-center">
+                                    <span>5. Design Validation</span>
+                                    <ConfidencePill confidence={designConfidence} />
+                                </h3>
+                                {validationPlan && <ValidationPlanner key={selectedNodeId} plan={validationPlan} design={design} onChange={handleValidationChange} />}
+                            </div>
+
+                            <div>
+                                <h3 className="text-lg font-medium text-cyan-400 mb-2 flex justify-between items-center">
+                                    <span>6. Generated Amino Acid Sequence</span>
+                                    <ExportMenu onExport={handleExportDesign} />
+                                </h3>
+                                <SequenceViewer
+                                    sequence={generatedSequence}
+                                    pocketResidues={bindingPocketResidues}
+                                    mutatedPositions={mutatedSet}
+                                    selection={sequenceSelection}
+                                    onSelectionChange={setSequenceSelection}
+                                    focus={sequenceFocus}
+                                />
+                                {sequenceSelection && rangeMapping.unmapped.length > 0 && (
+                                    <p className="mt-1 text-xs text-gray-500">{rangeMapping.unmapped.length} selected position(s) have no counterpart in the structure.</p>
+                                )}
+                                <DevelopabilityChecks
+                                    findings={developabilityFindings}
+                                    settings={developabilitySettings}
+                                    onSettingsChange={setDevelopabilitySettings}
+                                    hasParent={Boolean(mutationDiff)}
+                                    onSelectRange={(range) => {
+                                        setSequenceSelection(range);
+                                        setSequenceFocus({ position: range.start });
+                                    }}
+                                />
+                            </div>
+
+                            {mutationDiff && (
+                                <div>
+                                    <h3 className="text-lg font-medium text-cyan-400 mb-2">7. Mutations vs. Parent <span className="font-mono">{parentNode.label}</span></h3>
+                                    <MutationDiff diff={mutationDiff} parentLabel={parentNode.label} childLabel={selectedNode.label} />
+                                </div>
+                            )}
+
+                            <div>
+                                <h3 className="text-lg font-medium text-cyan-400 mb-2">8. Gene Synthesis</h3>
+                                <CodonOptimizer sequence={generatedSequence} onDownload={handleDownloadCds} />
+                            </div>
+                        </div>
+                    )}
+
+                    <AuditLogPanel
+                        log={auditLog}
+                        designAudit={design && design.audit}
+                        designLabel={selectedNode && selectedNode.label}
+                        onReplay={handleReplayAudit}
+                        onDownload={handleDownloadAudit}
+                        onClear={() => setAuditLog([])}
+                        disabled={isLoading || isBatchRunning}
+                    />
+                </main>
+            </div>
+        </div>
+    );
+}
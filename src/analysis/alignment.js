@@ -0,0 +1,163 @@
+// Global pairwise protein alignment (Needleman-Wunsch with Gotoh affine gaps, BLOSUM62).
+const BLOSUM62_ORDER = 'ARNDCQEGHILKMFPSTWYVBZX*';
+const BLOSUM62_ROWS = [
+    '4 -1 -2 -2 0 -1 -1 0 -2 -1 -1 -1 -1 -2 -1 1 0 -3 -2 0 -2 -1 0 -4',
+    '-1 5 0 -2 -3 1 0 -2 0 -3 -2 2 -1 -3 -2 -1 -1 -3 -2 -3 -1 0 -1 -4',
+    '-2 0 6 1 -3 0 0 0 1 -3 -3 0 -2 -3 -2 1 0 -4 -2 -3 3 0 -1 -4',
+    '-2 -2 1 6 -3 0 2 -1 -1 -3 -4 -1 -3 -3 -1 0 -1 -4 -3 -3 4 1 -1 -4',
+    '0 -3 -3 -3 9 -3 -4 -3 -3 -1 -1 -3 -1 -2 -3 -1 -1 -2 -2 -1 -3 -3 -2 -4',
+    '-1 1 0 0 -3 5 2 -2 0 -3 -2 1 0 -3 -1 0 -1 -2 -1 -2 0 3 -1 -4',
+    '-1 0 0 2 -4 2 5 -2 0 -3 -3 1 -2 -3 -1 0 -1 -3 -2 -2 1 4 -1 -4',
+    '0 -2 0 -1 -3 -2 -2 6 -2 -4 -4 -2 -3 -3 -2 0 -2 -2 -3 -3 -1 -2 -1 -4',
+    '-2 0 1 -1 -3 0 0 -2 8 -3 -3 -1 -2 -1 -2 -1 -2 -2 2 -3 0 0 -1 -4',
+    '-1 -3 -3 -3 -1 -3 -3 -4 -3 4 2 -3 1 0 -3 -2 -1 -3 -1 3 -3 -3 -1 -4',
+    '-1 -2 -3 -4 -1 -2 -3 -4 -3 2 4 -2 2 0 -3 -2 -1 -2 -1 1 -4 -3 -1 -4',
+    '-1 2 0 -1 -3 1 1 -2 -1 -3 -2 5 -1 -3 -1 0 -1 -3 -2 -2 0 1 -1 -4',
+    '-1 -1 -2 -3 -1 0 -2 -3 -2 1 2 -1 5 0 -2 -1 -1 -1 -1 1 -3 -1 -1 -4',
+    '-2 -3 -3 -3 -2 -3 -3 -3 -1 0 0 -3 0 6 -4 -2 -2 1 3 -1 -3 -3 -1 -4',
+    '-1 -2 -2 -1 -3 -1 -1 -2 -2 -3 -3 -1 -2 -4 7 -1 -1 -4 -3 -2 -2 -1 -2 -4',
+    '1 -1 1 0 -1 0 0 0 -1 -2 -2 0 -1 -2 -1 4 1 -3 -2 -2 0 0 0 -4',
+    '0 -1 0 -1 -1 -1 -1 -2 -2 -1 -1 -1 -1 -2 -1 1 5 -2 -2 0 -1 -1 0 -4',
+    '-3 -3 -4 -4 -2 -2 -3 -2 -2 -3 -2 -3 -1 1 -4 -3 -2 11 2 -3 -4 -3 -2 -4',
+    '-2 -2 -2 -3 -2 -1 -2 -3 2 -1 -1 -2 -1 3 -3 -2 -2 2 7 -1 -3 -2 -1 -4',
+    '0 -3 -3 -3 -1 -2 -2 -3 -3 3 1 -2 1 -1 -2 -2 0 -3 -1 4 -3 -2 -1 -4',
+    '-2 -1 3 4 -3 0 1 -1 0 -3 -4 0 -3 -3 -2 0 -1 -4 -3 -3 4 1 -1 -4',
+    '-1 0 0 1 -3 3 4 -2 0 -3 -3 1 -1 -3 -1 0 -1 -3 -2 -2 1 4 -1 -4',
+    '0 -1 -1 -1 -2 -1 -1 -1 -1 -1 -1 -1 -1 -1 -2 0 0 -2 -1 -1 -1 -1 -1 -4',
+    '-4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 1',
+];
+const BLOSUM62 = BLOSUM62_ROWS.map((row) => row.split(' ').map(Number));
+
+const residueIndex = (residue) => {
+    const index = BLOSUM62_ORDER.indexOf(residue);
+    return index === -1 ? BLOSUM62_ORDER.indexOf('X') : index;
+};
+
+export const substitutionScore = (a, b) => BLOSUM62[residueIndex(a)][residueIndex(b)];
+
+export const GAP = '-';
+
+const NEG_INF = -1e9;
+
+// Returns { alignedA, alignedB, score, identity, matches, alignedLength }. `identity` is
+// matches divided by the length of the shorter sequence, as a fraction in [0, 1].
+export const alignSequences = (seqA, seqB, { gapOpen = 10, gapExtend = 1 } = {}) => {
+    const a = seqA.toUpperCase();
+    const b = seqB.toUpperCase();
+    const n = a.length;
+    const m = b.length;
+    const width = m + 1;
+
+    // M: ends in a residue pair, X: ends with a gap in B, Y: ends with a gap in A.
+    const M = new Float64Array((n + 1) * width).fill(NEG_INF);
+    const X = new Float64Array((n + 1) * width).fill(NEG_INF);
+    const Y = new Float64Array((n + 1) * width).fill(NEG_INF);
+    // Traceback: which matrix each cell came from (0 = M, 1 = X, 2 = Y).
+    const traceM = new Uint8Array((n + 1) * width);
+    const traceX = new Uint8Array((n + 1) * width);
+    const traceY = new Uint8Array((n + 1) * width);
+
+    M[0] = 0;
+    for (let i = 1; i <= n; i++) {
+        X[i * width] = -gapOpen - (i - 1) * gapExtend;
+        traceX[i * width] = 1;
+    }
+    for (let j = 1; j <= m; j++) {
+        Y[j] = -gapOpen - (j - 1) * gapExtend;
+        traceY[j] = 2;
+    }
+
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            const cell = i * width + j;
+            const diag = (i - 1) * width + (j - 1);
+            const up = (i - 1) * width + j;
+            const left = i * width + (j - 1);
+
+            const score = substitutionScore(a[i - 1], b[j - 1]);
+            let best = M[diag];
+            let from = 0;
+            if (X[diag] > best) { best = X[diag]; from = 1; }
+            if (Y[diag] > best) { best = Y[diag]; from = 2; }
+            M[cell] = best + score;
+            traceM[cell] = from;
+
+            const openX = M[up] - gapOpen;
+            const extendX = X[up] - gapExtend;
+            const openXFromY = Y[up] - gapOpen;
+            if (extendX >= openX && extendX >= openXFromY) { X[cell] = extendX; traceX[cell] = 1; }
+            else if (openX >= openXFromY) { X[cell] = openX; traceX[cell] = 0; }
+            else { X[cell] = openXFromY; traceX[cell] = 2; }
+
+            const openY = M[left] - gapOpen;
+            const extendY = Y[left] - gapExtend;
+            const openYFromX = X[left] - gapOpen;
+            if (extendY >= openY && extendY >= openYFromX) { Y[cell] = extendY; traceY[cell] = 2; }
+            else if (openY >= openYFromX) { Y[cell] = openY; traceY[cell] = 0; }
+            else { Y[cell] = openYFromX; traceY[cell] = 1; }
+        }
+    }
+
+    const end = n * width + m;
+    let state = 0;
+    let score = M[end];
+    if (X[end] > score) { score = X[end]; state = 1; }
+    if (Y[end] > score) { score = Y[end]; state = 2; }
+
+    const alignedA = [];
+    const alignedB = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        const cell = i * width + j;
+        if (state === 0) {
+            alignedA.push(a[i - 1]);
+            alignedB.push(b[j - 1]);
+            state = traceM[cell];
+            i--;
+            j--;
+        } else if (state === 1) {
+            alignedA.push(a[i - 1]);
+            alignedB.push(GAP);
+            state = traceX[cell];
+            i--;
+        } else {
+            alignedA.push(GAP);
+            alignedB.push(b[j - 1]);
+            state = traceY[cell];
+            j--;
+        }
+    }
+    alignedA.reverse();
+    alignedB.reverse();
+
+    let matches = 0;
+    for (let k = 0; k < alignedA.length; k++) {
+        if (alignedA[k] !== GAP && alignedA[k] === alignedB[k]) matches++;
+    }
+
+    return {
+        alignedA: alignedA.join(''),
+        alignedB: alignedB.join(''),
+        score: n === 0 && m === 0 ? 0 : score,
+        matches,
+        alignedLength: alignedA.length,
+        identity: Math.min(n, m) > 0 ? matches / Math.min(n, m) : 0,
+    };
+};
+
+// Maps every residue of A to its aligned residue in B (1-based on both sides).
+// Positions of A that align to a gap are absent from the map.
+export const buildResidueMap = ({ alignedA, alignedB }) => {
+    const map = new Map();
+    let i = 0;
+    let j = 0;
+    for (let k = 0; k < alignedA.length; k++) {
+        const hasA = alignedA[k] !== GAP;
+        const hasB = alignedB[k] !== GAP;
+        if (hasA) i++;
+        if (hasB) j++;
+        if (hasA && hasB) map.set(i, j);
+    }
+    return map;
+};
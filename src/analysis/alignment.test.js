@@ -0,0 +1,63 @@
+import { alignSequences, buildResidueMap, substitutionScore, GAP } from './alignment';
+
+const PARENT = 'MKTAYIAKQRQISFVKSHFSRQ';
+
+const gapRuns = (aligned) => aligned.match(/-+/g) || [];
+
+describe('substitutionScore', () => {
+    it('reads BLOSUM62 and scores unknown residues as X', () => {
+        expect(substitutionScore('W', 'W')).toBe(11);
+        expect(substitutionScore('A', 'R')).toBe(-1);
+        expect(substitutionScore('R', 'A')).toBe(-1);
+        expect(substitutionScore('U', 'A')).toBe(substitutionScore('X', 'A'));
+    });
+});
+
+describe('alignSequences', () => {
+    it('aligns identical sequences without gaps', () => {
+        const result = alignSequences(PARENT, PARENT.toLowerCase());
+        expect(result.alignedA).toBe(PARENT);
+        expect(result.alignedB).toBe(PARENT);
+        expect(result.score).toBe([...PARENT].reduce((sum, residue) => sum + substitutionScore(residue, residue), 0));
+        expect(result.identity).toBe(1);
+    });
+
+    it('places a three-residue deletion as one affine gap', () => {
+        const child = 'MKTAYIAKQRQVKSHFSRQ';
+        const result = alignSequences(PARENT, child);
+        expect(result.alignedA).toBe(PARENT);
+        expect(result.alignedB).toBe('MKTAYIAKQRQ---VKSHFSRQ');
+        expect(gapRuns(result.alignedB)).toEqual(['---']);
+        const matched = [...child].reduce((sum, residue) => sum + substitutionScore(residue, residue), 0);
+        expect(result.score).toBe(matched - 10 - 2 * 1);
+        expect(result.matches).toBe(child.length);
+        expect(result.identity).toBe(1);
+    });
+
+    it('prefers one long gap over several short ones when the gap penalties allow it', () => {
+        const child = 'MKTAYIAKQRQISFVKSHFSRQ'.replace('KQRQIS', '');
+        const result = alignSequences(PARENT, child);
+        expect(gapRuns(result.alignedB)).toHaveLength(1);
+        expect(gapRuns(result.alignedA)).toHaveLength(0);
+    });
+
+    it('places insertions in the first sequence as gaps', () => {
+        const child = 'MKTGGAYIAKQRQISFVKSHFSRQ';
+        const result = alignSequences(PARENT, child);
+        expect(result.alignedA).toBe('MKT--AYIAKQRQISFVKSHFSRQ');
+        expect(result.alignedB).toBe(child);
+        expect(result.alignedLength).toBe(child.length);
+    });
+
+    it('handles empty sequences', () => {
+        expect(alignSequences('', '')).toMatchObject({ alignedA: '', alignedB: '', score: 0, identity: 0 });
+        expect(alignSequences('MKT', '')).toMatchObject({ alignedA: 'MKT', alignedB: GAP.repeat(3), score: -12, identity: 0 });
+    });
+});
+
+describe('buildResidueMap', () => {
+    it('maps aligned residues and skips those facing a gap', () => {
+        const map = buildResidueMap({ alignedA: 'MK-TA', alignedB: 'M-GTA' });
+        expect([...map]).toEqual([[1, 1], [3, 3], [4, 4]]);
+    });
+});
@@ -0,0 +1,73 @@
+import { alignSequences } from './alignment';
+import { computeSequenceProperties } from './properties';
+
+// Side-by-side comparison of designs from the lineage, the current batch and other projects.
+//
+// Entry: { key, label, origin: 'lineage' | 'batch' | 'project', originLabel, design, properties, ref }
+//        `ref` is what opening the entry needs: a node id, a batch candidate or a project node.
+
+export const entriesFromLineage = (lineage) => Object.values(lineage.nodes).map((node) => ({
+    key: `node:${node.id}`,
+    label: node.label,
+    origin: 'lineage',
+    originLabel: 'History',
+    design: node.design,
+    properties: computeSequenceProperties(node.design.sequence),
+    ref: node.id,
+}));
+
+// Finished candidates that are not in the lineage yet; promoted ones already appear as nodes.
+export const entriesFromBatch = (batch) => (batch ? batch.candidates : [])
+    .filter((candidate) => candidate.status === 'done' && !candidate.nodeId)
+    .map((candidate) => ({
+        key: `candidate:${batch.id}:${candidate.id}`,
+        label: `C${candidate.index}`,
+        origin: 'batch',
+        originLabel: 'Batch',
+        design: candidate.design,
+        properties: candidate.properties,
+        ref: candidate,
+    }));
+
+// Designs of a saved or imported project (see storage/projectStore.js).
+export const entriesFromProject = (project) => Object.values(project.lineage.nodes).map((node) => ({
+    key: `project:${project.id}:${node.id}`,
+    label: node.label,
+    origin: 'project',
+    originLabel: project.name,
+    design: node.design,
+    properties: computeSequenceProperties(node.design.sequence),
+    ref: node,
+}));
+
+const hasNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+export const isPlottable = ({ design }) => hasNumber(design.bindingAffinity) && hasNumber(design.predictedStability);
+
+// Keys of the entries no other entry dominates, i.e. none has lower (better) affinity and higher
+// stability at the same time. Entries without both values are left out.
+export const paretoFront = (entries) => {
+    const points = entries.filter(isPlottable);
+    return new Set(points.filter((entry) => !points.some((other) => (
+        other !== entry
+        && other.design.bindingAffinity <= entry.design.bindingAffinity
+        && other.design.predictedStability >= entry.design.predictedStability
+        && (other.design.bindingAffinity < entry.design.bindingAffinity || other.design.predictedStability > entry.design.predictedStability)
+    ))).map(({ key }) => key));
+};
+
+// Alignment work grows with the square of the number of designs, so the matrix has a cap.
+export const MAX_IDENTITY_DESIGNS = 15;
+
+// Symmetric matrix of global-alignment identities (fractions), 1 on the diagonal.
+export const identityMatrix = (sequences) => {
+    const matrix = sequences.map(() => sequences.map(() => 1));
+    for (let i = 0; i < sequences.length; i++) {
+        for (let j = i + 1; j < sequences.length; j++) {
+            const identity = sequences[i] === sequences[j] ? 1 : alignSequences(sequences[i], sequences[j]).identity;
+            matrix[i][j] = identity;
+            matrix[j][i] = identity;
+        }
+    }
+    return matrix;
+};
@@ -0,0 +1,57 @@
+import { entriesFromBatch, paretoFront, isPlottable, identityMatrix } from './comparison';
+
+const entry = (key, bindingAffinity, predictedStability) => ({ key, design: { bindingAffinity, predictedStability } });
+
+describe('paretoFront', () => {
+    it('keeps the entries no other entry beats on both affinity and stability', () => {
+        const entries = [
+            entry('tight', -11, 0.5),
+            entry('stable', -7, 2.5),
+            entry('balanced', -9, 1.5),
+            entry('dominated', -8, 1),
+            entry('worst', -6, 0),
+        ];
+        expect([...paretoFront(entries)].sort()).toEqual(['balanced', 'stable', 'tight']);
+    });
+
+    it('keeps tied entries together and drops one that only ties on one axis', () => {
+        const front = paretoFront([entry('a', -9, 1.5), entry('b', -9, 1.5), entry('c', -9, 1)]);
+        expect([...front].sort()).toEqual(['a', 'b']);
+    });
+
+    it('reduces to the best value when only one objective varies', () => {
+        expect([...paretoFront([entry('a', -9, 1), entry('b', -10, 1), entry('c', -8, 1)])]).toEqual(['b']);
+        expect([...paretoFront([entry('a', -9, 1), entry('b', -9, 3), entry('c', -9, 2)])]).toEqual(['b']);
+    });
+
+    it('leaves out entries missing either value', () => {
+        const missing = entry('missing', null, 5);
+        expect(isPlottable(missing)).toBe(false);
+        expect([...paretoFront([missing, entry('a', -9, 1)])]).toEqual(['a']);
+        expect(paretoFront([]).size).toBe(0);
+    });
+});
+
+describe('entriesFromBatch', () => {
+    it('lists finished candidates that are not in the lineage yet', () => {
+        const design = { sequence: 'MKV' };
+        const batch = {
+            id: 7,
+            candidates: [
+                { id: 'candidate-1', index: 1, status: 'done', design, properties: {}, nodeId: null },
+                { id: 'candidate-2', index: 2, status: 'done', design, properties: {}, nodeId: 'node-1' },
+                { id: 'candidate-3', index: 3, status: 'failed', design: null, properties: null, nodeId: null },
+            ],
+        };
+        expect(entriesFromBatch(batch).map(({ key, label }) => [key, label])).toEqual([['candidate:7:candidate-1', 'C1']]);
+        expect(entriesFromBatch(null)).toEqual([]);
+    });
+});
+
+describe('identityMatrix', () => {
+    it('is symmetric with 1 on the diagonal', () => {
+        const matrix = identityMatrix(['MKTAYIAKQR', 'MKTAYIAKQR', 'MKTGYIAKQR']);
+        expect(matrix[0]).toEqual([1, 1, 0.9]);
+        expect(matrix.map((row) => row[2])).toEqual([0.9, 0.9, 1]);
+    });
+});
@@ -0,0 +1,217 @@
+import { KYTE_DOOLITTLE } from './properties';
+
+// Sequence sanity and developability checks, computed locally. Each finding names the residues
+// it concerns, so the UI can select them in the sequence and 3D viewers:
+//
+// Finding: { check, severity: 'warning' | 'info', message, ranges: [{ start, end }] }   (1-based, inclusive)
+//
+// These are coarse sequence heuristics that point at things to look at, not predictions.
+
+export const CHECKS = [
+    { id: 'start-met', label: 'Start methionine' },
+    { id: 'low-complexity', label: 'Low complexity' },
+    { id: 'homopolymer', label: 'Homopolymer run' },
+    { id: 'cysteine', label: 'Unpaired cysteine' },
+    { id: 'glycosylation', label: 'N-glycosylation motif' },
+    { id: 'deamidation', label: 'Deamidation / isomerization' },
+    { id: 'transmembrane', label: 'Transmembrane helix' },
+    { id: 'aggregation', label: 'Aggregation-prone stretch' },
+    { id: 'parent-identity', label: 'Drift from parent' },
+];
+
+export const DEFAULT_DEVELOPABILITY_SETTINGS = {
+    minParentIdentity: 0.8,
+    homopolymerLength: 6,
+};
+
+const SETTINGS_STORAGE_KEY = 'protieno.developabilitySettings';
+
+export const loadDevelopabilitySettings = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (saved && typeof saved === 'object') return { ...DEFAULT_DEVELOPABILITY_SETTINGS, ...saved };
+    } catch (e) {
+        console.warn("Ignoring unreadable developability settings:", e);
+    }
+    return DEFAULT_DEVELOPABILITY_SETTINGS;
+};
+
+export const saveDevelopabilitySettings = (settings) => {
+    try {
+        window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn("Could not persist developability settings:", e);
+    }
+};
+
+// Joins flagged positions (0-based) into 1-based ranges.
+const toRanges = (flags) => {
+    const ranges = [];
+    flags.forEach((flagged, index) => {
+        if (!flagged) return;
+        const last = ranges[ranges.length - 1];
+        if (last && last.end === index) last.end = index + 1;
+        else ranges.push({ start: index + 1, end: index + 1 });
+    });
+    return ranges;
+};
+
+// Marks every residue covered by a window of `size` for which `test(start)` holds.
+const flagWindows = (sequence, size, test) => {
+    const flags = new Array(sequence.length).fill(false);
+    for (let start = 0; start + size <= sequence.length; start++) {
+        if (test(start)) flags.fill(true, start, start + size);
+    }
+    return flags;
+};
+
+const describeRanges = (ranges) => ranges.map(({ start, end }) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+
+const motifRanges = (sequence, pattern, length) => [...sequence.matchAll(pattern)].map(({ index }) => ({ start: index + 1, end: index + length }));
+
+const checkStartMet = (sequence) => (sequence[0] === 'M' ? [] : [{
+    check: 'start-met',
+    severity: 'warning',
+    message: `Starts with ${sequence[0]} instead of M; add a start methionine for expression unless this is a mature chain or fusion.`,
+    ranges: [{ start: 1, end: 1 }],
+}]);
+
+// Shannon entropy of a 12-residue window below 2.2 bits, the trigger of the SEG algorithm
+// (Wootton & Federhen, 1993).
+const LOW_COMPLEXITY_WINDOW = 12;
+const LOW_COMPLEXITY_BITS = 2.2;
+
+const windowEntropy = (sequence, start, size) => {
+    const counts = {};
+    for (let i = start; i < start + size; i++) counts[sequence[i]] = (counts[sequence[i]] || 0) + 1;
+    return Object.values(counts).reduce((sum, count) => sum - (count / size) * Math.log2(count / size), 0);
+};
+
+const checkLowComplexity = (sequence) => {
+    const ranges = toRanges(flagWindows(sequence, LOW_COMPLEXITY_WINDOW, (start) => windowEntropy(sequence, start, LOW_COMPLEXITY_WINDOW) < LOW_COMPLEXITY_BITS));
+    return ranges.length === 0 ? [] : [{
+        check: 'low-complexity',
+        severity: 'warning',
+        message: `${ranges.length} low-complexity region(s) at ${describeRanges(ranges)}; often disordered and prone to proteolysis.`,
+        ranges,
+    }];
+};
+
+const checkHomopolymers = (sequence, { homopolymerLength }) => {
+    const ranges = [...sequence.matchAll(new RegExp(`([A-Z])\\1{${homopolymerLength - 1},}`, 'g'))]
+        .map(({ 0: run, index }) => ({ start: index + 1, end: index + run.length }));
+    return ranges.length === 0 ? [] : [{
+        check: 'homopolymer',
+        severity: 'warning',
+        message: `${ranges.map(({ start, end }) => `${sequence[start - 1]}×${end - start + 1} at ${start}`).join(', ')}; long runs are hard to synthesize and express.`,
+        ranges,
+    }];
+};
+
+// Without a structure the pairing is unknown; an odd count means at least one free thiol.
+const checkCysteines = (sequence) => {
+    const ranges = motifRanges(sequence, /C/g, 1);
+    return ranges.length % 2 === 0 ? [] : [{
+        check: 'cysteine',
+        severity: 'warning',
+        message: `${ranges.length} cysteine(s), so at least one is unpaired; free thiols can cause misfolding and disulfide-linked aggregates.`,
+        ranges,
+    }];
+};
+
+// N-X-S/T with X not proline; the lookahead finds overlapping sequons.
+const checkGlycosylation = (sequence) => {
+    const ranges = [...sequence.matchAll(/(?=N[^P][ST])/g)].map(({ index }) => ({ start: index + 1, end: index + 3 }));
+    return ranges.length === 0 ? [] : [{
+        check: 'glycosylation',
+        severity: 'info',
+        message: `${ranges.length} N-X-S/T sequon(s) at ${describeRanges(ranges)}; glycosylated when expressed in eukaryotic hosts.`,
+        ranges,
+    }];
+};
+
+const checkDeamidation = (sequence) => {
+    const ng = motifRanges(sequence, /(?=NG)/g, 2);
+    const dg = motifRanges(sequence, /(?=DG)/g, 2);
+    const findings = [];
+    if (ng.length > 0) {
+        findings.push({ check: 'deamidation', severity: 'warning', message: `NG deamidation hotspot(s) at ${describeRanges(ng)}.`, ranges: ng });
+    }
+    if (dg.length > 0) {
+        findings.push({ check: 'deamidation', severity: 'warning', message: `DG isomerization hotspot(s) at ${describeRanges(dg)}.`, ranges: dg });
+    }
+    return findings;
+};
+
+// Kyte & Doolittle (1982): a 19-residue window with mean hydropathy above 1.6 suggests a
+// membrane-spanning helix.
+const TM_WINDOW = 19;
+const TM_HYDROPATHY = 1.6;
+
+const windowMean = (values, start, size) => {
+    let sum = 0;
+    for (let i = start; i < start + size; i++) sum += values[i];
+    return sum / size;
+};
+
+const checkTransmembrane = (sequence) => {
+    const hydropathy = [...sequence].map((residue) => KYTE_DOOLITTLE[residue] ?? 0);
+    const ranges = toRanges(flagWindows(sequence, TM_WINDOW, (start) => windowMean(hydropathy, start, TM_WINDOW) > TM_HYDROPATHY));
+    return ranges.length === 0 ? [] : [{
+        check: 'transmembrane',
+        severity: 'warning',
+        message: `${ranges.length} predicted transmembrane helix/helices at ${describeRanges(ranges)}; a soluble design should not have any.`,
+        ranges,
+    }];
+};
+
+// Short stretches dominated by hydrophobic, beta-prone residues without a charged residue or a
+// proline to break them, the pattern aggregation predictors such as TANGO pick up.
+const AGGREGATION_WINDOW = 6;
+const AGGREGATION_PRONE = 'VILFYWM';
+const AGGREGATION_BREAKERS = 'PDEKR';
+
+const checkAggregation = (sequence) => {
+    const ranges = toRanges(flagWindows(sequence, AGGREGATION_WINDOW, (start) => {
+        const window = sequence.slice(start, start + AGGREGATION_WINDOW);
+        const prone = [...window].filter((residue) => AGGREGATION_PRONE.includes(residue)).length;
+        return prone >= AGGREGATION_WINDOW - 1 && ![...window].some((residue) => AGGREGATION_BREAKERS.includes(residue));
+    }));
+    return ranges.length === 0 ? [] : [{
+        check: 'aggregation',
+        severity: 'warning',
+        message: `${ranges.length} aggregation-prone stretch(es) at ${describeRanges(ranges)}.`,
+        ranges,
+    }];
+};
+
+// `mutationDiff` is annotateMutations(parent, child); the changed residues are the ones selected.
+const checkParentIdentity = (mutationDiff, { minParentIdentity }) => {
+    const { identity } = mutationDiff.alignment;
+    if (identity >= minParentIdentity) return [];
+    return [{
+        check: 'parent-identity',
+        severity: 'warning',
+        message: `${(identity * 100).toFixed(1)}% identical to its parent, below the ${(minParentIdentity * 100).toFixed(0)}% threshold.`,
+        ranges: toRanges(mutationDiff.changedPositions.reduce((flags, position) => {
+            flags[position - 1] = true;
+            return flags;
+        }, [])),
+    }];
+};
+
+// Runs every check; `mutationDiff` is only given for evolved designs.
+export const checkDevelopability = (sequence, { mutationDiff = null, settings = DEFAULT_DEVELOPABILITY_SETTINGS } = {}) => {
+    if (!sequence) return [];
+    return [
+        ...checkStartMet(sequence),
+        ...checkLowComplexity(sequence),
+        ...checkHomopolymers(sequence, settings),
+        ...checkCysteines(sequence),
+        ...checkGlycosylation(sequence),
+        ...checkDeamidation(sequence),
+        ...checkTransmembrane(sequence),
+        ...checkAggregation(sequence),
+        ...(mutationDiff ? checkParentIdentity(mutationDiff, settings) : []),
+    ];
+};
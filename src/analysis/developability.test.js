@@ -0,0 +1,81 @@
+import { checkDevelopability, DEFAULT_DEVELOPABILITY_SETTINGS } from './developability';
+import { annotateMutations } from './mutations';
+
+// Human ubiquitin; its only finding is the DG isomerization site at D52-G53.
+const UBIQUITIN = 'MQIFVKTLTGKTITLEVEPSDTIENVKAKIQDKEGIPPDQQRLIFAGKQLEDGRTLSDYNIQKESTLHLVLRLRGG';
+
+const findings = (sequence, options) => checkDevelopability(sequence, options);
+const rangesOf = (check, sequence, options) => findings(sequence, options)
+    .filter((finding) => finding.check === check)
+    .flatMap(({ ranges }) => ranges);
+
+describe('checkDevelopability', () => {
+    it('flags only the DG site in ubiquitin', () => {
+        expect(findings(UBIQUITIN)).toEqual([{
+            check: 'deamidation',
+            severity: 'warning',
+            message: 'DG isomerization hotspot(s) at 52-53.',
+            ranges: [{ start: 52, end: 53 }],
+        }]);
+        expect(findings('')).toEqual([]);
+    });
+
+    it('asks for a start methionine', () => {
+        expect(rangesOf('start-met', `A${UBIQUITIN.slice(1)}`)).toEqual([{ start: 1, end: 1 }]);
+    });
+
+    it('flags 12-residue windows below 2.2 bits of entropy', () => {
+        // Four residues three times each: 2 bits.
+        expect(rangesOf('low-complexity', `MKTAYIA${'SGQE'.repeat(3)}KVLHRW`)).toEqual([{ start: 8, end: 19 }]);
+        // Five residues 3, 3, 2, 2 and 2 times: 2.29 bits.
+        expect(rangesOf('low-complexity', `MKTAYIA${'SGQEP'.repeat(2)}SGKVLHRW`)).toEqual([]);
+        // Windows over the SG repeat stay below the threshold until they take in four residues of KVLH.
+        expect(rangesOf('low-complexity', `M${'SG'.repeat(10)}KVLHRW`)).toEqual([{ start: 1, end: 24 }]);
+    });
+
+    it('flags runs of at least the configured homopolymer length', () => {
+        expect(rangesOf('homopolymer', 'MKQQQQQTAY')).toEqual([]);
+        expect(rangesOf('homopolymer', 'MKQQQQQQTAY')).toEqual([{ start: 3, end: 8 }]);
+        expect(rangesOf('homopolymer', 'MKQQQQQTAY', { settings: { ...DEFAULT_DEVELOPABILITY_SETTINGS, homopolymerLength: 5 } })).toEqual([{ start: 3, end: 7 }]);
+    });
+
+    it('flags every cysteine when their count is odd', () => {
+        expect(rangesOf('cysteine', 'MKCTAYCIA')).toEqual([]);
+        expect(rangesOf('cysteine', 'MKCTAYCIACK')).toEqual([{ start: 3, end: 3 }, { start: 7, end: 7 }, { start: 10, end: 10 }]);
+    });
+
+    it('finds overlapping N-X-S/T sequons but not N-P-S/T', () => {
+        expect(rangesOf('glycosylation', 'MKNPSAY')).toEqual([]);
+        expect(rangesOf('glycosylation', 'MKNNSTAY')).toEqual([{ start: 3, end: 5 }, { start: 4, end: 6 }]);
+    });
+
+    it('reports NG and DG hotspots separately', () => {
+        const result = findings('MKNGTADGAY').filter(({ check }) => check === 'deamidation');
+        expect(result.map(({ message }) => message)).toEqual(['NG deamidation hotspot(s) at 3-4.', 'DG isomerization hotspot(s) at 7-8.']);
+        expect(rangesOf('deamidation', 'MKNQTADEAY')).toEqual([]);
+    });
+
+    it('flags 19-residue windows with a Kyte-Doolittle mean above 1.6', () => {
+        // A is 1.8, so a window that takes in one K (-3.9) drops to 1.5.
+        expect(rangesOf('transmembrane', `MKDE${'A'.repeat(19)}KDE`)).toEqual([{ start: 5, end: 23 }]);
+        expect(rangesOf('transmembrane', `MKDE${'A'.repeat(18)}KDE`)).toEqual([]);
+        // G is -0.4, a mean of 1.36.
+        expect(rangesOf('transmembrane', `M${'AAAAG'.repeat(6)}`)).toEqual([]);
+    });
+
+    it('flags hydrophobic stretches that no charged residue or proline breaks', () => {
+        expect(rangesOf('aggregation', 'MKSVIFLYTGS')).toEqual([{ start: 3, end: 9 }]);
+        expect(rangesOf('aggregation', 'MKSVIFKLYTGS')).toEqual([]);
+    });
+
+    it('checks identity to the parent only for evolved designs', () => {
+        const child = UBIQUITIN.replace('MQIFVKTLTG', 'MAAAAGSHSG');
+        const mutationDiff = annotateMutations(UBIQUITIN, child);
+        expect(rangesOf('parent-identity', child)).toEqual([]);
+        expect(rangesOf('parent-identity', child, { mutationDiff })).toEqual([]);
+        const strict = findings(child, { mutationDiff, settings: { ...DEFAULT_DEVELOPABILITY_SETTINGS, minParentIdentity: 0.95 } })
+            .find(({ check }) => check === 'parent-identity');
+        expect(strict.message).toBe('89.5% identical to its parent, below the 95% threshold.');
+        expect(strict.ranges).toEqual([{ start: 2, end: 9 }]);
+    });
+});
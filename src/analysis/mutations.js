@@ -0,0 +1,67 @@
+import { alignSequences, GAP } from './alignment';
+
+// Mutation annotation between a parent and a child sequence, in the short protein notation
+// used in the literature: substitutions "A45V", deletions "G45del" / "G45_A47del" and
+// insertions "K2_M3insQSK". Positions always refer to the parent sequence.
+//
+// Each mutation: { type, notation, parentStart, parentEnd, childPositions }
+// where childPositions are the 1-based residues of the child that the mutation produced.
+
+const anchor = (sequence, position) => {
+    if (position < 1) return 'Nterm';
+    if (position > sequence.length) return 'Cterm';
+    return `${sequence[position - 1]}${position}`;
+};
+
+export const annotateMutations = (parent, child) => {
+    const alignment = alignSequences(parent, child);
+    const { alignedA, alignedB } = alignment;
+    const mutations = [];
+
+    let i = 0;
+    let j = 0;
+    let k = 0;
+    while (k < alignedA.length) {
+        const a = alignedA[k];
+        const b = alignedB[k];
+
+        if (a !== GAP && b !== GAP) {
+            i++;
+            j++;
+            if (a !== b) {
+                mutations.push({ type: 'substitution', notation: `${a}${i}${b}`, parentStart: i, parentEnd: i, childPositions: [j] });
+            }
+            k++;
+        } else if (b === GAP) {
+            const start = i + 1;
+            while (k < alignedA.length && alignedB[k] === GAP) {
+                i++;
+                k++;
+            }
+            const notation = start === i ? `${anchor(parent, start)}del` : `${anchor(parent, start)}_${anchor(parent, i)}del`;
+            mutations.push({ type: 'deletion', notation, parentStart: start, parentEnd: i, childPositions: [] });
+        } else {
+            let inserted = '';
+            const childPositions = [];
+            while (k < alignedA.length && alignedA[k] === GAP) {
+                j++;
+                inserted += alignedB[k];
+                childPositions.push(j);
+                k++;
+            }
+            mutations.push({
+                type: 'insertion',
+                notation: `${anchor(parent, i)}_${anchor(parent, i + 1)}ins${inserted}`,
+                parentStart: i,
+                parentEnd: i + 1,
+                childPositions,
+            });
+        }
+    }
+
+    return {
+        alignment,
+        mutations,
+        changedPositions: mutations.flatMap((mutation) => mutation.childPositions),
+    };
+};
@@ -0,0 +1,36 @@
+import { annotateMutations } from './mutations';
+
+const PARENT = 'MKTAYIAKQRQISFVKSHFSRQ';
+
+const notations = (parent, child) => annotateMutations(parent, child).mutations.map(({ notation }) => notation);
+
+describe('annotateMutations', () => {
+    it('finds nothing between identical sequences', () => {
+        expect(annotateMutations(PARENT, PARENT)).toMatchObject({ mutations: [], changedPositions: [] });
+    });
+
+    it('names substitutions by parent residue, position and new residue', () => {
+        const result = annotateMutations(PARENT, 'MKTAGIAKQRQISFVKSHFSRW');
+        expect(result.mutations.map(({ notation }) => notation)).toEqual(['Y5G', 'Q22W']);
+        expect(result.mutations[0]).toEqual({ type: 'substitution', notation: 'Y5G', parentStart: 5, parentEnd: 5, childPositions: [5] });
+        expect(result.changedPositions).toEqual([5, 22]);
+    });
+
+    it('names single and multi-residue deletions', () => {
+        expect(notations(PARENT, 'MKTAYIAKQRQISFVSHFSRQ')).toEqual(['K16del']);
+        const result = annotateMutations(PARENT, 'MKTAYIAKQRQVKSHFSRQ');
+        expect(result.mutations).toEqual([{ type: 'deletion', notation: 'I12_F14del', parentStart: 12, parentEnd: 14, childPositions: [] }]);
+        expect(result.changedPositions).toEqual([]);
+    });
+
+    it('names insertions by their flanking parent residues', () => {
+        const result = annotateMutations(PARENT, 'MKTGGAYIAKQRQISFVKSHFSRQ');
+        expect(result.mutations).toEqual([{ type: 'insertion', notation: 'T3_A4insGG', parentStart: 3, parentEnd: 4, childPositions: [4, 5] }]);
+        expect(result.changedPositions).toEqual([4, 5]);
+    });
+
+    it('anchors insertions at either terminus', () => {
+        expect(notations(PARENT, `S${PARENT}`)).toEqual(['Nterm_M1insS']);
+        expect(notations(PARENT, `${PARENT}HHH`)).toEqual(['Q22_CterminsHHH']);
+    });
+});
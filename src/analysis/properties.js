@@ -0,0 +1,152 @@
+// Deterministic sequence properties computed locally, following the ExPASy ProtParam
+// definitions so the numbers can be checked against that tool. Pure functions, no network.
+
+// Average masses of the free amino acids (Da), from the element masses ExPASy uses
+// (C 12.011, H 1.00794, N 14.0067, O 15.9994, S 32.066); one water is lost per peptide bond.
+const AVERAGE_MASSES = {
+    A: 89.0941, R: 174.2028, N: 132.1191, D: 133.1039, C: 121.1601, E: 147.1308, Q: 146.1460,
+    G: 75.0672, H: 155.1564, I: 131.1747, L: 131.1747, K: 146.1894, M: 149.2138, F: 165.1918,
+    P: 115.1320, S: 105.0935, T: 119.1204, W: 204.2285, Y: 181.1912, V: 117.1478,
+};
+const WATER_MASS = 18.01528;
+
+// Kyte & Doolittle (1982) hydropathy scale.
+export const KYTE_DOOLITTLE = {
+    A: 1.8, R: -4.5, N: -3.5, D: -3.5, C: 2.5, Q: -3.5, E: -3.5, G: -0.4, H: -3.2, I: 4.5,
+    L: 3.8, K: -3.9, M: 1.9, F: 2.8, P: -1.6, S: -0.8, T: -0.7, W: -0.9, Y: -1.3, V: 4.2,
+};
+
+// Bjellqvist pK values as used by ExPASy Compute pI/Mw.
+const POSITIVE_PKS = { K: 10.0, R: 12.0, H: 5.98 };
+const NEGATIVE_PKS = { D: 4.05, E: 4.45, C: 9.0, Y: 10.0 };
+const N_TERMINAL_PKS = { A: 7.59, M: 7.0, S: 6.93, P: 8.36, T: 6.82, V: 7.44, E: 7.7 };
+const C_TERMINAL_PKS = { D: 4.55, E: 4.75 };
+const DEFAULT_N_TERMINAL_PK = 7.5;
+const DEFAULT_C_TERMINAL_PK = 3.55;
+
+// Guruprasad et al. (1990) dipeptide instability weight values, DIWV[first][second].
+const DIWV_ORDER = 'ACDEFGHIKLMNPQRSTVWY';
+const DIWV_ROWS = {
+    A: [1.0, 44.94, -7.49, 1.0, 1.0, 1.0, -7.49, 1.0, 1.0, 1.0, 1.0, 1.0, 20.26, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0],
+    C: [1.0, 1.0, 20.26, 1.0, 1.0, 1.0, 33.60, 1.0, 1.0, 20.26, 33.60, 1.0, 20.26, -6.54, 1.0, 1.0, 33.60, -6.54, 24.68, 1.0],
+    D: [1.0, 1.0, 1.0, 1.0, -6.54, 1.0, 1.0, 1.0, -7.49, 1.0, 1.0, 1.0, 1.0, 1.0, -6.54, 20.26, -14.03, 1.0, 1.0, 1.0],
+    E: [1.0, 44.94, 20.26, 33.60, 1.0, 1.0, -6.54, 20.26, 1.0, 1.0, 1.0, 1.0, 20.26, 20.26, 1.0, 20.26, 1.0, 1.0, -14.03, 1.0],
+    F: [1.0, 1.0, 13.34, 1.0, 1.0, 1.0, 1.0, 1.0, -14.03, 1.0, 1.0, 1.0, 20.26, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 33.601],
+    G: [-7.49, 1.0, 1.0, -6.54, 1.0, 13.34, 1.0, -7.49, -7.49, 1.0, 1.0, -7.49, 1.0, 1.0, 1.0, 1.0, -7.49, 1.0, 13.34, -7.49],
+    H: [1.0, 1.0, 1.0, 1.0, -9.37, -9.37, 1.0, 44.94, 24.68, 1.0, 1.0, 24.68, -1.88, 1.0, 1.0, 1.0, -6.54, 1.0, -1.88, 44.94],
+    I: [1.0, 1.0, 1.0, 44.94, 1.0, 1.0, 13.34, 1.0, -7.49, 20.26, 1.0, 1.0, -1.88, 1.0, 1.0, 1.0, 1.0, -7.49, 1.0, 1.0],
+    K: [1.0, 1.0, 1.0, 1.0, 1.0, -7.49, 1.0, -7.49, 1.0, -7.49, 33.60, 1.0, -6.54, 24.64, 33.60, 1.0, 1.0, -7.49, 1.0, 1.0],
+    L: [1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, -7.49, 1.0, 1.0, 1.0, 20.26, 33.60, 20.26, 1.0, 1.0, 1.0, 24.68, 1.0],
+    M: [13.34, 1.0, 1.0, 1.0, 1.0, 1.0, 58.28, 1.0, 1.0, 1.0, -1.88, 1.0, 44.94, -6.54, -6.54, 44.94, -1.88, 1.0, 1.0, 24.68],
+    N: [1.0, -1.88, 1.0, 1.0, -14.03, -14.03, 1.0, 44.94, 24.68, 1.0, 1.0, 1.0, -1.88, -6.54, 1.0, 1.0, -7.49, 1.0, -9.37, 1.0],
+    P: [20.26, -6.54, -6.54, 18.38, 20.26, 1.0, 1.0, 1.0, 1.0, 1.0, -6.54, 1.0, 20.26, 20.26, -6.54, 20.26, 1.0, 20.26, -1.88, 1.0],
+    Q: [1.0, -6.54, 20.26, 20.26, -6.54, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 20.26, 20.26, 1.0, 44.94, 1.0, -6.54, 1.0, -6.54],
+    R: [1.0, 1.0, 1.0, 1.0, 1.0, -7.49, 20.26, 1.0, 1.0, 1.0, 1.0, 13.34, 20.26, 20.26, 58.28, 44.94, 1.0, 1.0, 58.28, -6.54],
+    S: [1.0, 33.60, 1.0, 20.26, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 44.94, 20.26, 20.26, 20.26, 1.0, 1.0, 1.0, 1.0],
+    T: [1.0, 1.0, 1.0, 20.26, 13.34, -7.49, 1.0, 1.0, 1.0, 1.0, 1.0, -14.03, 1.0, -6.54, 1.0, 1.0, 1.0, 1.0, -14.03, 1.0],
+    V: [1.0, 1.0, -14.03, 1.0, 1.0, -7.49, 1.0, 1.0, -1.88, 1.0, 1.0, 1.0, 20.26, 1.0, 1.0, 1.0, -7.49, 1.0, 1.0, -6.54],
+    W: [-14.03, 1.0, 1.0, 1.0, 1.0, -9.37, 24.68, 1.0, 1.0, 13.34, 24.68, 13.34, 1.0, 1.0, 1.0, 1.0, -14.03, -7.49, 1.0, 1.0],
+    Y: [24.68, 1.0, 24.68, -6.54, 1.0, -7.49, 13.34, 1.0, 1.0, 1.0, 44.94, 1.0, 13.34, 1.0, -15.91, 1.0, -7.49, 1.0, -9.37, 13.34],
+};
+const diwv = (first, second) => {
+    const row = DIWV_ROWS[first];
+    const column = DIWV_ORDER.indexOf(second);
+    return row && column !== -1 ? row[column] : 1.0;
+};
+
+export const countResidues = (sequence) => {
+    const counts = Object.fromEntries(DIWV_ORDER.split('').map((residue) => [residue, 0]));
+    for (const residue of sequence) {
+        if (counts[residue] !== undefined) counts[residue]++;
+    }
+    return counts;
+};
+
+export const molecularWeight = (sequence) => {
+    if (!sequence) return 0;
+    let mass = 0;
+    for (const residue of sequence) mass += AVERAGE_MASSES[residue] || 0;
+    return mass - (sequence.length - 1) * WATER_MASS;
+};
+
+export const netCharge = (sequence, pH = 7.0) => {
+    if (!sequence) return 0;
+    const counts = countResidues(sequence);
+    const positive = (pK) => 1 / (1 + 10 ** (pH - pK));
+    const negative = (pK) => 1 / (1 + 10 ** (pK - pH));
+
+    let charge = positive(N_TERMINAL_PKS[sequence[0]] || DEFAULT_N_TERMINAL_PK)
+        - negative(C_TERMINAL_PKS[sequence[sequence.length - 1]] || DEFAULT_C_TERMINAL_PK);
+    Object.entries(POSITIVE_PKS).forEach(([residue, pK]) => { charge += counts[residue] * positive(pK); });
+    Object.entries(NEGATIVE_PKS).forEach(([residue, pK]) => { charge -= counts[residue] * negative(pK); });
+    return charge;
+};
+
+// Bisection on the net charge curve, which decreases monotonically with pH.
+export const isoelectricPoint = (sequence) => {
+    let low = 0;
+    let high = 14;
+    let pH = 7;
+    for (let i = 0; i < 100 && high - low > 0.0001; i++) {
+        pH = (low + high) / 2;
+        if (netCharge(sequence, pH) > 0) low = pH; else high = pH;
+    }
+    return pH;
+};
+
+// Molar extinction coefficients at 280 nm in water (Pace et al. 1995), M^-1 cm^-1.
+export const extinctionCoefficient = (sequence) => {
+    const counts = countResidues(sequence);
+    const reduced = counts.W * 5500 + counts.Y * 1490;
+    return { reduced, cystinesFormed: reduced + Math.floor(counts.C / 2) * 125 };
+};
+
+export const gravy = (sequence) => {
+    if (!sequence) return 0;
+    let total = 0;
+    for (const residue of sequence) total += KYTE_DOOLITTLE[residue] || 0;
+    return total / sequence.length;
+};
+
+// Values below 40 predict a stable protein.
+export const instabilityIndex = (sequence) => {
+    if (sequence.length < 2) return 0;
+    let total = 0;
+    for (let i = 0; i < sequence.length - 1; i++) total += diwv(sequence[i], sequence[i + 1]);
+    return (10 / sequence.length) * total;
+};
+
+export const aliphaticIndex = (sequence) => {
+    if (!sequence) return 0;
+    const counts = countResidues(sequence);
+    const molePercent = (residue) => (counts[residue] / sequence.length) * 100;
+    return molePercent('A') + 2.9 * molePercent('V') + 3.9 * (molePercent('I') + molePercent('L'));
+};
+
+export const STABILITY_THRESHOLD = 40;
+
+export const computeSequenceProperties = (sequence, { pH = 7.0 } = {}) => {
+    const counts = countResidues(sequence);
+    const mass = molecularWeight(sequence);
+    const extinction = extinctionCoefficient(sequence);
+    const instability = instabilityIndex(sequence);
+
+    return {
+        length: sequence.length,
+        molecularWeight: mass,
+        isoelectricPoint: isoelectricPoint(sequence),
+        netCharge: netCharge(sequence, pH),
+        pH,
+        extinctionCoefficient: extinction,
+        // Absorbance of a 1 g/L solution, assuming all cysteines form cystines.
+        absorbance01Percent: mass > 0 ? extinction.cystinesFormed / mass : 0,
+        gravy: gravy(sequence),
+        instabilityIndex: instability,
+        isStable: instability < STABILITY_THRESHOLD,
+        aliphaticIndex: aliphaticIndex(sequence),
+        composition: Object.fromEntries(Object.entries(counts).map(([residue, count]) => [
+            residue,
+            { count, percent: sequence.length > 0 ? (count / sequence.length) * 100 : 0 },
+        ])),
+    };
+};
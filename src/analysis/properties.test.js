@@ -0,0 +1,63 @@
+import {
+    computeSequenceProperties,
+    molecularWeight,
+    isoelectricPoint,
+    extinctionCoefficient,
+    gravy,
+    instabilityIndex,
+    aliphaticIndex,
+    netCharge,
+} from './properties';
+
+// Mature human serum albumin (UniProt P02768, residues 25-609) and human ubiquitin.
+const HSA = 'DAHKSEVAHRFKDLGEENFKALVLIAFAQYLQQCPFEDHVKLVNEVTEFAKTCVADESAENCDKSLHTLFGDKLCTVATLRETYGEMADCCAKQEPERNECFLQHKDDNPNLPRLVRPEVDVMCTAFHDNEETFLKKYLYEIARRHPYFYAPELLFFAKRYKAAFTECCQAADKAACLLPKLDELRDEGKASSAKQRLKCASLQKFGERAFKAWAVARLSQRFPKAEFAEVSKLVTDLTKVHTECCHGDLLECADDRADLAKYICENQDSISSKLKECCEKPLLEKSHCIAEVENDEMPADLPSLAADFVESKDVCKNYAEAKDVFLGMFLYEYARRHPDYSVVLLLRLAKTYETTLEKCCAAADPHECYAKVFDEFKPLVEEPQNLIKQNCELFEQLGEYKFQNALLVRYTKKVPQVSTPTLVEVSRNLGKVGSKCCKHPEAKRMPCAEDYLSVVLNQLCVLHEKTPVSDRVTKCCTESLVNRRPCFSALEVDETYVPKEFNAETFTFHADICTLSEKERQIKKQTALVELVKHKPKATKEQLKAVMDDFAAFVEKCCKADDKETCFAEEGKKLVAASQAALGL';
+const UBIQUITIN = 'MQIFVKTLTGKTITLEVEPSDTIENVKAKIQDKEGIPPDQQRLIFAGKQLEDGRTLSDYNIQKESTLHLVLRLRGG';
+
+// Expected values are the ones ProtParam reports, to the precision it prints them.
+describe('ProtParam reference values', () => {
+    it('matches human serum albumin', () => {
+        expect(HSA).toHaveLength(585);
+        expect(molecularWeight(HSA)).toBeCloseTo(66472.5, 0);
+        expect(isoelectricPoint(HSA)).toBeCloseTo(5.67, 2);
+        expect(extinctionCoefficient(HSA)).toEqual({ reduced: 32320, cystinesFormed: 34445 });
+        expect(gravy(HSA)).toBeCloseTo(-0.395, 3);
+        expect(instabilityIndex(HSA)).toBeCloseTo(38.84, 2);
+        expect(aliphaticIndex(HSA)).toBeCloseTo(76.92, 2);
+    });
+
+    it('matches ubiquitin', () => {
+        expect(molecularWeight(UBIQUITIN)).toBeCloseTo(8564.84, 1);
+        expect(isoelectricPoint(UBIQUITIN)).toBeCloseTo(6.56, 2);
+        expect(extinctionCoefficient(UBIQUITIN)).toEqual({ reduced: 1490, cystinesFormed: 1490 });
+        expect(gravy(UBIQUITIN)).toBeCloseTo(-0.489, 3);
+        expect(instabilityIndex(UBIQUITIN)).toBeCloseTo(36.06, 2);
+        expect(aliphaticIndex(UBIQUITIN)).toBeCloseTo(100.0, 2);
+    });
+});
+
+describe('computeSequenceProperties', () => {
+    it('classifies stability at the instability threshold of 40', () => {
+        expect(computeSequenceProperties(HSA).isStable).toBe(true);
+        expect(computeSequenceProperties('MHHHHHHPPSS').isStable).toBe(false);
+    });
+
+    it('reports composition percentages that add up to 100', () => {
+        const { composition, length } = computeSequenceProperties(UBIQUITIN);
+        const counts = Object.values(composition).reduce((sum, { count }) => sum + count, 0);
+        const percent = Object.values(composition).reduce((sum, { percent }) => sum + percent, 0);
+        expect(counts).toBe(length);
+        expect(percent).toBeCloseTo(100, 6);
+    });
+
+    it('has zero net charge at the isoelectric point', () => {
+        expect(netCharge(HSA, isoelectricPoint(HSA))).toBeCloseTo(0, 2);
+        expect(netCharge(HSA, 7.4)).toBeLessThan(0);
+    });
+
+    it('handles empty and single-residue sequences', () => {
+        expect(molecularWeight('')).toBe(0);
+        expect(gravy('')).toBe(0);
+        expect(instabilityIndex('M')).toBe(0);
+        expect(molecularWeight('G')).toBeCloseTo(75.07, 2);
+    });
+});
@@ -0,0 +1,80 @@
+import { KYTE_DOOLITTLE } from './properties';
+
+// Per-residue tracks for the sequence viewer: residue classes, a Kyte-Doolittle hydropathy
+// profile and a Chou-Fasman secondary-structure prediction. Pure functions, computed locally.
+
+export const RESIDUE_CLASSES = [
+    { id: 'hydrophobic', label: 'Hydrophobic', residues: 'AVILM' },
+    { id: 'aromatic', label: 'Aromatic', residues: 'FWY' },
+    { id: 'positive', label: 'Positive', residues: 'KRH' },
+    { id: 'negative', label: 'Negative', residues: 'DE' },
+    { id: 'polar', label: 'Polar', residues: 'STNQ' },
+    { id: 'special', label: 'G / P / C', residues: 'GPC' },
+];
+
+export const residueClass = (residue) => {
+    const match = RESIDUE_CLASSES.find(({ residues }) => residues.includes(residue));
+    return match ? match.id : null;
+};
+
+// Mean hydropathy over a centred window (shortened at the ends), one value per residue.
+export const hydropathyProfile = (sequence, window = 9) => {
+    const half = Math.floor(window / 2);
+    const values = [...sequence].map((residue) => KYTE_DOOLITTLE[residue] ?? 0);
+    return values.map((value, index) => {
+        const start = Math.max(0, index - half);
+        const end = Math.min(values.length, index + half + 1);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += values[i];
+        return sum / (end - start);
+    });
+};
+
+// Chou & Fasman (1978) conformational parameters: [helix, sheet, turn].
+const CHOU_FASMAN = {
+    A: [1.42, 0.83, 0.66], R: [0.98, 0.93, 0.95], N: [0.67, 0.89, 1.56], D: [1.01, 0.54, 1.46],
+    C: [0.70, 1.19, 1.19], Q: [1.11, 1.10, 0.98], E: [1.51, 0.37, 0.74], G: [0.57, 0.75, 1.56],
+    H: [1.00, 0.87, 0.95], I: [1.08, 1.60, 0.47], L: [1.21, 1.30, 0.59], K: [1.14, 0.74, 1.01],
+    M: [1.45, 1.05, 0.60], F: [1.13, 1.38, 0.60], P: [0.57, 0.55, 1.52], S: [0.77, 0.75, 1.43],
+    T: [0.83, 1.19, 0.96], W: [1.08, 1.37, 0.96], Y: [0.69, 1.47, 1.14], V: [1.06, 1.70, 0.50],
+};
+
+const MIN_SEGMENT = { H: 5, E: 3 };
+
+const windowMean = (values, index, window) => {
+    const half = Math.floor(window / 2);
+    const start = Math.max(0, index - half);
+    const end = Math.min(values.length, start + window);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += values[i];
+    return sum / (end - start);
+};
+
+// Simplified Chou-Fasman: window-averaged propensities (helix over 6, sheet over 5, turn over 4)
+// decide each residue, then helices shorter than 5 and strands shorter than 3 become coil.
+// Returns one of 'H' (helix), 'E' (strand), 'T' (turn) or 'C' (coil) per residue.
+export const predictSecondaryStructure = (sequence) => {
+    const params = [...sequence].map((residue) => CHOU_FASMAN[residue] || [1, 1, 1]);
+    const helix = params.map(([value]) => value);
+    const sheet = params.map(([, value]) => value);
+    const turn = params.map(([, , value]) => value);
+
+    const states = params.map((_, index) => {
+        const pa = windowMean(helix, index, 6);
+        const pb = windowMean(sheet, index, 5);
+        const pt = windowMean(turn, index, 4);
+        if (pt > 1.0 && pt > pa && pt > pb) return 'T';
+        if (pa >= 1.03 && pa >= pb) return 'H';
+        if (pb >= 1.05 && pb > pa) return 'E';
+        return 'C';
+    });
+
+    let start = 0;
+    for (let index = 1; index <= states.length; index++) {
+        if (index < states.length && states[index] === states[start]) continue;
+        const minimum = MIN_SEGMENT[states[start]];
+        if (minimum && index - start < minimum) states.fill('C', start, index);
+        start = index;
+    }
+    return states.join('');
+};
@@ -0,0 +1,91 @@
+import React from 'react';
+import { AUDIT_LOG_LIMIT, summarizeAudit, isReplayable } from '../design/auditLog';
+
+const buttonClass = 'px-2 py-0.5 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200 rounded-md';
+const preClass = 'mt-1 p-2 bg-gray-800 border border-gray-700 rounded-md text-gray-300 whitespace-pre-wrap break-all max-h-64 overflow-y-auto';
+
+const OUTCOME_TONES = {
+    accepted: 'text-green-400',
+    rejected: 'text-yellow-300',
+    failed: 'text-red-400',
+    cancelled: 'text-gray-400',
+};
+
+const PARSE_LABELS = {
+    valid: 'valid',
+    'invalid-json': 'not valid JSON',
+    invalid: 'failed validation',
+};
+
+const CallDetails = ({ call }) => (
+    <div className="border-l-2 border-gray-700 pl-3 space-y-1">
+        <p className="text-gray-300">
+            {call.round > 0 ? `Correction ${call.round}, attempt` : 'Attempt'} {call.attempt}
+            <span className="text-gray-500"> · {new Date(call.startedAt).toLocaleTimeString()}{call.latencyMs !== null ? ` · ${call.latencyMs} ms` : ''}</span>
+            {' · '}
+            {call.status === 'ok'
+                ? <span className={call.parse === 'valid' ? 'text-green-400' : 'text-yellow-300'}>{PARSE_LABELS[call.parse] || 'empty answer'}</span>
+                : <span className="text-red-400">{call.status}{call.httpStatus ? ` (HTTP ${call.httpStatus})` : ''}: {call.error}</span>}
+        </p>
+        <p className="text-gray-500">Generation config: <span className="font-mono">{JSON.stringify(call.generationConfig)}</span></p>
+        {call.validationErrors.length > 0 && (
+            <ul className="list-disc list-inside text-yellow-300">
+                {call.validationErrors.map(({ field, message }, index) => <li key={index}><span className="font-mono">{field}</span>: {message}</li>)}
+            </ul>
+        )}
+        <details>
+            <summary className="cursor-pointer text-gray-400">Prompt ({call.prompt.length} characters)</summary>
+            <pre className={preClass}>{call.prompt}</pre>
+        </details>
+        <details>
+            <summary className="cursor-pointer text-gray-400">Raw response{call.responseText !== null ? ` (${call.responseText.length} characters${call.status !== 'ok' ? ', partial' : ''})` : ': none'}</summary>
+            {call.responseText !== null && <pre className={preClass}>{call.responseText}</pre>}
+        </details>
+    </div>
+);
+
+const AuditEntry = ({ audit, title, onReplay, onDownload, disabled }) => {
+    const { userPrompt, evolutionParams } = audit.request;
+    return (
+        <details className="bg-gray-900 p-3 rounded-md border border-gray-700">
+            <summary className="cursor-pointer text-gray-300">
+                {title && <span className="text-cyan-300">{title} · </span>}
+                <span className="text-gray-500">{new Date(audit.startedAt).toLocaleString()}</span>
+                {' '}{evolutionParams ? 'Evolution' : 'Design'} · <span className={OUTCOME_TONES[audit.outcome] || 'text-gray-400'}>{summarizeAudit(audit)}</span>
+            </summary>
+            <div className="mt-2 space-y-2">
+                <p className="text-gray-400">
+                    {evolutionParams ? `Goal: "${evolutionParams.feedback}" on ${evolutionParams.sequence.length} aa` : `Prompt: "${userPrompt}"`}
+                    {audit.promptTemplate && <span className="text-gray-500"> · template {audit.promptTemplate.name} v{audit.promptTemplate.version}</span>}
+                </p>
+                {audit.error && <p className="text-red-300 whitespace-pre-line">{audit.error}</p>}
+                <div className="flex gap-2">
+                    <button onClick={() => onReplay(audit)} disabled={disabled || !isReplayable(audit)} title="Run the recorded responses through the app again without calling the model" className={buttonClass}>Replay</button>
+                    <button onClick={() => onDownload(audit)} className={buttonClass}>Download JSON</button>
+                </div>
+                {audit.calls.map((call, index) => <CallDetails key={index} call={call} />)}
+            </div>
+        </details>
+    );
+};
+
+// Debug view of model calls: the record attached to the selected design and every request of
+// this session, with prompts, raw responses and a replay button.
+const AuditLogPanel = ({ log, designAudit, designLabel, onReplay, onDownload, onClear, disabled }) => (
+    <details className="bg-gray-800/50 p-4 rounded-lg border border-gray-700">
+        <summary className="cursor-pointer text-sm text-gray-400 font-medium">Debug: model call log ({log.length} request{log.length === 1 ? '' : 's'} this session)</summary>
+        <div className="mt-3 space-y-2 text-xs">
+            {designAudit && <AuditEntry audit={designAudit} title={`Design ${designLabel}`} onReplay={onReplay} onDownload={onDownload} disabled={disabled} />}
+            {log.length > 0 && (
+                <div className="flex justify-between items-center text-gray-500">
+                    <span>Newest first; up to {AUDIT_LOG_LIMIT} requests are kept until the page is reloaded.</span>
+                    <button onClick={onClear} className={buttonClass}>Clear</button>
+                </div>
+            )}
+            {log.map((audit) => <AuditEntry key={audit.id} audit={audit} onReplay={onReplay} onDownload={onDownload} disabled={disabled} />)}
+            {!designAudit && log.length === 0 && <p className="text-gray-500">No model calls yet.</p>}
+        </div>
+    </details>
+);
+
+export default AuditLogPanel;
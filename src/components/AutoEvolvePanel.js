@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import RoundChart from './RoundChart';
+import { getMetric } from '../design/batch';
+import { OBJECTIVE_METRICS, DEFAULT_OBJECTIVE, DEFAULT_AUTO_EVOLVE_SETTINGS, STOP_REASONS, describeObjective } from '../design/autoEvolve';
+
+const selectClass = 'p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200 text-xs';
+const inputClass = 'w-16 p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200 text-xs';
+
+const SETTING_FIELDS = [
+    { field: 'populationSize', label: 'Population', min: 1, max: 20 },
+    { field: 'survivors', label: 'Survivors', min: 1, max: 10, hint: 'Best variants kept as parents for the next round' },
+    { field: 'rounds', label: 'Max. rounds', min: 1, max: 50 },
+    { field: 'patience', label: 'Patience', min: 1, max: 50, hint: 'Stop after this many rounds without improvement' },
+    { field: 'concurrency', label: 'Parallel', min: 1, max: 8 },
+];
+
+const formatValue = (value) => (typeof value === 'number' ? value.toFixed(2) : 'N/A');
+
+// Settings, controls and live progress of the automated evolution loop.
+const AutoEvolvePanel = ({ startLabel, run, paused, disabled, onStart, onPause, onResume, onCancel, onAddBest }) => {
+    const [objective, setObjective] = useState(DEFAULT_OBJECTIVE);
+    const [settings, setSettings] = useState(DEFAULT_AUTO_EVOLVE_SETTINGS);
+    const running = run && run.status === 'running';
+
+    const setConstraint = (index, changes) => setObjective({
+        ...objective,
+        constraints: objective.constraints.map((constraint, i) => (i === index ? { ...constraint, ...changes } : constraint)),
+    });
+    const removeConstraint = (index) => setObjective({ ...objective, constraints: objective.constraints.filter((_, i) => i !== index) });
+    const addConstraint = () => setObjective({ ...objective, constraints: [...objective.constraints, { metric: 'instability', op: '<=', value: 40 }] });
+
+    const metricLabel = getMetric(run ? run.objective.metric : objective.metric).label;
+
+    return (
+        <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 space-y-4">
+            <h2 className="text-lg font-medium text-cyan-400">Auto-Evolve from <span className="font-mono">{running ? run.startLabel : startLabel}</span></h2>
+
+            <fieldset disabled={running || disabled} className="space-y-3 text-xs text-gray-400">
+                <div className="flex flex-wrap items-center gap-2">
+                    Objective
+                    <select value={objective.direction} onChange={(e) => setObjective({ ...objective, direction: e.target.value })} className={selectClass}>
+                        <option value="maximize">Maximize</option>
+                        <option value="minimize">Minimize</option>
+                    </select>
+                    <select value={objective.metric} onChange={(e) => setObjective({ ...objective, metric: e.target.value })} className={selectClass}>
+                        {OBJECTIVE_METRICS.map((id) => <option key={id} value={id}>{getMetric(id).label}</option>)}
+                    </select>
+                    <label className="flex items-center gap-1" title="Stop as soon as a design satisfying all constraints reaches this value">
+                        target
+                        <input
+                            type="number"
+                            step="0.1"
+                            value={objective.target ?? ''}
+                            placeholder="none"
+                            onChange={(e) => setObjective({ ...objective, target: e.target.value === '' ? null : Number(e.target.value) })}
+                            className={inputClass}
+                        />
+                    </label>
+                </div>
+                {objective.constraints.map((constraint, index) => (
+                    <div key={index} className="flex flex-wrap items-center gap-2">
+                        Keep
+                        <select value={constraint.metric} onChange={(e) => setConstraint(index, { metric: e.target.value })} className={selectClass}>
+                            {OBJECTIVE_METRICS.map((id) => <option key={id} value={id}>{getMetric(id).label}</option>)}
+                        </select>
+                        <select value={constraint.op} onChange={(e) => setConstraint(index, { op: e.target.value })} className={selectClass}>
+                            <option value="<=">≤</option>
+                            <option value=">=">≥</option>
+                        </select>
+                        <input type="number" step="0.1" value={constraint.value} onChange={(e) => setConstraint(index, { value: Number(e.target.value) })} className={inputClass} />
+                        <button onClick={() => removeConstraint(index)} className="text-gray-500 hover:text-gray-200" title="Remove constraint">✕</button>
+                    </div>
+                ))}
+                <button onClick={addConstraint} className="text-cyan-400 hover:text-cyan-300">+ Add constraint</button>
+                <div className="flex flex-wrap items-center gap-4">
+                    {SETTING_FIELDS.map(({ field, label, min, max, hint }) => (
+                        <label key={field} className="flex items-center gap-1" title={hint}>
+                            {label}
+                            <input
+                                type="number"
+                                min={min}
+                                max={max}
+                                value={settings[field]}
+                                onChange={(e) => setSettings({ ...settings, [field]: Math.min(max, Math.max(min, Number(e.target.value) || min)) })}
+                                className={inputClass}
+                            />
+                        </label>
+                    ))}
+                </div>
+                <p className="text-gray-500 italic">Goal sent to the model: {describeObjective(objective)}</p>
+            </fieldset>
+
+            <div className="flex flex-wrap gap-2">
+                {!running && (
+                    <button onClick={() => onStart(objective, settings)} disabled={disabled} className="px-4 py-2 bg-purple-600 hover:bg-purple-500 disabled:bg-gray-600 text-white font-bold rounded-md">Start Auto-Evolve</button>
+                )}
+                {running && !paused && <button onClick={onPause} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-md">Pause</button>}
+                {running && paused && <button onClick={onResume} className="px-4 py-2 bg-purple-600 hover:bg-purple-500 text-white rounded-md">Resume</button>}
+                {running && <button onClick={onCancel} className="px-4 py-2 bg-red-800 hover:bg-red-700 text-gray-200 rounded-md">Cancel</button>}
+                {run && !running && run.best.parentId && (
+                    <button onClick={onAddBest} disabled={disabled || run.addedToLineage} className="px-4 py-2 bg-cyan-700 hover:bg-cyan-600 disabled:bg-gray-700 disabled:text-gray-500 text-white rounded-md">
+                        {run.addedToLineage ? 'Best path added to lineage' : 'Add best path to lineage'}
+                    </button>
+                )}
+            </div>
+
+            {run && (
+                <div className="space-y-3">
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-300">
+                        <span>
+                            {running ? (paused ? `Paused in round ${run.round} (in-flight calls finish first)` : `Running round ${run.round} of ${run.settings.rounds}`) : STOP_REASONS[run.stopReason]}
+                        </span>
+                        <span>Best {metricLabel.toLowerCase()} <span className="font-mono text-cyan-300">{formatValue(run.best.value)}</span> ({run.best.id}{run.best.feasible ? '' : ', violates constraints'})</span>
+                        <span>{Object.keys(run.variants).length - 1} variants evaluated</span>
+                        {run.failures > 0 && <span className="text-red-400" title={run.lastError}>{run.failures} failed calls</span>}
+                    </div>
+                    <RoundChart rounds={run.rounds} unitLabel={metricLabel} />
+                    <table className="w-full text-xs text-left">
+                        <thead className="text-gray-400 border-b border-gray-700">
+                            <tr>
+                                <th className="py-1 pr-2">Round</th>
+                                <th className="py-1 pr-2 text-right">Best</th>
+                                <th className="py-1 pr-2 text-right">Mean</th>
+                                <th className="py-1 pr-2 text-right">Best so far</th>
+                                <th className="py-1 text-right">Feasible</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {run.rounds.map((round) => (
+                                <tr key={round.round} className="border-b border-gray-800 font-mono text-gray-300">
+                                    <td className="py-1 pr-2">{round.round === 0 ? `0 (${run.startLabel})` : round.round}</td>
+                                    <td className="py-1 pr-2 text-right">{formatValue(round.best)}</td>
+                                    <td className="py-1 pr-2 text-right">{formatValue(round.mean)}</td>
+                                    <td className="py-1 pr-2 text-right">{formatValue(round.bestSoFar)}</td>
+                                    <td className="py-1 text-right">{round.feasible} / {round.evaluated}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AutoEvolvePanel;
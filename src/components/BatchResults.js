@@ -0,0 +1,178 @@
+import React, { useMemo, useState } from 'react';
+import ConfidencePill from './ConfidencePill';
+import { CONFIDENCE_LEVELS } from '../design/schema';
+import { RANKING_METRICS, scoreCandidates, sortCandidates, defaultSortDirection } from '../design/batch';
+
+const selectClass = 'p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200 text-xs';
+const STATUS_STYLES = {
+    pending: 'text-gray-500',
+    running: 'text-cyan-300',
+    done: 'text-green-400',
+    failed: 'text-red-400',
+};
+
+const SortHeader = ({ id, label, sortKey, ascending, onSort, className = '' }) => (
+    <th className={`py-1 pr-2 ${className}`}>
+        <button onClick={() => onSort(id)} className={`hover:text-gray-200 ${sortKey === id ? 'text-cyan-300' : ''}`}>
+            {label}{sortKey === id ? (ascending ? ' ▲' : ' ▼') : ''}
+        </button>
+    </th>
+);
+
+// Ranked table of batch candidates with sorting, filtering, export and promotion into the lineage.
+const BatchResults = ({ batch, running, disabled, onOpen, onEvolve, onPromote, onExport, onCancel }) => {
+    const [sortKey, setSortKey] = useState('score');
+    const [ascending, setAscending] = useState(false);
+    const [minConfidence, setMinConfidence] = useState('');
+    const [stableOnly, setStableOnly] = useState(false);
+    const [hideFailed, setHideFailed] = useState(false);
+    const [selected, setSelected] = useState([]);
+
+    const { candidates } = batch;
+    const scores = useMemo(() => scoreCandidates(candidates), [candidates]);
+    const rows = useMemo(() => {
+        const allowed = minConfidence ? CONFIDENCE_LEVELS.slice(0, CONFIDENCE_LEVELS.indexOf(minConfidence) + 1) : null;
+        const visible = candidates.filter((candidate) => {
+            if (candidate.status === 'failed') return !hideFailed;
+            if (candidate.status !== 'done') return !allowed && !stableOnly;
+            if (allowed && !allowed.includes(candidate.design.designConfidence)) return false;
+            return !stableOnly || candidate.properties.isStable;
+        });
+        return sortCandidates(visible, scores, sortKey, ascending);
+    }, [candidates, scores, sortKey, ascending, minConfidence, stableOnly, hideFailed]);
+
+    const handleSort = (key) => {
+        if (key === sortKey) {
+            setAscending(!ascending);
+        } else {
+            setSortKey(key);
+            setAscending(defaultSortDirection(key));
+        }
+    };
+
+    const toggleSelected = (id) => setSelected((current) => (
+        current.includes(id) ? current.filter((other) => other !== id) : [...current, id]
+    ));
+
+    const finished = candidates.filter(({ status }) => status === 'done' || status === 'failed').length;
+    const checked = candidates.filter(({ id, status }) => selected.includes(id) && status === 'done');
+    const selectable = checked.filter(({ nodeId }) => !nodeId);
+    // Without a selection the export covers every finished candidate.
+    const exportable = checked.length > 0 ? checked : candidates.filter(({ status }) => status === 'done');
+
+    const handlePromoteSelected = () => {
+        onPromote(selectable);
+        setSelected(selected.filter((id) => !selectable.some((candidate) => candidate.id === id)));
+    };
+
+    return (
+        <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 space-y-4">
+            <div className="flex flex-wrap justify-between items-center gap-3">
+                <h2 className="text-lg font-medium text-cyan-400">Batch Candidates</h2>
+                <span className="text-sm text-gray-400 truncate flex-1" title={batch.prompt}>{batch.prompt}</span>
+                <span className="text-sm text-gray-400">{finished} / {candidates.length} finished</span>
+                {running && (
+                    <button onClick={onCancel} className="px-3 py-1 text-sm bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-md">Stop</button>
+                )}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 text-xs text-gray-400">
+                <label className="flex items-center gap-1">
+                    Min. confidence
+                    <select value={minConfidence} onChange={(e) => setMinConfidence(e.target.value)} className={selectClass}>
+                        <option value="">Any</option>
+                        {CONFIDENCE_LEVELS.map((level) => <option key={level} value={level}>{level}</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1"><input type="checkbox" checked={stableOnly} onChange={() => setStableOnly(!stableOnly)} /> Instability index &lt; 40</label>
+                <label className="flex items-center gap-1"><input type="checkbox" checked={hideFailed} onChange={() => setHideFailed(!hideFailed)} /> Hide failed</label>
+                <span className="ml-auto flex items-center gap-1">
+                    Export {checked.length > 0 ? `selected (${checked.length})` : 'all'}
+                    {['fasta', 'csv'].map((format) => (
+                        <button
+                            key={format}
+                            onClick={() => onExport(format, exportable)}
+                            disabled={exportable.length === 0}
+                            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200 rounded-md uppercase"
+                        >
+                            {format}
+                        </button>
+                    ))}
+                </span>
+                <button
+                    onClick={handlePromoteSelected}
+                    disabled={disabled || selectable.length === 0}
+                    className="px-3 py-1 bg-cyan-700 hover:bg-cyan-600 disabled:bg-gray-700 disabled:text-gray-500 text-white rounded-md"
+                >
+                    Add selected to lineage{selectable.length > 0 ? ` (${selectable.length})` : ''}
+                </button>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                    <thead className="text-gray-400 border-b border-gray-700 text-xs">
+                        <tr>
+                            <th className="py-1 pr-2"></th>
+                            <th className="py-1 pr-2">#</th>
+                            <th className="py-1 pr-2">Seed / T</th>
+                            <SortHeader id="score" label="Score" sortKey={sortKey} ascending={ascending} onSort={handleSort} className="text-right" />
+                            {RANKING_METRICS.map(({ id, label }) => (
+                                <SortHeader key={id} id={id} label={label} sortKey={sortKey} ascending={ascending} onSort={handleSort} className="text-right" />
+                            ))}
+                            <th className="py-1"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((candidate) => {
+                            const done = candidate.status === 'done';
+                            return (
+                                <tr key={candidate.id} className="border-b border-gray-800">
+                                    <td className="py-1 pr-2">
+                                        {done && (
+                                            <input type="checkbox" checked={selected.includes(candidate.id)} onChange={() => toggleSelected(candidate.id)} />
+                                        )}
+                                    </td>
+                                    <td className="py-1 pr-2 font-mono text-gray-300">
+                                        {candidate.index}
+                                        {candidate.nodeLabel && <span className="ml-1 text-cyan-300" title="In lineage">→ {candidate.nodeLabel}</span>}
+                                    </td>
+                                    <td className="py-1 pr-2 font-mono text-gray-500 text-xs">{candidate.sampling.seed} / {candidate.sampling.temperature}</td>
+                                    {done ? (
+                                        <>
+                                            <td className="py-1 pr-2 text-right font-mono text-cyan-300">{scores.get(candidate.id).toFixed(2)}</td>
+                                            {RANKING_METRICS.map((metric) => {
+                                                if (metric.id === 'confidence') {
+                                                    return <td key={metric.id} className="py-1 pr-2 text-right"><ConfidencePill confidence={candidate.design.designConfidence} small /></td>;
+                                                }
+                                                const value = metric.value(candidate);
+                                                return (
+                                                    <td key={metric.id} className="py-1 pr-2 text-right font-mono text-gray-300">
+                                                        {typeof value === 'number' ? metric.format(value) : 'N/A'}
+                                                    </td>
+                                                );
+                                            })}
+                                            <td className="py-1 text-right whitespace-nowrap space-x-2">
+                                                <button onClick={() => onOpen(candidate)} disabled={disabled} className="px-2 py-0.5 text-xs bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200 rounded-md">Open</button>
+                                                <button onClick={() => onEvolve(candidate)} disabled={disabled} className="px-2 py-0.5 text-xs bg-purple-700 hover:bg-purple-600 disabled:opacity-50 text-white rounded-md">Evolve</button>
+                                            </td>
+                                        </>
+                                    ) : (
+                                        <td colSpan={RANKING_METRICS.length + 2} className={`py-1 pr-2 text-xs ${STATUS_STYLES[candidate.status]}`}>
+                                            {candidate.status === 'failed' ? `Failed: ${candidate.error}` : candidate.status === 'running' ? 'Designing...' : 'Queued'}
+                                        </td>
+                                    )}
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-xs text-gray-500">
+                Score is the mean percentile rank on affinity, stability, confidence and instability index (1 = best on all).
+                Promoted candidates become new root designs in the lineage.
+            </p>
+        </div>
+    );
+};
+
+export default BatchResults;
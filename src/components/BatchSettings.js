@@ -0,0 +1,40 @@
+import React from 'react';
+import { BATCH_LIMITS } from '../design/batch';
+
+const inputClass = 'w-16 p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200';
+
+const NumberField = ({ label, value, min, max, step = 1, onChange, disabled, hint }) => (
+    <label className="flex items-center gap-1" title={hint}>
+        {label}
+        <input
+            type="number"
+            min={min}
+            max={max}
+            step={step}
+            value={value}
+            disabled={disabled}
+            onChange={(e) => onChange(Math.min(max, Math.max(min, Number(e.target.value) || min)))}
+            className={inputClass}
+        />
+    </label>
+);
+
+// Number of candidates per prompt and how they are sampled. One candidate keeps the single-design flow.
+const BatchSettings = ({ settings, onChange, disabled }) => {
+    const set = (field) => (value) => onChange({ ...settings, [field]: value });
+
+    return (
+        <div className="flex flex-wrap items-center gap-4 mt-2 text-xs text-gray-400">
+            <NumberField label="Candidates" value={settings.count} min={1} max={BATCH_LIMITS.maxCount} onChange={set('count')} disabled={disabled} />
+            {settings.count > 1 && (
+                <>
+                    <NumberField label="Parallel" value={settings.concurrency} min={1} max={BATCH_LIMITS.maxConcurrency} onChange={set('concurrency')} disabled={disabled} hint="Requests in flight at once" />
+                    <NumberField label="Temperature" value={settings.temperature} min={0} max={2} step={0.1} onChange={set('temperature')} disabled={disabled} />
+                    <NumberField label="±" value={settings.temperatureSpread} min={0} max={1} step={0.1} onChange={set('temperatureSpread')} disabled={disabled} hint="Temperatures are spread evenly over this range; every candidate also gets its own seed" />
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BatchSettings;
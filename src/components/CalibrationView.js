@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from 'react';
+import { CALIBRATIONS, calibrationPoints, calibrationStats } from '../design/validationPlan';
+import { listProjects, loadProject } from '../storage/projectStore';
+
+const WIDTH = 420;
+const HEIGHT = 260;
+const PADDING = { top: 12, right: 12, bottom: 36, left: 52 };
+
+const buttonClass = 'px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200 rounded-md';
+
+const range = (values) => {
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const margin = (max - min) * 0.08;
+    return [min - margin, max + margin];
+};
+
+// Predicted (x) vs measured (y) with the least-squares fit, and the identity line when both are
+// on the same scale.
+const CalibrationPlot = ({ calibration, points, stats }) => {
+    const xs = points.map(({ predicted }) => predicted);
+    const ys = points.map(({ measured }) => measured);
+    const [xMin, xMax] = calibration.sameScale ? range([...xs, ...ys]) : range(xs);
+    const [yMin, yMax] = calibration.sameScale ? [xMin, xMax] : range(ys);
+    const x = (value) => PADDING.left + ((value - xMin) / (xMax - xMin)) * (WIDTH - PADDING.left - PADDING.right);
+    const y = (value) => PADDING.top + (1 - (value - yMin) / (yMax - yMin)) * (HEIGHT - PADDING.top - PADDING.bottom);
+    const clipId = `calibration-${calibration.id}`;
+
+    return (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full bg-gray-900 rounded-lg border border-gray-700">
+            <defs>
+                <clipPath id={clipId}><rect x={PADDING.left} y={PADDING.top} width={WIDTH - PADDING.left - PADDING.right} height={HEIGHT - PADDING.top - PADDING.bottom} /></clipPath>
+            </defs>
+            <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={HEIGHT - PADDING.bottom} stroke="#4b5563" />
+            <line x1={PADDING.left} y1={HEIGHT - PADDING.bottom} x2={WIDTH - PADDING.right} y2={HEIGHT - PADDING.bottom} stroke="#4b5563" />
+            <text x={PADDING.left} y={HEIGHT - PADDING.bottom + 14} textAnchor="middle" fontSize="10" fill="#9ca3af">{xMin.toFixed(1)}</text>
+            <text x={WIDTH - PADDING.right} y={HEIGHT - PADDING.bottom + 14} textAnchor="middle" fontSize="10" fill="#9ca3af">{xMax.toFixed(1)}</text>
+            <text x={(PADDING.left + WIDTH - PADDING.right) / 2} y={HEIGHT - 6} textAnchor="middle" fontSize="11" fill="#9ca3af">{calibration.predictedLabel}</text>
+            <text x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end" fontSize="10" fill="#9ca3af">{yMax.toFixed(1)}</text>
+            <text x={PADDING.left - 6} y={HEIGHT - PADDING.bottom} textAnchor="end" fontSize="10" fill="#9ca3af">{yMin.toFixed(1)}</text>
+            <text transform={`translate(12 ${(PADDING.top + HEIGHT - PADDING.bottom) / 2}) rotate(-90)`} textAnchor="middle" fontSize="11" fill="#9ca3af">{calibration.measuredLabel}</text>
+            <g clipPath={`url(#${clipId})`}>
+                {calibration.sameScale && <line x1={x(xMin)} y1={y(xMin)} x2={x(xMax)} y2={y(xMax)} stroke="#6b7280" strokeDasharray="4 3" />}
+                {stats.fit && (
+                    <line
+                        x1={x(xMin)}
+                        y1={y(stats.fit.slope * xMin + stats.fit.intercept)}
+                        x2={x(xMax)}
+                        y2={y(stats.fit.slope * xMax + stats.fit.intercept)}
+                        stroke="#a78bfa"
+                        strokeWidth="1.5"
+                    />
+                )}
+            </g>
+            {points.map((point) => (
+                <circle key={point.key} cx={x(point.predicted)} cy={y(point.measured)} r="4" fill="#22d3ee">
+                    <title>{`${point.label} (${point.source}): predicted ${point.predicted.toFixed(2)}, measured ${point.measured.toFixed(2)}`}</title>
+                </circle>
+            ))}
+        </svg>
+    );
+};
+
+const formatStat = (value, digits = 2) => (typeof value === 'number' ? value.toFixed(digits) : '—');
+
+// How far the model's predictions are from the lab results entered in the validation planner,
+// for the current project and optionally every saved project.
+const CalibrationView = ({ lineage, project }) => {
+    const [open, setOpen] = useState(false);
+    const [savedLineages, setSavedLineages] = useState(null);
+    const [status, setStatus] = useState('');
+
+    const calibrations = useMemo(() => CALIBRATIONS.map((calibration) => {
+        const points = [
+            ...calibrationPoints(calibration, lineage, project.name),
+            ...(savedLineages || []).flatMap((saved) => calibrationPoints(calibration, saved.lineage, saved.name)),
+        ];
+        return { calibration, points, stats: calibrationStats(calibration, points) };
+    }), [lineage, project.name, savedLineages]);
+
+    const handleIncludeSaved = async () => {
+        setStatus('Loading saved projects...');
+        try {
+            const summaries = (await listProjects()).filter(({ id }) => id !== project.id);
+            const loaded = await Promise.all(summaries.map(({ id }) => loadProject(id)));
+            setSavedLineages(loaded.filter((saved) => saved && saved.lineage).map(({ name, lineage: savedLineage }) => ({ name, lineage: savedLineage })));
+            setStatus(`Including ${summaries.length} other project(s).`);
+        } catch (err) {
+            setStatus(`Could not load projects: ${err.message}`);
+        }
+    };
+
+    return (
+        <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 space-y-4">
+            <div className="flex flex-wrap justify-between items-center gap-3">
+                <h2 className="text-lg font-medium text-cyan-400">Model Calibration</h2>
+                <button onClick={() => setOpen(!open)} className={buttonClass}>{open ? 'Hide' : 'Show calibration'}</button>
+            </div>
+            {open && (
+                <>
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+                        {savedLineages
+                            ? <button onClick={() => { setSavedLineages(null); setStatus(''); }} className={buttonClass}>Current project only</button>
+                            : <button onClick={handleIncludeSaved} className={buttonClass}>Include all saved projects</button>}
+                        {status && <span className="text-gray-500">{status}</span>}
+                    </div>
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        {calibrations.map(({ calibration, points, stats }) => (
+                            <div key={calibration.id} className="space-y-2">
+                                <h3 className="text-sm font-medium text-gray-300">{calibration.label} <span className="text-gray-500">({stats.n} measured design{stats.n === 1 ? '' : 's'})</span></h3>
+                                {points.length === 0 ? (
+                                    <p className="text-xs text-gray-500">Enter measured values in "5. Design Validation" to compare them with the predictions.</p>
+                                ) : (
+                                    <>
+                                        <CalibrationPlot calibration={calibration} points={points} stats={stats} />
+                                        <div className="flex flex-wrap gap-4 text-xs text-gray-400">
+                                            <span>Pearson r {formatStat(stats.r)}</span>
+                                            {stats.fit && <span className="text-violet-300">fit: measured = {formatStat(stats.fit.slope, 3)} × predicted {stats.fit.intercept < 0 ? '−' : '+'} {formatStat(Math.abs(stats.fit.intercept))}</span>}
+                                            {calibration.sameScale && <span>bias {formatStat(stats.bias)} kcal/mol</span>}
+                                            {calibration.sameScale && <span>mean abs. error {formatStat(stats.meanAbsoluteError)} kcal/mol</span>}
+                                            {calibration.sameScale && <span className="text-gray-500">- - - perfect agreement</span>}
+                                        </div>
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default CalibrationView;
@@ -0,0 +1,125 @@
+import React, { useMemo, useState } from 'react';
+import { HOSTS, getHost } from '../dna/codonTables';
+import { RESTRICTION_ENZYMES, DEFAULT_CODON_SETTINGS, optimizeCodons } from '../dna/codonOptimizer';
+
+const numberClass = 'w-16 p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200';
+const selectClass = 'p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200 text-xs';
+
+// Colour of a codon by relative adaptiveness w (1 = the host's preferred codon).
+const weightTone = (weight) => (weight >= 0.8 ? 'text-green-400' : weight >= 0.5 ? 'text-yellow-300' : 'text-red-400');
+
+// Back-translation of the selected design into a host-optimized coding sequence for gene synthesis.
+const CodonOptimizer = ({ sequence, onDownload }) => {
+    const [settings, setSettings] = useState(DEFAULT_CODON_SETTINGS);
+    const set = (field, value) => setSettings({ ...settings, [field]: value });
+    const toggleSite = (name) => set('avoidSites', settings.avoidSites.includes(name)
+        ? settings.avoidSites.filter((other) => other !== name)
+        : [...settings.avoidSites, name]);
+
+    const { result, error } = useMemo(() => {
+        try {
+            return { result: optimizeCodons(sequence, settings), error: null };
+        } catch (err) {
+            return { result: null, error: err.message };
+        }
+    }, [sequence, settings]);
+
+    const host = getHost(settings.host);
+    const warnings = result ? [
+        ...result.errors,
+        ...result.remainingSites.map(({ name, position }) => `${name} site left at bp ${position}: no synonymous codon removes it.`),
+        ...(result.gcViolations > 0 ? [`${result.gcViolations} GC window(s) of ${result.gcRange.windowSize} bp stay outside ${settings.gcMin}-${settings.gcMax}%.`] : []),
+    ] : [];
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-4 text-xs text-gray-400">
+                <label className="flex items-center gap-1">
+                    Host
+                    <select value={settings.host} onChange={(e) => set('host', e.target.value)} className={selectClass}>
+                        {HOSTS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    GC %
+                    <input type="number" min="0" max="100" value={settings.gcMin} onChange={(e) => set('gcMin', e.target.value)} className={numberClass} />
+                    –
+                    <input type="number" min="0" max="100" value={settings.gcMax} onChange={(e) => set('gcMax', e.target.value)} className={numberClass} />
+                </label>
+                <label className="flex items-center gap-1" title="GC content is checked in every window of this size">
+                    Window (bp)
+                    <input type="number" min="3" step="3" value={settings.gcWindow} onChange={(e) => set('gcWindow', e.target.value)} className={numberClass} />
+                </label>
+                <label className="flex items-center gap-1"><input type="checkbox" checked={settings.nTerminalHisTag} onChange={() => set('nTerminalHisTag', !settings.nTerminalHisTag)} /> N-terminal His6</label>
+                <label className="flex items-center gap-1"><input type="checkbox" checked={settings.cTerminalHisTag} onChange={() => set('cTerminalHisTag', !settings.cTerminalHisTag)} /> C-terminal His6</label>
+                <label className="flex items-center gap-1" title={host.signalPeptide.sequence}>
+                    <input type="checkbox" checked={settings.signalPeptide} onChange={() => set('signalPeptide', !settings.signalPeptide)} /> Signal peptide ({host.signalPeptide.name})
+                </label>
+            </div>
+            <div className="flex flex-wrap items-center gap-3 text-xs text-gray-400">
+                Avoid
+                {RESTRICTION_ENZYMES.map(({ name, site }) => (
+                    <label key={name} className="flex items-center gap-1" title={site}>
+                        <input type="checkbox" checked={settings.avoidSites.includes(name)} onChange={() => toggleSite(name)} /> {name}
+                    </label>
+                ))}
+                <input
+                    type="text"
+                    value={settings.customSites}
+                    onChange={(e) => set('customSites', e.target.value)}
+                    placeholder="Other sites, e.g. GCGATCGC"
+                    className="flex-1 min-w-[10rem] p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200 font-mono"
+                />
+            </div>
+
+            {error && <p className="text-sm text-red-300">{error}</p>}
+            {result && (
+                <>
+                    <div className="flex flex-wrap items-center gap-6 text-sm text-gray-300">
+                        <span>CAI <span className={`font-mono font-bold ${weightTone(result.cai)}`}>{result.cai.toFixed(3)}</span></span>
+                        <span>GC <span className="font-mono">{result.gc.toFixed(1)}%</span> <span className="text-xs text-gray-500">(windows {result.gcRange.min.toFixed(0)}–{result.gcRange.max.toFixed(0)}%)</span></span>
+                        <span>{result.dna.length} bp</span>
+                        <span className="text-xs text-gray-500">{result.segments.map(({ name, start, end }) => `${name} ${start}–${end}`).join(' · ')}</span>
+                        <button onClick={() => onDownload(result)} className="ml-auto px-3 py-1 text-xs bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-md">Download FASTA</button>
+                    </div>
+                    {warnings.length > 0 && (
+                        <ul className="text-xs text-yellow-300 list-disc list-inside">
+                            {warnings.map((message) => <li key={message}>{message}</li>)}
+                        </ul>
+                    )}
+                    <div className="w-full p-3 bg-gray-900 border border-gray-600 rounded-md font-mono text-xs text-gray-300 break-all max-h-40 overflow-y-auto">{result.dna}</div>
+                    <details className="text-xs text-gray-400">
+                        <summary className="cursor-pointer">Per-codon adaptiveness</summary>
+                        <div className="mt-2 max-h-64 overflow-y-auto">
+                            <table className="w-full text-left font-mono">
+                                <thead className="text-gray-500 border-b border-gray-700">
+                                    <tr>
+                                        <th className="py-1 pr-2">#</th>
+                                        <th className="py-1 pr-2">AA</th>
+                                        <th className="py-1 pr-2">Codon</th>
+                                        <th className="py-1 pr-2 text-right">Usage</th>
+                                        <th className="py-1 text-right">w</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {result.codons.map(({ position, aminoAcid, codon, fraction, weight }) => (
+                                        <tr key={position} className="border-b border-gray-800">
+                                            <td className="py-0.5 pr-2 text-gray-500">{position}</td>
+                                            <td className="py-0.5 pr-2 text-gray-200">{aminoAcid}</td>
+                                            <td className="py-0.5 pr-2 text-gray-200">{codon}</td>
+                                            <td className="py-0.5 pr-2 text-right">{(fraction * 100).toFixed(0)}%</td>
+                                            <td className={`py-0.5 text-right ${weightTone(weight)}`}>{weight.toFixed(2)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </details>
+                    <p className="text-xs text-gray-500">Codon usage tables are bundled approximations; check the sequence with your synthesis provider's tools before ordering.</p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default CodonOptimizer;
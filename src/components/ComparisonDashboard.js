@@ -0,0 +1,259 @@
+import React, { useMemo, useRef, useState } from 'react';
+import ConfidencePill from './ConfidencePill';
+import { RANKING_METRICS } from '../design/batch';
+import { entriesFromLineage, entriesFromBatch, entriesFromProject, isPlottable, paretoFront, identityMatrix, MAX_IDENTITY_DESIGNS } from '../analysis/comparison';
+import { loadProject, parseProjectBundle } from '../storage/projectStore';
+
+const WIDTH = 560;
+const HEIGHT = 320;
+const PADDING = { top: 16, right: 16, bottom: 40, left: 56 };
+
+const ORIGIN_COLORS = {
+    lineage: '#22d3ee',
+    batch: '#a78bfa',
+    project: '#fbbf24',
+};
+
+const TABLE_METRICS = RANKING_METRICS.filter(({ id }) => id !== 'confidence');
+
+const selectClass = 'p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200 text-xs';
+const buttonClass = 'px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200 rounded-md';
+
+const formatMetric = (metric, entry) => {
+    const value = metric.value(entry);
+    return typeof value === 'number' && Number.isFinite(value) ? metric.format(value) : '—';
+};
+
+// Axis range with a little margin so points do not sit on the frame.
+const axisRange = (values) => {
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const margin = (max - min) * 0.08;
+    return [min - margin, max + margin];
+};
+
+const ScatterPlot = ({ entries, front, selectedKey, onOpen }) => {
+    const points = entries.filter(isPlottable);
+    if (points.length === 0) return <p className="text-sm text-gray-500">None of the compared designs has both an affinity and a stability prediction.</p>;
+
+    const [xMin, xMax] = axisRange(points.map(({ design }) => design.bindingAffinity));
+    const [yMin, yMax] = axisRange(points.map(({ design }) => design.predictedStability));
+    const x = (value) => PADDING.left + ((value - xMin) / (xMax - xMin)) * (WIDTH - PADDING.left - PADDING.right);
+    const y = (value) => PADDING.top + (1 - (value - yMin) / (yMax - yMin)) * (HEIGHT - PADDING.top - PADDING.bottom);
+    const frontPoints = points
+        .filter(({ key }) => front.has(key))
+        .sort((a, b) => a.design.bindingAffinity - b.design.bindingAffinity);
+
+    return (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full bg-gray-900 rounded-lg border border-gray-700">
+            <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={HEIGHT - PADDING.bottom} stroke="#4b5563" />
+            <line x1={PADDING.left} y1={HEIGHT - PADDING.bottom} x2={WIDTH - PADDING.right} y2={HEIGHT - PADDING.bottom} stroke="#4b5563" />
+            <text x={PADDING.left} y={HEIGHT - PADDING.bottom + 14} textAnchor="middle" fontSize="10" fill="#9ca3af">{xMin.toFixed(1)}</text>
+            <text x={WIDTH - PADDING.right} y={HEIGHT - PADDING.bottom + 14} textAnchor="middle" fontSize="10" fill="#9ca3af">{xMax.toFixed(1)}</text>
+            <text x={(PADDING.left + WIDTH - PADDING.right) / 2} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#9ca3af">Binding affinity (kcal/mol, lower is better)</text>
+            <text x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end" fontSize="10" fill="#9ca3af">{yMax.toFixed(1)}</text>
+            <text x={PADDING.left - 6} y={HEIGHT - PADDING.bottom} textAnchor="end" fontSize="10" fill="#9ca3af">{yMin.toFixed(1)}</text>
+            <text transform={`translate(14 ${(PADDING.top + HEIGHT - PADDING.bottom) / 2}) rotate(-90)`} textAnchor="middle" fontSize="11" fill="#9ca3af">Stability (higher is better)</text>
+
+            {frontPoints.length > 1 && (
+                <polyline
+                    fill="none"
+                    stroke="#f0abfc"
+                    strokeWidth="1.5"
+                    strokeDasharray="4 3"
+                    points={frontPoints.map(({ design }) => `${x(design.bindingAffinity)},${y(design.predictedStability)}`).join(' ')}
+                />
+            )}
+            {points.map((entry) => {
+                const onFront = front.has(entry.key);
+                const cx = x(entry.design.bindingAffinity);
+                const cy = y(entry.design.predictedStability);
+                return (
+                    <g key={entry.key} onClick={() => onOpen(entry)} className="cursor-pointer">
+                        {entry.key === selectedKey && <circle cx={cx} cy={cy} r="10" fill="none" stroke="#e879f9" strokeWidth="2" />}
+                        <circle cx={cx} cy={cy} r={onFront ? 6 : 4.5} fill={ORIGIN_COLORS[entry.origin]} stroke={onFront ? '#ffffff' : 'none'} strokeWidth="1.5">
+                            <title>{`${entry.label} (${entry.originLabel}): affinity ${entry.design.bindingAffinity.toFixed(2)}, stability ${entry.design.predictedStability.toFixed(2)}${onFront ? ', Pareto front' : ''}`}</title>
+                        </circle>
+                        <text x={cx + 8} y={cy - 6} fontSize="9" fill="#d1d5db">{entry.label}</text>
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+const IdentityMatrix = ({ entries }) => {
+    const matrix = useMemo(() => identityMatrix(entries.map(({ design }) => design.sequence)), [entries]);
+    return (
+        <div className="overflow-x-auto">
+            <table className="text-xs font-mono">
+                <thead>
+                    <tr>
+                        <th></th>
+                        {entries.map(({ key, label }) => <th key={key} className="px-1 py-1 text-gray-400 font-normal">{label}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {entries.map((entry, i) => (
+                        <tr key={entry.key}>
+                            <th className="pr-2 text-right text-gray-400 font-normal">{entry.label}</th>
+                            {matrix[i].map((identity, j) => (
+                                <td
+                                    key={entries[j].key}
+                                    className="px-1 py-0.5 text-center text-gray-100"
+                                    style={{ backgroundColor: `rgba(6, 182, 212, ${i === j ? 0.08 : identity * 0.85})` }}
+                                    title={`${entry.label} vs ${entries[j].label}: ${(identity * 100).toFixed(1)}% identity`}
+                                >
+                                    {i === j ? '' : (identity * 100).toFixed(0)}
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+// Comparison of designs from the lineage, the running batch and other projects: affinity vs
+// stability scatter with the Pareto front, a metrics table and pairwise sequence identity.
+// Clicking a design opens it in the main view through `onOpen(entry)`.
+const ComparisonDashboard = ({ lineage, batch, projects, selectedKey, onOpen, disabled }) => {
+    const [open, setOpen] = useState(false);
+    const [excluded, setExcluded] = useState([]);
+    const [projectEntries, setProjectEntries] = useState([]);
+    const [projectChoice, setProjectChoice] = useState('');
+    const [status, setStatus] = useState('');
+    const fileInputRef = useRef(null);
+
+    const entries = useMemo(() => {
+        // Project designs that were opened are lineage nodes now and appear there instead.
+        const inLineage = new Set(Object.values(lineage.nodes).map(({ design }) => design));
+        return [
+            ...entriesFromLineage(lineage),
+            ...entriesFromBatch(batch),
+            ...projectEntries.filter(({ design }) => !inLineage.has(design)),
+        ];
+    }, [lineage, batch, projectEntries]);
+    const compared = useMemo(() => entries.filter(({ key }) => !excluded.includes(key)), [entries, excluded]);
+    const front = useMemo(() => paretoFront(compared), [compared]);
+    const unplotted = compared.filter((entry) => !isPlottable(entry)).length;
+
+    const toggle = (key) => setExcluded((current) => (current.includes(key) ? current.filter((other) => other !== key) : [...current, key]));
+
+    const addProject = (project) => {
+        const added = entriesFromProject(project);
+        setProjectEntries((current) => [...current.filter(({ originLabel }) => originLabel !== project.name), ...added]);
+        setStatus(`Added ${added.length} design(s) from "${project.name}".`);
+    };
+
+    const handleAddSaved = async () => {
+        try {
+            const project = await loadProject(projectChoice);
+            if (project) addProject(project);
+        } catch (err) {
+            setStatus(`Could not load project: ${err.message}`);
+        }
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            addProject(parseProjectBundle(await file.text()));
+        } catch (err) {
+            setStatus(err.message);
+        }
+    };
+
+    return (
+        <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 space-y-4">
+            <div className="flex flex-wrap justify-between items-center gap-3">
+                <h2 className="text-lg font-medium text-cyan-400">Compare Designs <span className="text-sm text-gray-400">({compared.length} of {entries.length})</span></h2>
+                <button onClick={() => setOpen(!open)} className={buttonClass}>{open ? 'Hide' : 'Show comparison'}</button>
+            </div>
+            {open && (
+                <>
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+                        Add designs from
+                        <select value={projectChoice} onChange={(e) => setProjectChoice(e.target.value)} className={selectClass}>
+                            <option value="">a saved project...</option>
+                            {projects.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+                        </select>
+                        <button onClick={handleAddSaved} disabled={!projectChoice} className={buttonClass}>Add</button>
+                        <button onClick={() => fileInputRef.current.click()} className={buttonClass}>Project file...</button>
+                        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+                        {projectEntries.length > 0 && <button onClick={() => setProjectEntries([])} className={buttonClass}>Remove project designs</button>}
+                        {status && <span className="text-gray-500">{status}</span>}
+                    </div>
+
+                    {entries.length === 0 ? (
+                        <p className="text-sm text-gray-500">Generate, import or batch-design some proteins to compare them.</p>
+                    ) : (
+                        <>
+                            <ScatterPlot entries={compared} front={front} selectedKey={selectedKey} onOpen={onOpen} />
+                            <div className="flex flex-wrap gap-4 text-xs text-gray-400">
+                                {Object.entries(ORIGIN_COLORS).map(([origin, color]) => (
+                                    <span key={origin} className="flex items-center gap-1">
+                                        <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ backgroundColor: color }}></span>
+                                        {origin === 'lineage' ? 'History' : origin === 'batch' ? 'Batch' : 'Other projects'}
+                                    </span>
+                                ))}
+                                <span><span className="text-fuchsia-300">- - -</span> Pareto front (white outline)</span>
+                                {unplotted > 0 && <span className="ml-auto">{unplotted} design(s) without AI metrics are not plotted.</span>}
+                            </div>
+
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm text-left">
+                                    <thead className="text-gray-400 border-b border-gray-700 text-xs">
+                                        <tr>
+                                            <th className="py-1 pr-2"></th>
+                                            <th className="py-1 pr-2">Design</th>
+                                            <th className="py-1 pr-2">Source</th>
+                                            <th className="py-1 pr-2">Confidence</th>
+                                            <th className="py-1 pr-2" title="Not dominated on affinity and stability">Pareto</th>
+                                            {TABLE_METRICS.map(({ id, label }) => <th key={id} className="py-1 pr-2 text-right">{label}</th>)}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {entries.map((entry) => {
+                                            const included = !excluded.includes(entry.key);
+                                            return (
+                                                <tr key={entry.key} className={`border-b border-gray-800 ${included ? '' : 'opacity-40'} ${entry.key === selectedKey ? 'bg-cyan-900/30' : ''}`}>
+                                                    <td className="py-1 pr-2"><input type="checkbox" checked={included} onChange={() => toggle(entry.key)} title="Include in the comparison" /></td>
+                                                    <td className="py-1 pr-2">
+                                                        <button onClick={() => onOpen(entry)} disabled={disabled} className="font-mono text-cyan-300 hover:underline disabled:opacity-50">{entry.label}</button>
+                                                    </td>
+                                                    <td className="py-1 pr-2 text-xs" style={{ color: ORIGIN_COLORS[entry.origin] }}>{entry.originLabel}</td>
+                                                    <td className="py-1 pr-2">{entry.design.designConfidence ? <ConfidencePill confidence={entry.design.designConfidence} small /> : <span className="text-gray-500">—</span>}</td>
+                                                    <td className="py-1 pr-2 text-fuchsia-300">{front.has(entry.key) ? '★' : ''}</td>
+                                                    {TABLE_METRICS.map((metric) => (
+                                                        <td key={metric.id} className="py-1 pr-2 text-right font-mono text-gray-300">{formatMetric(metric, entry)}</td>
+                                                    ))}
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div>
+                                <h3 className="text-sm font-medium text-gray-300 mb-2">Pairwise sequence identity (%)</h3>
+                                {compared.length < 2 && <p className="text-xs text-gray-500">Include at least two designs.</p>}
+                                {compared.length > MAX_IDENTITY_DESIGNS && <p className="text-xs text-gray-500">Include at most {MAX_IDENTITY_DESIGNS} designs to compute the identity matrix.</p>}
+                                {compared.length >= 2 && compared.length <= MAX_IDENTITY_DESIGNS && <IdentityMatrix entries={compared} />}
+                            </div>
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ComparisonDashboard;
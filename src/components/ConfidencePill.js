@@ -0,0 +1,14 @@
+import React from 'react';
+
+const ConfidencePill = ({ confidence, small = false }) => {
+    const styles = {
+        'High': 'bg-green-800 text-green-200 border-green-600',
+        'Promising': 'bg-yellow-800 text-yellow-200 border-yellow-600',
+        'Experimental': 'bg-red-800 text-red-200 border-red-600',
+        'Unknown': 'bg-gray-700 text-gray-300 border-gray-500',
+    };
+    const size = small ? 'px-2 py-0.5 text-xs' : 'px-3 py-1 text-sm';
+    return <span className={`${size} font-bold rounded-full border ${styles[confidence] || styles['Unknown']}`}>{confidence || 'Unknown'}</span>;
+};
+
+export default ConfidencePill;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { CHECKS } from '../analysis/developability';
+
+const inputClass = 'w-16 p-1 bg-gray-800 border border-gray-600 rounded-md text-gray-200 text-xs';
+const MAX_RANGE_CHIPS = 12;
+
+const SEVERITY_STYLES = {
+    warning: 'border-yellow-600 text-yellow-200',
+    info: 'border-sky-700 text-sky-200',
+};
+
+const checkLabel = (id) => CHECKS.find((check) => check.id === id).label;
+
+// Findings of the local sequence checks. Clicking a range selects those residues in the sequence
+// and 3D viewers through `onSelectRange({ start, end })`.
+const DevelopabilityChecks = ({ findings, settings, onSettingsChange, hasParent, onSelectRange }) => (
+    <div className="mt-3 space-y-2">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+            <h4 className="text-sm font-medium text-gray-300">
+                Sequence checks <span className="text-gray-500">({findings.length === 0 ? 'no findings' : `${findings.length} finding(s)`})</span>
+            </h4>
+            <div className="flex flex-wrap items-center gap-3 text-xs text-gray-400">
+                <label className="flex items-center gap-1" title="Flag homopolymer runs of at least this many residues">
+                    Runs from
+                    <input
+                        type="number"
+                        min="3"
+                        max="20"
+                        value={settings.homopolymerLength}
+                        onChange={(e) => onSettingsChange({ ...settings, homopolymerLength: Math.max(3, Number(e.target.value) || 3) })}
+                        className={inputClass}
+                    />
+                </label>
+                <label className="flex items-center gap-1" title="Flag evolved designs less identical than this to their parent">
+                    Min. identity to parent (%)
+                    <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={Math.round(settings.minParentIdentity * 100)}
+                        onChange={(e) => onSettingsChange({ ...settings, minParentIdentity: Math.min(100, Math.max(0, Number(e.target.value) || 0)) / 100 })}
+                        disabled={!hasParent}
+                        className={`${inputClass} disabled:opacity-50`}
+                    />
+                </label>
+            </div>
+        </div>
+        {findings.length > 0 && (
+            <ul className="space-y-1">
+                {findings.map((finding, index) => (
+                    <li key={index} className={`p-2 bg-gray-800/60 rounded-md border-l-4 text-xs ${SEVERITY_STYLES[finding.severity]}`}>
+                        <span className="font-bold">{checkLabel(finding.check)}:</span> <span className="text-gray-300">{finding.message}</span>
+                        <div className="flex flex-wrap gap-1 mt-1">
+                            {finding.ranges.slice(0, MAX_RANGE_CHIPS).map((range) => (
+                                <button
+                                    key={range.start}
+                                    onClick={() => onSelectRange(range)}
+                                    className="px-1.5 py-0.5 bg-gray-900 border border-gray-700 hover:border-cyan-500 rounded font-mono text-gray-300"
+                                    title="Select these residues"
+                                >
+                                    {range.start === range.end ? range.start : `${range.start}-${range.end}`}
+                                </button>
+                            ))}
+                            {finding.ranges.length > MAX_RANGE_CHIPS && <span className="text-gray-500">+{finding.ranges.length - MAX_RANGE_CHIPS} more</span>}
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </div>
+);
+
+export default DevelopabilityChecks;
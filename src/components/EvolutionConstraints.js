@@ -0,0 +1,61 @@
+import React from 'react';
+import { hasConstraints } from '../design/constraints';
+
+const inputClass = 'mt-1 w-full p-2 bg-gray-900 border border-gray-600 rounded-md text-gray-200 font-mono text-xs';
+
+// Structured constraints for the next evolution step, edited as text and parsed in App.
+const EvolutionConstraints = ({ form, onChange, constraints, errors, pocketResidues, disabled }) => {
+    const set = (field, value) => onChange({ ...form, [field]: value });
+
+    const lockPocket = () => {
+        const existing = form.locked.split(/[\s,;]+/).filter(Boolean);
+        const added = pocketResidues.map(String).filter((position) => !existing.includes(position));
+        set('locked', [...existing, ...added].join(', '));
+    };
+
+    return (
+        <details className="bg-gray-900 p-3 rounded-lg border border-gray-700">
+            <summary className="cursor-pointer text-sm text-gray-300 font-medium">
+                Constraints {hasConstraints(constraints) && <span className="text-cyan-400">(active)</span>}
+            </summary>
+            <fieldset disabled={disabled} className="mt-3 space-y-3 text-sm text-gray-400">
+                <label className="block">
+                    <span className="flex justify-between items-center">
+                        Locked positions
+                        {pocketResidues.length > 0 && (
+                            <button type="button" onClick={lockPocket} className="text-xs text-cyan-400 hover:text-cyan-300">+ Lock binding pocket</button>
+                        )}
+                    </span>
+                    <input type="text" value={form.locked} onChange={(e) => set('locked', e.target.value)} placeholder="e.g. 45, 67-69" className={inputClass} />
+                </label>
+                <label className="block">
+                    Allowed amino acids per position
+                    <input type="text" value={form.allowed} onChange={(e) => set('allowed', e.target.value)} placeholder="e.g. 80:DE, 81-83:AVILM" className={inputClass} />
+                </label>
+                <div className="flex flex-wrap items-center gap-4 text-xs">
+                    <label className="flex items-center gap-1" title="Inserted or deleted residues count as one mutation each">
+                        Max. substitutions
+                        <input
+                            type="number"
+                            min="0"
+                            value={form.maxSubstitutions}
+                            onChange={(e) => set('maxSubstitutions', e.target.value)}
+                            placeholder="any"
+                            className="w-16 p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200"
+                        />
+                    </label>
+                    <label className="flex items-center gap-1"><input type="checkbox" checked={form.noNewCysteines} onChange={() => set('noNewCysteines', !form.noNewCysteines)} /> No new cysteines</label>
+                    <label className="flex items-center gap-1"><input type="checkbox" checked={form.noNewGlycosylation} onChange={() => set('noNewGlycosylation', !form.noNewGlycosylation)} /> No new N-glycosylation motifs</label>
+                </div>
+                {errors.length > 0 && (
+                    <ul className="text-xs text-red-300 list-disc list-inside">
+                        {errors.map((message) => <li key={message}>{message}</li>)}
+                    </ul>
+                )}
+                <p className="text-xs text-gray-500">Positions refer to the design being evolved. Answers that break a constraint are sent back to the model and rejected if they still fail.</p>
+            </fieldset>
+        </details>
+    );
+};
+
+export default EvolutionConstraints;
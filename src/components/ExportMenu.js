@@ -0,0 +1,22 @@
+import React from 'react';
+
+const FORMATS = [
+    { id: 'fasta', label: 'FASTA' },
+    { id: 'genbank', label: 'GenBank' },
+    { id: 'csv', label: 'CSV' },
+    { id: 'report', label: 'Report', title: 'Self-contained HTML report; use the browser\'s print dialog to save it as PDF' },
+];
+
+// Download buttons for the selected design.
+const ExportMenu = ({ onExport }) => (
+    <span className="flex items-center gap-1 text-xs font-normal text-gray-400">
+        Export
+        {FORMATS.map(({ id, label, title }) => (
+            <button key={id} onClick={() => onExport(id)} title={title} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-md">
+                {label}
+            </button>
+        ))}
+    </span>
+);
+
+export default ExportMenu;
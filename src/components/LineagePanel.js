@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import ConfidencePill from './ConfidencePill';
+import { getPath } from '../design/lineage';
+
+const formatNumber = (value) => (typeof value === 'number' ? value.toFixed(2) : 'N/A');
+
+const formatDelta = (value, previous) => {
+    if (typeof value !== 'number' || typeof previous !== 'number') return '';
+    const delta = value - previous;
+    return `${delta >= 0 ? '+' : ''}${delta.toFixed(2)}`;
+};
+
+const LineageNode = ({ lineage, id, selectedId, onSelect, checkedIds, onToggleChecked }) => {
+    const node = lineage.nodes[id];
+    const { design } = node;
+    const isSelected = id === selectedId;
+
+    return (
+        <li>
+            <div className="flex items-center gap-2">
+                <input type="checkbox" checked={checkedIds.includes(id)} onChange={() => onToggleChecked(id)} title="Include in export" />
+                <button
+                    onClick={() => onSelect(id)}
+                    className={`w-full text-left px-2 py-1 rounded-md flex items-center gap-3 text-sm transition ${isSelected ? 'bg-cyan-900/60 border border-cyan-600' : 'hover:bg-gray-800 border border-transparent'}`}
+                    title={node.evolutionPrompt || node.userPrompt || ''}
+                >
+                    <span className="font-mono font-bold text-cyan-300">{node.label}</span>
+                    <span className="text-gray-400 truncate flex-1">{node.evolutionPrompt || node.userPrompt}</span>
+                    <span className="text-gray-300 font-mono">{formatNumber(design.bindingAffinity)}</span>
+                    <span className="text-gray-300 font-mono">{formatNumber(design.predictedStability)}</span>
+                    <ConfidencePill confidence={design.designConfidence} small />
+                </button>
+            </div>
+            {node.childIds.length > 0 && (
+                <ul className="ml-4 pl-2 border-l border-gray-700 space-y-1 mt-1">
+                    {node.childIds.map((childId) => (
+                        <LineageNode key={childId} lineage={lineage} id={childId} selectedId={selectedId} onSelect={onSelect} checkedIds={checkedIds} onToggleChecked={onToggleChecked} />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+};
+
+// Metrics for every generation from the root down to the selected design.
+const PathComparison = ({ path }) => (
+    <table className="w-full text-sm text-left">
+        <thead className="text-gray-400 border-b border-gray-700">
+            <tr>
+                <th className="py-1 pr-2">Design</th>
+                <th className="py-1 pr-2">Evolution Goal</th>
+                <th className="py-1 pr-2 text-right">Affinity (kcal/mol)</th>
+                <th className="py-1 pr-2 text-right">Stability</th>
+                <th className="py-1 text-right">Length</th>
+            </tr>
+        </thead>
+        <tbody>
+            {path.map((node, index) => {
+                const previous = index > 0 ? path[index - 1].design : null;
+                const { design } = node;
+                return (
+                    <tr key={node.id} className="border-b border-gray-800">
+                        <td className="py-1 pr-2 font-mono text-cyan-300">{node.label}</td>
+                        <td className="py-1 pr-2 text-gray-400">{node.evolutionPrompt || '(initial design)'}</td>
+                        <td className="py-1 pr-2 text-right font-mono">
+                            {formatNumber(design.bindingAffinity)} <span className="text-gray-500">{previous && formatDelta(design.bindingAffinity, previous.bindingAffinity)}</span>
+                        </td>
+                        <td className="py-1 pr-2 text-right font-mono">
+                            {formatNumber(design.predictedStability)} <span className="text-gray-500">{previous && formatDelta(design.predictedStability, previous.predictedStability)}</span>
+                        </td>
+                        <td className="py-1 text-right font-mono">{design.sequence.length}</td>
+                    </tr>
+                );
+            })}
+        </tbody>
+    </table>
+);
+
+const LineagePanel = ({ lineage, selectedId, onSelect, onExport }) => {
+    const [checkedIds, setCheckedIds] = useState([]);
+    if (lineage.rootIds.length === 0) return null;
+    const path = selectedId ? getPath(lineage, selectedId) : [];
+
+    // Checked ids can outlive their nodes when another project is opened.
+    const exportIds = checkedIds.filter((id) => lineage.nodes[id]);
+    const toggleChecked = (id) => setCheckedIds((current) => (
+        current.includes(id) ? current.filter((other) => other !== id) : [...current, id]
+    ));
+
+    return (
+        <div className="bg-gray-800/50 p-6 rounded-lg border border-gray-700 grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+                <h3 className="text-lg font-medium text-cyan-400 mb-1">Design Lineage</h3>
+                <p className="text-xs text-gray-500 mb-3">Select any design to view it or evolve a new branch from it. Columns: affinity, stability, confidence.</p>
+                <ul className="space-y-1">
+                    {lineage.rootIds.map((id) => (
+                        <LineageNode key={id} lineage={lineage} id={id} selectedId={selectedId} onSelect={onSelect} checkedIds={exportIds} onToggleChecked={toggleChecked} />
+                    ))}
+                </ul>
+                <div className="flex items-center gap-1 mt-3 text-xs text-gray-400">
+                    Export {exportIds.length > 0 ? `checked (${exportIds.length})` : 'all'}
+                    {['fasta', 'csv'].map((format) => (
+                        <button
+                            key={format}
+                            onClick={() => onExport(format, exportIds.length > 0 ? exportIds : Object.keys(lineage.nodes))}
+                            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-md uppercase"
+                        >
+                            {format}
+                        </button>
+                    ))}
+                    {exportIds.length > 0 && <button onClick={() => setCheckedIds([])} className="ml-2 text-gray-500 hover:text-gray-300">Clear</button>}
+                </div>
+            </div>
+            {path.length > 0 && (
+                <div>
+                    <h3 className="text-lg font-medium text-cyan-400 mb-3">Path to {path[path.length - 1].label}</h3>
+                    <PathComparison path={path} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LineagePanel;
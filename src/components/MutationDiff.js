@@ -0,0 +1,66 @@
+import React from 'react';
+import { GAP } from '../analysis/alignment';
+
+const LINE_WIDTH = 60;
+
+const TYPE_STYLES = {
+    substitution: 'bg-orange-900/60 border-orange-600 text-orange-200',
+    insertion: 'bg-green-900/60 border-green-600 text-green-200',
+    deletion: 'bg-red-900/60 border-red-600 text-red-200',
+};
+
+const columnClass = (a, b) => {
+    if (a === GAP) return 'text-green-300 bg-green-900/40';
+    if (b === GAP) return 'text-red-300 bg-red-900/40';
+    return a === b ? 'text-gray-400' : 'text-orange-300 bg-orange-900/40 font-bold';
+};
+
+// Alignment of a parent and child sequence in blocks, followed by the mutation list.
+const MutationDiff = ({ diff, parentLabel, childLabel }) => {
+    const { alignment, mutations } = diff;
+    const { alignedA, alignedB } = alignment;
+
+    const blocks = [];
+    for (let start = 0; start < alignedA.length; start += LINE_WIDTH) {
+        blocks.push(start);
+    }
+
+    const counts = mutations.reduce((acc, { type }) => ({ ...acc, [type]: (acc[type] || 0) + 1 }), {});
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap gap-4 text-sm text-gray-400">
+                <span>{counts.substitution || 0} substitutions</span>
+                <span>{counts.insertion || 0} insertions</span>
+                <span>{counts.deletion || 0} deletions</span>
+                <span>{(alignment.identity * 100).toFixed(1)}% identity</span>
+            </div>
+            <div className="w-full p-3 bg-gray-900 border border-gray-600 rounded-md font-mono text-xs overflow-x-auto space-y-3">
+                {blocks.map((start) => {
+                    const a = alignedA.slice(start, start + LINE_WIDTH);
+                    const b = alignedB.slice(start, start + LINE_WIDTH);
+                    return (
+                        <div key={start} className="whitespace-pre">
+                            <div><span className="inline-block w-16 text-gray-500">{parentLabel}</span>{a.split('').map((residue, index) => <span key={index} className={columnClass(residue, b[index])}>{residue}</span>)}</div>
+                            <div><span className="inline-block w-16 text-gray-500"></span>{a.split('').map((residue, index) => <span key={index} className="text-gray-600">{residue === b[index] ? '|' : ' '}</span>)}</div>
+                            <div><span className="inline-block w-16 text-gray-500">{childLabel}</span>{b.split('').map((residue, index) => <span key={index} className={columnClass(a[index], residue)}>{residue}</span>)}</div>
+                        </div>
+                    );
+                })}
+            </div>
+            {mutations.length > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                    {mutations.map((mutation) => (
+                        <span key={`${mutation.type}-${mutation.notation}`} className={`px-2 py-0.5 rounded border font-mono text-xs ${TYPE_STYLES[mutation.type]}`} title={mutation.type}>
+                            {mutation.notation}
+                        </span>
+                    ))}
+                </div>
+            ) : (
+                <p className="text-sm text-gray-400">The sequence is identical to its parent.</p>
+            )}
+        </div>
+    );
+};
+
+export default MutationDiff;
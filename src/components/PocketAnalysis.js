@@ -0,0 +1,123 @@
+import React from 'react';
+
+const inputClass = 'w-14 p-1 bg-gray-800 border border-gray-600 rounded-md text-gray-200 text-xs';
+
+const percent = (value) => `${(value * 100).toFixed(0)}%`;
+const formatPoint = ({ x, y, z }) => `${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)}`;
+const residueName = ({ chain, code, resi, icode }) => `${chain ? `${chain}:` : ''}${code}${resi}${icode}`;
+
+// Residue chips; residues aligned to the design select their position in the sequence viewer.
+const ResidueList = ({ residues, className, detail, onSelectPosition }) => (
+    <div className="flex flex-wrap gap-1 font-mono">
+        {residues.map((residue) => (
+            <button
+                key={residue.key}
+                onClick={() => residue.position && onSelectPosition(residue.position)}
+                disabled={!residue.position}
+                className={`px-1.5 py-0.5 rounded border ${className} disabled:cursor-default`}
+                title={`${residue.resn} ${residueName(residue)}${residue.position ? `, design position ${residue.position}` : ', not aligned to the design'}; exposure ${percent(residue.exposure)}`}
+            >
+                {residueName(residue)}{detail ? ` ${detail(residue)}` : ''}
+            </button>
+        ))}
+    </div>
+);
+
+const POCKET_ROWS = [
+    { label: 'Residues', value: (pocket) => pocket.residues.length },
+    { label: 'Centroid (Å)', value: (pocket) => formatPoint(pocket.centroid) },
+    { label: 'Volume estimate (Å³)', value: (pocket) => pocket.volume.toFixed(0) },
+    { label: 'Mean exposure', value: (pocket) => percent(pocket.meanExposure) },
+];
+
+// Geometry of the AI-claimed pocket and of the residues in contact with bound ligands, computed
+// from the loaded coordinates (structure/pocketGeometry.js).
+const PocketAnalysis = ({ analysis, options, onOptionsChange, onSelectPosition }) => {
+    if (!analysis) return null;
+    const { claimed, contact, comparison, ligands, nearby, unmapped } = analysis;
+
+    const setOption = (field, text) => {
+        const value = Number(text);
+        if (Number.isFinite(value) && value > 0) onOptionsChange({ ...options, [field]: value });
+    };
+
+    return (
+        <details className="mt-3 bg-gray-900 p-3 rounded-lg border border-gray-700 text-sm">
+            <summary className="cursor-pointer text-gray-300">
+                Pocket geometry{analysis.chainId ? <> on chain <span className="font-mono text-cyan-300">{analysis.chainId}</span></> : ''}
+                {comparison && <span className="text-gray-500"> · {comparison.shared.length} residue(s) shared by the AI pocket and the ligand contacts</span>}
+            </summary>
+            <div className="mt-3 space-y-3 text-xs text-gray-400">
+                <div className="flex flex-wrap items-center gap-3">
+                    <label className="flex items-center gap-1" title="Residues with an atom this close to a ligand atom form the ligand pocket">
+                        Ligand contact within
+                        <input type="number" step="0.5" min="1" value={options.contactCutoff} onChange={(e) => setOption('contactCutoff', e.target.value)} className={inputClass} /> Å
+                    </label>
+                    <label className="flex items-center gap-1" title="Residues with an atom this close to the AI pocket are listed as nearby">
+                        Nearby within
+                        <input type="number" step="0.5" min="1" value={options.nearbyCutoff} onChange={(e) => setOption('nearbyCutoff', e.target.value)} className={inputClass} /> Å
+                    </label>
+                </div>
+
+                {!claimed && !contact ? (
+                    <p>The model named no pocket residues on this chain and no ligand is bound to it.</p>
+                ) : (
+                    <table className="w-full text-left">
+                        <thead className="text-gray-500 border-b border-gray-700">
+                            <tr>
+                                <th className="py-1 pr-2"></th>
+                                <th className="py-1 pr-2 text-yellow-300">AI-claimed pocket</th>
+                                <th className="py-1 pr-2 text-violet-300">Ligand contacts</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {POCKET_ROWS.map(({ label, value }) => (
+                                <tr key={label} className="border-b border-gray-800">
+                                    <td className="py-1 pr-2">{label}</td>
+                                    <td className="py-1 pr-2 font-mono text-gray-300">{claimed ? value(claimed) : '—'}</td>
+                                    <td className="py-1 pr-2 font-mono text-gray-300">{contact ? value(contact) : '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                {unmapped.length > 0 && <p>{unmapped.length} claimed position(s) have no residue in the structure: {unmapped.join(', ')}.</p>}
+
+                {comparison && (
+                    <div className="space-y-2">
+                        <p className="text-gray-300">
+                            Overlap {percent(comparison.jaccard)} (Jaccard), centroids {comparison.centroidDistance.toFixed(1)} Å apart.
+                        </p>
+                        {comparison.claimedOnly.length > 0 && (
+                            <div>Only claimed by the AI: <ResidueList residues={comparison.claimedOnly} className="bg-yellow-900/40 border-yellow-700" onSelectPosition={onSelectPosition} /></div>
+                        )}
+                        {comparison.contactOnly.length > 0 && (
+                            <div>Only in ligand contact: <ResidueList residues={comparison.contactOnly} className="bg-violet-900/40 border-violet-700" onSelectPosition={onSelectPosition} /></div>
+                        )}
+                    </div>
+                )}
+
+                {claimed && (
+                    <div>
+                        AI-claimed residues with solvent exposure:
+                        <ResidueList residues={claimed.residues} className="bg-yellow-900/40 border-yellow-700" detail={(residue) => percent(residue.exposure)} onSelectPosition={onSelectPosition} />
+                    </div>
+                )}
+                {nearby.length > 0 && (
+                    <div>
+                        Within {options.nearbyCutoff} Å of the claimed pocket:
+                        <ResidueList residues={nearby} className="bg-gray-800 border-gray-600" detail={(residue) => `${residue.distance.toFixed(1)}Å`} onSelectPosition={onSelectPosition} />
+                    </div>
+                )}
+                <div>
+                    Ligands:{' '}
+                    {ligands.length === 0
+                        ? 'none bound to this chain.'
+                        : ligands.map(({ resn, chain, resi, atomCount, contacts }) => `${resn} ${chain ? `${chain}:` : ''}${resi} (${atomCount} atoms, ${contacts.length} contact residues)`).join(', ')}
+                </div>
+            </div>
+        </details>
+    );
+};
+
+export default PocketAnalysis;
@@ -0,0 +1,40 @@
+import React, { useRef } from 'react';
+
+// Project picker and file actions. All persistence is handled by the parent.
+const ProjectBar = ({ project, projects, onRename, onOpen, onNew, onDelete, onExport, onImport, status, disabled }) => {
+    const fileInputRef = useRef(null);
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) onImport(file);
+    };
+
+    const buttonClass = 'px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded-md text-sm transition';
+
+    return (
+        <div className="bg-gray-800/50 p-4 rounded-lg border border-gray-700 flex flex-wrap items-center gap-3">
+            <input
+                value={project.name}
+                onChange={(e) => onRename(e.target.value)}
+                disabled={disabled}
+                className="flex-1 min-w-[200px] p-2 bg-gray-900 border border-gray-600 rounded-md text-cyan-300 font-medium"
+                aria-label="Project name"
+            />
+            <select value="" onChange={(e) => e.target.value && onOpen(e.target.value)} disabled={disabled} className="p-2 bg-gray-900 border border-gray-600 rounded-md text-sm">
+                <option value="">Open project...</option>
+                {projects.filter(({ id }) => id !== project.id).map(({ id, name, updatedAt }) => (
+                    <option key={id} value={id}>{name} ({new Date(updatedAt).toLocaleString()})</option>
+                ))}
+            </select>
+            <button onClick={onNew} disabled={disabled} className={buttonClass}>New</button>
+            <button onClick={onExport} disabled={disabled} className={buttonClass}>Export</button>
+            <button onClick={() => fileInputRef.current.click()} disabled={disabled} className={buttonClass}>Import</button>
+            <button onClick={onDelete} disabled={disabled} className={`${buttonClass} text-red-300`}>Delete</button>
+            <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+            {status && <span className="w-full text-xs text-gray-500">{status}</span>}
+        </div>
+    );
+};
+
+export default ProjectBar;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { TEMPLATE_KINDS, PLACEHOLDERS, resolveTemplate, renderTemplate, validateTemplate, latestVersion, createTemplate, addTemplateVersion, describeTemplate } from '../design/promptTemplates';
+
+const selectClass = 'p-1 bg-gray-800 border border-gray-600 rounded-md text-gray-200 text-xs';
+const buttonClass = 'px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200 rounded-md';
+
+// Active prompt template per request kind, with a version picker, an editor for user templates
+// and a preview rendered from `previewValues` ({ design: values, evolve: values }).
+const PromptTemplates = ({ templates, selection, onTemplatesChange, onSelectionChange, previewValues, disabled }) => {
+    const [kind, setKind] = useState('design');
+    const [draft, setDraft] = useState(null);
+    const [note, setNote] = useState('');
+
+    const choice = selection[kind] || {};
+    const active = resolveTemplate(templates, selection, kind);
+    const template = templates.find(({ id }) => id === active.id);
+    const body = draft ?? active.body;
+    const { errors, warnings } = validateTemplate(kind, body);
+    const isDirty = draft !== null && draft !== latestVersion(template).body;
+
+    const resetDraft = () => {
+        setDraft(null);
+        setNote('');
+    };
+    const select = (id, version = null) => {
+        onSelectionChange({ ...selection, [kind]: { id, version } });
+        resetDraft();
+    };
+    const switchKind = (id) => {
+        setKind(id);
+        resetDraft();
+    };
+
+    const handleDuplicate = () => {
+        const copy = createTemplate(kind, `${active.name} (copy)`, body);
+        onTemplatesChange([...templates, copy]);
+        select(copy.id);
+    };
+
+    const handleRename = (name) => {
+        onTemplatesChange(templates.map((other) => (other.id === template.id ? { ...other, name } : other)));
+    };
+
+    const handleSave = () => {
+        onTemplatesChange(templates.map((other) => (other.id === template.id ? addTemplateVersion(other, draft, note.trim()) : other)));
+        select(template.id);
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(`Delete prompt template "${template.name}" and all its versions?`)) return;
+        onTemplatesChange(templates.filter((other) => other.id !== template.id));
+        select(templates.find((other) => other.builtIn && other.kind === kind).id);
+    };
+
+    return (
+        <details className="bg-gray-900 p-4 rounded-lg border border-gray-700">
+            <summary className="cursor-pointer text-sm text-gray-300 font-medium">
+                Prompt Templates: <span className="text-cyan-400">{describeTemplate(resolveTemplate(templates, selection, 'design'))}</span>
+                <span className="text-gray-500"> / {describeTemplate(resolveTemplate(templates, selection, 'evolve'))}</span>
+            </summary>
+            <div className="mt-4 space-y-3 text-sm text-gray-400">
+                <div className="flex gap-2 text-xs">
+                    {TEMPLATE_KINDS.map(({ id, label }) => (
+                        <button key={id} onClick={() => switchKind(id)} className={`px-3 py-1 rounded-md ${kind === id ? 'bg-cyan-700 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>{label}</button>
+                    ))}
+                </div>
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                    <select value={active.id} onChange={(e) => select(e.target.value)} disabled={disabled} className={`flex-1 min-w-0 ${selectClass}`}>
+                        {templates.filter((other) => other.kind === kind).map(({ id, name, builtIn }) => (
+                            <option key={id} value={id}>{name}{builtIn ? ' (read-only)' : ''}</option>
+                        ))}
+                    </select>
+                    <select value={(choice.id === active.id && choice.version) || ''} onChange={(e) => select(active.id, e.target.value ? Number(e.target.value) : null)} disabled={disabled} className={selectClass}>
+                        <option value="">Latest (v{latestVersion(template).version})</option>
+                        {template.versions.map(({ version, createdAt, note: versionNote }) => (
+                            <option key={version} value={version}>
+                                v{version}{createdAt ? ` · ${new Date(createdAt).toLocaleDateString()}` : ''}{versionNote ? ` · ${versionNote}` : ''}
+                            </option>
+                        ))}
+                    </select>
+                    <button onClick={handleDuplicate} disabled={disabled || errors.length > 0} className={buttonClass}>Duplicate</button>
+                    {!template.builtIn && <button onClick={handleDelete} disabled={disabled} className={buttonClass}>Delete</button>}
+                </div>
+                {!template.builtIn && (
+                    <input
+                        type="text"
+                        value={template.name}
+                        onChange={(e) => handleRename(e.target.value)}
+                        disabled={disabled}
+                        placeholder="Template name"
+                        className="w-full p-2 bg-gray-800 border border-gray-600 rounded-md text-gray-200 text-xs"
+                    />
+                )}
+                <textarea
+                    value={body}
+                    onChange={(e) => setDraft(e.target.value)}
+                    readOnly={template.builtIn}
+                    disabled={disabled}
+                    rows={10}
+                    spellCheck={false}
+                    className="w-full p-2 bg-gray-800 border border-gray-600 rounded-md text-gray-200 font-mono text-xs"
+                />
+                <p className="text-xs text-gray-500">
+                    {template.builtIn ? 'Built-in templates are read-only; duplicate one to edit it. ' : ''}
+                    Placeholders: {PLACEHOLDERS[kind].map(({ name, description }) => (
+                        <code key={name} title={description} className="mr-2 text-cyan-300">{`{{${name}}}`}</code>
+                    ))}
+                </p>
+                {(errors.length > 0 || warnings.length > 0) && (
+                    <ul className="text-xs list-disc list-inside">
+                        {errors.map((message) => <li key={message} className="text-red-300">{message}</li>)}
+                        {warnings.map((message) => <li key={message} className="text-yellow-300">{message}</li>)}
+                    </ul>
+                )}
+                {isDirty && (
+                    <div className="flex flex-wrap items-center gap-2 text-xs">
+                        <input
+                            type="text"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            placeholder="What changed (optional)"
+                            className="flex-1 min-w-0 p-1 bg-gray-800 border border-gray-600 rounded-md text-gray-200"
+                        />
+                        <button onClick={handleSave} disabled={disabled || errors.length > 0} className={buttonClass}>Save as v{latestVersion(template).version + 1}</button>
+                        <button onClick={resetDraft} className={buttonClass}>Discard</button>
+                    </div>
+                )}
+                <details className="text-xs">
+                    <summary className="cursor-pointer">Preview with current inputs</summary>
+                    <pre className="mt-2 p-2 bg-gray-800 border border-gray-700 rounded-md text-gray-300 whitespace-pre-wrap max-h-64 overflow-y-auto">{renderTemplate(body, previewValues[kind])}</pre>
+                </details>
+            </div>
+        </details>
+    );
+};
+
+export default PromptTemplates;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef, forwardRef, useImperativeHandle } from 'react';
+import { load3Dmol, isWebGLAvailable, disposeViewer } from '../structure/molViewer';
+import { REPRESENTATIONS, COLOR_SCHEMES, WATER_RESIDUES, PLDDT_BANDS, BFACTOR_GRADIENT, representationStyle, getColorStyle, bfactorColoring } from '../structure/viewerStyles';
+import { atomCode, residueSelection } from '../structure/templateMapping';
+
+const Toggle = ({ checked, onChange, label }) => (
+    <label className="flex items-center cursor-pointer">
+        <div className="relative">
+            <input type="checkbox" checked={checked} onChange={onChange} className="sr-only" />
+            <div className="block bg-gray-600 w-14 h-8 rounded-full"></div>
+            <div className={`dot absolute left-1 top-1 bg-white w-6 h-6 rounded-full transition-transform ${checked ? 'transform translate-x-full bg-cyan-400' : ''}`}></div>
+        </div>
+        <div className="ml-3 text-gray-300 font-medium">{label}</div>
+    </label>
+);
+
+const selectClass = 'p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200 text-xs';
+
+const UNAVAILABLE_MESSAGES = {
+    unsupported: 'WebGL is not available in this browser, so the 3D view is disabled.',
+    error: 'The 3D viewer failed to load.',
+};
+
+// 3Dmol.js viewer component. The ref exposes `snapshot()` (PNG data URI or null) for reports.
+// `parsedStructure` is parseStructure(structure). `rangeSelection` highlights the residues
+// selected in the sequence viewer; `onResidueClick` receives { chain, resi, icode } for every
+// clicked atom, with blank codes as ''. `ligandPocketSelection` is the pocket computed from ligand
+// contacts, drawn as a surface next to the AI pocket; `pocketCentroids` holds { claimed, ligand }
+// centre points of both.
+const ProteinViewer = forwardRef(({ structure, parsedStructure, chainIds = [], pocketSelection, ligandPocketSelection, pocketCentroids, mutationSelection, rangeSelection, onResidueClick, onLoadFile }, ref) => {
+    const viewerRef = useRef(null);
+    const glviewer = useRef(null);
+    const fileInputRef = useRef(null);
+    const lastStructure = useRef(null);
+    const [isDragging, setIsDragging] = useState(false);
+    const [highlight, setHighlight] = useState(false);
+    const [highlightLigandPocket, setHighlightLigandPocket] = useState(false);
+    const [highlightMutations, setHighlightMutations] = useState(true);
+    const [representation, setRepresentation] = useState('cartoon');
+    const [colorScheme, setColorScheme] = useState('spectrum');
+    const [hiddenChains, setHiddenChains] = useState([]);
+    const [showLigands, setShowLigands] = useState(true);
+    const [showWaters, setShowWaters] = useState(false);
+    const [labelledResidue, setLabelledResidue] = useState(null);
+    const [viewerStatus, setViewerStatus] = useState('loading');
+    const libraryRef = useRef(null);
+    // The click handler is registered once per render of the scene; read the latest callback.
+    const residueClickRef = useRef(onResidueClick);
+    residueClickRef.current = onResidueClick;
+    const bfactor = useMemo(() => (parsedStructure ? bfactorColoring(parsedStructure) : null), [parsedStructure]);
+    const hasInsertionCodes = useMemo(
+        () => Boolean(parsedStructure) && parsedStructure.chains.some(({ residues }) => residues.some(({ icode }) => icode)),
+        [parsedStructure]
+    );
+
+    // Chain visibility and labels refer to the previous structure; reset them when it changes.
+    useEffect(() => {
+        setHiddenChains([]);
+        setLabelledResidue(null);
+    }, [structure]);
+
+    const renderStructure = useCallback(() => {
+        const viewer = glviewer.current;
+        if (!viewer) return;
+        viewer.clear();
+        viewer.removeAllSurfaces();
+        viewer.removeAllLabels();
+        if (structure) {
+            viewer.addModel(structure.data, structure.format);
+            viewer.setStyle({}, {});
+
+            const polymer = { hetflag: false };
+            if (representation === 'surface') {
+                viewer.setStyle(polymer, { cartoon: { color: 'white', opacity: 0.5 } });
+                const surfaceSelection = hiddenChains.length > 0 ? { ...polymer, not: { chain: hiddenChains } } : polymer;
+                viewer.addSurface(libraryRef.current.SurfaceType.VDW, { opacity: 0.85, ...getColorStyle(colorScheme, bfactor) }, surfaceSelection);
+            } else {
+                viewer.setStyle(polymer, representationStyle(representation, colorScheme, bfactor));
+            }
+
+            if (showLigands) {
+                viewer.addStyle({ hetflag: true, not: { resn: WATER_RESIDUES } }, { stick: { colorscheme: 'greenCarbon', radius: 0.25 } });
+            }
+            if (showWaters) {
+                viewer.addStyle({ resn: WATER_RESIDUES }, { sphere: { color: 'red', radius: 0.3 } });
+            }
+
+            if (highlight && pocketSelection) {
+                const sel = pocketSelection;
+                viewer.addStyle(sel, { stick: { colorscheme: 'yellowCarbon', radius: 0.2 } });
+                viewer.addStyle(sel, { sphere: { color: 'yellow', radius: 0.5, alpha: 0.7 } });
+                if (pocketCentroids && pocketCentroids.claimed) viewer.addSphere({ center: pocketCentroids.claimed, radius: 1.0, color: 'yellow' });
+            }
+
+            if (highlightLigandPocket && ligandPocketSelection) {
+                viewer.addSurface(libraryRef.current.SurfaceType.VDW, { color: '#a78bfa', opacity: 0.55 }, ligandPocketSelection);
+                if (pocketCentroids && pocketCentroids.ligand) viewer.addSphere({ center: pocketCentroids.ligand, radius: 1.0, color: '#8b5cf6' });
+            }
+
+            if (highlightMutations && mutationSelection) {
+                const sel = mutationSelection;
+                viewer.addStyle(sel, { stick: { colorscheme: 'orangeCarbon', radius: 0.25 } });
+                viewer.addStyle(sel, { sphere: { color: 'orange', radius: 0.6, alpha: 0.8 } });
+            }
+
+            if (rangeSelection) {
+                viewer.addStyle(rangeSelection, { stick: { colorscheme: 'cyanCarbon', radius: 0.3 } });
+            }
+
+            if (labelledResidue) {
+                const sel = residueSelection([labelledResidue], { hasInsertionCodes });
+                const anchor = viewer.selectedAtoms({ ...sel, atom: 'CA' })[0] || viewer.selectedAtoms(sel)[0];
+                if (anchor) {
+                    viewer.addStyle(sel, { stick: { colorscheme: 'magentaCarbon', radius: 0.25 } });
+                    viewer.addLabel(`${labelledResidue.resn} ${labelledResidue.chain ? `${labelledResidue.chain}:` : ''}${labelledResidue.resi}${labelledResidue.icode}`, {
+                        position: anchor, backgroundColor: 'black', backgroundOpacity: 0.7, fontColor: 'white', fontSize: 12,
+                    });
+                }
+            }
+
+            if (hiddenChains.length > 0) viewer.setStyle({ chain: hiddenChains }, {});
+
+            viewer.setClickable({}, true, (atom) => {
+                const residue = { chain: atomCode(atom.chain), resi: atom.resi, icode: atomCode(atom.icode) };
+                setLabelledResidue({ ...residue, resn: atom.resn });
+                if (residueClickRef.current) residueClickRef.current(residue);
+            });
+
+            // Keep the camera when only the styling changes.
+            if (lastStructure.current !== structure) {
+                viewer.zoomTo();
+                lastStructure.current = structure;
+            }
+            viewer.render();
+        } else {
+            lastStructure.current = null;
+            viewer.addSphere({center:{x:0,y:0,z:0},radius:10.0,color:'rgba(55, 65, 81, 0.5)'});
+            viewer.zoomTo();
+            viewer.render();
+        }
+    }, [structure, highlight, pocketSelection, highlightLigandPocket, ligandPocketSelection, pocketCentroids, highlightMutations, mutationSelection, rangeSelection, representation, colorScheme, bfactor, hiddenChains, showLigands, showWaters, labelledResidue, hasInsertionCodes]);
+
+    useEffect(() => {
+        if (!isWebGLAvailable()) {
+            setViewerStatus('unsupported');
+            return undefined;
+        }
+        let cancelled = false;
+        load3Dmol()
+            .then(($3Dmol) => {
+                if (cancelled || !viewerRef.current) return;
+                libraryRef.current = $3Dmol;
+                glviewer.current = $3Dmol.createViewer(viewerRef.current, {
+                    defaultcolors: $3Dmol.rasmolElementColors
+                });
+                setViewerStatus('ready');
+            })
+            .catch((error) => {
+                console.error("Failed to load 3Dmol:", error);
+                if (!cancelled) setViewerStatus('error');
+            });
+        return () => {
+            cancelled = true;
+            if (glviewer.current) {
+                disposeViewer(glviewer.current);
+                glviewer.current = null;
+            }
+            lastStructure.current = null;
+        };
+    }, []);
+
+    useEffect(() => {
+        if (viewerStatus !== 'ready' || typeof ResizeObserver === 'undefined') return undefined;
+        const observer = new ResizeObserver(() => {
+            if (glviewer.current) glviewer.current.resize();
+        });
+        observer.observe(viewerRef.current);
+        return () => observer.disconnect();
+    }, [viewerStatus]);
+
+    useEffect(() => {
+        renderStructure();
+    }, [viewerStatus, renderStructure]);
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        const file = e.dataTransfer.files[0];
+        if (file && onLoadFile) onLoadFile(file);
+    };
+
+    const handleFileInput = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file && onLoadFile) onLoadFile(file);
+    };
+
+    const toggleChain = (chain) => setHiddenChains((current) => (
+        current.includes(chain) ? current.filter((id) => id !== chain) : [...current, chain]
+    ));
+
+    useImperativeHandle(ref, () => ({
+        snapshot: () => (glviewer.current && viewerStatus === 'ready' && structure ? glviewer.current.pngURI() : null),
+    }), [viewerStatus, structure]);
+
+    const handleSnapshot = () => {
+        if (!glviewer.current) return;
+        const link = document.createElement('a');
+        link.href = glviewer.current.pngURI();
+        link.download = `${structure ? structure.id : 'structure'}-view.png`;
+        link.click();
+    };
+
+    return (
+        <div className="w-full h-full flex flex-col">
+            {structure && (
+                <div className="flex flex-wrap items-center gap-3 mb-3 text-xs text-gray-400">
+                    <label className="flex items-center gap-1">
+                        Style
+                        <select value={representation} onChange={(e) => setRepresentation(e.target.value)} className={selectClass}>
+                            {REPRESENTATIONS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex items-center gap-1">
+                        Color
+                        <select value={colorScheme} onChange={(e) => setColorScheme(e.target.value)} className={selectClass}>
+                            {COLOR_SCHEMES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                        </select>
+                    </label>
+                    {chainIds.length > 1 && (
+                        <span className="flex items-center gap-1">
+                            Chains
+                            {chainIds.map((chain) => (
+                                <button
+                                    key={chain}
+                                    onClick={() => toggleChain(chain)}
+                                    className={`px-2 py-0.5 rounded font-mono ${hiddenChains.includes(chain) ? 'bg-gray-800 text-gray-600 line-through' : 'bg-gray-700 text-gray-200'}`}
+                                >
+                                    {chain}
+                                </button>
+                            ))}
+                        </span>
+                    )}
+                    <label className="flex items-center gap-1"><input type="checkbox" checked={showLigands} onChange={() => setShowLigands(!showLigands)} /> Ligands</label>
+                    <label className="flex items-center gap-1"><input type="checkbox" checked={showWaters} onChange={() => setShowWaters(!showWaters)} /> Waters</label>
+                    <button onClick={handleSnapshot} disabled={viewerStatus !== 'ready'} className="ml-auto disabled:opacity-50 px-3 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-md">Snapshot PNG</button>
+                </div>
+            )}
+            <div
+                ref={viewerRef}
+                onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+                className={`flex-grow min-h-[400px] relative bg-gray-900 rounded-lg border ${isDragging ? 'border-cyan-400 border-dashed' : 'border-gray-700'}`}
+            >
+                {UNAVAILABLE_MESSAGES[viewerStatus] ? (
+                    <div className="absolute inset-0 flex flex-col items-center justify-center text-gray-400 text-center px-4 space-y-2">
+                        <span>{UNAVAILABLE_MESSAGES[viewerStatus]}</span>
+                        {structure && <span className="text-sm text-gray-500">Structure {structure.id} is loaded; residue mapping and analysis still work.</span>}
+                    </div>
+                ) : !structure && (
+                     <div className="absolute inset-0 flex items-center justify-center text-gray-400 text-center px-4">
+                        3D structure will be displayed here. Drop a .pdb or .cif file (including AlphaFold/ESMFold output) to load it.
+                    </div>
+                )}
+            </div>
+            {bfactor && colorScheme === 'bfactor' && (bfactor.predicted ? (
+                <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-400">
+                    <span>Predicted model, pLDDT:</span>
+                    {PLDDT_BANDS.map(({ color, label }) => (
+                        <span key={label} className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }}></span>{label}</span>
+                    ))}
+                </div>
+            ) : (
+                <div className="flex items-center gap-2 mt-2 text-xs text-gray-400">
+                    <span>B-factor (Å²): {bfactor.min.toFixed(1)} rigid</span>
+                    <span className="inline-block w-32 h-3 rounded-sm" style={{ background: `linear-gradient(to right, ${BFACTOR_GRADIENT.join(', ')})` }}></span>
+                    <span>{bfactor.max.toFixed(1)} mobile</span>
+                </div>
+            ))}
+            <div className="flex justify-between items-center mt-2 text-xs text-gray-500">
+                <span>
+                    {structure ? `${structure.id} (${structure.format.toUpperCase()}, ${structure.source})` : ''}
+                    {labelledResidue && (
+                        <button onClick={() => setLabelledResidue(null)} className="ml-3 text-gray-400 hover:text-gray-200" title="Clear label">
+                            Labelled {labelledResidue.resn} {labelledResidue.resi}{labelledResidue.icode} ✕
+                        </button>
+                    )}
+                </span>
+                <button onClick={() => fileInputRef.current.click()} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-md">Load structure file</button>
+                <input ref={fileInputRef} type="file" accept=".pdb,.ent,.cif,.mmcif" onChange={handleFileInput} className="hidden" />
+            </div>
+            {structure && (pocketSelection || ligandPocketSelection || mutationSelection) && (
+                <div className="flex flex-wrap justify-center items-center gap-6 mt-4">
+                    {pocketSelection && <Toggle checked={highlight} onChange={() => setHighlight(!highlight)} label="Highlight Binding Pocket" />}
+                    {ligandPocketSelection && <Toggle checked={highlightLigandPocket} onChange={() => setHighlightLigandPocket(!highlightLigandPocket)} label="Highlight Ligand Pocket" />}
+                    {mutationSelection && <Toggle checked={highlightMutations} onChange={() => setHighlightMutations(!highlightMutations)} label="Highlight Mutations" />}
+                </div>
+            )}
+        </div>
+    );
+});
+
+export default ProteinViewer;
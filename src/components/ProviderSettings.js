@@ -0,0 +1,51 @@
+import React from 'react';
+import { PROVIDERS } from '../providers';
+
+const FIELD_LABELS = {
+    baseUrl: 'Base URL',
+    model: 'Model',
+    apiKey: 'API Key',
+};
+
+// Model backend selector. Settings are kept per provider so switching back and forth keeps them.
+const ProviderSettings = ({ config, onChange, disabled }) => {
+    const { provider } = config;
+    const options = config.options[provider] || {};
+
+    const setProvider = (id) => onChange({ ...config, provider: id });
+    const setOption = (field, value) => onChange({
+        ...config,
+        options: { ...config.options, [provider]: { ...options, [field]: value } },
+    });
+
+    return (
+        <details className="bg-gray-900 p-4 rounded-lg border border-gray-700">
+            <summary className="cursor-pointer text-sm text-gray-300 font-medium">
+                Model Provider: <span className="text-cyan-400">{PROVIDERS[provider].label}</span>
+                {options.model && <span className="text-gray-500"> ({options.model})</span>}
+            </summary>
+            <div className="mt-4 space-y-3">
+                <select value={provider} onChange={(e) => setProvider(e.target.value)} disabled={disabled} className="w-full p-2 bg-gray-800 border border-gray-600 rounded-md text-sm">
+                    {Object.entries(PROVIDERS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+                {PROVIDERS[provider].fields.map((field) => (
+                    <label key={field} className="block text-sm text-gray-400">
+                        {FIELD_LABELS[field]}
+                        <input
+                            type={field === 'apiKey' ? 'password' : 'text'}
+                            value={options[field] || ''}
+                            onChange={(e) => setOption(field, e.target.value)}
+                            disabled={disabled}
+                            className="mt-1 w-full p-2 bg-gray-800 border border-gray-600 rounded-md text-gray-200 font-mono text-xs"
+                        />
+                    </label>
+                ))}
+                {provider === 'mock' && <p className="text-xs text-gray-500">Returns deterministic canned designs without any network calls.</p>}
+                {(provider === 'gemini' || provider === 'openai') && <p className="text-xs text-yellow-300">Calls the model straight from the browser, so the API key is stored and visible here. Use this for local development only; deployments should use the Protieno server.</p>}
+                {provider === 'server' && <p className="text-xs text-gray-500">Sends requests to the backend in <code>server/</code>, which holds the model credentials. The API key field is only needed when the server requires access tokens.</p>}
+            </div>
+        </details>
+    );
+};
+
+export default ProviderSettings;
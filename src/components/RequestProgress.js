@@ -0,0 +1,45 @@
+import React from 'react';
+
+const TONES = {
+    info: 'text-gray-400',
+    success: 'text-green-400',
+    warning: 'text-yellow-300',
+    error: 'text-red-400',
+};
+
+const LogList = ({ log }) => (
+    <ol className="space-y-0.5 font-mono text-xs max-h-40 overflow-y-auto">
+        {log.map((entry, index) => (
+            <li key={index} className={TONES[entry.tone] || TONES.info}>
+                <span className="text-gray-600">{entry.time}</span> {entry.message}
+            </li>
+        ))}
+    </ol>
+);
+
+// Live view of the running design/evolve request: streamed analysis, status log and cancel.
+// After the request ends only the log is kept, folded away.
+const RequestProgress = ({ running, analysis, log, onCancel }) => {
+    if (!running) {
+        if (log.length === 0) return null;
+        return (
+            <details className="bg-gray-900 p-3 rounded-lg border border-gray-700">
+                <summary className="cursor-pointer text-sm text-gray-400">Last request log ({log.length} entries)</summary>
+                <div className="mt-2"><LogList log={log} /></div>
+            </details>
+        );
+    }
+
+    return (
+        <div className="bg-gray-900 p-3 rounded-lg border border-cyan-800 space-y-3">
+            <div className="flex justify-between items-center">
+                <span className="text-sm text-cyan-300 animate-pulse">Waiting for the model...</span>
+                <button onClick={onCancel} className="px-3 py-1 text-sm bg-red-800 hover:bg-red-700 text-gray-200 rounded-md">Cancel</button>
+            </div>
+            {analysis && <p className="text-sm text-gray-300 italic whitespace-pre-line">{analysis}</p>}
+            <LogList log={log} />
+        </div>
+    );
+};
+
+export default RequestProgress;
@@ -0,0 +1,57 @@
+import React from 'react';
+
+const WIDTH = 480;
+const HEIGHT = 180;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 48 };
+
+const SERIES = [
+    { key: 'best', label: 'Round best', color: '#22d3ee' },
+    { key: 'mean', label: 'Round mean', color: '#a78bfa' },
+];
+
+// Line chart of the objective value per round. Plain SVG; points without a value are skipped.
+const RoundChart = ({ rounds, unitLabel }) => {
+    const values = rounds.flatMap((round) => SERIES.map(({ key }) => round[key])).filter((value) => value !== null);
+    if (values.length === 0) return null;
+
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const lastRound = Math.max(rounds[rounds.length - 1].round, 1);
+    const x = (round) => PADDING.left + (round / lastRound) * (WIDTH - PADDING.left - PADDING.right);
+    const y = (value) => PADDING.top + (1 - (value - min) / (max - min)) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full bg-gray-900 rounded-lg border border-gray-700">
+                <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={HEIGHT - PADDING.bottom} stroke="#4b5563" />
+                <line x1={PADDING.left} y1={HEIGHT - PADDING.bottom} x2={WIDTH - PADDING.right} y2={HEIGHT - PADDING.bottom} stroke="#4b5563" />
+                <text x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end" fontSize="10" fill="#9ca3af">{max.toFixed(2)}</text>
+                <text x={PADDING.left - 6} y={HEIGHT - PADDING.bottom} textAnchor="end" fontSize="10" fill="#9ca3af">{min.toFixed(2)}</text>
+                {rounds.map(({ round }) => (
+                    <text key={round} x={x(round)} y={HEIGHT - 8} textAnchor="middle" fontSize="10" fill="#9ca3af">{round}</text>
+                ))}
+                {SERIES.map(({ key, color }) => {
+                    const points = rounds.filter((round) => round[key] !== null);
+                    return (
+                        <g key={key}>
+                            <polyline fill="none" stroke={color} strokeWidth="2" points={points.map((round) => `${x(round.round)},${y(round[key])}`).join(' ')} />
+                            {points.map((round) => <circle key={round.round} cx={x(round.round)} cy={y(round[key])} r="3" fill={color} />)}
+                        </g>
+                    );
+                })}
+            </svg>
+            <div className="flex gap-4 mt-1 text-xs text-gray-400">
+                {SERIES.map(({ key, label, color }) => (
+                    <span key={key} className="flex items-center gap-1"><span className="inline-block w-3 h-0.5" style={{ backgroundColor: color }}></span>{label}</span>
+                ))}
+                <span className="ml-auto">x: round, y: {unitLabel}</span>
+            </div>
+        </div>
+    );
+};
+
+export default RoundChart;
@@ -0,0 +1,93 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { parseSequenceInput, structureChainRecords, validateImportedSequence, describeSource } from '../design/sequenceImport';
+
+// "Start from sequence": pasted FASTA/raw sequence, a FASTA file or a chain of the loaded structure.
+const SequenceImport = ({ structure, parsedStructure, disabled, onImport }) => {
+    const [text, setText] = useState('');
+    const [recordIndex, setRecordIndex] = useState(0);
+    const [fromStructure, setFromStructure] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const chainRecords = useMemo(
+        () => (structure && parsedStructure ? structureChainRecords(structure, parsedStructure) : []),
+        [structure, parsedStructure]
+    );
+    const records = fromStructure ? chainRecords : parseSequenceInput(text);
+    const record = records[Math.min(recordIndex, records.length - 1)] || null;
+    const errors = record ? validateImportedSequence(record.sequence) : [];
+
+    const handleText = (value) => {
+        setText(value);
+        setFromStructure(false);
+        setRecordIndex(0);
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) handleText(await file.text());
+    };
+
+    const handleUseStructure = () => {
+        setFromStructure(true);
+        setRecordIndex(0);
+    };
+
+    return (
+        <details className="bg-gray-900 p-3 rounded-lg border border-gray-700">
+            <summary className="cursor-pointer text-sm text-gray-300 font-medium">Or start from an existing sequence</summary>
+            <div className="mt-3 space-y-3 text-sm text-gray-400">
+                <textarea
+                    value={fromStructure ? '' : text}
+                    onChange={(e) => handleText(e.target.value)}
+                    rows={4}
+                    placeholder="Paste a FASTA record (e.g. from UniProt) or a plain amino-acid sequence"
+                    disabled={disabled}
+                    className="w-full p-2 bg-gray-900 border border-gray-600 rounded-md text-gray-200 font-mono text-xs"
+                />
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                    <button onClick={() => fileInputRef.current.click()} disabled={disabled} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200 rounded-md">Load FASTA file</button>
+                    <input ref={fileInputRef} type="file" accept=".fasta,.fa,.faa,.fas,.txt" onChange={handleFile} className="hidden" />
+                    <button
+                        onClick={handleUseStructure}
+                        disabled={disabled || chainRecords.length === 0}
+                        title={chainRecords.length === 0 ? 'Load or select a structure first' : ''}
+                        className="px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200 rounded-md"
+                    >
+                        Use chain of {structure ? structure.id : 'loaded structure'}
+                    </button>
+                    {records.length > 1 && (
+                        <select
+                            value={recordIndex}
+                            onChange={(e) => setRecordIndex(Number(e.target.value))}
+                            className="flex-1 min-w-0 p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200"
+                        >
+                            {records.map(({ source, sequence }, index) => (
+                                <option key={index} value={index}>{source.id} ({sequence.length} aa)</option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+                {record && (
+                    <div className="space-y-2">
+                        <p className="text-xs text-gray-300">{describeSource(record.source)} · {record.sequence.length} aa</p>
+                        {errors.length > 0 && (
+                            <ul className="text-xs text-red-300 list-disc list-inside">
+                                {errors.map((message) => <li key={message}>{message}</li>)}
+                            </ul>
+                        )}
+                        <button
+                            onClick={() => onImport(record)}
+                            disabled={disabled || errors.length > 0}
+                            className="w-full bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-lg transition"
+                        >
+                            Use as Starting Design
+                        </button>
+                    </div>
+                )}
+            </div>
+        </details>
+    );
+};
+
+export default SequenceImport;
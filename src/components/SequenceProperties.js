@@ -0,0 +1,69 @@
+import React, { useMemo, useState } from 'react';
+import { computeSequenceProperties } from '../analysis/properties';
+
+const Tile = ({ label, value, hint, tone = 'text-gray-200' }) => (
+    <div className="bg-gray-900 p-3 rounded-lg border border-gray-700" title={hint}>
+        <div className="text-xs text-gray-400">{label}</div>
+        <div className={`text-lg font-bold ${tone}`}>{value}</div>
+    </div>
+);
+
+// Locally computed ProtParam-style properties, shown next to the AI-claimed metrics.
+const SequenceProperties = ({ sequence }) => {
+    const [pH, setPH] = useState(7.0);
+    const properties = useMemo(() => computeSequenceProperties(sequence, { pH }), [sequence, pH]);
+
+    const composition = Object.entries(properties.composition).sort((a, b) => b[1].count - a[1].count);
+    const maxPercent = Math.max(...composition.map(([, { percent }]) => percent), 1);
+
+    return (
+        <div className="space-y-3">
+            <div className="flex justify-between items-center">
+                <h4 className="text-sm font-medium text-gray-300">Computed from Sequence</h4>
+                <label className="text-xs text-gray-400 flex items-center gap-2">
+                    pH
+                    <input
+                        type="number"
+                        min="0"
+                        max="14"
+                        step="0.1"
+                        value={pH}
+                        onChange={(e) => setPH(Math.min(14, Math.max(0, Number(e.target.value) || 0)))}
+                        className="w-16 p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200"
+                    />
+                </label>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-center">
+                <Tile label="Mol. Weight" value={`${(properties.molecularWeight / 1000).toFixed(2)} kDa`} hint={`${properties.length} residues`} />
+                <Tile label="Theoretical pI" value={properties.isoelectricPoint.toFixed(2)} />
+                <Tile label={`Net Charge (pH ${pH})`} value={properties.netCharge.toFixed(2)} />
+                <Tile label="Ext. Coeff. 280 nm" value={properties.extinctionCoefficient.cystinesFormed.toLocaleString()} hint={`M⁻¹cm⁻¹, all Cys as cystines. Reduced: ${properties.extinctionCoefficient.reduced.toLocaleString()}. Abs 0.1%: ${properties.absorbance01Percent.toFixed(3)}`} />
+                <Tile label="GRAVY" value={properties.gravy.toFixed(3)} hint="Grand average of hydropathy (Kyte-Doolittle)" />
+                <Tile
+                    label="Instability Index"
+                    value={properties.instabilityIndex.toFixed(1)}
+                    tone={properties.isStable ? 'text-green-400' : 'text-red-400'}
+                    hint={properties.isStable ? 'Predicted stable (< 40)' : 'Predicted unstable (>= 40)'}
+                />
+                <Tile label="Aliphatic Index" value={properties.aliphaticIndex.toFixed(1)} />
+                <Tile label="Length" value={properties.length} />
+            </div>
+            <details className="text-xs text-gray-400">
+                <summary className="cursor-pointer">Amino-acid composition</summary>
+                <div className="mt-2 grid grid-cols-2 gap-x-4 gap-y-1 font-mono">
+                    {composition.map(([residue, { count, percent }]) => (
+                        <div key={residue} className="flex items-center gap-2">
+                            <span className="w-4 text-gray-200">{residue}</span>
+                            <div className="flex-1 bg-gray-800 rounded h-2">
+                                <div className="bg-cyan-600 h-2 rounded" style={{ width: `${(percent / maxPercent) * 100}%` }}></div>
+                            </div>
+                            <span className="w-20 text-right">{count} ({percent.toFixed(1)}%)</span>
+                        </div>
+                    ))}
+                </div>
+            </details>
+        </div>
+    );
+};
+
+export default SequenceProperties;
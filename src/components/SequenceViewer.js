@@ -0,0 +1,204 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { RESIDUE_CLASSES, residueClass, hydropathyProfile, predictSecondaryStructure } from '../analysis/sequenceTracks';
+
+const LINE_WIDTH = 60;
+const HYDROPATHY_WINDOWS = [5, 9, 13, 19];
+const HYDROPATHY_SCALE = 4.5;
+
+const CLASS_COLORS = {
+    hydrophobic: 'text-sky-300',
+    aromatic: 'text-purple-300',
+    positive: 'text-blue-400',
+    negative: 'text-red-400',
+    polar: 'text-green-300',
+    special: 'text-yellow-300',
+};
+
+const STRUCTURE_COLORS = { H: '#f87171', E: '#facc15', T: '#4ade80' };
+const STRUCTURE_LABELS = { H: 'Helix', E: 'Strand', T: 'Turn', C: 'Coil' };
+
+// "         10        20" for a line starting at `start` (1-based).
+const rulerText = (start, length) => {
+    const cells = Array(length).fill(' ');
+    for (let position = Math.ceil(start / 10) * 10; position < start + length; position += 10) {
+        const label = String(position);
+        const end = position - start;
+        for (let i = 0; i < label.length && end - i >= 0; i++) cells[end - i] = label[label.length - 1 - i];
+    }
+    return cells.join('');
+};
+
+// Column under the pointer for a track drawn across `count` residues.
+const columnAt = (event, count) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    return Math.min(count - 1, Math.max(0, Math.floor(((event.clientX - rect.left) / rect.width) * count)));
+};
+
+const Track = ({ label, count, height, onPointer, children }) => (
+    <div className="flex items-center">
+        <span className="w-14 shrink-0 pr-2 text-right text-[10px] text-gray-600">{label}</span>
+        <svg
+            viewBox={`0 0 ${count} ${height}`}
+            preserveAspectRatio="none"
+            style={{ width: `${count}ch`, height: `${height}px` }}
+            onMouseDown={(e) => onPointer(e, columnAt(e, count), true)}
+            onMouseMove={(e) => onPointer(e, columnAt(e, count), false)}
+            className="cursor-crosshair"
+        >
+            {children}
+        </svg>
+    </div>
+);
+
+// Translucent band over the part of the selection that falls on this line.
+const SelectionOverlay = ({ selection, start, count, height }) => {
+    const from = Math.max(selection.start, start) - start;
+    const to = Math.min(selection.end, start + count - 1) - start;
+    if (to < from) return null;
+    return <rect x={from} width={to - from + 1} y="0" height={height} fill="#06b6d4" fillOpacity="0.25" />;
+};
+
+// Sequence in numbered lines with residue colouring, hydropathy, predicted secondary structure and
+// pocket tracks. Dragging over residues or tracks selects a range; `focus` ({ position }) scrolls
+// to a residue, e.g. one clicked in the 3D viewer.
+const SequenceViewer = ({ sequence, pocketResidues, mutatedPositions, selection, onSelectionChange, focus }) => {
+    const [colorByClass, setColorByClass] = useState(true);
+    const [hydropathyWindow, setHydropathyWindow] = useState(9);
+    const anchor = useRef(null);
+    const lineRefs = useRef([]);
+
+    const hydropathy = useMemo(() => hydropathyProfile(sequence, hydropathyWindow), [sequence, hydropathyWindow]);
+    const structure = useMemo(() => predictSecondaryStructure(sequence), [sequence]);
+    const pocket = useMemo(() => new Set(pocketResidues), [pocketResidues]);
+    const structureShares = useMemo(() => ['H', 'E'].map((state) => (
+        `${STRUCTURE_LABELS[state].toLowerCase()} ${((structure.split(state).length - 1) / Math.max(1, structure.length) * 100).toFixed(0)}%`
+    )).join(', '), [structure]);
+
+    useEffect(() => {
+        const stop = () => { anchor.current = null; };
+        window.addEventListener('mouseup', stop);
+        return () => window.removeEventListener('mouseup', stop);
+    }, []);
+
+    useEffect(() => {
+        if (!focus) return;
+        const line = lineRefs.current[Math.floor((focus.position - 1) / LINE_WIDTH)];
+        if (line) line.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, [focus]);
+
+    const handlePointer = (event, position, starting) => {
+        if (starting) {
+            event.preventDefault();
+            anchor.current = position;
+        } else if (anchor.current === null || event.buttons !== 1) {
+            return;
+        }
+        onSelectionChange({ start: Math.min(anchor.current, position), end: Math.max(anchor.current, position) });
+    };
+
+    const inSelection = (position) => selection && position >= selection.start && position <= selection.end;
+
+    const lines = [];
+    for (let start = 1; start <= sequence.length; start += LINE_WIDTH) lines.push(start);
+
+    return (
+        <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-4 text-xs text-gray-400">
+                <label className="flex items-center gap-1"><input type="checkbox" checked={colorByClass} onChange={() => setColorByClass(!colorByClass)} /> Colour by property</label>
+                <label className="flex items-center gap-1">
+                    Hydropathy window
+                    <select value={hydropathyWindow} onChange={(e) => setHydropathyWindow(Number(e.target.value))} className="p-1 bg-gray-900 border border-gray-600 rounded-md text-gray-200 text-xs">
+                        {HYDROPATHY_WINDOWS.map((size) => <option key={size} value={size}>{size}</option>)}
+                    </select>
+                </label>
+                <span title="Simplified Chou-Fasman prediction from the sequence alone">Predicted {structureShares}</span>
+                {selection ? (
+                    <span className="ml-auto text-cyan-300">
+                        Selected {selection.start}{selection.end !== selection.start ? `–${selection.end}` : ''} ({sequence.slice(selection.start - 1, selection.end)})
+                        <button onClick={() => onSelectionChange(null)} className="ml-2 text-gray-400 hover:text-gray-200" title="Clear selection">✕</button>
+                    </span>
+                ) : (
+                    <span className="ml-auto text-gray-500">Drag over residues or tracks to select a range.</span>
+                )}
+            </div>
+            {(colorByClass || mutatedPositions.size > 0) && (
+                <div className="flex flex-wrap gap-3 text-xs">
+                    {colorByClass && RESIDUE_CLASSES.map(({ id, label, residues }) => (
+                        <span key={id} className={`font-mono ${CLASS_COLORS[id]}`} title={residues}>{label}</span>
+                    ))}
+                    {mutatedPositions.size > 0 && <span className="text-orange-300">Mutated residues are underlined.</span>}
+                </div>
+            )}
+            <div className="w-full p-3 bg-gray-900 border border-gray-600 rounded-md font-mono text-sm overflow-x-auto max-h-[32rem] overflow-y-auto select-none space-y-3">
+                {lines.map((start, lineIndex) => {
+                    const count = Math.min(LINE_WIDTH, sequence.length - start + 1);
+                    const positions = Array.from({ length: count }, (_, offset) => start + offset);
+                    return (
+                        <div key={start} ref={(element) => { lineRefs.current[lineIndex] = element; }}>
+                            <div className="flex text-gray-600 whitespace-pre">
+                                <span className="w-14 shrink-0"></span>{rulerText(start, count)}
+                            </div>
+                            <div className="flex whitespace-pre">
+                                <span className="w-14 shrink-0 pr-2 text-right text-xs text-gray-500 leading-5">{start}</span>
+                                {positions.map((position) => {
+                                    const residue = sequence[position - 1];
+                                    const classes = [
+                                        inSelection(position) ? 'bg-cyan-700 text-white' : (colorByClass && CLASS_COLORS[residueClass(residue)]) || 'text-gray-300',
+                                        mutatedPositions.has(position) ? 'underline decoration-orange-400 decoration-2 font-bold' : '',
+                                        focus && focus.position === position ? 'ring-1 ring-fuchsia-400' : '',
+                                    ].join(' ');
+                                    return (
+                                        <span
+                                            key={position}
+                                            className={`cursor-pointer ${classes}`}
+                                            title={`${residue}${position}`}
+                                            onMouseDown={(e) => handlePointer(e, position, true)}
+                                            onMouseEnter={(e) => handlePointer(e, position, false)}
+                                        >
+                                            {residue}
+                                        </span>
+                                    );
+                                })}
+                            </div>
+                            <Track label="KD" count={count} height={20} onPointer={(e, column, starting) => handlePointer(e, start + column, starting)}>
+                                <line x1="0" x2={count} y1="10" y2="10" stroke="#4b5563" strokeWidth="0.05" />
+                                {positions.map((position, column) => {
+                                    const value = hydropathy[position - 1];
+                                    const height = Math.min(1, Math.abs(value) / HYDROPATHY_SCALE) * 10;
+                                    return <rect key={position} x={column + 0.1} width="0.8" y={value > 0 ? 10 - height : 10} height={height} fill={value > 0 ? '#fb923c' : '#38bdf8'} />;
+                                })}
+                                {selection && <SelectionOverlay selection={selection} start={start} count={count} height={20} />}
+                            </Track>
+                            <Track label="SS" count={count} height={8} onPointer={(e, column, starting) => handlePointer(e, start + column, starting)}>
+                                {positions.map((position, column) => {
+                                    const state = structure[position - 1];
+                                    return STRUCTURE_COLORS[state]
+                                        ? <rect key={position} x={column} width="1" y={state === 'T' ? 2 : 0} height={state === 'T' ? 4 : 8} fill={STRUCTURE_COLORS[state]}><title>{`${position}: ${STRUCTURE_LABELS[state]}`}</title></rect>
+                                        : <rect key={position} x={column} width="1" y="3.5" height="1" fill="#6b7280" />;
+                                })}
+                                {selection && <SelectionOverlay selection={selection} start={start} count={count} height={8} />}
+                            </Track>
+                            {pocket.size > 0 && (
+                                <Track label="Pocket" count={count} height={8} onPointer={(e, column, starting) => handlePointer(e, start + column, starting)}>
+                                    {positions.filter((position) => pocket.has(position)).map((position) => (
+                                        <rect key={position} x={position - start + 0.1} width="0.8" y="0" height="8" fill="#fde047" />
+                                    ))}
+                                    {selection && <SelectionOverlay selection={selection} start={start} count={count} height={8} />}
+                                </Track>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+            <div className="flex flex-wrap gap-4 text-xs text-gray-500">
+                <span><span className="text-orange-400">■</span> hydrophobic / <span className="text-sky-400">■</span> hydrophilic (Kyte-Doolittle)</span>
+                {['H', 'E', 'T'].map((state) => (
+                    <span key={state}><span style={{ color: STRUCTURE_COLORS[state] }}>■</span> {STRUCTURE_LABELS[state]}</span>
+                ))}
+                {pocket.size > 0 && <span><span className="text-yellow-300">■</span> Binding pocket</span>}
+            </div>
+        </div>
+    );
+};
+
+export default SequenceViewer;
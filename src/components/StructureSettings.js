@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { configuredMirrors, listCachedStructures, clearStructureCache } from '../structure/structureStore';
+
+// Mirror URL templates and the local structure cache. `onChange` receives the edited list, or null
+// when the user goes back to the configured mirrors.
+const StructureSettings = ({ mirrors, onChange, disabled }) => {
+    const [draft, setDraft] = useState(mirrors.join('\n'));
+    const [cached, setCached] = useState(null);
+    const [status, setStatus] = useState('');
+
+    const apply = (text) => {
+        setDraft(text);
+        const list = text.split('\n').map((line) => line.trim()).filter(Boolean);
+        onChange(list.length > 0 ? list : null);
+    };
+
+    const reset = () => {
+        setDraft(configuredMirrors().join('\n'));
+        onChange(null);
+    };
+
+    const refreshCache = () => listCachedStructures()
+        .then(setCached)
+        .catch((err) => setStatus(`Structure cache unavailable: ${err.message}`));
+
+    const handleClear = async () => {
+        try {
+            await clearStructureCache();
+            setCached([]);
+            setStatus('Structure cache cleared.');
+        } catch (err) {
+            setStatus(`Could not clear cache: ${err.message}`);
+        }
+    };
+
+    return (
+        <details className="bg-gray-900 p-4 rounded-lg border border-gray-700" onToggle={(e) => e.target.open && refreshCache()}>
+            <summary className="cursor-pointer text-sm text-gray-300 font-medium">Structure Sources</summary>
+            <div className="mt-4 space-y-3 text-sm">
+                <label className="block text-gray-400">
+                    Mirror URL templates, tried in order (<code>{'{id}'}</code> is replaced by the PDB ID; <code>.cif</code> URLs are read as mmCIF)
+                    <textarea
+                        value={draft}
+                        onChange={(e) => apply(e.target.value)}
+                        disabled={disabled}
+                        className="mt-1 w-full h-24 p-2 bg-gray-800 border border-gray-600 rounded-md text-gray-200 font-mono text-xs"
+                    />
+                </label>
+                <button onClick={reset} disabled={disabled} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-md text-xs">Reset to defaults</button>
+                <div className="border-t border-gray-700 pt-3">
+                    <div className="flex justify-between items-center mb-2">
+                        <span className="text-gray-400">Cached structures: {cached ? cached.length : '...'}</span>
+                        <button onClick={handleClear} disabled={disabled || !cached || cached.length === 0} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded-md text-xs">Clear cache</button>
+                    </div>
+                    {cached && cached.length > 0 && (
+                        <ul className="max-h-32 overflow-y-auto font-mono text-xs text-gray-400 space-y-0.5">
+                            {cached.map(({ id, format, size }) => <li key={id}>{id} ({format}, {(size / 1024).toFixed(0)} KB)</li>)}
+                        </ul>
+                    )}
+                    {status && <p className="text-xs text-gray-500 mt-2">{status}</p>}
+                </div>
+            </div>
+        </details>
+    );
+};
+
+export default StructureSettings;
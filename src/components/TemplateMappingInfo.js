@@ -0,0 +1,42 @@
+import React from 'react';
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Summary of how the designed sequence lines up with the loaded structure.
+const TemplateMappingInfo = ({ mapping, pocket }) => {
+    if (!mapping) return null;
+    const lowCoverage = mapping.coverage < 0.5;
+
+    return (
+        <div className="mt-3 bg-gray-900 p-3 rounded-lg border border-gray-700 text-sm space-y-2">
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-gray-300">
+                <span>Template chain <span className="font-mono text-cyan-300">{mapping.chainId || '(none)'}</span></span>
+                <span>{mapping.chainLength} modelled residues{mapping.seqresLength ? ` of ${mapping.seqresLength}` : ''}</span>
+                <span className={lowCoverage ? 'text-red-400' : ''}>Coverage {percent(mapping.coverage)}</span>
+                <span>Identity {percent(mapping.identity)}</span>
+            </div>
+            {lowCoverage && (
+                <p className="text-xs text-red-300">Less than half of the design aligns to this structure; highlighted residues are only approximate.</p>
+            )}
+            {pocket.mapped.length + pocket.unmapped.length > 0 && (
+                <details className="text-xs text-gray-400">
+                    <summary className="cursor-pointer">
+                        Binding pocket: {pocket.mapped.length} of {pocket.mapped.length + pocket.unmapped.length} residues mapped onto the structure
+                    </summary>
+                    <div className="mt-2 flex flex-wrap gap-2 font-mono">
+                        {pocket.mapped.map(({ position, chain, resi, icode, code }) => (
+                            <span key={position} className="px-2 py-0.5 bg-yellow-900/50 border border-yellow-700 rounded">
+                                {position} → {chain ? `${chain}:` : ''}{code}{resi}{icode}
+                            </span>
+                        ))}
+                        {pocket.unmapped.map((position) => (
+                            <span key={position} className="px-2 py-0.5 bg-gray-800 border border-gray-600 rounded text-gray-500">{position} → gap</span>
+                        ))}
+                    </div>
+                </details>
+            )}
+        </div>
+    );
+};
+
+export default TemplateMappingInfo;
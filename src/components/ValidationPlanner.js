@@ -0,0 +1,158 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { STEP_STATUSES, MEASUREMENTS, updateStep, addStep, removeStep, setMeasurement, planProgress, readAttachment, kdToDeltaG } from '../design/validationPlan';
+
+const inputClass = 'p-1 bg-gray-800 border border-gray-600 rounded-md text-gray-200 text-xs';
+const buttonClass = 'px-2 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-md text-xs';
+
+const STATUS_STYLES = {
+    planned: 'border-gray-600',
+    'in-progress': 'border-yellow-600',
+    done: 'border-green-600',
+    failed: 'border-red-600',
+    skipped: 'border-gray-700 opacity-60',
+};
+
+const formatSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} kB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+// Text fields save on blur so typing does not write the project on every key.
+const DraftField = ({ value, onCommit, multiline = false, ...props }) => {
+    const [draft, setDraft] = useState(value);
+    useEffect(() => setDraft(value), [value]);
+    const Field = multiline ? 'textarea' : 'input';
+    return <Field value={draft} onChange={(e) => setDraft(e.target.value)} onBlur={() => draft !== value && onCommit(draft)} {...props} />;
+};
+
+const StepRow = ({ step, index, onChange, onRemove, onError }) => {
+    const fileInputRef = useRef(null);
+
+    const handleFiles = async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        try {
+            const attachments = await Promise.all(files.map(readAttachment));
+            onChange({ attachments: [...step.attachments, ...attachments] });
+        } catch (err) {
+            onError(err.message);
+        }
+    };
+
+    return (
+        <li className={`p-3 bg-gray-800/60 rounded-md border-l-4 ${STATUS_STYLES[step.status]} space-y-2`}>
+            <div className="flex items-start gap-2">
+                <span className="text-gray-500 text-sm">{index + 1}.</span>
+                <span className={`flex-1 text-sm text-gray-200 ${step.status === 'skipped' ? 'line-through' : ''}`}>{step.title}</span>
+                <button onClick={onRemove} className="text-gray-500 hover:text-red-400 text-xs" title="Remove step">✕</button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+                <select value={step.status} onChange={(e) => onChange({ status: e.target.value })} className={inputClass}>
+                    {STEP_STATUSES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                </select>
+                <DraftField value={step.assignee} onCommit={(assignee) => onChange({ assignee })} placeholder="Assignee" className={`${inputClass} w-32`} />
+                <input type="date" value={step.date} onChange={(e) => onChange({ date: e.target.value })} className={inputClass} title="Planned or completed date" />
+                <button onClick={() => fileInputRef.current.click()} className={buttonClass}>Attach...</button>
+                <input ref={fileInputRef} type="file" multiple onChange={handleFiles} className="hidden" />
+            </div>
+            <DraftField multiline value={step.notes} onCommit={(notes) => onChange({ notes })} placeholder="Notes" rows={2} className={`${inputClass} w-full`} />
+            {step.attachments.length > 0 && (
+                <ul className="flex flex-wrap gap-2 text-xs">
+                    {step.attachments.map((attachment) => (
+                        <li key={attachment.id} className="flex items-center gap-1 px-2 py-0.5 bg-gray-900 rounded border border-gray-700">
+                            <a href={attachment.dataUrl} download={attachment.name} className="text-cyan-300 hover:underline">{attachment.name}</a>
+                            <span className="text-gray-500">{formatSize(attachment.size)}</span>
+                            <button
+                                onClick={() => onChange({ attachments: step.attachments.filter(({ id }) => id !== attachment.id) })}
+                                className="text-gray-500 hover:text-red-400"
+                                title="Remove attachment"
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+};
+
+const formatNumber = (value, digits) => (typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : 'N/A');
+
+// What each measurement is compared with, shown next to its input.
+const comparisonText = (id, value, design) => {
+    if (id === 'kd') {
+        if (!(value > 0)) return `AI-predicted affinity ${formatNumber(design.bindingAffinity, 2)} kcal/mol`;
+        const deltaG = kdToDeltaG(value);
+        const error = typeof design.bindingAffinity === 'number' ? `, predicted − measured ${(design.bindingAffinity - deltaG).toFixed(2)}` : '';
+        return `ΔG ${deltaG.toFixed(2)} kcal/mol vs predicted ${formatNumber(design.bindingAffinity, 2)}${error}`;
+    }
+    if (id === 'tm') return `AI-predicted stability score ${formatNumber(design.predictedStability, 2)}`;
+    return '';
+};
+
+// Tracked checklist of the lab work for one design plus the measured values.
+// `onChange(plan)` receives the whole updated plan.
+const ValidationPlanner = ({ plan, design, onChange }) => {
+    const [newStep, setNewStep] = useState('');
+    const [message, setMessage] = useState('');
+    const { done, total } = planProgress(plan);
+
+    const handleAddStep = (e) => {
+        e.preventDefault();
+        if (!newStep.trim()) return;
+        onChange(addStep(plan, newStep.trim()));
+        setNewStep('');
+    };
+
+    const handleMeasurement = (id, text) => {
+        const value = text.trim() === '' ? null : Number(text);
+        if (value !== null && !Number.isFinite(value)) return;
+        onChange(setMeasurement(plan, id, value));
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex justify-between items-center text-sm text-gray-400">
+                <span>This is a computational prediction. Real-world validation requires the following lab work:</span>
+                {total > 0 && <span className="text-xs whitespace-nowrap">{done} of {total} done</span>}
+            </div>
+            <ol className="space-y-2">
+                {plan.steps.map((step, index) => (
+                    <StepRow
+                        key={step.id}
+                        step={step}
+                        index={index}
+                        onChange={(changes) => onChange(updateStep(plan, step.id, changes))}
+                        onRemove={() => onChange(removeStep(plan, step.id))}
+                        onError={setMessage}
+                    />
+                ))}
+            </ol>
+            <form onSubmit={handleAddStep} className="flex gap-2">
+                <input value={newStep} onChange={(e) => setNewStep(e.target.value)} placeholder="Add a lab step" className={`${inputClass} flex-1`} />
+                <button type="submit" disabled={!newStep.trim()} className={`${buttonClass} disabled:opacity-50`}>Add step</button>
+            </form>
+            {message && <p className="text-xs text-red-400">{message}</p>}
+
+            <div>
+                <h4 className="text-sm font-medium text-gray-300 mb-2">Measured values</h4>
+                <div className="space-y-2 text-xs text-gray-400">
+                    {MEASUREMENTS.map(({ id, label, unit }) => (
+                        <div key={id} className="flex flex-wrap items-center gap-2">
+                            <label className="w-32">{label} ({unit})</label>
+                            <DraftField
+                                type="number"
+                                step="any"
+                                value={plan.measurements[id] ?? ''}
+                                onCommit={(text) => handleMeasurement(id, String(text))}
+                                placeholder="not measured"
+                                className={`${inputClass} w-28`}
+                            />
+                            <span>{comparisonText(id, plan.measurements[id], design)}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ValidationPlanner;
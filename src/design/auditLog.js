@@ -0,0 +1,82 @@
+// Audit records of model requests. requestDesign fills one per request with every model call
+// it made, so odd designs can be traced back to the exact prompt and raw answer. Records are
+// attached to accepted designs (`design.audit`), kept in a session log for the debug panel and
+// can be replayed without the model through providers/replay.js.
+//
+// Audit: { id, startedAt, provider, model, promptTemplate: { id, name, version, body }, promptVariables,
+//          request: { userPrompt, evolutionParams, sampling }, stream, calls: Call[], retries, outcome, error, latencyMs }
+//        promptVariables are the placeholder values the template was rendered with.
+//        outcome: 'accepted' | 'rejected' (failed validation) | 'failed' | 'cancelled', null while running
+// Call:  { round, attempt, startedAt, prompt, generationConfig, status, httpStatus, error, responseText,
+//          parse, validationErrors, latencyMs }
+//        status: 'ok' | 'error' | 'cancelled'; parse: 'valid' | 'invalid-json' | 'invalid' | null (no answer)
+//        responseText holds the partial answer when a streamed call failed or was cancelled.
+
+export const AUDIT_LOG_LIMIT = 50;
+
+let idCounter = 0;
+const createAuditId = () => `audit-${Date.now().toString(36)}-${(idCounter++).toString(36)}`;
+
+export const createAuditRecord = (provider, { promptTemplate, promptVariables, request, stream }) => ({
+    id: createAuditId(),
+    startedAt: new Date().toISOString(),
+    provider: provider.id,
+    model: provider.model || null,
+    promptTemplate,
+    promptVariables,
+    request,
+    stream,
+    calls: [],
+    retries: 0,
+    outcome: null,
+    error: null,
+    latencyMs: null,
+});
+
+// What the adapters forward to the model besides the prompt.
+export const generationConfig = (request, stream) => ({
+    temperature: request.sampling?.temperature ?? null,
+    seed: request.sampling?.seed ?? null,
+    stream,
+});
+
+export const startCall = (audit, { round, attempt, prompt }) => {
+    const call = {
+        round,
+        attempt,
+        startedAt: new Date().toISOString(),
+        prompt,
+        generationConfig: generationConfig(audit.request, audit.stream),
+        status: null,
+        httpStatus: null,
+        error: null,
+        responseText: null,
+        parse: null,
+        validationErrors: [],
+        latencyMs: null,
+    };
+    audit.calls.push(call);
+    return call;
+};
+
+// Newest first, at most AUDIT_LOG_LIMIT records.
+export const appendAudit = (log, audit) => [audit, ...log.filter(({ id }) => id !== audit.id)].slice(0, AUDIT_LOG_LIMIT);
+
+const OUTCOME_LABELS = {
+    accepted: 'accepted',
+    rejected: 'rejected after corrections',
+    failed: 'failed',
+    cancelled: 'cancelled',
+};
+
+// "gemini / gemini-2.5-flash · 3 calls · 1 retry · 4.2 s · accepted"
+export const summarizeAudit = (audit) => [
+    `${audit.provider}${audit.model ? ` / ${audit.model}` : ''}`,
+    `${audit.calls.length} call${audit.calls.length === 1 ? '' : 's'}`,
+    ...(audit.retries > 0 ? [`${audit.retries} retr${audit.retries === 1 ? 'y' : 'ies'}`] : []),
+    ...(audit.latencyMs !== null ? [`${(audit.latencyMs / 1000).toFixed(1)} s`] : []),
+    OUTCOME_LABELS[audit.outcome] || 'running',
+].join(' · ');
+
+// Whether the record holds enough to be replayed: at least one call that got an answer or an error.
+export const isReplayable = (audit) => audit.calls.some((call) => call.status !== null);
@@ -0,0 +1,210 @@
+import { computeSequenceProperties } from '../analysis/properties';
+import { getMetric, runWithConcurrency } from './batch';
+
+// Automated directed evolution. Every round evolves `populationSize` variants from the current
+// survivors, scores them against the objective and keeps the best `survivors` (parents included,
+// so the best design never gets lost) as parents for the next round.
+//
+// Objective: { metric, direction: 'maximize' | 'minimize', target: number | null,
+//              constraints: [{ metric, op: '<=' | '>=', value }] }
+// Variant:   { id, round, parentId, design, properties, value, violation, feasible }
+
+export const OBJECTIVE_METRICS = ['stability', 'affinity', 'instability', 'gravy'];
+
+const METRIC_UNITS = { affinity: ' kcal/mol' };
+
+export const DEFAULT_OBJECTIVE = {
+    metric: 'stability',
+    direction: 'maximize',
+    target: null,
+    constraints: [{ metric: 'affinity', op: '<=', value: -8 }],
+};
+
+export const DEFAULT_AUTO_EVOLVE_SETTINGS = {
+    populationSize: 4,
+    survivors: 2,
+    rounds: 5,
+    // Stop after this many rounds without a better design.
+    patience: 2,
+    concurrency: 2,
+    temperature: 0.8,
+    startIntervalMs: 500,
+};
+
+const formatBound = (metric, value) => `${value}${METRIC_UNITS[metric] || ''}`;
+
+// Plain-language goal sent to the model as the evolution feedback.
+export const describeObjective = ({ metric, direction, target, constraints }) => {
+    const label = getMetric(metric).label.toLowerCase();
+    let text = `${direction === 'maximize' ? 'Maximize' : 'Minimize'} ${label}`;
+    if (target !== null && target !== undefined) text += ` (target ${direction === 'maximize' ? '>=' : '<='} ${formatBound(metric, target)})`;
+    if (constraints.length > 0) {
+        text += ` while keeping ${constraints.map((c) => `${getMetric(c.metric).label.toLowerCase()} ${c.op} ${formatBound(c.metric, c.value)}`).join(' and ')}`;
+    }
+    return `${text}.`;
+};
+
+const readMetric = (metric, variant) => {
+    const value = getMetric(metric).value(variant);
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+export const createVariant = (design, { id, round, parentId }, objective) => {
+    const variant = { id, round, parentId, design, properties: computeSequenceProperties(design.sequence) };
+    const value = readMetric(objective.metric, variant);
+    // Total distance outside the constraint bounds; a missing value counts as violating.
+    const violation = objective.constraints.reduce((sum, { metric, op, value: bound }) => {
+        const actual = readMetric(metric, variant);
+        if (actual === null) return sum + 1;
+        const miss = op === '<=' ? actual - bound : bound - actual;
+        return sum + Math.max(0, miss);
+    }, 0);
+    return { ...variant, value, violation, feasible: value !== null && violation === 0 };
+};
+
+// Negative when `a` is the better variant: feasible first, then the objective, then less violation.
+export const compareVariants = (objective) => (a, b) => {
+    if (a.feasible !== b.feasible) return a.feasible ? -1 : 1;
+    if (!a.feasible && a.violation !== b.violation) return a.violation - b.violation;
+    if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+    return objective.direction === 'maximize' ? b.value - a.value : a.value - b.value;
+};
+
+const reachesTarget = (variant, { target, direction }) => (
+    target !== null && target !== undefined && variant.feasible
+    && (direction === 'maximize' ? variant.value >= target : variant.value <= target)
+);
+
+// Pause/resume/cancel handle shared between the UI and a running loop. Pausing takes effect
+// before the next model call and lets calls in flight finish; cancelling aborts them via `signal`.
+export const createRunControl = () => {
+    const controller = new AbortController();
+    let paused = false;
+    let cancelled = false;
+    let waiters = [];
+    const release = () => {
+        waiters.forEach((resolve) => resolve());
+        waiters = [];
+    };
+    return {
+        pause: () => { paused = true; },
+        resume: () => { paused = false; release(); },
+        cancel: () => {
+            cancelled = true;
+            controller.abort();
+            release();
+        },
+        signal: controller.signal,
+        isPaused: () => paused,
+        isCancelled: () => cancelled,
+        waitIfPaused: () => (paused && !cancelled ? new Promise((resolve) => waiters.push(resolve)) : Promise.resolve()),
+    };
+};
+
+const summarizeRound = (round, variants, best, objective) => {
+    const values = variants.map(({ value }) => value).filter((value) => value !== null);
+    const roundBest = [...variants].sort(compareVariants(objective))[0] || null;
+    return {
+        round,
+        best: roundBest ? roundBest.value : null,
+        mean: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+        bestSoFar: best.value,
+        feasible: variants.filter(({ feasible }) => feasible).length,
+        evaluated: variants.length,
+    };
+};
+
+// Runs the loop until a stopping rule fires. `evolve(parent, sampling)` returns a normalized design;
+// `onUpdate(state)` receives a fresh snapshot after every variant and round.
+//
+// State: { status, stopReason, round, rounds: summary[], best, survivors, variants: { [id]: variant },
+//          failures, lastError }
+export const runAutoEvolution = async ({ startDesign, objective, settings, evolve, control, onUpdate }) => {
+    const compare = compareVariants(objective);
+    const start = createVariant(startDesign, { id: 'v0', round: 0, parentId: null }, objective);
+    const state = {
+        status: 'running',
+        stopReason: null,
+        round: 0,
+        rounds: [summarizeRound(0, [start], start, objective)],
+        best: start,
+        survivors: [start],
+        variants: { [start.id]: start },
+        failures: 0,
+        lastError: null,
+    };
+    const publish = () => onUpdate({ ...state, rounds: [...state.rounds], variants: { ...state.variants } });
+    const stop = (reason) => {
+        state.status = reason === 'cancelled' ? 'cancelled' : 'finished';
+        state.stopReason = reason;
+        publish();
+        return state;
+    };
+
+    publish();
+    if (reachesTarget(start, objective)) return stop('target');
+
+    const baseSeed = Math.floor(Math.random() * 1e6);
+    let stale = 0;
+    for (let round = 1; round <= settings.rounds; round++) {
+        state.round = round;
+        const parents = state.survivors;
+        const firstSeed = baseSeed + (round - 1) * settings.populationSize;
+        const slots = Array.from({ length: settings.populationSize }, (_, index) => ({
+            id: `v${round}.${index + 1}`,
+            parent: parents[index % parents.length],
+            sampling: { seed: firstSeed + index, temperature: settings.temperature },
+        }));
+        const variants = [];
+
+        await runWithConcurrency(slots, async ({ id, parent, sampling }) => {
+            await control.waitIfPaused();
+            if (control.isCancelled()) return;
+            try {
+                const design = await evolve(parent, sampling);
+                const variant = createVariant(design, { id, round, parentId: parent.id }, objective);
+                variants.push(variant);
+                state.variants[id] = variant;
+            } catch (error) {
+                if (control.isCancelled()) return;
+                console.error(error);
+                state.failures++;
+                state.lastError = error.message;
+            }
+            publish();
+        }, { concurrency: settings.concurrency, startIntervalMs: settings.startIntervalMs, shouldStop: control.isCancelled });
+
+        if (control.isCancelled()) return stop('cancelled');
+        if (variants.length === 0) return stop('failed');
+
+        const previousBest = state.best;
+        state.survivors = [...parents, ...variants].sort(compare).slice(0, settings.survivors);
+        state.best = state.survivors[0];
+        state.rounds.push(summarizeRound(round, variants, state.best, objective));
+        stale = state.best === previousBest ? stale + 1 : 0;
+
+        if (reachesTarget(state.best, objective)) return stop('target');
+        if (stale >= settings.patience) return stop('stalled');
+        publish();
+    }
+    return stop('rounds');
+};
+
+// Variants from the start design down to `variantId`, excluding the start itself.
+export const getVariantPath = (variants, variantId) => {
+    const path = [];
+    let variant = variants[variantId];
+    while (variant && variant.parentId) {
+        path.unshift(variant);
+        variant = variants[variant.parentId];
+    }
+    return path;
+};
+
+export const STOP_REASONS = {
+    target: 'Target reached',
+    stalled: 'Stopped: no improvement',
+    rounds: 'All rounds completed',
+    cancelled: 'Cancelled',
+    failed: 'Stopped: every call in the round failed',
+};
@@ -0,0 +1,101 @@
+import { runAutoEvolution, createRunControl, getVariantPath, describeObjective, DEFAULT_AUTO_EVOLVE_SETTINGS } from './autoEvolve';
+import { requestDesign } from './designClient';
+import { createMockProvider, MOCK_DEFAULTS } from '@protieno/providers';
+
+const OBJECTIVE = { metric: 'stability', direction: 'maximize', target: null, constraints: [] };
+const SETTINGS = { ...DEFAULT_AUTO_EVOLVE_SETTINGS, populationSize: 3, survivors: 2, rounds: 3, patience: 10, startIntervalMs: 0 };
+
+const provider = createMockProvider(MOCK_DEFAULTS);
+
+// The evolve step App runs, with `edit(design)` applied to every evolved design.
+const mockEvolve = (edit = (design) => design) => jest.fn(async (parent, sampling) => edit(await requestDesign(provider, {
+    evolutionParams: { sequence: parent.design.sequence, feedback: describeObjective(OBJECTIVE) },
+    sampling,
+})));
+
+const run = async ({ objective = OBJECTIVE, settings = SETTINGS, evolve = mockEvolve(), control = createRunControl() } = {}) => {
+    const startDesign = await requestDesign(provider, { userPrompt: 'a lysozyme binder' });
+    const updates = [];
+    const state = await runAutoEvolution({ startDesign, objective, settings, evolve, control, onUpdate: (snapshot) => updates.push(snapshot) });
+    return { state, updates, evolve };
+};
+
+describe('runAutoEvolution', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('runs every round and keeps the best design among parents and variants', async () => {
+        const { state, evolve } = await run();
+        expect(state).toMatchObject({ status: 'finished', stopReason: 'rounds', round: 3, failures: 0 });
+        expect(evolve).toHaveBeenCalledTimes(9);
+        expect(state.rounds.map(({ round }) => round)).toEqual([0, 1, 2, 3]);
+        expect(Object.keys(state.variants)).toHaveLength(10);
+        const bestSoFar = state.rounds.map((summary) => summary.bestSoFar);
+        expect(bestSoFar).toEqual([...bestSoFar].sort((a, b) => a - b));
+        expect(state.best.value).toBe(Math.max(...Object.values(state.variants).map(({ value }) => value)));
+    });
+
+    it('stops after `patience` rounds without a better design', async () => {
+        const { state, evolve } = await run({
+            settings: { ...SETTINGS, rounds: 5, patience: 2 },
+            evolve: mockEvolve((design) => ({ ...design, predictedStability: -10 })),
+        });
+        expect(state.stopReason).toBe('stalled');
+        expect(state.rounds).toHaveLength(3);
+        expect(evolve).toHaveBeenCalledTimes(6);
+        expect(state.best.id).toBe('v0');
+    });
+
+    it('stops as soon as the target is reached', async () => {
+        const { state, evolve } = await run({ objective: { ...OBJECTIVE, target: -100 } });
+        expect(state.stopReason).toBe('target');
+        expect(evolve).not.toHaveBeenCalled();
+    });
+
+    it('stops when every call in a round fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { state } = await run({ evolve: jest.fn(async () => { throw new Error('Upstream overloaded.'); }) });
+        expect(state).toMatchObject({ stopReason: 'failed', failures: 3, lastError: 'Upstream overloaded.' });
+    });
+
+    it('cancels mid-round without starting further calls', async () => {
+        const control = createRunControl();
+        const evolve = mockEvolve();
+        const cancelling = jest.fn(async (parent, sampling) => {
+            if (cancelling.mock.calls.length === 2) control.cancel();
+            return evolve(parent, sampling);
+        });
+        const { state, updates } = await run({ settings: { ...SETTINGS, concurrency: 1 }, evolve: cancelling, control });
+        expect(state).toMatchObject({ status: 'cancelled', stopReason: 'cancelled', round: 1 });
+        expect(cancelling).toHaveBeenCalledTimes(2);
+        expect(updates[updates.length - 1].status).toBe('cancelled');
+    });
+
+    it('waits while paused and carries on after resume', async () => {
+        const control = createRunControl();
+        control.pause();
+        const evolve = mockEvolve();
+        const finished = run({ control, evolve });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        expect(evolve).not.toHaveBeenCalled();
+        control.resume();
+        const { state } = await finished;
+        expect(state.stopReason).toBe('rounds');
+        expect(evolve).toHaveBeenCalledTimes(9);
+    });
+});
+
+describe('getVariantPath', () => {
+    it('walks from the start design down to a variant, without the start itself', async () => {
+        const { state } = await run();
+        const last = Object.values(state.variants).find(({ round }) => round === 3);
+        const path = getVariantPath(state.variants, last.id);
+        expect(path[path.length - 1]).toBe(last);
+        expect(path[0].parentId).toBe('v0');
+        path.slice(1).forEach((variant, index) => {
+            expect(variant.parentId).toBe(path[index].id);
+            expect(variant.round).toBeGreaterThan(path[index].round);
+        });
+        expect(getVariantPath(state.variants, 'v0')).toEqual([]);
+        expect(getVariantPath(state.variants, 'missing')).toEqual([]);
+    });
+});
@@ -0,0 +1,140 @@
+import { CONFIDENCE_LEVELS } from './schema';
+import { computeSequenceProperties } from '../analysis/properties';
+
+// Batch design: N candidates for one prompt, each sampled with its own seed and temperature,
+// run with bounded concurrency and ranked on AI-claimed and locally computed metrics.
+//
+// Candidate: { id, index, sampling: { seed, temperature }, status, design, properties, error, nodeId, nodeLabel }
+//   status is 'pending' | 'running' | 'done' | 'failed'; nodeId/nodeLabel are set once promoted into the lineage.
+
+export const BATCH_LIMITS = { maxCount: 50, maxConcurrency: 8 };
+
+export const DEFAULT_BATCH_SETTINGS = {
+    count: 1,
+    concurrency: 2,
+    temperature: 0.7,
+    temperatureSpread: 0.3,
+    // Minimum gap between request starts, to stay under provider rate limits.
+    startIntervalMs: 500,
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Temperatures are spread evenly over temperature ± spread; seeds are consecutive from a random base.
+export const createSamplingPlan = (count, { temperature, temperatureSpread }, baseSeed = Math.floor(Math.random() * 1e6)) => (
+    Array.from({ length: count }, (_, index) => {
+        const offset = count > 1 ? (index / (count - 1)) * 2 - 1 : 0;
+        return {
+            seed: baseSeed + index,
+            temperature: Number(clamp(temperature + offset * temperatureSpread, 0, 2).toFixed(2)),
+        };
+    })
+);
+
+export const createCandidates = (plan) => plan.map((sampling, index) => ({
+    id: `candidate-${index + 1}`,
+    index: index + 1,
+    sampling,
+    status: 'pending',
+    design: null,
+    properties: null,
+    error: null,
+    nodeId: null,
+    nodeLabel: null,
+}));
+
+// Runs `worker(item, index)` for every item with at most `concurrency` in flight. The worker
+// is expected to handle its own errors; `shouldStop()` is checked before each start.
+export const runWithConcurrency = async (items, worker, { concurrency = 1, startIntervalMs = 0, shouldStop = () => false } = {}) => {
+    let next = 0;
+    let lastStart = 0;
+    const runLane = async () => {
+        while (next < items.length && !shouldStop()) {
+            const index = next++;
+            const wait = lastStart + startIntervalMs - Date.now();
+            lastStart = Math.max(Date.now(), lastStart + startIntervalMs);
+            if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+            if (shouldStop()) return;
+            await worker(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runLane));
+};
+
+export const withDesign = (candidate, design) => ({
+    ...candidate,
+    status: 'done',
+    design,
+    properties: computeSequenceProperties(design.sequence),
+    error: null,
+});
+
+const confidenceValue = (level) => {
+    const index = CONFIDENCE_LEVELS.indexOf(level);
+    return index === -1 ? null : CONFIDENCE_LEVELS.length - index;
+};
+
+// Sortable columns. `better` gives the direction that ranks first, or null when neither is better.
+export const RANKING_METRICS = [
+    { id: 'affinity', label: 'Affinity', better: 'lower', value: (c) => c.design.bindingAffinity, format: (v) => v.toFixed(2) },
+    { id: 'stability', label: 'Stability', better: 'higher', value: (c) => c.design.predictedStability, format: (v) => v.toFixed(2) },
+    { id: 'confidence', label: 'Confidence', better: 'higher', value: (c) => confidenceValue(c.design.designConfidence) },
+    { id: 'instability', label: 'Instab. Index', better: 'lower', value: (c) => c.properties.instabilityIndex, format: (v) => v.toFixed(1) },
+    { id: 'gravy', label: 'GRAVY', better: 'lower', value: (c) => c.properties.gravy, format: (v) => v.toFixed(3) },
+    { id: 'pI', label: 'pI', better: null, value: (c) => c.properties.isoelectricPoint, format: (v) => v.toFixed(2) },
+    { id: 'mw', label: 'MW (kDa)', better: null, value: (c) => c.properties.molecularWeight / 1000, format: (v) => v.toFixed(2) },
+    { id: 'length', label: 'Length', better: null, value: (c) => c.properties.length, format: (v) => String(v) },
+];
+
+// Metrics that make up the composite score.
+const SCORE_METRICS = ['affinity', 'stability', 'confidence', 'instability'];
+
+export const getMetric = (id) => RANKING_METRICS.find((metric) => metric.id === id);
+
+const metricValue = (metric, candidate) => {
+    const value = metric.value(candidate);
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+// Composite score in [0, 1]: the mean percentile of each finished candidate across the score
+// metrics, where 1 means best on every metric. Missing values count as worst.
+export const scoreCandidates = (candidates) => {
+    const finished = candidates.filter(({ status }) => status === 'done');
+    const scores = new Map(finished.map(({ id }) => [id, 0]));
+    if (finished.length === 0) return scores;
+
+    SCORE_METRICS.forEach((metricId) => {
+        const metric = getMetric(metricId);
+        const direction = metric.better === 'lower' ? 1 : -1;
+        const ordered = [...finished].sort((a, b) => {
+            const va = metricValue(metric, a);
+            const vb = metricValue(metric, b);
+            if (va === null || vb === null) return (va === null) - (vb === null);
+            return (va - vb) * direction;
+        });
+        ordered.forEach(({ id }, position) => {
+            const percentile = finished.length > 1 ? 1 - position / (finished.length - 1) : 1;
+            scores.set(id, scores.get(id) + percentile / SCORE_METRICS.length);
+        });
+    });
+    return scores;
+};
+
+// Sort key 'score' orders by composite score; any other key is a RANKING_METRICS id.
+// Candidates without a value (pending, failed) always sort last.
+export const sortCandidates = (candidates, scores, sortKey, ascending) => {
+    const valueOf = (candidate) => {
+        if (candidate.status !== 'done') return null;
+        if (sortKey === 'score') return scores.get(candidate.id);
+        return metricValue(getMetric(sortKey), candidate);
+    };
+    return [...candidates].sort((a, b) => {
+        const va = valueOf(a);
+        const vb = valueOf(b);
+        if (va === null || vb === null) return (va === null) - (vb === null) || a.index - b.index;
+        return ascending ? va - vb : vb - va;
+    });
+};
+
+// True when the column should sort ascending on first click.
+export const defaultSortDirection = (sortKey) => (sortKey !== 'score' && getMetric(sortKey).better !== 'higher');
@@ -0,0 +1,136 @@
+import {
+    createSamplingPlan,
+    createCandidates,
+    runWithConcurrency,
+    withDesign,
+    scoreCandidates,
+    sortCandidates,
+    defaultSortDirection,
+} from './batch';
+import { requestDesign } from './designClient';
+import { createMockProvider, MOCK_DEFAULTS } from '@protieno/providers';
+
+// A finished candidate with the given metrics; `instabilityIndex` stands in for the computed properties.
+const finished = (index, { bindingAffinity, predictedStability, designConfidence, instabilityIndex }) => ({
+    ...createCandidates([{ seed: index, temperature: 0.7 }])[0],
+    id: `candidate-${index}`,
+    index,
+    status: 'done',
+    design: { bindingAffinity, predictedStability, designConfidence },
+    properties: { instabilityIndex },
+});
+
+describe('sampling plan', () => {
+    it('spreads temperatures evenly and numbers seeds from the base', () => {
+        expect(createSamplingPlan(5, { temperature: 0.7, temperatureSpread: 0.3 }, 100)).toEqual([
+            { seed: 100, temperature: 0.4 },
+            { seed: 101, temperature: 0.55 },
+            { seed: 102, temperature: 0.7 },
+            { seed: 103, temperature: 0.85 },
+            { seed: 104, temperature: 1 },
+        ]);
+        expect(createSamplingPlan(1, { temperature: 0.7, temperatureSpread: 0.3 }, 7)).toEqual([{ seed: 7, temperature: 0.7 }]);
+    });
+
+    it('keeps temperatures within 0 and 2', () => {
+        expect(createSamplingPlan(2, { temperature: 1.8, temperatureSpread: 1 }, 0).map(({ temperature }) => temperature)).toEqual([0.8, 2]);
+        expect(createSamplingPlan(2, { temperature: 0.1, temperatureSpread: 0.5 }, 0).map(({ temperature }) => temperature)).toEqual([0, 0.6]);
+    });
+});
+
+describe('scoring and ranking', () => {
+    const best = finished(1, { bindingAffinity: -10, predictedStability: 2, designConfidence: 'High', instabilityIndex: 20 });
+    const middle = finished(2, { bindingAffinity: -8, predictedStability: 1, designConfidence: 'Promising', instabilityIndex: 30 });
+    const worst = finished(3, { bindingAffinity: -6, predictedStability: 0, designConfidence: 'Experimental', instabilityIndex: 50 });
+    const pending = { ...createCandidates([{ seed: 4, temperature: 0.7 }])[0], id: 'candidate-4', index: 4 };
+
+    it('scores each finished candidate by its mean percentile across the score metrics', () => {
+        const scores = scoreCandidates([worst, pending, middle, best]);
+        expect([...scores]).toEqual([['candidate-3', 0], ['candidate-2', 0.5], ['candidate-1', 1]]);
+        expect(scoreCandidates([pending]).size).toBe(0);
+        expect([...scoreCandidates([middle])]).toEqual([['candidate-2', 1]]);
+    });
+
+    it('counts missing metric values as worst', () => {
+        const noAffinity = finished(5, { bindingAffinity: null, predictedStability: 2, designConfidence: 'High', instabilityIndex: 20 });
+        const scores = scoreCandidates([noAffinity, worst]);
+        expect(scores.get('candidate-5')).toBe(0.75);
+        expect(scores.get('candidate-3')).toBe(0.25);
+    });
+
+    it('sorts by score or by a metric, with unfinished candidates last', () => {
+        const candidates = [pending, worst, best, middle];
+        const scores = scoreCandidates(candidates);
+        expect(sortCandidates(candidates, scores, 'score', false).map(({ index }) => index)).toEqual([1, 2, 3, 4]);
+        expect(sortCandidates(candidates, scores, 'affinity', true).map(({ index }) => index)).toEqual([1, 2, 3, 4]);
+        expect(sortCandidates(candidates, scores, 'stability', true).map(({ index }) => index)).toEqual([3, 2, 1, 4]);
+    });
+
+    it('sorts a column ascending first unless higher is better', () => {
+        expect(defaultSortDirection('score')).toBe(false);
+        expect(defaultSortDirection('stability')).toBe(false);
+        expect(defaultSortDirection('affinity')).toBe(true);
+        expect(defaultSortDirection('pI')).toBe(true);
+    });
+});
+
+describe('runWithConcurrency', () => {
+    it('keeps at most `concurrency` workers in flight and runs every item', async () => {
+        let running = 0;
+        let peak = 0;
+        const done = [];
+        await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], async (item) => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            running--;
+            done.push(item);
+        }, { concurrency: 3 });
+        expect(peak).toBe(3);
+        expect(done.sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('starts nothing once shouldStop() holds', async () => {
+        const started = [];
+        await runWithConcurrency([1, 2, 3, 4], async (item) => { started.push(item); }, { concurrency: 1, shouldStop: () => started.length >= 2 });
+        expect(started).toEqual([1, 2]);
+    });
+});
+
+describe('a batch with the mock provider', () => {
+    beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    it('isolates a failing candidate and ranks the others', async () => {
+        const mock = createMockProvider(MOCK_DEFAULTS);
+        const provider = {
+            ...mock,
+            generate: async (args) => {
+                if (args.request.sampling.seed === 11) throw Object.assign(new Error('Bad request.'), { status: 400 });
+                return mock.generate(args);
+            },
+        };
+        // The same worker App runs: every candidate settles as done or failed on its own.
+        let candidates = createCandidates(createSamplingPlan(4, { temperature: 0.7, temperatureSpread: 0.3 }, 10));
+        const update = (id, change) => { candidates = candidates.map((candidate) => (candidate.id === id ? change(candidate) : candidate)); };
+        await runWithConcurrency(candidates, async (candidate) => {
+            try {
+                const result = await requestDesign(provider, { userPrompt: 'a lysozyme binder', sampling: candidate.sampling });
+                update(candidate.id, (current) => withDesign(current, result));
+            } catch (err) {
+                update(candidate.id, (current) => ({ ...current, status: 'failed', error: err.message }));
+            }
+        }, { concurrency: 2 });
+
+        expect(candidates.map(({ status }) => status)).toEqual(['done', 'failed', 'done', 'done']);
+        expect(candidates[1].error).toMatch(/Bad request/);
+        expect(new Set(candidates.filter(({ design }) => design).map(({ design }) => design.sequence)).size).toBe(3);
+        expect(candidates[0].properties.length).toBe(candidates[0].design.sequence.length);
+
+        const scores = scoreCandidates(candidates);
+        expect([...scores.keys()].sort()).toEqual(['candidate-1', 'candidate-3', 'candidate-4']);
+        const ranked = sortCandidates(candidates, scores, 'score', false);
+        expect(ranked[ranked.length - 1].id).toBe('candidate-2');
+        expect(scores.get(ranked[0].id)).toBeGreaterThanOrEqual(scores.get(ranked[1].id));
+    });
+});
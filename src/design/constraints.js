@@ -0,0 +1,159 @@
+import { CANONICAL_AMINO_ACIDS } from './schema';
+import { buildResidueMap } from '../analysis/alignment';
+import { annotateMutations } from '../analysis/mutations';
+
+// Structured constraints for evolution steps. They are spelled out in the prompt and every
+// evolved sequence is checked against them locally, because models do not reliably obey them.
+//
+// Constraints: { lockedPositions: number[], allowedResidues: { [position]: string },
+//                maxSubstitutions: number | null, noNewCysteines: boolean, noNewGlycosylation: boolean }
+// Positions are 1-based and refer to the sequence being evolved.
+//
+// The UI edits a text form ({ locked, allowed, maxSubstitutions, noNewCysteines, noNewGlycosylation })
+// that parseConstraintForm turns into constraints.
+
+export const EMPTY_CONSTRAINT_FORM = {
+    locked: '',
+    allowed: '',
+    maxSubstitutions: '',
+    noNewCysteines: false,
+    noNewGlycosylation: false,
+};
+
+// N-X-S/T with X not proline.
+const SEQUON = /N(?=[^P][ST])/g;
+
+// "45, 67-69" -> [45, 67, 68, 69]
+const parsePositions = (text, errors, sequenceLength) => {
+    const positions = new Set();
+    text.split(/[\s,;]+/).filter(Boolean).forEach((token) => {
+        const match = token.match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) {
+            errors.push(`"${token}" is not a position or range.`);
+            return;
+        }
+        const start = Number(match[1]);
+        const end = match[2] ? Number(match[2]) : start;
+        if (start < 1 || end < start || end > sequenceLength) {
+            errors.push(`${token} is outside the sequence (1-${sequenceLength}).`);
+            return;
+        }
+        for (let position = start; position <= end; position++) positions.add(position);
+    });
+    return [...positions].sort((a, b) => a - b);
+};
+
+export const parseConstraintForm = (form, sequence) => {
+    const errors = [];
+    const lockedPositions = parsePositions(form.locked, errors, sequence.length);
+
+    // "80:DE, 81-83:AVILM"
+    const allowedResidues = {};
+    form.allowed.split(/[\s,;]+/).filter(Boolean).forEach((token) => {
+        const [range, residues = ''] = token.split(':');
+        const letters = residues.toUpperCase();
+        if (!letters || [...letters].some((letter) => !CANONICAL_AMINO_ACIDS.includes(letter))) {
+            errors.push(`"${token}" needs the form position:RESIDUES, e.g. 80:DE.`);
+            return;
+        }
+        parsePositions(range, errors, sequence.length).forEach((position) => {
+            allowedResidues[position] = [...new Set(letters)].join('');
+        });
+    });
+
+    let maxSubstitutions = null;
+    if (String(form.maxSubstitutions).trim() !== '') {
+        maxSubstitutions = Number(form.maxSubstitutions);
+        if (!Number.isInteger(maxSubstitutions) || maxSubstitutions < 0) {
+            errors.push('Maximum substitutions must be a whole number.');
+            maxSubstitutions = null;
+        }
+    }
+
+    return {
+        constraints: { lockedPositions, allowedResidues, maxSubstitutions, noNewCysteines: form.noNewCysteines, noNewGlycosylation: form.noNewGlycosylation },
+        errors,
+    };
+};
+
+export const hasConstraints = (constraints) => Boolean(constraints) && (
+    constraints.lockedPositions.length > 0
+    || Object.keys(constraints.allowedResidues).length > 0
+    || constraints.maxSubstitutions !== null
+    || constraints.noNewCysteines
+    || constraints.noNewGlycosylation
+);
+
+// Constraint block for the evolution prompt.
+export const describeConstraints = (constraints, sequence) => {
+    if (!hasConstraints(constraints)) return '';
+    const lines = [];
+    if (constraints.lockedPositions.length > 0) {
+        lines.push(`Keep these positions unchanged: ${constraints.lockedPositions.map((position) => `${sequence[position - 1]}${position}`).join(', ')}.`);
+    }
+    Object.entries(constraints.allowedResidues).forEach(([position, residues]) => {
+        lines.push(`Position ${position} (currently ${sequence[position - 1]}) may only become one of: ${residues.split('').join(', ')}.`);
+    });
+    if (constraints.maxSubstitutions !== null) {
+        lines.push(`Make at most ${constraints.maxSubstitutions} mutations in total; every inserted or deleted residue counts as one.`);
+    }
+    if (constraints.noNewCysteines) lines.push('Do not introduce any new cysteine (C) residues.');
+    if (constraints.noNewGlycosylation) lines.push('Do not create new N-glycosylation motifs (N-X-S or N-X-T where X is not P).');
+    return `Hard constraints (answers that break any of them are rejected):\n${lines.map((line) => `- ${line}`).join('\n')}`;
+};
+
+const sequonStarts = (sequence) => [...sequence.matchAll(SEQUON)].map((match) => match.index + 1);
+
+// Checks an evolved sequence against the constraints. Returns validation errors in the same
+// { field, message } form as validateDesignResult so they feed into the repair prompt.
+export const checkEvolutionConstraints = (parent, child, constraints) => {
+    if (!hasConstraints(constraints)) return [];
+    const errors = [];
+    const fail = (message) => errors.push({ field: 'evolved_sequence', message });
+
+    const { alignment, mutations } = annotateMutations(parent, child);
+    const residueMap = buildResidueMap(alignment);
+    const childToParent = new Map([...residueMap].map(([parentPosition, childPosition]) => [childPosition, parentPosition]));
+
+    const changedLocks = constraints.lockedPositions.filter((position) => {
+        const childPosition = residueMap.get(position);
+        return !childPosition || child[childPosition - 1] !== parent[position - 1];
+    });
+    if (changedLocks.length > 0) {
+        fail(`Locked positions were changed or deleted: ${changedLocks.map((position) => `${parent[position - 1]}${position}`).join(', ')}.`);
+    }
+
+    Object.entries(constraints.allowedResidues).forEach(([key, residues]) => {
+        const position = Number(key);
+        const childPosition = residueMap.get(position);
+        const residue = childPosition ? child[childPosition - 1] : null;
+        if (residue !== parent[position - 1] && !residues.includes(residue)) {
+            fail(`Position ${position} became ${residue ? residue : 'a deletion'} but may only be ${residues}.`);
+        }
+    });
+
+    if (constraints.maxSubstitutions !== null) {
+        const count = mutations.reduce((sum, mutation) => sum + (mutation.type === 'substitution'
+            ? 1
+            : mutation.type === 'deletion' ? mutation.parentEnd - mutation.parentStart + 1 : mutation.childPositions.length), 0);
+        if (count > constraints.maxSubstitutions) {
+            fail(`${count} mutations were made but at most ${constraints.maxSubstitutions} are allowed.`);
+        }
+    }
+
+    if (constraints.noNewCysteines) {
+        const newCysteines = [...child].map((residue, index) => index + 1)
+            .filter((position) => child[position - 1] === 'C' && parent[(childToParent.get(position) || 0) - 1] !== 'C');
+        if (newCysteines.length > 0) fail(`New cysteines were introduced at positions ${newCysteines.join(', ')}.`);
+    }
+
+    if (constraints.noNewGlycosylation) {
+        const parentSequons = new Set(sequonStarts(parent));
+        const newSequons = sequonStarts(child).filter((position) => !parentSequons.has(childToParent.get(position)));
+        if (newSequons.length > 0) {
+            fail(`New N-glycosylation motifs were created at ${newSequons.map((position) => `${child.slice(position - 1, position + 2)} at ${position}`).join(', ')}.`);
+        }
+    }
+
+    return errors;
+};
@@ -0,0 +1,79 @@
+import { EMPTY_CONSTRAINT_FORM, parseConstraintForm, hasConstraints, describeConstraints, checkEvolutionConstraints } from './constraints';
+
+const PARENT = 'MKTAYIAKQRQISFVKSHFSRQ';
+
+const constraintsFor = (form) => parseConstraintForm({ ...EMPTY_CONSTRAINT_FORM, ...form }, PARENT).constraints;
+const messages = (child, form) => checkEvolutionConstraints(PARENT, child, constraintsFor(form)).map(({ message }) => message);
+
+describe('parseConstraintForm', () => {
+    it('reads positions, ranges and allowed residues', () => {
+        const { constraints, errors } = parseConstraintForm({ ...EMPTY_CONSTRAINT_FORM, locked: '5, 8-10', allowed: '12:vi, 14-15:FY', maxSubstitutions: '3' }, PARENT);
+        expect(errors).toEqual([]);
+        expect(constraints.lockedPositions).toEqual([5, 8, 9, 10]);
+        expect(constraints.allowedResidues).toEqual({ 12: 'VI', 14: 'FY', 15: 'FY' });
+        expect(constraints.maxSubstitutions).toBe(3);
+    });
+
+    it('reports positions outside the sequence and malformed entries', () => {
+        const { constraints, errors } = parseConstraintForm({ ...EMPTY_CONSTRAINT_FORM, locked: '0, 20-23, 9-7, five', allowed: '30:A, 3:XZ, 4', maxSubstitutions: '1.5' }, PARENT);
+        expect(errors).toEqual([
+            '0 is outside the sequence (1-22).',
+            '20-23 is outside the sequence (1-22).',
+            '9-7 is outside the sequence (1-22).',
+            '"five" is not a position or range.',
+            '30 is outside the sequence (1-22).',
+            '"3:XZ" needs the form position:RESIDUES, e.g. 80:DE.',
+            '"4" needs the form position:RESIDUES, e.g. 80:DE.',
+            'Maximum substitutions must be a whole number.',
+        ]);
+        expect(hasConstraints(constraints)).toBe(false);
+    });
+});
+
+describe('describeConstraints', () => {
+    it('is empty without constraints and lists each rule otherwise', () => {
+        expect(describeConstraints(constraintsFor({}), PARENT)).toBe('');
+        expect(describeConstraints(constraintsFor({ locked: '1-2', allowed: '5:FW', noNewCysteines: true }), PARENT)).toBe([
+            'Hard constraints (answers that break any of them are rejected):',
+            '- Keep these positions unchanged: M1, K2.',
+            '- Position 5 (currently Y) may only become one of: F, W.',
+            '- Do not introduce any new cysteine (C) residues.',
+        ].join('\n'));
+    });
+});
+
+describe('checkEvolutionConstraints', () => {
+    it('accepts any child when nothing is constrained', () => {
+        expect(checkEvolutionConstraints(PARENT, 'MCCC', constraintsFor({}))).toEqual([]);
+    });
+
+    it('rejects changed or deleted locked positions', () => {
+        expect(messages('MKTAYIAKQRQISFVKSHFSRQ', { locked: '5' })).toEqual([]);
+        expect(messages('MKTAWIAKQRQISFVKSHFSRQ', { locked: '5' })).toEqual(['Locked positions were changed or deleted: Y5.']);
+        expect(messages('MKTAYIAKQRQVKSHFSRQ', { locked: '13' })).toEqual(['Locked positions were changed or deleted: S13.']);
+    });
+
+    it('rejects disallowed residues and deletions at restricted positions', () => {
+        expect(messages('MKTAFIAKQRQISFVKSHFSRQ', { allowed: '5:FW' })).toEqual([]);
+        expect(messages('MKTAGIAKQRQISFVKSHFSRQ', { allowed: '5:FW' })).toEqual(['Position 5 became G but may only be FW.']);
+        expect(messages('MKTAYIAKQRQVKSHFSRQ', { allowed: '13:T' })).toEqual(['Position 13 became a deletion but may only be T.']);
+    });
+
+    it('counts every inserted or deleted residue against the mutation limit', () => {
+        expect(messages('MKTGGAYIAKQRQISFVKSHFSRQ', { maxSubstitutions: '2' })).toEqual([]);
+        expect(messages('MKTGGAYIAKQRQVKSHFSRQ', { maxSubstitutions: '4' })).toEqual(['5 mutations were made but at most 4 are allowed.']);
+    });
+
+    it('rejects new cysteines but not the ones the parent already had', () => {
+        const parent = 'MKTCYIAKQR';
+        expect(checkEvolutionConstraints(parent, 'MKTCYIAKQR', constraintsFor({ noNewCysteines: true }))).toEqual([]);
+        expect(checkEvolutionConstraints(parent, 'MCTCYIAKQR', constraintsFor({ noNewCysteines: true })).map(({ message }) => message))
+            .toEqual(['New cysteines were introduced at positions 2.']);
+    });
+
+    it('rejects new N-glycosylation sequons but not N-P-S/T', () => {
+        expect(messages('MKTAYIAKQRQISFVKSHFSRQ'.replace('SHF', 'NHS'), { noNewGlycosylation: true }))
+            .toEqual(['New N-glycosylation motifs were created at NHS at 17.']);
+        expect(messages('MKTAYIAKQRQISFVKSHFSRQ'.replace('SHF', 'NPS'), { noNewGlycosylation: true })).toEqual([]);
+    });
+});
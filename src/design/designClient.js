@@ -0,0 +1,188 @@
+import { parseModelJson } from '../providers';
+import { normalizeDesignResult, validateDesignResult, formatValidationErrors } from './schema';
+import { describeConstraints, checkEvolutionConstraints } from './constraints';
+import { builtInTemplate, renderTemplate } from './promptTemplates';
+import { createAuditRecord, startCall } from './auditLog';
+
+const MAX_ATTEMPTS = 5;
+export const MAX_REPAIR_ROUNDS = 2;
+
+// Placeholder values of a request (see PLACEHOLDERS in promptTemplates.js).
+export const promptVariables = (userPrompt, evolutionParams = null) => (evolutionParams
+    ? {
+        sequence: evolutionParams.sequence,
+        feedback: evolutionParams.feedback,
+        constraints: describeConstraints(evolutionParams.constraints, evolutionParams.sequence),
+    }
+    : { userPrompt });
+
+// Renders the prompt for a request with the given resolved template (see promptTemplates.js),
+// or the built-in template for the request kind.
+export const buildDesignPrompt = (userPrompt, evolutionParams = null, template = null, variables = promptVariables(userPrompt, evolutionParams)) => {
+    const { body } = template || builtInTemplate(evolutionParams ? 'evolve' : 'design');
+    return renderTemplate(body, variables);
+};
+
+// Appended to the original prompt when the previous answer failed validation.
+export const buildRepairPrompt = (basePrompt, errors) => [
+    basePrompt,
+    '',
+    'Your previous answer was rejected because it failed validation:',
+    formatValidationErrors(errors),
+    '',
+    'Fix every problem listed above and return the complete corrected JSON object.',
+].join('\n');
+
+export const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
+
+// Rate limits and server errors are worth retrying; other HTTP errors (bad request, auth) are not.
+// Errors without a status are network failures and are retried as well.
+export const isRetryableError = (error) => {
+    if (isAbortError(error)) return false;
+    if (typeof error.status !== 'number') return true;
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+};
+
+const abortReason = (signal) => signal.reason || Object.assign(new Error('The request was cancelled.'), { name: 'AbortError' });
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(abortReason(signal));
+        return;
+    }
+    const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortReason(signal));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Progress events passed to `onProgress`:
+//   { type: 'attempt', attempt, maxAttempts, round }
+//   { type: 'retry', attempt, status, waitMs, message }
+//   { type: 'text', text }                                  streamed answer so far
+//   { type: 'repair', round, maxRounds, errors }
+// Every attempt is recorded as a call in `audit`; returns the answer text and its call.
+const generateWithRetry = async (provider, prompt, request, { signal, stream, onProgress, round, audit }) => {
+    let delay = 1000;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        onProgress({ type: 'attempt', attempt, maxAttempts: MAX_ATTEMPTS, round });
+        const call = startCall(audit, { round, attempt, prompt });
+        const started = Date.now();
+        const onText = (text) => {
+            call.responseText = text;
+            onProgress({ type: 'text', text });
+        };
+        try {
+            const text = await provider.generate({ prompt, request, signal, onText: stream ? onText : undefined });
+            Object.assign(call, { status: 'ok', responseText: text ?? null, latencyMs: Date.now() - started });
+            return { text, call };
+        } catch (error) {
+            const cancelled = isAbortError(error);
+            Object.assign(call, { status: cancelled ? 'cancelled' : 'error', httpStatus: error.status ?? null, error: error.message, latencyMs: Date.now() - started });
+            if (cancelled) throw error;
+            if (!isRetryableError(error)) {
+                const fatal = new Error(`AI model request failed and was not retried. ${error.message}`);
+                fatal.status = error.status;
+                throw fatal;
+            }
+            if (attempt === MAX_ATTEMPTS) throw new Error(`AI model failed to respond after ${MAX_ATTEMPTS} attempts. ${error.message}`);
+
+            const waitMs = Math.max(delay, (error.retryAfter || 0) * 1000);
+            onProgress({ type: 'retry', attempt, status: error.status, waitMs, message: error.message });
+            audit.retries += 1;
+            await sleep(waitMs, signal);
+            delay *= 2;
+        }
+    }
+};
+
+// One-line status log entry for a progress event; null for events that are not logged.
+export const describeProgressEvent = (event) => {
+    switch (event.type) {
+        case 'attempt':
+            return `${event.round > 0 ? `Correction ${event.round}: ` : ''}attempt ${event.attempt} of ${event.maxAttempts}...`;
+        case 'retry':
+            return `Attempt ${event.attempt} failed${event.status ? ` (HTTP ${event.status})` : ''}; retrying in ${Math.round(event.waitMs / 1000)} s.`;
+        case 'repair':
+            return `Answer failed validation (${event.errors.length} problem${event.errors.length === 1 ? '' : 's'}); asking the model to correct it (${event.round} of ${event.maxRounds}).`;
+        default:
+            return null;
+    }
+};
+
+// Calls the model, then normalizes and validates the answer. Invalid answers are sent
+// back to the model together with the validation errors before giving up.
+// `signal` cancels the request (including backoff waits) with an AbortError; `stream` asks the
+// provider for a streamed answer, reported through `onProgress` text events. `template` is a
+// resolved prompt template; the returned design records it as `promptTemplate: { id, name, version }`.
+// `variables` replaces the placeholder values taken from the request, for replays of an audit record.
+// Every request produces an audit record (see auditLog.js). It is passed to `onAudit` when the
+// request ends either way, attached to the returned design as `audit` and to thrown errors.
+export const requestDesign = async (provider, { userPrompt = null, evolutionParams = null, template = null, variables = null, sampling = null, signal = null, stream = false, onProgress = () => {}, onAudit = () => {} }) => {
+    const request = { userPrompt, evolutionParams, sampling };
+    const resolved = template || builtInTemplate(evolutionParams ? 'evolve' : 'design');
+    const promptTemplate = { id: resolved.id, name: resolved.name, version: resolved.version };
+    const values = variables || promptVariables(userPrompt, evolutionParams);
+    const audit = createAuditRecord(provider, { promptTemplate: { ...promptTemplate, body: resolved.body }, promptVariables: values, request, stream });
+    const started = Date.now();
+    const finish = (outcome, error = null) => {
+        Object.assign(audit, { outcome, error: error ? error.message : null, latencyMs: Date.now() - started });
+        onAudit(audit);
+    };
+
+    const basePrompt = buildDesignPrompt(userPrompt, evolutionParams, resolved, values);
+    let prompt = basePrompt;
+    let errors = [];
+
+    try {
+        for (let round = 0; round <= MAX_REPAIR_ROUNDS; round++) {
+            if (round > 0) onProgress({ type: 'repair', round, maxRounds: MAX_REPAIR_ROUNDS, errors });
+            const { text, call } = await generateWithRetry(provider, prompt, request, { signal, stream, onProgress, round, audit });
+            if (!text) throw new Error("The AI model returned an empty response.");
+
+            let raw;
+            try {
+                raw = parseModelJson(text);
+            } catch (e) {
+                raw = null;
+            }
+
+            if (typeof raw !== 'object' || raw === null) {
+                errors = [{ field: 'response', message: 'The response was not a single valid JSON object.' }];
+                call.parse = 'invalid-json';
+            } else {
+                const design = normalizeDesignResult(raw);
+                errors = validateDesignResult(design);
+                // Constraint violations are only meaningful once the sequence itself is valid.
+                if (errors.length === 0 && evolutionParams) {
+                    errors = checkEvolutionConstraints(evolutionParams.sequence, design.sequence, evolutionParams.constraints);
+                }
+                call.parse = errors.length === 0 ? 'valid' : 'invalid';
+                if (errors.length === 0) {
+                    finish('accepted');
+                    return { ...design, promptTemplate, audit };
+                }
+                console.warn("AI response failed validation:", errors, raw);
+            }
+            call.validationErrors = errors;
+            prompt = buildRepairPrompt(basePrompt, errors);
+        }
+    } catch (error) {
+        const cancelled = isAbortError(error);
+        finish(cancelled ? 'cancelled' : 'failed', error);
+        // Abort reasons can be shared by several requests, so only own errors carry the record.
+        if (!cancelled) error.audit = audit;
+        throw error;
+    }
+
+    const error = new Error(`AI response failed validation after ${MAX_REPAIR_ROUNDS} correction attempts:\n${formatValidationErrors(errors)}`);
+    error.validationErrors = errors;
+    error.audit = audit;
+    finish('rejected', error);
+    throw error;
+};
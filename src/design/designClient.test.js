@@ -0,0 +1,118 @@
+import { requestDesign, buildRepairPrompt, isRetryableError, MAX_REPAIR_ROUNDS } from './designClient';
+import { createMockProvider, MOCK_DEFAULTS } from '@protieno/providers';
+import { createReplayProvider } from '../providers/replay';
+
+// The mock provider with its answers passed through `edit(raw, callIndex)`, recording every prompt.
+const editedMock = (edit) => {
+    const mock = createMockProvider(MOCK_DEFAULTS);
+    const prompts = [];
+    return {
+        prompts,
+        provider: {
+            ...mock,
+            generate: async (args) => {
+                prompts.push(args.prompt);
+                const raw = JSON.parse(await mock.generate(args));
+                return JSON.stringify(edit(raw, prompts.length - 1));
+            },
+        },
+    };
+};
+
+describe('requestDesign', () => {
+    // Rejected answers are logged with console.warn/error.
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    it('accepts a valid mock design on the first call', async () => {
+        const provider = createMockProvider(MOCK_DEFAULTS);
+        const audits = [];
+        const design = await requestDesign(provider, { userPrompt: 'a lysozyme binder', onAudit: (audit) => audits.push(audit) });
+        expect(design.sequence).toMatch(/^M[A-Z]+$/);
+        expect(design.audit.calls).toHaveLength(1);
+        expect(audits[0].outcome).toBe('accepted');
+    });
+
+    it('re-prompts with the validation errors and accepts the repaired answer', async () => {
+        const { provider, prompts } = editedMock((raw, index) => (index === 0 ? { ...raw, pdb_id: 'LYZ', binding_affinity_score: 'strong' } : raw));
+        const events = [];
+        const design = await requestDesign(provider, { userPrompt: 'a lysozyme binder', onProgress: (event) => events.push(event) });
+
+        expect(prompts).toHaveLength(2);
+        expect(prompts[1]).toContain('Your previous answer was rejected');
+        expect(prompts[1]).toContain('- pdb_id:');
+        expect(prompts[1]).toContain('- binding_affinity_score:');
+        expect(events.filter(({ type }) => type === 'repair')).toHaveLength(1);
+        expect(design.audit.calls.map(({ parse }) => parse)).toEqual(['invalid', 'valid']);
+    });
+
+    it('repairs answers that are not JSON', async () => {
+        const mock = createMockProvider(MOCK_DEFAULTS);
+        let calls = 0;
+        const provider = { ...mock, generate: async (args) => (calls++ === 0 ? 'Sorry, here is the design.' : mock.generate(args)) };
+        const design = await requestDesign(provider, { userPrompt: 'a lysozyme binder' });
+        expect(design.audit.calls.map(({ parse }) => parse)).toEqual(['invalid-json', 'valid']);
+    });
+
+    it(`gives up after ${MAX_REPAIR_ROUNDS} repair rounds`, async () => {
+        const { provider, prompts } = editedMock((raw) => ({ ...raw, sequence: 'MKV', binding_pocket_residues: [2] }));
+        const audits = [];
+        const request = requestDesign(provider, { userPrompt: 'a lysozyme binder', onAudit: (audit) => audits.push(audit) });
+
+        await expect(request).rejects.toThrow(`failed validation after ${MAX_REPAIR_ROUNDS} correction attempts`);
+        const error = await request.catch((e) => e);
+        expect(prompts).toHaveLength(MAX_REPAIR_ROUNDS + 1);
+        expect(error.validationErrors.map(({ field }) => field)).toEqual(['sequence']);
+        expect(audits[0].outcome).toBe('rejected');
+        expect(audits[0].calls.every(({ parse }) => parse === 'invalid')).toBe(true);
+    });
+
+    it('records the template and its variables so a replay renders the same prompts', async () => {
+        const { provider, prompts } = editedMock((raw, index) => (index === 0 ? { ...raw, pdb_id: 'LYZ' } : raw));
+        const template = { id: 'template-1', name: 'Echo', version: 2, body: 'Design {{userPrompt}}. Say "{{userPrompt}}" back.' };
+        const { audit } = await requestDesign(provider, { userPrompt: 'a binder for {{userPrompt}}', template });
+        expect(audit.promptTemplate).toEqual(template);
+        expect(audit.promptVariables).toEqual({ userPrompt: 'a binder for {{userPrompt}}' });
+
+        const replayed = [];
+        const replay = await requestDesign(createReplayProvider(audit), {
+            ...audit.request,
+            template: audit.promptTemplate,
+            variables: audit.promptVariables,
+            onAudit: (record) => replayed.push(record),
+        });
+        expect(replayed[0].calls.map(({ prompt }) => prompt)).toEqual(prompts);
+        expect(replay.sequence).toBe(JSON.parse(audit.calls[1].responseText).sequence);
+    });
+
+    it('does not retry requests the server rejected', async () => {
+        const provider = { id: 'stub', model: null, generate: jest.fn(async () => { throw Object.assign(new Error('Bad key.'), { status: 401 }); }) };
+        await expect(requestDesign(provider, { userPrompt: 'x' })).rejects.toThrow('not retried');
+        expect(provider.generate).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('helpers', () => {
+    it('lists the errors in the repair prompt', () => {
+        const prompt = buildRepairPrompt('Design a binder.', [{ field: 'pdb_id', message: 'A 4-character PDB ID is required.' }]);
+        expect(prompt).toBe([
+            'Design a binder.',
+            '',
+            'Your previous answer was rejected because it failed validation:',
+            '- pdb_id: A 4-character PDB ID is required.',
+            '',
+            'Fix every problem listed above and return the complete corrected JSON object.',
+        ].join('\n'));
+    });
+
+    it('retries rate limits, server and network errors only', () => {
+        expect(isRetryableError(Object.assign(new Error(), { status: 429 }))).toBe(true);
+        expect(isRetryableError(Object.assign(new Error(), { status: 503 }))).toBe(true);
+        expect(isRetryableError(new Error('network'))).toBe(true);
+        expect(isRetryableError(Object.assign(new Error(), { status: 400 }))).toBe(false);
+        expect(isRetryableError(Object.assign(new Error(), { name: 'AbortError' }))).toBe(false);
+    });
+});
@@ -0,0 +1,58 @@
+// Design lineage tree. Every initial design is a root and every evolution step is a child
+// of the node it was evolved from, so branching histories are kept side by side.
+//
+// Lineage: { nodes: { [id]: node }, rootIds: string[] }
+// Node:    { id, parentId, childIds, label, createdAt, userPrompt, evolutionPrompt, constraints, source, design, structure }
+//          `constraints` holds the structured evolution constraints the node was generated under, if any.
+//          `source` describes where an imported root sequence came from (see sequenceImport.js), else null.
+//
+// All helpers are pure and return new objects so they can be used directly with React state.
+
+export const createLineage = () => ({ nodes: {}, rootIds: [] });
+
+let idCounter = 0;
+const createNodeId = () => `node-${Date.now().toString(36)}-${(idCounter++).toString(36)}`;
+
+export const addNode = (lineage, { parentId = null, userPrompt = null, evolutionPrompt = null, constraints = null, source = null, design, structure = null }) => {
+    const parent = parentId ? lineage.nodes[parentId] : null;
+    if (parentId && !parent) throw new Error(`Unknown parent design "${parentId}".`);
+
+    const id = createNodeId();
+    const label = parent ? `${parent.label}.${parent.childIds.length + 1}` : `D${lineage.rootIds.length + 1}`;
+    const node = {
+        id,
+        parentId,
+        childIds: [],
+        label,
+        createdAt: new Date().toISOString(),
+        userPrompt: parent ? parent.userPrompt : userPrompt,
+        evolutionPrompt,
+        constraints,
+        source,
+        design,
+        structure,
+    };
+
+    const nodes = { ...lineage.nodes, [id]: node };
+    if (parent) nodes[parentId] = { ...parent, childIds: [...parent.childIds, id] };
+    return {
+        lineage: { nodes, rootIds: parent ? lineage.rootIds : [...lineage.rootIds, id] },
+        node,
+    };
+};
+
+export const updateNode = (lineage, id, changes) => ({
+    ...lineage,
+    nodes: { ...lineage.nodes, [id]: { ...lineage.nodes[id], ...changes } },
+});
+
+// Nodes from the root down to (and including) the given node.
+export const getPath = (lineage, id) => {
+    const path = [];
+    let node = lineage.nodes[id];
+    while (node) {
+        path.unshift(node);
+        node = node.parentId ? lineage.nodes[node.parentId] : null;
+    }
+    return path;
+};
@@ -0,0 +1,62 @@
+import { createLineage, addNode, updateNode, getPath } from './lineage';
+
+const design = (sequence) => ({ sequence });
+
+// D1 with children D1.1 and D1.2, D1.1.1 under D1.1, and a second root D2.
+const buildTree = () => {
+    let lineage = createLineage();
+    const add = (options) => {
+        const result = addNode(lineage, options);
+        lineage = result.lineage;
+        return result.node;
+    };
+    const root = add({ userPrompt: 'a lysozyme binder', design: design('MKV') });
+    const first = add({ parentId: root.id, evolutionPrompt: 'more stable', design: design('MKI') });
+    const second = add({ parentId: root.id, evolutionPrompt: 'tighter binding', design: design('MKL') });
+    const grandchild = add({ parentId: first.id, evolutionPrompt: 'fewer cysteines', design: design('MRI') });
+    const other = add({ userPrompt: 'a GFP nanobody', design: design('MQV') });
+    return { lineage, root, first, second, grandchild, other };
+};
+
+describe('lineage', () => {
+    it('labels roots and children by their place in the tree', () => {
+        const { lineage, root, first, second, grandchild, other } = buildTree();
+        expect([root, first, second, grandchild, other].map(({ label }) => label)).toEqual(['D1', 'D1.1', 'D1.2', 'D1.1.1', 'D2']);
+        expect(lineage.rootIds).toEqual([root.id, other.id]);
+        expect(lineage.nodes[root.id].childIds).toEqual([first.id, second.id]);
+        expect(lineage.nodes[first.id].childIds).toEqual([grandchild.id]);
+    });
+
+    it('carries the root prompt down to evolved designs', () => {
+        const { grandchild } = buildTree();
+        expect(grandchild).toMatchObject({ userPrompt: 'a lysozyme binder', evolutionPrompt: 'fewer cysteines' });
+    });
+
+    it('leaves the previous lineage untouched', () => {
+        const { lineage, root } = buildTree();
+        const { lineage: next } = addNode(lineage, { parentId: root.id, design: design('MKA') });
+        expect(lineage.nodes[root.id].childIds).toHaveLength(2);
+        expect(next.nodes[root.id].childIds).toHaveLength(3);
+        expect(Object.keys(next.nodes)).toHaveLength(6);
+    });
+
+    it('rejects an unknown parent', () => {
+        expect(() => addNode(createLineage(), { parentId: 'node-x', design: design('MKV') })).toThrow('Unknown parent design "node-x".');
+    });
+
+    it('updates one node without touching the others', () => {
+        const { lineage, first, second } = buildTree();
+        const next = updateNode(lineage, first.id, { structure: { data: 'ATOM', format: 'pdb' } });
+        expect(next.nodes[first.id].structure).toEqual({ data: 'ATOM', format: 'pdb' });
+        expect(next.nodes[first.id].label).toBe('D1.1');
+        expect(next.nodes[second.id]).toBe(lineage.nodes[second.id]);
+        expect(lineage.nodes[first.id].structure).toBeNull();
+    });
+
+    it('walks the path from the root down to a node', () => {
+        const { lineage, root, first, grandchild, other } = buildTree();
+        expect(getPath(lineage, grandchild.id).map(({ id }) => id)).toEqual([root.id, first.id, grandchild.id]);
+        expect(getPath(lineage, other.id).map(({ label }) => label)).toEqual(['D2']);
+        expect(getPath(lineage, 'node-x')).toEqual([]);
+    });
+});
@@ -0,0 +1,195 @@
+// Prompt templates for design requests. Each kind ('design' for de novo designs, 'evolve' for
+// evolution steps) has a read-only built-in template and any number of user templates kept in
+// localStorage. Editing a user template adds a new version instead of overwriting, and every
+// design records the template id and version it was generated with.
+//
+// Template:  { id, kind, name, builtIn, versions: [{ version, body, createdAt, note }] }
+// Selection: { design: { id, version }, evolve: { id, version } }   version null = latest
+// Resolved:  { id, name, version, body }                            what requestDesign renders
+//
+// Bodies use {{placeholder}} variables, see PLACEHOLDERS.
+
+const TEMPLATES_STORAGE_KEY = 'protieno.promptTemplates';
+const SELECTION_STORAGE_KEY = 'protieno.promptTemplateSelection';
+
+export const TEMPLATE_KINDS = [
+    { id: 'design', label: 'De novo design' },
+    { id: 'evolve', label: 'Evolution step' },
+];
+
+// `required` placeholders must appear in a template; leaving out an optional one only shows `ifMissing`.
+export const PLACEHOLDERS = {
+    design: [
+        { name: 'userPrompt', description: 'The desired function typed by the user.', required: true },
+    ],
+    evolve: [
+        { name: 'sequence', description: 'The sequence being evolved.', required: true },
+        { name: 'feedback', description: 'The evolution goal typed by the user.', required: true },
+        { name: 'constraints', description: 'The hard constraint block, empty when no constraints are set.', required: false, ifMissing: 'constraints are still checked locally but the model is not told about them' },
+    ],
+};
+
+const OUTPUT_INSTRUCTIONS = `8.  **Assess Confidence:** Provide a "design_confidence" score ('High', 'Promising', 'Experimental').
+9.  **Outline Validation:** List the necessary "experimental_validation_steps" as an array of strings.
+10. **Format Output:** Return a single, clean JSON object with all required keys.`;
+
+// Bump the version whenever a built-in body changes so older designs stay attributable.
+export const BUILT_IN_TEMPLATES = [
+    {
+        id: 'builtin-design',
+        kind: 'design',
+        name: 'Built-in de novo design',
+        builtIn: true,
+        versions: [{
+            version: 1,
+            createdAt: null,
+            note: '',
+            body: `You are a world-class computational biologist AI. Your task is to perform a complete *de novo* protein design workflow.
+
+User's desired function: "{{userPrompt}}"
+
+Follow these steps precisely:
+1.  **Analyze Function:** Describe key structural features in a field named "analysis".
+2.  **Generate Sequence:** Create a plausible, novel amino acid sequence (80-150 residues) in a field named "sequence". This can be a string or an object with an "amino_acid_sequence" key.
+3.  **Simulate Binding:** Provide a "binding_affinity_score" (kcal/mol).
+4.  **Predict Stability:** Calculate a "predicted_stability_score".
+5.  **Identify Binding Pocket:** List key residue numbers in "binding_pocket_residues".
+6.  **Find PDB Template:** Identify a real PDB entry for visualization ("pdb_id").
+${OUTPUT_INSTRUCTIONS}`,
+        }],
+    },
+    {
+        id: 'builtin-evolve',
+        kind: 'evolve',
+        name: 'Built-in evolution step',
+        builtIn: true,
+        versions: [{
+            version: 1,
+            createdAt: null,
+            note: '',
+            body: `You are a world-class computational biologist AI specializing in protein evolution.
+Your task is to evolve an existing protein sequence to improve its function based on user feedback.
+
+Previous Sequence: "{{sequence}}"
+User's Goal for Evolution: "{{feedback}}"
+{{constraints}}
+
+Follow these steps precisely:
+1.  **Analyze Goal:** Briefly describe the mutations required in a field named "analysis_goal".
+2.  **Evolve Sequence:** Generate a new sequence in a field named "evolved_sequence".
+3.  **Simulate Binding:** Provide an updated "binding_affinity_score" (kcal/mol).
+4.  **Predict Stability:** Provide an updated "predicted_stability_score".
+5.  **Identify Binding Pocket:** List key residue numbers in "binding_pocket_residues".
+6.  **Find PDB Template:** Identify a real PDB entry for visualization ("pdb_id").
+${OUTPUT_INSTRUCTIONS}`,
+        }],
+    },
+];
+
+export const DEFAULT_TEMPLATE_SELECTION = {
+    design: { id: 'builtin-design', version: null },
+    evolve: { id: 'builtin-evolve', version: null },
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g;
+
+export const findPlaceholders = (body) => [...new Set([...body.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]))];
+
+// Unknown placeholders are left in place so they show up in the preview.
+export const renderTemplate = (body, values) => body.replace(PLACEHOLDER_PATTERN, (match, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name] ?? '') : match
+));
+
+export const validateTemplate = (kind, body) => {
+    const errors = [];
+    const warnings = [];
+    if (!body.trim()) return { errors: ['The template is empty.'], warnings };
+
+    const known = PLACEHOLDERS[kind];
+    const used = findPlaceholders(body);
+    const unknown = used.filter((name) => !known.some((placeholder) => placeholder.name === name));
+    if (unknown.length > 0) {
+        errors.push(`Unknown placeholder${unknown.length === 1 ? '' : 's'} ${unknown.map((name) => `{{${name}}}`).join(', ')}.`);
+    }
+    known.filter(({ name }) => !used.includes(name)).forEach(({ name, required, ifMissing }) => {
+        if (required) errors.push(`{{${name}}} is missing; the model would never see it.`);
+        else warnings.push(`{{${name}}} is missing; ${ifMissing}.`);
+    });
+    return { errors, warnings };
+};
+
+export const latestVersion = (template) => template.versions[template.versions.length - 1];
+
+const findVersion = (template, version) => (
+    (version && template.versions.find((entry) => entry.version === version)) || latestVersion(template)
+);
+
+// The template the selection points at, falling back to the built-in when it was deleted.
+export const resolveTemplate = (templates, selection, kind) => {
+    const builtIn = BUILT_IN_TEMPLATES.find((template) => template.kind === kind);
+    const choice = selection[kind] || {};
+    const match = templates.find((template) => template.id === choice.id && template.kind === kind);
+    const template = match || builtIn;
+    const { version, body } = findVersion(template, match ? choice.version : null);
+    return { id: template.id, name: template.name, version, body };
+};
+
+export const builtInTemplate = (kind) => resolveTemplate(BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_SELECTION, kind);
+
+let idCounter = 0;
+const createTemplateId = () => `template-${Date.now().toString(36)}-${(idCounter++).toString(36)}`;
+
+export const createTemplate = (kind, name, body) => ({
+    id: createTemplateId(),
+    kind,
+    name,
+    builtIn: false,
+    versions: [{ version: 1, body, createdAt: new Date().toISOString(), note: '' }],
+});
+
+export const addTemplateVersion = (template, body, note = '') => ({
+    ...template,
+    versions: [...template.versions, { version: latestVersion(template).version + 1, body, createdAt: new Date().toISOString(), note }],
+});
+
+// Built-ins first, then user templates; only user templates are stored.
+export const loadTemplates = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(TEMPLATES_STORAGE_KEY));
+        if (Array.isArray(saved)) {
+            return [...BUILT_IN_TEMPLATES, ...saved.filter((template) => template && PLACEHOLDERS[template.kind] && template.versions?.length > 0)];
+        }
+    } catch (e) {
+        console.warn("Ignoring unreadable prompt templates:", e);
+    }
+    return BUILT_IN_TEMPLATES;
+};
+
+export const saveTemplates = (templates) => {
+    try {
+        window.localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates.filter((template) => !template.builtIn)));
+    } catch (e) {
+        console.warn("Could not persist prompt templates:", e);
+    }
+};
+
+export const loadTemplateSelection = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SELECTION_STORAGE_KEY));
+        if (saved) return { ...DEFAULT_TEMPLATE_SELECTION, ...saved };
+    } catch (e) {
+        console.warn("Ignoring unreadable prompt template selection:", e);
+    }
+    return DEFAULT_TEMPLATE_SELECTION;
+};
+
+export const saveTemplateSelection = (selection) => {
+    try {
+        window.localStorage.setItem(SELECTION_STORAGE_KEY, JSON.stringify(selection));
+    } catch (e) {
+        console.warn("Could not persist prompt template selection:", e);
+    }
+};
+
+// "Built-in de novo design v1"
+export const describeTemplate = ({ name, version }) => `${name} v${version}`;
@@ -0,0 +1,64 @@
+import {
+    renderTemplate,
+    findPlaceholders,
+    validateTemplate,
+    resolveTemplate,
+    builtInTemplate,
+    createTemplate,
+    addTemplateVersion,
+    loadTemplates,
+    saveTemplates,
+    BUILT_IN_TEMPLATES,
+    DEFAULT_TEMPLATE_SELECTION,
+} from './promptTemplates';
+
+describe('renderTemplate', () => {
+    it('fills known variables and leaves unknown ones in place', () => {
+        const body = 'Evolve {{ sequence }} towards "{{feedback}}".\n{{constraints}}{{unknown}} {{sequence}}';
+        expect(renderTemplate(body, { sequence: 'MKV', feedback: 'more stable', constraints: null }))
+            .toBe('Evolve MKV towards "more stable".\n{{unknown}} MKV');
+        expect(findPlaceholders(body)).toEqual(['sequence', 'feedback', 'constraints', 'unknown']);
+    });
+
+    it('does not read variables from the object prototype', () => {
+        expect(renderTemplate('{{toString}} {{constructor}}', {})).toBe('{{toString}} {{constructor}}');
+    });
+
+    it('renders the built-in templates without leftover variables', () => {
+        expect(renderTemplate(builtInTemplate('design').body, { userPrompt: 'a lysozyme binder' })).not.toMatch(/\{\{/);
+        expect(renderTemplate(builtInTemplate('evolve').body, { sequence: 'MKV', feedback: 'x', constraints: '' })).not.toMatch(/\{\{/);
+    });
+});
+
+describe('validateTemplate', () => {
+    it('rejects unknown and missing required variables and warns about optional ones', () => {
+        expect(validateTemplate('design', '  ')).toEqual({ errors: ['The template is empty.'], warnings: [] });
+        expect(validateTemplate('design', 'Design {{userPrompt}} with {{pdbId}} and {{length}}.').errors).toEqual(['Unknown placeholders {{pdbId}}, {{length}}.']);
+        expect(validateTemplate('evolve', 'Evolve {{sequence}}.')).toEqual({
+            errors: ['{{feedback}} is missing; the model would never see it.'],
+            warnings: ['{{constraints}} is missing; constraints are still checked locally but the model is not told about them.'],
+        });
+        BUILT_IN_TEMPLATES.forEach(({ kind, versions }) => expect(validateTemplate(kind, versions[0].body)).toEqual({ errors: [], warnings: [] }));
+    });
+});
+
+describe('template versions', () => {
+    it('resolves the selected or latest version and falls back to the built-in', () => {
+        const template = addTemplateVersion(createTemplate('design', 'Short', 'v1 {{userPrompt}}'), 'v2 {{userPrompt}}', 'shorter');
+        const templates = [...BUILT_IN_TEMPLATES, template];
+        const select = (version) => ({ ...DEFAULT_TEMPLATE_SELECTION, design: { id: template.id, version } });
+        expect(resolveTemplate(templates, select(null), 'design')).toMatchObject({ id: template.id, version: 2, body: 'v2 {{userPrompt}}' });
+        expect(resolveTemplate(templates, select(1), 'design')).toMatchObject({ version: 1, body: 'v1 {{userPrompt}}' });
+        expect(resolveTemplate(templates, select(9), 'design').version).toBe(2);
+        expect(resolveTemplate(BUILT_IN_TEMPLATES, select(1), 'design')).toMatchObject({ id: 'builtin-design', version: 1 });
+        expect(resolveTemplate(templates, select(null), 'evolve').id).toBe('builtin-evolve');
+    });
+
+    it('stores only user templates', () => {
+        window.localStorage.clear();
+        const template = createTemplate('evolve', 'Mine', '{{sequence}} {{feedback}}');
+        saveTemplates([...BUILT_IN_TEMPLATES, template]);
+        expect(loadTemplates()).toEqual([...BUILT_IN_TEMPLATES, template]);
+        expect(JSON.parse(window.localStorage.getItem('protieno.promptTemplates'))).toHaveLength(1);
+    });
+});
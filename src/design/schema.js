@@ -0,0 +1,137 @@
+// Design result schema. Models name fields inconsistently, so raw responses are first
+// normalized into one shape and then validated field by field.
+//
+// Normalized design:
+//   sequence               string, canonical one-letter amino-acid codes
+//   analysis               string
+//   bindingAffinity        number (kcal/mol)
+//   predictedStability     number | null
+//   bindingPocketResidues  number[] (1-based indices into sequence)
+//   pdbId                  string, 4-character PDB identifier
+//   designConfidence       'High' | 'Promising' | 'Experimental'
+//   validationSteps        string[]
+
+export const CANONICAL_AMINO_ACIDS = 'ACDEFGHIKLMNPQRSTVWY';
+export const CONFIDENCE_LEVELS = ['High', 'Promising', 'Experimental'];
+export const SEQUENCE_LENGTH_RANGE = { min: 50, max: 1000 };
+
+const SEQUENCE_KEYS = ['sequence', 'generated_sequence', 'amino_acid_sequence', 'evolved_sequence'];
+const ANALYSIS_KEYS = ['analysis', 'analysis_function', 'function_analysis', 'analysis_goal'];
+const AFFINITY_KEYS = ['binding_affinity_score', 'simulated_binding_affinity_score'];
+
+const firstPresent = (raw, keys) => {
+    const key = keys.find((k) => raw[k] !== undefined && raw[k] !== null && raw[k] !== '');
+    return key ? raw[key] : undefined;
+};
+
+// "-8.4", "-8.4 kcal/mol" and -8.4 are all accepted; anything else is left as-is for the validator.
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') {
+        const match = value.trim().match(/^[-+−]?\d+(\.\d+)?/);
+        if (match) return Number(match[0].replace('−', '-'));
+    }
+    return value;
+};
+
+// Best-effort read of the analysis string from a JSON answer that is still streaming in.
+export const extractPartialAnalysis = (partialText) => {
+    for (const key of ANALYSIS_KEYS) {
+        const match = partialText.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+        if (match) {
+            try {
+                return JSON.parse(`"${match[1].replace(/\\+$/, '')}"`);
+            } catch (e) {
+                return match[1];
+            }
+        }
+    }
+    return '';
+};
+
+export const cleanSequence = (sequence) => sequence.replace(/[\s\d*]/g, '').toUpperCase();
+
+export const normalizeDesignResult = (raw) => {
+    let sequence = firstPresent(raw, SEQUENCE_KEYS);
+    if (typeof sequence === 'object' && sequence !== null && sequence.amino_acid_sequence) {
+        sequence = sequence.amino_acid_sequence;
+    }
+    if (typeof sequence === 'string') sequence = cleanSequence(sequence);
+
+    let analysis = firstPresent(raw, ANALYSIS_KEYS) || "Analysis not provided.";
+    if (typeof analysis === 'object' && analysis !== null) {
+        analysis = Object.values(analysis).join(' \n\n');
+    }
+
+    const pocket = raw.binding_pocket_residues;
+    const bindingPocketResidues = Array.isArray(pocket)
+        ? pocket.map((residue) => (typeof residue === 'string' ? Number((residue.match(/\d+/) || [])[0]) : residue))
+        : pocket;
+
+    const confidence = typeof raw.design_confidence === 'string'
+        ? CONFIDENCE_LEVELS.find((level) => level.toLowerCase() === raw.design_confidence.trim().toLowerCase()) || raw.design_confidence
+        : raw.design_confidence;
+
+    const stability = toNumber(raw.predicted_stability_score);
+    const steps = raw.experimental_validation_steps;
+
+    return {
+        sequence,
+        analysis: String(analysis),
+        bindingAffinity: toNumber(firstPresent(raw, AFFINITY_KEYS)),
+        predictedStability: stability === undefined ? null : stability,
+        bindingPocketResidues: bindingPocketResidues === undefined ? [] : bindingPocketResidues,
+        pdbId: typeof raw.pdb_id === 'string' ? raw.pdb_id.trim().toUpperCase() : raw.pdb_id,
+        designConfidence: confidence,
+        validationSteps: Array.isArray(steps) ? steps.map(String) : [],
+    };
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns a list of { field, message } entries; an empty list means the design is valid.
+export const validateDesignResult = (design, { lengthRange = SEQUENCE_LENGTH_RANGE } = {}) => {
+    const errors = [];
+    const { sequence } = design;
+
+    if (typeof sequence !== 'string' || !sequence) {
+        errors.push({ field: 'sequence', message: 'A non-empty amino-acid sequence string is required.' });
+    } else {
+        const invalid = [...new Set(sequence.split('').filter((letter) => !CANONICAL_AMINO_ACIDS.includes(letter)))];
+        if (invalid.length > 0) {
+            errors.push({ field: 'sequence', message: `Sequence contains non-canonical letters: ${invalid.join(', ')}. Use only ${CANONICAL_AMINO_ACIDS}.` });
+        }
+        if (sequence.length < lengthRange.min || sequence.length > lengthRange.max) {
+            errors.push({ field: 'sequence', message: `Sequence length ${sequence.length} is outside the allowed range ${lengthRange.min}-${lengthRange.max}.` });
+        }
+    }
+
+    if (!isFiniteNumber(design.bindingAffinity)) {
+        errors.push({ field: 'binding_affinity_score', message: `Binding affinity must be a number in kcal/mol, got ${JSON.stringify(design.bindingAffinity)}.` });
+    }
+
+    if (design.predictedStability !== null && !isFiniteNumber(design.predictedStability)) {
+        errors.push({ field: 'predicted_stability_score', message: `Predicted stability must be a number, got ${JSON.stringify(design.predictedStability)}.` });
+    }
+
+    if (!Array.isArray(design.bindingPocketResidues)) {
+        errors.push({ field: 'binding_pocket_residues', message: 'Binding pocket residues must be an array of residue numbers.' });
+    } else if (typeof sequence === 'string') {
+        const outOfRange = design.bindingPocketResidues.filter((residue) => !Number.isInteger(residue) || residue < 1 || residue > sequence.length);
+        if (outOfRange.length > 0) {
+            errors.push({ field: 'binding_pocket_residues', message: `Residues ${outOfRange.join(', ')} are not valid 1-based positions in a sequence of length ${sequence.length}.` });
+        }
+    }
+
+    if (typeof design.pdbId !== 'string' || !/^[0-9][A-Z0-9]{3}$/.test(design.pdbId)) {
+        errors.push({ field: 'pdb_id', message: `A 4-character PDB ID is required, got ${JSON.stringify(design.pdbId)}.` });
+    }
+
+    if (!CONFIDENCE_LEVELS.includes(design.designConfidence)) {
+        errors.push({ field: 'design_confidence', message: `Design confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}, got ${JSON.stringify(design.designConfidence)}.` });
+    }
+
+    return errors;
+};
+
+export const formatValidationErrors = (errors) => errors.map(({ field, message }) => `- ${field}: ${message}`).join('\n');
@@ -0,0 +1,118 @@
+import { normalizeDesignResult, validateDesignResult, SEQUENCE_LENGTH_RANGE, cleanSequence, extractPartialAnalysis } from './schema';
+
+const validRaw = (overrides = {}) => ({
+    analysis: 'A compact binder.',
+    sequence: `M${'A'.repeat(79)}`,
+    binding_affinity_score: -8.4,
+    predicted_stability_score: 1.2,
+    binding_pocket_residues: [10, 20, 30],
+    pdb_id: '1LYZ',
+    design_confidence: 'High',
+    experimental_validation_steps: ['Express', 'Purify'],
+    ...overrides,
+});
+
+const validate = (overrides) => validateDesignResult(normalizeDesignResult(validRaw(overrides)));
+const fieldsOf = (errors) => errors.map(({ field }) => field);
+
+describe('normalizeDesignResult', () => {
+    it('coerces numbers given as strings with units', () => {
+        const design = normalizeDesignResult(validRaw({ binding_affinity_score: '−9.1 kcal/mol', predicted_stability_score: '+0.5' }));
+        expect(design.bindingAffinity).toBe(-9.1);
+        expect(design.predictedStability).toBe(0.5);
+    });
+
+    it('reads alternative field names and nested sequences', () => {
+        const design = normalizeDesignResult({
+            ...validRaw({ sequence: undefined, analysis: undefined, binding_affinity_score: undefined }),
+            generated_sequence: { amino_acid_sequence: 'mkv lla\n12*' },
+            function_analysis: { fold: 'Beta barrel.', site: 'Deep cleft.' },
+            simulated_binding_affinity_score: -7,
+        });
+        expect(design.sequence).toBe('MKVLLA');
+        expect(design.analysis).toBe('Beta barrel. \n\nDeep cleft.');
+        expect(design.bindingAffinity).toBe(-7);
+    });
+
+    it('parses residue labels, PDB IDs and confidence case-insensitively', () => {
+        const design = normalizeDesignResult(validRaw({ binding_pocket_residues: ['Tyr45', 'W60', 72], pdb_id: ' 1lyz ', design_confidence: ' promising ' }));
+        expect(design.bindingPocketResidues).toEqual([45, 60, 72]);
+        expect(design.pdbId).toBe('1LYZ');
+        expect(design.designConfidence).toBe('Promising');
+    });
+
+    it('fills defaults for missing optional fields', () => {
+        const design = normalizeDesignResult(validRaw({ predicted_stability_score: undefined, binding_pocket_residues: undefined, experimental_validation_steps: 'none', analysis: '' }));
+        expect(design.predictedStability).toBeNull();
+        expect(design.bindingPocketResidues).toEqual([]);
+        expect(design.validationSteps).toEqual([]);
+        expect(design.analysis).toBe('Analysis not provided.');
+    });
+
+    it('leaves values it cannot coerce for the validator', () => {
+        const design = normalizeDesignResult(validRaw({ binding_affinity_score: 'strong', pdb_id: 1234 }));
+        expect(design.bindingAffinity).toBe('strong');
+        expect(design.pdbId).toBe(1234);
+    });
+});
+
+describe('validateDesignResult', () => {
+    it('accepts a well-formed design', () => {
+        expect(validate()).toEqual([]);
+    });
+
+    it('enforces the sequence length range at its bounds', () => {
+        const ofLength = (length) => `M${'A'.repeat(length - 1)}`;
+        expect(validate({ sequence: ofLength(SEQUENCE_LENGTH_RANGE.min) })).toEqual([]);
+        expect(validate({ sequence: ofLength(SEQUENCE_LENGTH_RANGE.max) })).toEqual([]);
+        expect(fieldsOf(validate({ sequence: ofLength(SEQUENCE_LENGTH_RANGE.min - 1) }))).toEqual(['sequence']);
+        expect(fieldsOf(validate({ sequence: ofLength(SEQUENCE_LENGTH_RANGE.max + 1) }))).toEqual(['sequence']);
+    });
+
+    it('honours a custom length range', () => {
+        const design = normalizeDesignResult(validRaw({ sequence: 'MKVLLA', binding_pocket_residues: [2] }));
+        expect(validateDesignResult(design, { lengthRange: { min: 5, max: 10 } })).toEqual([]);
+    });
+
+    it('rejects non-canonical letters', () => {
+        const errors = validate({ sequence: `M${'A'.repeat(70)}XBZ${'A'.repeat(10)}` });
+        expect(errors).toHaveLength(1);
+        expect(errors[0].message).toMatch(/X, B, Z/);
+    });
+
+    it.each([
+        ['1LYZ', true],
+        ['6EQE', true],
+        ['101M', true],
+        ['LYZ1', false],
+        ['1LY', false],
+        ['1LYZA', false],
+        ['1LY-', false],
+        ['', false],
+    ])('checks the PDB ID %j', (pdbId, valid) => {
+        expect(fieldsOf(validate({ pdb_id: pdbId })).includes('pdb_id')).toBe(!valid);
+    });
+
+    it('rejects pocket residues outside the sequence', () => {
+        const errors = validate({ binding_pocket_residues: [0, 10, 81, 2.5] });
+        expect(fieldsOf(errors)).toEqual(['binding_pocket_residues']);
+        expect(errors[0].message).toMatch(/^Residues 0, 81, 2.5 /);
+        expect(fieldsOf(validate({ binding_pocket_residues: '10, 20' }))).toEqual(['binding_pocket_residues']);
+    });
+
+    it('reports every malformed field', () => {
+        const errors = validate({ sequence: '', binding_affinity_score: 'strong', predicted_stability_score: 'high', pdb_id: null, design_confidence: 'Certain' });
+        expect(fieldsOf(errors)).toEqual(['sequence', 'binding_affinity_score', 'predicted_stability_score', 'pdb_id', 'design_confidence']);
+    });
+});
+
+describe('helpers', () => {
+    it('cleans pasted sequences', () => {
+        expect(cleanSequence('1 mkvl\n 11 aa*')).toBe('MKVLAA');
+    });
+
+    it('reads the analysis from a partial streamed answer', () => {
+        expect(extractPartialAnalysis('{"analysis": "A \\"tight\\" bin')).toBe('A "tight" bin');
+        expect(extractPartialAnalysis('{"sequence": "MKV')).toBe('');
+    });
+});
@@ -0,0 +1,82 @@
+import { CANONICAL_AMINO_ACIDS, SEQUENCE_LENGTH_RANGE, cleanSequence } from './schema';
+
+// Existing proteins as starting points: pasted FASTA or raw sequence, UniProt FASTA files and
+// chains of a loaded structure. An imported sequence becomes a root design without AI metrics,
+// so it can be analysed and evolved like any generated design.
+//
+// Source: { kind: 'sequence' | 'fasta' | 'uniprot' | 'structure', id, description }
+
+// ">sp|P69905|HBA_HUMAN Hemoglobin subunit alpha OS=Homo sapiens OX=9606 GN=HBA1 PE=1 SV=2"
+const UNIPROT_HEADER = /^(sp|tr)\|([A-Z0-9]+(?:-\d+)?)\|(\S+)\s*(.*)$/;
+
+const parseHeader = (header) => {
+    const uniprot = header.match(UNIPROT_HEADER);
+    if (uniprot) {
+        const [, , accession, entryName, rest] = uniprot;
+        const organism = (rest.match(/(?:^| )OS=(.+?)(?= [A-Z]{2}=|$)/) || [])[1];
+        const name = rest.replace(/(?:^| )[A-Z]{2}=.*$/, '').trim();
+        return { kind: 'uniprot', id: accession, description: `${name || entryName}${organism ? ` (${organism})` : ''}` };
+    }
+    const [id, ...rest] = header.split(/\s+/);
+    return { kind: 'fasta', id: id || 'sequence', description: rest.join(' ') };
+};
+
+// FASTA text (one or more records) or a bare sequence. Returns [{ source, sequence }].
+export const parseSequenceInput = (text) => {
+    const trimmed = text.trim();
+    if (!trimmed) return [];
+    if (!trimmed.startsWith('>')) {
+        return [{ source: { kind: 'sequence', id: 'sequence', description: '' }, sequence: cleanSequence(trimmed) }];
+    }
+    return trimmed.split(/^>/m).filter(Boolean).map((block) => {
+        const [header, ...lines] = block.split(/\r?\n/);
+        return { source: parseHeader(header.trim()), sequence: cleanSequence(lines.join('')) };
+    });
+};
+
+// Chains of a parsed structure. SEQRES is preferred because it includes unmodelled residues.
+export const structureChainRecords = (structure, parsed) => parsed.chains
+    .map((chain) => {
+        const fromSeqres = Boolean(chain.seqres);
+        return {
+            source: {
+                kind: 'structure',
+                id: `${structure.id}:${chain.id}`,
+                description: `Chain ${chain.id} of ${structure.id} (${fromSeqres ? 'SEQRES' : 'modelled residues'})`,
+            },
+            sequence: fromSeqres ? chain.seqres : chain.sequence,
+        };
+    })
+    .filter(({ sequence }) => sequence.length > 0);
+
+// Plain messages for the import form; an empty list means the sequence can be used.
+export const validateImportedSequence = (sequence, { lengthRange = SEQUENCE_LENGTH_RANGE } = {}) => {
+    const errors = [];
+    if (!sequence) return ['The sequence is empty.'];
+    const invalid = [...new Set([...sequence].filter((letter) => !CANONICAL_AMINO_ACIDS.includes(letter)))];
+    if (invalid.length > 0) {
+        const first = [...sequence].findIndex((letter) => invalid.includes(letter)) + 1;
+        errors.push(`Non-canonical letters ${invalid.join(', ')} (first at position ${first}). Only ${CANONICAL_AMINO_ACIDS} can be designed and evolved.`);
+    }
+    if (sequence.length < lengthRange.min || sequence.length > lengthRange.max) {
+        errors.push(`Length ${sequence.length} is outside the supported range ${lengthRange.min}-${lengthRange.max}.`);
+    }
+    return errors;
+};
+
+export const describeSource = (source) => {
+    const name = source.kind === 'uniprot' ? `UniProt ${source.id}` : source.kind === 'structure' ? `structure ${source.id}` : source.id;
+    return `Imported ${name}${source.description ? `: ${source.description}` : ''}`;
+};
+
+// Design record for an imported sequence. Model-predicted fields stay empty until it is evolved.
+export const createImportedDesign = (sequence, source, { pdbId = null } = {}) => ({
+    sequence,
+    analysis: `${describeSource(source)}. No AI analysis yet; evolve it to get predicted metrics.`,
+    bindingAffinity: null,
+    predictedStability: null,
+    bindingPocketResidues: [],
+    pdbId,
+    designConfidence: null,
+    validationSteps: [],
+});
@@ -0,0 +1,64 @@
+import { parseSequenceInput, structureChainRecords, validateImportedSequence, describeSource, createImportedDesign } from './sequenceImport';
+
+const HBA = 'MVLSPADKTNVKAAWGKVGAHAGEYGAEALERMFLSFPTTKTYFPHFDLSHGSAQVKGHGKKVADALTNAVAHVDDMPNALSALSDLHAHKLRVDPVNFKLLSHCLLVTLAAHLPAEFTPAVHASLDKFLASVSTVLTSKYR';
+
+describe('parseSequenceInput', () => {
+    it('reads every record of a multi-record FASTA', () => {
+        const text = [
+            '>sp|P69905|HBA_HUMAN Hemoglobin subunit alpha OS=Homo sapiens OX=9606 GN=HBA1 PE=1 SV=2',
+            HBA.slice(0, 60),
+            HBA.slice(60, 120),
+            HBA.slice(120),
+            '',
+            '>tr|A0A0B4J2F0-2|A0A0B4J2F0_HUMAN OS=Homo sapiens OX=9606',
+            'MKV LAA*',
+            '>design_7 round 3 best',
+            'mkvlaag',
+            '123 mkv',
+        ].join('\r\n');
+        expect(parseSequenceInput(text)).toEqual([
+            { source: { kind: 'uniprot', id: 'P69905', description: 'Hemoglobin subunit alpha (Homo sapiens)' }, sequence: HBA },
+            { source: { kind: 'uniprot', id: 'A0A0B4J2F0-2', description: 'A0A0B4J2F0_HUMAN (Homo sapiens)' }, sequence: 'MKVLAA' },
+            { source: { kind: 'fasta', id: 'design_7', description: 'round 3 best' }, sequence: 'MKVLAAGMKV' },
+        ]);
+    });
+
+    it('takes a bare sequence as one record', () => {
+        expect(parseSequenceInput('  mkv laa\n gg  ')).toEqual([{ source: { kind: 'sequence', id: 'sequence', description: '' }, sequence: 'MKVLAAGG' }]);
+        expect(parseSequenceInput(' \n ')).toEqual([]);
+    });
+
+    it('keeps records without a sequence so the form can report them', () => {
+        expect(parseSequenceInput('>empty\n>second\nMKV').map(({ source, sequence }) => [source.id, sequence])).toEqual([['empty', ''], ['second', 'MKV']]);
+    });
+});
+
+describe('structureChainRecords', () => {
+    it('prefers SEQRES and skips chains without residues', () => {
+        const parsed = { chains: [{ id: 'A', seqres: 'MKVLAAG', sequence: 'KVLAA' }, { id: 'B', seqres: null, sequence: 'GSHM' }, { id: 'W', seqres: null, sequence: '' }] };
+        expect(structureChainRecords({ id: '1ABC' }, parsed)).toEqual([
+            { source: { kind: 'structure', id: '1ABC:A', description: 'Chain A of 1ABC (SEQRES)' }, sequence: 'MKVLAAG' },
+            { source: { kind: 'structure', id: '1ABC:B', description: 'Chain B of 1ABC (modelled residues)' }, sequence: 'GSHM' },
+        ]);
+    });
+});
+
+describe('validateImportedSequence', () => {
+    it('reports non-canonical letters and lengths outside the range', () => {
+        expect(validateImportedSequence(HBA)).toEqual([]);
+        expect(validateImportedSequence('')).toEqual(['The sequence is empty.']);
+        expect(validateImportedSequence(`MKXB${HBA}`)).toEqual([
+            'Non-canonical letters X, B (first at position 3). Only ACDEFGHIKLMNPQRSTVWY can be designed and evolved.',
+        ]);
+        expect(validateImportedSequence('MKV')).toEqual(['Length 3 is outside the supported range 50-1000.']);
+    });
+});
+
+describe('imported designs', () => {
+    it('describe their source and carry no AI metrics', () => {
+        const source = { kind: 'uniprot', id: 'P69905', description: 'Hemoglobin subunit alpha (Homo sapiens)' };
+        expect(describeSource(source)).toBe('Imported UniProt P69905: Hemoglobin subunit alpha (Homo sapiens)');
+        expect(describeSource({ kind: 'sequence', id: 'sequence', description: '' })).toBe('Imported sequence');
+        expect(createImportedDesign(HBA, source, { pdbId: '1A3N' })).toMatchObject({ sequence: HBA, pdbId: '1A3N', bindingAffinity: null, designConfidence: null, validationSteps: [] });
+    });
+});
@@ -0,0 +1,144 @@
+// Lab validation tracking for a design. The plan is stored on its lineage node as `node.validation`
+// and saved with the project; until it is first edited it is derived from the AI's step list.
+//
+// Plan: { steps: [Step], measurements: { kd, tm, expressionYield }, updatedAt }
+// Step: { id, title, status, assignee, date, notes, attachments: [{ id, name, type, size, dataUrl, addedAt }] }
+
+export const STEP_STATUSES = [
+    { id: 'planned', label: 'Planned' },
+    { id: 'in-progress', label: 'In progress' },
+    { id: 'done', label: 'Done' },
+    { id: 'failed', label: 'Failed' },
+    { id: 'skipped', label: 'Skipped' },
+];
+
+export const MEASUREMENTS = [
+    { id: 'kd', label: 'Kd', unit: 'nM' },
+    { id: 'tm', label: 'Tm', unit: '°C' },
+    { id: 'expressionYield', label: 'Expression yield', unit: 'mg/L' },
+];
+
+// Attachments are kept inline in the project (IndexedDB and project bundles), so they are small files.
+export const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+
+let idCounter = 0;
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${(idCounter++).toString(36)}`;
+
+const createStep = (title) => ({ id: createId('step'), title, status: 'planned', assignee: '', date: '', notes: '', attachments: [] });
+
+export const createValidationPlan = (validationSteps = []) => ({
+    steps: validationSteps.map(createStep),
+    measurements: { kd: null, tm: null, expressionYield: null },
+    updatedAt: null,
+});
+
+export const getValidationPlan = (node) => node.validation || createValidationPlan(node.design.validationSteps);
+
+const touch = (plan, changes) => ({ ...plan, ...changes, updatedAt: new Date().toISOString() });
+
+export const updateStep = (plan, stepId, changes) => touch(plan, {
+    steps: plan.steps.map((step) => (step.id === stepId ? { ...step, ...changes } : step)),
+});
+
+export const addStep = (plan, title) => touch(plan, { steps: [...plan.steps, createStep(title)] });
+
+export const removeStep = (plan, stepId) => touch(plan, { steps: plan.steps.filter(({ id }) => id !== stepId) });
+
+// `value` is a number or null to clear the measurement.
+export const setMeasurement = (plan, id, value) => touch(plan, { measurements: { ...plan.measurements, [id]: value } });
+
+export const planProgress = (plan) => ({
+    done: plan.steps.filter(({ status }) => status === 'done').length,
+    total: plan.steps.filter(({ status }) => status !== 'skipped').length,
+});
+
+export const readAttachment = (file) => new Promise((resolve, reject) => {
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+        reject(new Error(`"${file.name}" is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB.`));
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => resolve({
+        id: createId('file'),
+        name: file.name,
+        type: file.type || 'application/octet-stream',
+        size: file.size,
+        dataUrl: reader.result,
+        addedAt: new Date().toISOString(),
+    });
+    reader.onerror = () => reject(new Error(`Could not read "${file.name}".`));
+    reader.readAsDataURL(file);
+});
+
+// ---- Calibration ----
+
+// Binding free energy of a measured dissociation constant at 25 °C: ΔG = RT ln(Kd / 1 M).
+const RT_KCAL_MOL = 0.0019872 * 298.15;
+export const kdToDeltaG = (kdNanomolar) => RT_KCAL_MOL * Math.log(kdNanomolar * 1e-9);
+
+const hasNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Predicted vs measured pairs. Affinity is compared on the same scale (kcal/mol); the stability
+// score has no unit, so only its correlation with Tm and a linear fit are meaningful.
+export const CALIBRATIONS = [
+    {
+        id: 'affinity',
+        label: 'Binding affinity',
+        predictedLabel: 'Predicted affinity (kcal/mol)',
+        measuredLabel: 'ΔG from measured Kd (kcal/mol)',
+        sameScale: true,
+        predicted: (design) => design.bindingAffinity,
+        measured: ({ kd }) => (hasNumber(kd) && kd > 0 ? kdToDeltaG(kd) : null),
+    },
+    {
+        id: 'stability',
+        label: 'Stability',
+        predictedLabel: 'Predicted stability score',
+        measuredLabel: 'Measured Tm (°C)',
+        sameScale: false,
+        predicted: (design) => design.predictedStability,
+        measured: ({ tm }) => (hasNumber(tm) ? tm : null),
+    },
+];
+
+// One point per design with both a prediction and a measurement: { key, label, predicted, measured }.
+// `source` names the project the design belongs to.
+export const calibrationPoints = (calibration, lineage, source) => Object.values(lineage.nodes)
+    .filter((node) => node.validation)
+    .map((node) => ({
+        key: `${source}:${node.id}`,
+        label: node.label,
+        source,
+        predicted: calibration.predicted(node.design),
+        measured: calibration.measured(node.validation.measurements),
+    }))
+    .filter(({ predicted, measured }) => hasNumber(predicted) && hasNumber(measured));
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Least-squares fit measured = slope * predicted + intercept, Pearson r, and for same-scale
+// calibrations the bias (mean predicted - measured) and mean absolute error.
+export const calibrationStats = (calibration, points) => {
+    const n = points.length;
+    if (n === 0) return { n };
+    const px = mean(points.map(({ predicted }) => predicted));
+    const my = mean(points.map(({ measured }) => measured));
+    let sxx = 0;
+    let syy = 0;
+    let sxy = 0;
+    points.forEach(({ predicted, measured }) => {
+        sxx += (predicted - px) ** 2;
+        syy += (measured - my) ** 2;
+        sxy += (predicted - px) * (measured - my);
+    });
+    const stats = {
+        n,
+        r: n > 2 && sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null,
+        fit: n > 1 && sxx > 0 ? { slope: sxy / sxx, intercept: my - (sxy / sxx) * px } : null,
+    };
+    if (calibration.sameScale) {
+        stats.bias = mean(points.map(({ predicted, measured }) => predicted - measured));
+        stats.meanAbsoluteError = mean(points.map(({ predicted, measured }) => Math.abs(predicted - measured)));
+    }
+    return stats;
+};
@@ -0,0 +1,95 @@
+import {
+    createValidationPlan,
+    getValidationPlan,
+    updateStep,
+    addStep,
+    removeStep,
+    setMeasurement,
+    planProgress,
+    kdToDeltaG,
+    CALIBRATIONS,
+    calibrationPoints,
+    calibrationStats,
+} from './validationPlan';
+
+const [AFFINITY, STABILITY] = CALIBRATIONS;
+
+const node = (id, design, measurements) => ({
+    id,
+    label: id.toUpperCase(),
+    design,
+    validation: measurements ? { ...createValidationPlan(), measurements: { kd: null, tm: null, expressionYield: null, ...measurements } } : undefined,
+});
+
+describe('validation plan', () => {
+    it('starts from the AI step list until it is edited', () => {
+        const fresh = { design: { validationSteps: ['Express', 'Purify'] } };
+        const plan = getValidationPlan(fresh);
+        expect(plan.steps.map(({ title, status }) => [title, status])).toEqual([['Express', 'planned'], ['Purify', 'planned']]);
+        expect(plan.updatedAt).toBeNull();
+        expect(getValidationPlan({ ...fresh, validation: plan })).toBe(plan);
+    });
+
+    it('edits steps and measurements and counts progress without skipped steps', () => {
+        let plan = createValidationPlan(['Express', 'Purify', 'ITC']);
+        const [express, purify, itc] = plan.steps.map(({ id }) => id);
+        plan = updateStep(plan, express, { status: 'done' });
+        plan = updateStep(plan, itc, { status: 'skipped' });
+        plan = addStep(plan, 'DSF');
+        plan = removeStep(plan, purify);
+        plan = setMeasurement(plan, 'tm', 61.5);
+        expect(plan.steps.map(({ title }) => title)).toEqual(['Express', 'ITC', 'DSF']);
+        expect(new Set(plan.steps.map(({ id }) => id)).size).toBe(3);
+        expect(plan.measurements).toEqual({ kd: null, tm: 61.5, expressionYield: null });
+        expect(planProgress(plan)).toEqual({ done: 1, total: 2 });
+        expect(plan.updatedAt).not.toBeNull();
+    });
+});
+
+describe('calibration', () => {
+    it('converts Kd to binding free energy at 25 °C', () => {
+        expect(kdToDeltaG(1)).toBeCloseTo(-12.28, 2);
+        expect(kdToDeltaG(1000) - kdToDeltaG(1)).toBeCloseTo(0.0019872 * 298.15 * Math.log(1000), 10);
+    });
+
+    it('pairs predictions with measurements and skips designs missing either', () => {
+        const lineage = {
+            nodes: {
+                a: node('a', { bindingAffinity: -12, predictedStability: 1 }, { kd: 1, tm: 60 }),
+                b: node('b', { bindingAffinity: -9, predictedStability: null }, { kd: 0, tm: 55 }),
+                c: node('c', { bindingAffinity: -8, predictedStability: 2 }),
+            },
+        };
+        const affinity = calibrationPoints(AFFINITY, lineage, 'p1');
+        expect(affinity.map(({ key }) => key)).toEqual(['p1:a']);
+        expect(affinity[0].measured).toBeCloseTo(-12.28, 2);
+        expect(calibrationPoints(STABILITY, lineage, 'p1').map(({ key, predicted, measured }) => [key, predicted, measured])).toEqual([['p1:a', 1, 60]]);
+    });
+
+    it('fits a line, correlates and measures bias on the same scale', () => {
+        const points = [[-10, -11], [-9, -10], [-8, -9]].map(([predicted, measured]) => ({ predicted, measured }));
+        const stats = calibrationStats(AFFINITY, points);
+        expect(stats.n).toBe(3);
+        expect(stats.r).toBeCloseTo(1, 10);
+        expect(stats.fit.slope).toBeCloseTo(1, 10);
+        expect(stats.fit.intercept).toBeCloseTo(-1, 10);
+        expect(stats.bias).toBeCloseTo(1, 10);
+        expect(stats.meanAbsoluteError).toBeCloseTo(1, 10);
+    });
+
+    it('reports a negative correlation and no bias for unitless stability', () => {
+        const points = [[0, 70], [1, 60], [2, 50], [3, 20]].map(([predicted, measured]) => ({ predicted, measured }));
+        const stats = calibrationStats(STABILITY, points);
+        expect(stats.r).toBeLessThan(-0.9);
+        expect(stats.fit.slope).toBeCloseTo(-16, 10);
+        expect(stats.fit.intercept).toBeCloseTo(74, 10);
+        expect(stats).not.toHaveProperty('bias');
+    });
+
+    it('leaves out r and the fit when there are too few or tied points', () => {
+        expect(calibrationStats(STABILITY, [])).toEqual({ n: 0 });
+        expect(calibrationStats(STABILITY, [{ predicted: 1, measured: 50 }, { predicted: 2, measured: 60 }])).toMatchObject({ r: null, fit: { slope: 10, intercept: 40 } });
+        const tied = [1, 1, 1].map((predicted, index) => ({ predicted, measured: 50 + index }));
+        expect(calibrationStats(STABILITY, tied)).toMatchObject({ n: 3, r: null, fit: null });
+    });
+});
@@ -0,0 +1,230 @@
+import { GENETIC_CODE, getHost, relativeAdaptiveness } from './codonTables';
+
+// Reverse translation of a designed protein into a coding sequence for a chosen host.
+//
+// Every residue starts with the host's most used codon (codons below `minFraction` are never
+// picked when a synonym is available). Synonymous swaps then remove restriction sites on
+// either strand and pull sliding GC windows into range, always taking the swap that costs
+// the least codon adaptiveness. Whatever cannot be fixed is reported rather than hidden.
+
+export const RESTRICTION_ENZYMES = [
+    { name: 'NdeI', site: 'CATATG' },
+    { name: 'NcoI', site: 'CCATGG' },
+    { name: 'EcoRI', site: 'GAATTC' },
+    { name: 'BamHI', site: 'GGATCC' },
+    { name: 'HindIII', site: 'AAGCTT' },
+    { name: 'XhoI', site: 'CTCGAG' },
+    { name: 'XbaI', site: 'TCTAGA' },
+    { name: 'NheI', site: 'GCTAGC' },
+    { name: 'NotI', site: 'GCGGCCGC' },
+    { name: 'BsaI', site: 'GGTCTC' },
+    { name: 'BsmBI', site: 'CGTCTC' },
+    { name: 'SapI', site: 'GCTCTTC' },
+];
+
+export const DEFAULT_CODON_SETTINGS = {
+    host: 'ecoli',
+    avoidSites: ['NdeI', 'EcoRI', 'BamHI', 'HindIII', 'XhoI', 'BsaI'],
+    customSites: '',
+    gcMin: 40,
+    gcMax: 60,
+    gcWindow: 50,
+    minFraction: 0.1,
+    nTerminalHisTag: false,
+    cTerminalHisTag: false,
+    signalPeptide: false,
+};
+
+const HIS_TAG = 'HHHHHH';
+const MAX_ITERATIONS_PER_CODON = 4;
+
+export const reverseComplement = (dna) => [...dna].reverse().map((base) => ({ A: 'T', T: 'A', G: 'C', C: 'G' }[base] || 'N')).join('');
+
+const CODON_TABLE = Object.fromEntries(Object.entries(GENETIC_CODE).flatMap(([aminoAcid, codons]) => codons.map((codon) => [codon, aminoAcid])));
+
+// Forward translation, '*' for stop codons and 'X' for anything that is not a full ACGT codon.
+export const translate = (dna) => (dna.match(/.{3}/g) || []).map((codon) => CODON_TABLE[codon] || 'X').join('');
+
+const gcCount = (text) => [...text].filter((base) => base === 'G' || base === 'C').length;
+
+export const gcContent = (dna) => (dna.length > 0 ? (gcCount(dna) / dna.length) * 100 : 0);
+
+// Enzyme names and plain ACGT sites from the settings; unknown tokens are returned as errors.
+export const resolveSites = (enzymeNames, customText) => {
+    const errors = [];
+    const sites = RESTRICTION_ENZYMES.filter(({ name }) => enzymeNames.includes(name));
+    customText.split(/[\s,;]+/).filter(Boolean).forEach((token) => {
+        const enzyme = RESTRICTION_ENZYMES.find(({ name }) => name.toLowerCase() === token.toLowerCase());
+        const site = token.toUpperCase();
+        if (enzyme) sites.push(enzyme);
+        else if (/^[ACGT]{4,}$/.test(site)) sites.push({ name: site, site });
+        else errors.push(`"${token}" is not a known enzyme or a DNA site (A/C/G/T, at least 4 bases).`);
+    });
+    // Both strands are searched, so non-palindromic sites match in either orientation.
+    const patterns = [];
+    sites.forEach(({ name, site }) => {
+        if (!patterns.some((pattern) => pattern.site === site)) patterns.push({ name, site });
+        const reverse = reverseComplement(site);
+        if (!patterns.some((pattern) => pattern.site === reverse)) patterns.push({ name, site: reverse });
+    });
+    return { patterns, errors };
+};
+
+const findSites = (dna, patterns) => {
+    const hits = [];
+    patterns.forEach(({ name, site }) => {
+        let index = dna.indexOf(site);
+        while (index !== -1) {
+            hits.push({ name, site, position: index + 1 });
+            index = dna.indexOf(site, index + 1);
+        }
+    });
+    return hits.sort((a, b) => a.position - b.position);
+};
+
+// Protein actually expressed: optional signal peptide and His-tags around the design.
+export const buildConstruct = (sequence, { host, nTerminalHisTag, cTerminalHisTag, signalPeptide }) => {
+    const segments = [];
+    let protein = '';
+    const add = (name, part) => {
+        if (!part) return;
+        segments.push({ name, start: protein.length + 1, end: protein.length + part.length });
+        protein += part;
+    };
+    const leader = signalPeptide ? getHost(host).signalPeptide : null;
+    if (leader) add(`Signal peptide (${leader.name})`, leader.sequence);
+    else if (nTerminalHisTag || !sequence.startsWith('M')) add('Start', 'M');
+    if (nTerminalHisTag) add('His-tag', HIS_TAG);
+    // The design's own start methionine is dropped when something is fused in front of it.
+    add('Design', protein.length > 0 && sequence.startsWith('M') ? sequence.slice(1) : sequence);
+    if (cTerminalHisTag) add('His-tag', HIS_TAG);
+    return { protein, segments };
+};
+
+export const optimizeCodons = (sequence, settings = DEFAULT_CODON_SETTINGS) => {
+    const host = getHost(settings.host);
+    const weights = relativeAdaptiveness(host);
+    const { patterns, errors } = resolveSites(settings.avoidSites, settings.customSites);
+    const { protein, segments } = buildConstruct(sequence, settings);
+    const unknown = [...new Set(protein)].filter((residue) => !GENETIC_CODE[residue] || residue === '*');
+    if (unknown.length > 0) throw new Error(`Cannot back-translate unknown residues: ${unknown.join(', ')}.`);
+    const gcMin = Number(settings.gcMin);
+    const gcMax = Number(settings.gcMax);
+    if (!(gcMin >= 0 && gcMax <= 100 && gcMin < gcMax)) errors.push('The GC range needs 0 ≤ min < max ≤ 100.');
+
+    // Candidate codons per amino acid, best first, without rare codons where possible.
+    const choices = Object.fromEntries(Object.entries(host.usage).map(([aminoAcid, codons]) => {
+        const ranked = Object.keys(codons).sort((a, b) => codons[b] - codons[a]);
+        const common = ranked.filter((codon) => codons[codon] >= settings.minFraction);
+        return [aminoAcid, common.length > 0 ? common : ranked.slice(0, 1)];
+    }));
+
+    const residues = [...protein, '*'];
+    const codons = residues.map((aminoAcid) => choices[aminoAcid][0]);
+    const longestSite = Math.max(0, ...patterns.map(({ site }) => site.length));
+    const dnaOf = () => codons.join('');
+
+    // Sites overlapping codon `index` if it were replaced by `codon`.
+    const sitesAround = (index, codon) => {
+        const start = Math.max(0, index - Math.ceil(longestSite / 3));
+        const end = Math.min(codons.length, index + Math.ceil(longestSite / 3) + 1);
+        const local = codons.slice(start, end).map((current, offset) => (start + offset === index ? codon : current)).join('');
+        return findSites(local, patterns).length;
+    };
+
+    let budget = codons.length * MAX_ITERATIONS_PER_CODON;
+
+    // Restriction sites: swap the codon inside each hit that loses the least adaptiveness.
+    const unfixable = new Set();
+    const nextHit = () => findSites(dnaOf(), patterns).find(({ position, site }) => !unfixable.has(`${position}:${site}`));
+    for (let hit = nextHit(); hit && budget > 0; hit = nextHit(), budget--) {
+        const first = Math.floor((hit.position - 1) / 3);
+        const last = Math.floor((hit.position - 2 + hit.site.length) / 3);
+        let best = null;
+        for (let index = first; index <= last; index++) {
+            const before = sitesAround(index, codons[index]);
+            for (const codon of choices[residues[index]]) {
+                if (codon !== codons[index] && sitesAround(index, codon) < before && (!best || weights[codon] > best.weight)) best = { index, codon, weight: weights[codon] };
+            }
+        }
+        if (best) codons[best.index] = best.codon;
+        else unfixable.add(`${hit.position}:${hit.site}`);
+    }
+
+    // GC windows (stepping by codon). The worst window gets the swap with the best adaptiveness
+    // among those that reduce the total GC excess of all windows containing the codon, so fixes
+    // never undo each other and the loop ends.
+    const windowCodons = Math.max(1, Math.min(codons.length, Math.round(Number(settings.gcWindow) / 3) || codons.length));
+    const windowBases = windowCodons * 3;
+    const outOfRange = (gc) => (gc < gcMin ? gcMin - gc : gc > gcMax ? gc - gcMax : 0);
+    const codonGc = codons.map(gcCount);
+    const windowCounts = () => {
+        const counts = [];
+        let sum = codonGc.slice(0, windowCodons).reduce((total, count) => total + count, 0);
+        counts.push(sum);
+        for (let start = 1; start + windowCodons <= codons.length; start++) {
+            sum += codonGc[start + windowCodons - 1] - codonGc[start - 1];
+            counts.push(sum);
+        }
+        return counts;
+    };
+    const stuck = new Set();
+    for (; budget > 0; budget--) {
+        const counts = windowCounts();
+        let worst = null;
+        counts.forEach((count, start) => {
+            const miss = outOfRange((count * 100) / windowBases);
+            if (miss > 0 && !stuck.has(start) && (!worst || miss > worst.miss)) worst = { start, miss };
+        });
+        if (!worst) break;
+        let best = null;
+        for (let index = worst.start; index < worst.start + windowCodons; index++) {
+            const sites = sitesAround(index, codons[index]);
+            const first = Math.max(0, index - windowCodons + 1);
+            const last = Math.min(index, counts.length - 1);
+            for (const codon of choices[residues[index]]) {
+                const shift = gcCount(codon) - codonGc[index];
+                if (shift === 0 || sitesAround(index, codon) > sites) continue;
+                let change = 0;
+                for (let start = first; start <= last; start++) {
+                    change += outOfRange(((counts[start] + shift) * 100) / windowBases) - outOfRange((counts[start] * 100) / windowBases);
+                }
+                if (change < -1e-9 && (!best || weights[codon] > best.weight)) best = { index, codon, weight: weights[codon] };
+            }
+        }
+        if (best) {
+            codons[best.index] = best.codon;
+            codonGc[best.index] = gcCount(best.codon);
+        } else {
+            stuck.add(worst.start);
+        }
+    }
+
+    const dna = dnaOf();
+    const report = residues.map((aminoAcid, index) => ({
+        position: index + 1,
+        aminoAcid,
+        codon: codons[index],
+        fraction: host.usage[aminoAcid][codons[index]],
+        weight: weights[codons[index]],
+    }));
+    // CAI: geometric mean of w, leaving out Met, Trp and the stop codon (no synonyms to choose from).
+    const scored = report.filter(({ aminoAcid }) => GENETIC_CODE[aminoAcid].length > 1 && aminoAcid !== '*');
+    const cai = scored.length > 0 ? Math.exp(scored.reduce((sum, { weight }) => sum + Math.log(weight), 0) / scored.length) : 1;
+
+    const windows = windowCounts().map((count) => (count * 100) / windowBases);
+
+    return {
+        host,
+        protein,
+        segments,
+        dna,
+        codons: report,
+        cai,
+        gc: gcContent(dna),
+        gcRange: { min: Math.min(...windows), max: Math.max(...windows), windowSize: windowCodons * 3 },
+        gcViolations: windows.filter((gc) => outOfRange(gc) > 0).length,
+        remainingSites: findSites(dna, patterns),
+        errors,
+    };
+};
@@ -0,0 +1,100 @@
+import { optimizeCodons, translate, reverseComplement, resolveSites, buildConstruct, DEFAULT_CODON_SETTINGS, RESTRICTION_ENZYMES } from './codonOptimizer';
+import { HOSTS } from './codonTables';
+
+// Ubiquitin and a GFP fragment.
+const SEQUENCES = [
+    'MQIFVKTLTGKTITLEVEPSDTIENVKAKIQDKEGIPPDQQRLIFAGKQLEDGRTLSDYNIQKESTLHLVLRLRGG',
+    'MSKGEELFTGVVPILVELDGDVNGHKFSVSGEGEGDATYGKLTLKFICTTGKLPVPWPTLVTTFSYGVQCFSRYPDHMKQHDFFKSAMPEGYVQERTIFFKDDGNYKTRAEVKFEGDTLVNRIELKGIDFKEDGNILGHKLEYNYNSHNVYIMADKQKNGIKVNFKIRHNIEDGSVQLADHYQQNTPIGDGPVLLPDNHYLSTQSALSKDPNEKRDHMVLLEFVTAAGITHGMDELYK',
+];
+
+const windowGc = (dna, size) => {
+    const values = [];
+    for (let start = 0; start + size <= dna.length; start += 3) {
+        const window = dna.slice(start, start + size);
+        values.push(([...window].filter((base) => base === 'G' || base === 'C').length / size) * 100);
+    }
+    return values;
+};
+
+const containsSite = (dna, site) => dna.includes(site) || dna.includes(reverseComplement(site));
+
+describe('optimizeCodons', () => {
+    it.each(HOSTS.map(({ id }) => id))('back-translates to the same protein for %s', (host) => {
+        SEQUENCES.forEach((sequence) => {
+            const result = optimizeCodons(sequence, { ...DEFAULT_CODON_SETTINGS, host });
+            expect(result.dna).toHaveLength((sequence.length + 1) * 3);
+            expect(translate(result.dna)).toBe(`${sequence}*`);
+            expect(result.protein).toBe(sequence);
+        });
+    });
+
+    it('removes the selected restriction sites on both strands', () => {
+        const avoidSites = RESTRICTION_ENZYMES.map(({ name }) => name);
+        SEQUENCES.forEach((sequence) => {
+            const result = optimizeCodons(sequence, { ...DEFAULT_CODON_SETTINGS, avoidSites });
+            expect(result.remainingSites).toEqual([]);
+            RESTRICTION_ENZYMES.forEach(({ site }) => expect(containsSite(result.dna, site)).toBe(false));
+            expect(translate(result.dna)).toBe(`${sequence}*`);
+        });
+    });
+
+    it('removes custom sites the preferred codons would create', () => {
+        const unconstrained = { ...DEFAULT_CODON_SETTINGS, avoidSites: [], gcMin: 0, gcMax: 100 };
+        const sequence = SEQUENCES[1];
+        const naive = optimizeCodons(sequence, unconstrained);
+        const sites = [naive.dna.slice(30, 36), naive.dna.slice(301, 307)];
+        sites.forEach((site) => expect(naive.dna).toContain(site));
+
+        const result = optimizeCodons(sequence, { ...unconstrained, customSites: sites.join(', ') });
+        expect(result.errors).toEqual([]);
+        expect(result.remainingSites).toEqual([]);
+        sites.forEach((site) => expect(containsSite(result.dna, site)).toBe(false));
+        expect(translate(result.dna)).toBe(`${sequence}*`);
+    });
+
+    it('keeps every GC window in range', () => {
+        SEQUENCES.forEach((sequence) => {
+            const result = optimizeCodons(sequence, { ...DEFAULT_CODON_SETTINGS, gcMin: 42, gcMax: 58, gcWindow: 60 });
+            const windows = windowGc(result.dna, result.gcRange.windowSize);
+            expect(result.gcViolations).toBe(0);
+            expect(Math.min(...windows)).toBeGreaterThanOrEqual(42);
+            expect(Math.max(...windows)).toBeLessThanOrEqual(58);
+            expect(result.gcRange.min).toBeCloseTo(Math.min(...windows), 6);
+            expect(translate(result.dna)).toBe(`${sequence}*`);
+        });
+    });
+
+    it('reports GC windows it cannot fix', () => {
+        const result = optimizeCodons('MKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKKK', { ...DEFAULT_CODON_SETTINGS, gcMin: 50, gcMax: 60, gcWindow: 30 });
+        expect(result.gcViolations).toBeGreaterThan(0);
+        expect(result.gcRange.min).toBeLessThan(50);
+    });
+
+    it('scores the most used codons with a CAI of 1', () => {
+        const result = optimizeCodons(SEQUENCES[0], { ...DEFAULT_CODON_SETTINGS, avoidSites: [], gcMin: 0, gcMax: 100 });
+        expect(result.cai).toBeCloseTo(1, 6);
+        expect(optimizeCodons(SEQUENCES[0]).cai).toBeLessThanOrEqual(1);
+    });
+
+    it('rejects residues it cannot back-translate', () => {
+        expect(() => optimizeCodons('MKXV')).toThrow('Cannot back-translate unknown residues: X.');
+    });
+});
+
+describe('buildConstruct', () => {
+    it('adds tags and a start codon around the design', () => {
+        const { protein, segments } = buildConstruct('MKV', { host: 'ecoli', nTerminalHisTag: true, cTerminalHisTag: true, signalPeptide: false });
+        expect(protein).toBe('MHHHHHHKVHHHHHH');
+        expect(segments.map(({ name }) => name)).toEqual(['Start', 'His-tag', 'Design', 'His-tag']);
+        expect(buildConstruct('KV', { host: 'ecoli' }).protein).toBe('MKV');
+    });
+});
+
+describe('resolveSites', () => {
+    it('accepts enzyme names and DNA sites and rejects anything else', () => {
+        const { patterns, errors } = resolveSites(['EcoRI'], 'bsai ggtacc, XYZ');
+        expect(patterns.map(({ site }) => site)).toEqual(['GAATTC', 'GGTCTC', 'GAGACC', 'GGTACC']);
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatch(/"XYZ"/);
+    });
+});
@@ -0,0 +1,96 @@
+// Bundled codon usage for the supported expression hosts, as the fraction of each codon among
+// the synonymous codons of its amino acid (rounded, from the Kazusa codon usage database:
+// E. coli K-12, S. cerevisiae, H. sapiens for HEK293, Komagataella (Pichia) pastoris).
+
+export const GENETIC_CODE = {
+    A: ['GCT', 'GCC', 'GCA', 'GCG'],
+    R: ['CGT', 'CGC', 'CGA', 'CGG', 'AGA', 'AGG'],
+    N: ['AAT', 'AAC'],
+    D: ['GAT', 'GAC'],
+    C: ['TGT', 'TGC'],
+    Q: ['CAA', 'CAG'],
+    E: ['GAA', 'GAG'],
+    G: ['GGT', 'GGC', 'GGA', 'GGG'],
+    H: ['CAT', 'CAC'],
+    I: ['ATT', 'ATC', 'ATA'],
+    L: ['TTA', 'TTG', 'CTT', 'CTC', 'CTA', 'CTG'],
+    K: ['AAA', 'AAG'],
+    M: ['ATG'],
+    F: ['TTT', 'TTC'],
+    P: ['CCT', 'CCC', 'CCA', 'CCG'],
+    S: ['TCT', 'TCC', 'TCA', 'TCG', 'AGT', 'AGC'],
+    T: ['ACT', 'ACC', 'ACA', 'ACG'],
+    W: ['TGG'],
+    Y: ['TAT', 'TAC'],
+    V: ['GTT', 'GTC', 'GTA', 'GTG'],
+    '*': ['TAA', 'TAG', 'TGA'],
+};
+
+// Fractions are listed in GENETIC_CODE order.
+const usage = (fractions) => Object.fromEntries(Object.entries(GENETIC_CODE).map(([aminoAcid, codons]) => [
+    aminoAcid,
+    Object.fromEntries(codons.map((codon, index) => [codon, aminoAcid === 'M' || aminoAcid === 'W' ? 1 : fractions[aminoAcid][index]])),
+]));
+
+export const HOSTS = [
+    {
+        id: 'ecoli',
+        label: 'E. coli',
+        // pelB leader for periplasmic export.
+        signalPeptide: { name: 'pelB', sequence: 'MKYLLPTAAAGLLLLAAQPAMA' },
+        usage: usage({
+            A: [0.16, 0.27, 0.21, 0.36], R: [0.38, 0.40, 0.06, 0.10, 0.04, 0.02], N: [0.45, 0.55], D: [0.63, 0.37],
+            C: [0.44, 0.56], Q: [0.35, 0.65], E: [0.69, 0.31], G: [0.34, 0.40, 0.11, 0.15], H: [0.57, 0.43],
+            I: [0.51, 0.42, 0.07], L: [0.13, 0.13, 0.10, 0.10, 0.04, 0.50], K: [0.76, 0.24], F: [0.57, 0.43],
+            P: [0.16, 0.12, 0.19, 0.53], S: [0.15, 0.15, 0.12, 0.15, 0.15, 0.28], T: [0.17, 0.44, 0.13, 0.26],
+            Y: [0.57, 0.43], V: [0.26, 0.22, 0.15, 0.37], '*': [0.64, 0.07, 0.29],
+        }),
+    },
+    {
+        id: 'scerevisiae',
+        label: 'S. cerevisiae',
+        // Invertase (SUC2) signal sequence.
+        signalPeptide: { name: 'SUC2', sequence: 'MLLQAFLFLLAGFAAKISA' },
+        usage: usage({
+            A: [0.38, 0.22, 0.29, 0.11], R: [0.14, 0.06, 0.07, 0.04, 0.48, 0.21], N: [0.59, 0.41], D: [0.65, 0.35],
+            C: [0.63, 0.37], Q: [0.69, 0.31], E: [0.70, 0.30], G: [0.47, 0.19, 0.22, 0.12], H: [0.64, 0.36],
+            I: [0.46, 0.26, 0.28], L: [0.28, 0.29, 0.13, 0.06, 0.14, 0.10], K: [0.58, 0.42], F: [0.59, 0.41],
+            P: [0.31, 0.15, 0.42, 0.12], S: [0.26, 0.16, 0.21, 0.10, 0.16, 0.11], T: [0.35, 0.22, 0.30, 0.13],
+            Y: [0.56, 0.44], V: [0.39, 0.21, 0.21, 0.19], '*': [0.47, 0.23, 0.30],
+        }),
+    },
+    {
+        id: 'hek293',
+        label: 'HEK293 (human)',
+        // Mouse Ig kappa leader, common in mammalian secretion vectors.
+        signalPeptide: { name: 'Igκ leader', sequence: 'METDTLLLWVLLLWVPGSTG' },
+        usage: usage({
+            A: [0.26, 0.40, 0.23, 0.11], R: [0.08, 0.18, 0.11, 0.21, 0.21, 0.21], N: [0.47, 0.53], D: [0.46, 0.54],
+            C: [0.46, 0.54], Q: [0.27, 0.73], E: [0.42, 0.58], G: [0.16, 0.34, 0.25, 0.25], H: [0.42, 0.58],
+            I: [0.36, 0.47, 0.17], L: [0.07, 0.13, 0.13, 0.20, 0.07, 0.40], K: [0.43, 0.57], F: [0.46, 0.54],
+            P: [0.29, 0.32, 0.28, 0.11], S: [0.19, 0.22, 0.15, 0.05, 0.15, 0.24], T: [0.25, 0.36, 0.28, 0.11],
+            Y: [0.44, 0.56], V: [0.18, 0.24, 0.12, 0.46], '*': [0.28, 0.20, 0.52],
+        }),
+    },
+    {
+        id: 'pichia',
+        label: 'Pichia pastoris',
+        // Pre-region of the S. cerevisiae alpha-mating factor, the usual Pichia secretion signal.
+        signalPeptide: { name: 'α-factor pre', sequence: 'MRFPSIFTAVLFAASSALA' },
+        usage: usage({
+            A: [0.45, 0.26, 0.23, 0.06], R: [0.16, 0.05, 0.10, 0.05, 0.48, 0.16], N: [0.49, 0.51], D: [0.58, 0.42],
+            C: [0.65, 0.35], Q: [0.61, 0.39], E: [0.57, 0.43], G: [0.44, 0.14, 0.33, 0.09], H: [0.56, 0.44],
+            I: [0.50, 0.31, 0.19], L: [0.16, 0.33, 0.16, 0.08, 0.11, 0.16], K: [0.47, 0.53], F: [0.54, 0.46],
+            P: [0.35, 0.15, 0.41, 0.09], S: [0.29, 0.20, 0.19, 0.08, 0.15, 0.09], T: [0.40, 0.26, 0.24, 0.10],
+            Y: [0.45, 0.55], V: [0.42, 0.23, 0.16, 0.19], '*': [0.53, 0.30, 0.17],
+        }),
+    },
+];
+
+export const getHost = (id) => HOSTS.find((host) => host.id === id) || HOSTS[0];
+
+// Relative adaptiveness w of every codon: its fraction divided by the most used synonymous codon.
+export const relativeAdaptiveness = (host) => Object.fromEntries(Object.values(host.usage).flatMap((codons) => {
+    const best = Math.max(...Object.values(codons));
+    return Object.entries(codons).map(([codon, fraction]) => [codon, fraction / best]);
+}));
@@ -0,0 +1,333 @@
+import { computeSequenceProperties } from '../analysis/properties';
+import { annotateMutations } from '../analysis/mutations';
+import { describeTemplate } from '../design/promptTemplates';
+import { STEP_STATUSES, MEASUREMENTS, planProgress, kdToDeltaG } from '../design/validationPlan';
+
+// Export formats for designs: FASTA, GenBank, CSV and a self-contained HTML report.
+// Every format works on export records, built from lineage nodes or batch candidates:
+//
+// Record: { label, createdAt, userPrompt, evolutionPrompt, parentLabel, mutations: string[],
+//           sampling, design, properties, validation }   (validation: see design/validationPlan.js)
+
+export const toFileSlug = (text) => text.trim().replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+
+export const recordFromNode = (lineage, node) => {
+    const parent = node.parentId ? lineage.nodes[node.parentId] : null;
+    return {
+        label: node.label,
+        createdAt: node.createdAt,
+        userPrompt: node.userPrompt,
+        evolutionPrompt: node.evolutionPrompt,
+        parentLabel: parent ? parent.label : null,
+        mutations: parent ? annotateMutations(parent.design.sequence, node.design.sequence).mutations.map(({ notation }) => notation) : [],
+        sampling: null,
+        design: node.design,
+        properties: computeSequenceProperties(node.design.sequence),
+        validation: node.validation || null,
+    };
+};
+
+export const recordFromCandidate = (batch, candidate) => ({
+    label: candidate.nodeLabel || `C${candidate.index}`,
+    createdAt: new Date(batch.id).toISOString(),
+    userPrompt: batch.prompt,
+    evolutionPrompt: null,
+    parentLabel: null,
+    mutations: [],
+    sampling: candidate.sampling,
+    design: candidate.design,
+    properties: candidate.properties,
+    validation: null,
+});
+
+const fixed = (value, digits) => (typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : '');
+
+const wrap = (sequence, width) => sequence.match(new RegExp(`.{1,${width}}`, 'g')) || [];
+
+// ---- FASTA ----
+
+// Header values may not contain line breaks; quotes keep free text readable.
+const headerText = (text) => `"${String(text).replace(/\s+/g, ' ').replace(/"/g, "'")}"`;
+
+export const toFasta = (records, { projectName } = {}) => records.map((record) => {
+    const { design, properties } = record;
+    const fields = [
+        `length=${design.sequence.length}`,
+        `affinity=${fixed(design.bindingAffinity, 2)}`,
+        `stability=${fixed(design.predictedStability, 2)}`,
+        `confidence=${design.designConfidence || ''}`,
+        `pI=${fixed(properties.isoelectricPoint, 2)}`,
+        `mw=${fixed(properties.molecularWeight, 1)}`,
+        `pdb=${design.pdbId || ''}`,
+    ];
+    if (record.parentLabel) fields.push(`parent=${record.parentLabel}`);
+    if (record.mutations.length > 0) fields.push(`mutations=${record.mutations.join(',')}`);
+    if (record.sampling) fields.push(`seed=${record.sampling.seed}`, `temperature=${record.sampling.temperature}`);
+    if (design.promptTemplate) fields.push(`template=${design.promptTemplate.id}@v${design.promptTemplate.version}`);
+    if (projectName) fields.push(`project=${headerText(projectName)}`);
+    if (record.evolutionPrompt) fields.push(`goal=${headerText(record.evolutionPrompt)}`);
+    else if (record.userPrompt) fields.push(`prompt=${headerText(record.userPrompt)}`);
+    return [`>${record.label} ${fields.join(' ')}`, ...wrap(design.sequence, 60)].join('\n');
+}).join('\n') + '\n';
+
+// Coding sequence from the codon optimizer, with the construct and optimization stats in the header.
+export const toCdsFasta = (label, result) => [
+    `>${label}_cds host=${headerText(result.host.label)} length=${result.dna.length} CAI=${fixed(result.cai, 3)} GC=${fixed(result.gc, 1)}`
+        + ` construct=${headerText(result.segments.map(({ name, start, end }) => `${name} ${start}-${end}`).join('; '))}`,
+    ...wrap(result.dna, 60),
+].join('\n') + '\n';
+
+// ---- GenBank ----
+
+const GENBANK_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const genbankDate = (iso) => {
+    const date = iso ? new Date(iso) : new Date();
+    return `${String(date.getDate()).padStart(2, '0')}-${GENBANK_MONTHS[date.getMonth()]}-${date.getFullYear()}`;
+};
+
+// Free text continued over lines with the given indent, at most 79 characters wide.
+const genbankText = (text, indent) => {
+    const width = 79 - indent;
+    const lines = [];
+    let line = '';
+    String(text).replace(/\s+/g, ' ').trim().split(' ').forEach((word) => {
+        if (line && line.length + word.length + 1 > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    if (line) lines.push(line);
+    return lines.join(`\n${' '.repeat(indent)}`);
+};
+
+const feature = (key, location, qualifiers) => [
+    `     ${key.padEnd(16)}${location}`,
+    ...qualifiers.map(([name, value]) => `${' '.repeat(21)}${genbankText(`/${name}=${typeof value === 'number' ? value : `"${value}"`}`, 21)}`),
+].join('\n');
+
+// Consecutive pocket residues become one range so the feature table stays short.
+const toRanges = (positions) => {
+    const ranges = [];
+    [...positions].sort((a, b) => a - b).forEach((position) => {
+        const last = ranges[ranges.length - 1];
+        if (last && position === last[1] + 1) last[1] = position;
+        else ranges.push([position, position]);
+    });
+    return ranges;
+};
+
+export const toGenBank = (record) => {
+    const { design, properties } = record;
+    const sequence = design.sequence.toLowerCase();
+    const name = record.label.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 16);
+    const comment = [
+        `Designed protein ${record.label}.`,
+        record.parentLabel ? `Evolved from ${record.parentLabel}${record.mutations.length > 0 ? ` (${record.mutations.join(', ')})` : ''}.` : '',
+        design.designConfidence ? `AI-predicted binding affinity ${fixed(design.bindingAffinity, 2)} kcal/mol, stability ${fixed(design.predictedStability, 2)}, confidence ${design.designConfidence}.` : '',
+        `Computed MW ${fixed(properties.molecularWeight, 1)} Da, pI ${fixed(properties.isoelectricPoint, 2)}, instability index ${fixed(properties.instabilityIndex, 1)}.`,
+        design.pdbId ? `Template structure ${design.pdbId}.` : '',
+    ].filter(Boolean).join(' ');
+
+    const features = [
+        feature('source', `1..${sequence.length}`, [['organism', 'synthetic construct'], ['mol_type', 'protein']]),
+        feature('Protein', `1..${sequence.length}`, [['product', `designed protein ${record.label}`]]),
+        ...toRanges(design.bindingPocketResidues).map(([start, end]) => feature('Region', start === end ? `${start}` : `${start}..${end}`, [
+            ['region_name', 'binding pocket'],
+            ['note', 'AI-predicted binding pocket residue(s)'],
+        ])),
+    ];
+
+    const origin = [];
+    for (let i = 0; i < sequence.length; i += 60) {
+        const blocks = wrap(sequence.slice(i, i + 60), 10).join(' ');
+        origin.push(`${String(i + 1).padStart(9)} ${blocks}`);
+    }
+
+    return [
+        `LOCUS       ${name.padEnd(16)} ${String(sequence.length).padStart(11)} aa            linear   SYN ${genbankDate(record.createdAt)}`,
+        `DEFINITION  ${genbankText(`Designed protein ${record.label}${record.userPrompt ? `: ${record.userPrompt}` : ''}.`, 12)}`,
+        'ACCESSION   .',
+        'VERSION     .',
+        'KEYWORDS    .',
+        'SOURCE      synthetic construct',
+        '  ORGANISM  synthetic construct',
+        '            other sequences; artificial sequences.',
+        `COMMENT     ${genbankText(comment, 12)}`,
+        'FEATURES             Location/Qualifiers',
+        ...features,
+        'ORIGIN',
+        ...origin,
+        '//',
+        '',
+    ].join('\n');
+};
+
+// ---- CSV ----
+
+const measured = (record, id) => (record.validation ? record.validation.measurements[id] ?? '' : '');
+
+const validationProgressText = (plan) => {
+    const { done, total } = planProgress(plan);
+    return `${done}/${total}`;
+};
+
+const CSV_COLUMNS = [
+    ['label', (r) => r.label],
+    ['created', (r) => r.createdAt],
+    ['parent', (r) => r.parentLabel || ''],
+    ['mutations', (r) => r.mutations.join(' ')],
+    ['length', (r) => r.design.sequence.length],
+    ['binding_affinity_kcal_mol', (r) => fixed(r.design.bindingAffinity, 2)],
+    ['predicted_stability', (r) => fixed(r.design.predictedStability, 2)],
+    ['design_confidence', (r) => r.design.designConfidence || ''],
+    ['pdb_id', (r) => r.design.pdbId || ''],
+    ['pocket_residues', (r) => r.design.bindingPocketResidues.join(' ')],
+    ['molecular_weight_da', (r) => fixed(r.properties.molecularWeight, 1)],
+    ['isoelectric_point', (r) => fixed(r.properties.isoelectricPoint, 2)],
+    ['net_charge_ph7', (r) => fixed(r.properties.netCharge, 2)],
+    ['extinction_coefficient', (r) => r.properties.extinctionCoefficient.cystinesFormed],
+    ['gravy', (r) => fixed(r.properties.gravy, 3)],
+    ['instability_index', (r) => fixed(r.properties.instabilityIndex, 1)],
+    ['aliphatic_index', (r) => fixed(r.properties.aliphaticIndex, 1)],
+    ['seed', (r) => (r.sampling ? r.sampling.seed : '')],
+    ['temperature', (r) => (r.sampling ? r.sampling.temperature : '')],
+    ['prompt_template', (r) => (r.design.promptTemplate ? r.design.promptTemplate.id : '')],
+    ['prompt_template_version', (r) => (r.design.promptTemplate ? r.design.promptTemplate.version : '')],
+    ['validation_progress', (r) => (r.validation ? validationProgressText(r.validation) : '')],
+    ['measured_kd_nm', (r) => measured(r, 'kd')],
+    ['measured_tm_c', (r) => measured(r, 'tm')],
+    ['measured_expression_yield_mg_l', (r) => measured(r, 'expressionYield')],
+    ['prompt', (r) => r.userPrompt || ''],
+    ['evolution_goal', (r) => r.evolutionPrompt || ''],
+    ['sequence', (r) => r.design.sequence],
+];
+
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (records) => [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...records.map((record) => CSV_COLUMNS.map(([, value]) => csvCell(value(record))).join(',')),
+].join('\r\n') + '\r\n';
+
+// ---- HTML report ----
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const REPORT_STYLE = `
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #111827; max-width: 900px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { color: #0e7490; margin-bottom: 0.25rem; }
+    h2 { color: #0e7490; border-bottom: 1px solid #d1d5db; padding-bottom: 0.25rem; margin-top: 2rem; }
+    .meta { color: #6b7280; font-size: 0.9rem; }
+    table { border-collapse: collapse; width: 100%; }
+    td, th { border: 1px solid #d1d5db; padding: 0.35rem 0.6rem; text-align: left; font-size: 0.9rem; }
+    th { background: #f3f4f6; width: 40%; }
+    .sequence { font-family: "SFMono-Regular", Consolas, monospace; font-size: 0.85rem; white-space: pre; }
+    .pocket { background: #fde68a; }
+    .pill { display: inline-block; padding: 0.1rem 0.6rem; border-radius: 999px; border: 1px solid #9ca3af; font-weight: bold; }
+    img { max-width: 100%; border: 1px solid #d1d5db; border-radius: 6px; }
+    .note { color: #6b7280; font-size: 0.8rem; }
+    @media print { body { margin: 0; } h2 { break-after: avoid; } table, img { break-inside: avoid; } }
+`;
+
+const rows = (entries) => entries.map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+// The tracked plan with lab results when there is one, else the AI's step list.
+const validationPlanHtml = ({ design, validation }) => {
+    if (!validation) {
+        return design.validationSteps.length > 0
+            ? `<ol>${design.validationSteps.map((step) => `<li>${escapeHtml(step)}</li>`).join('')}</ol>`
+            : '<p class="note">No validation steps yet.</p>';
+    }
+    const statusLabel = (id) => STEP_STATUSES.find((status) => status.id === id).label;
+    const steps = validation.steps.length > 0
+        ? `<table><tr><th>Step</th><th>Status</th><th>Assignee</th><th>Date</th><th>Notes</th></tr>${validation.steps.map((step) => `<tr>${[
+            step.title,
+            statusLabel(step.status),
+            step.assignee || '—',
+            step.date || '—',
+            [step.notes, ...step.attachments.map(({ name }) => `[${name}]`)].filter(Boolean).join(' ') || '—',
+        ].map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</table>`
+        : '<p class="note">No validation steps yet.</p>';
+    const results = MEASUREMENTS.filter(({ id }) => typeof validation.measurements[id] === 'number');
+    return `${steps}
+${results.length > 0 ? `<h3>Measured values</h3><table>${rows(results.map(({ id, label, unit }) => [label, `${validation.measurements[id]} ${unit}${id === 'kd' && validation.measurements.kd > 0 ? ` (ΔG ${fixed(kdToDeltaG(validation.measurements.kd), 2)} kcal/mol)` : ''}`]))}</table>` : ''}`;
+};
+
+// Sequence in numbered lines of 60 with pocket residues highlighted.
+const sequenceHtml = (sequence, pocket) => {
+    const pocketSet = new Set(pocket);
+    const lines = [];
+    for (let i = 0; i < sequence.length; i += 60) {
+        let line = `${String(i + 1).padStart(5)}  `;
+        for (let j = i; j < Math.min(i + 60, sequence.length); j++) {
+            if (j > i && (j - i) % 10 === 0) line += ' ';
+            line += pocketSet.has(j + 1) ? `<span class="pocket">${sequence[j]}</span>` : sequence[j];
+        }
+        lines.push(line);
+    }
+    return lines.join('\n');
+};
+
+// Self-contained report (inline styles, snapshot as a data URI) that prints cleanly to PDF.
+export const buildReportHtml = (record, { projectName, snapshot = null, structureSource = null } = {}) => {
+    const { design, properties } = record;
+    const title = `${projectName ? `${projectName} – ` : ''}Design ${record.label}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(new Date().toLocaleString())} · design created ${escapeHtml(new Date(record.createdAt).toLocaleString())}</p>
+
+<h2>Request</h2>
+<table>${rows([
+        ['Desired function', record.userPrompt || '—'],
+        ...(record.parentLabel ? [['Evolved from', record.parentLabel], ['Evolution goal', record.evolutionPrompt || '—'], ['Mutations', record.mutations.join(', ') || 'none']] : []),
+        ...(record.sampling ? [['Sampling', `seed ${record.sampling.seed}, temperature ${record.sampling.temperature}`]] : []),
+        ...(record.design.promptTemplate ? [['Prompt template', describeTemplate(record.design.promptTemplate)]] : []),
+    ])}</table>
+
+<h2>AI Analysis</h2>
+<p>${escapeHtml(design.analysis)}</p>
+
+<h2>Metrics</h2>
+<table>${rows([
+        ['Binding affinity (AI-predicted)', typeof design.bindingAffinity === 'number' ? `${fixed(design.bindingAffinity, 2)} kcal/mol` : 'N/A'],
+        ['Predicted stability (AI-predicted)', fixed(design.predictedStability, 2) || 'N/A'],
+        ['Molecular weight', `${fixed(properties.molecularWeight, 1)} Da`],
+        ['Theoretical pI', fixed(properties.isoelectricPoint, 2)],
+        ['Net charge at pH 7', fixed(properties.netCharge, 2)],
+        ['Extinction coefficient (280 nm, cystines)', `${properties.extinctionCoefficient.cystinesFormed} M⁻¹cm⁻¹`],
+        ['GRAVY', fixed(properties.gravy, 3)],
+        ['Instability index', `${fixed(properties.instabilityIndex, 1)} (${properties.isStable ? 'stable' : 'unstable'})`],
+        ['Aliphatic index', fixed(properties.aliphaticIndex, 1)],
+        ['Length', `${design.sequence.length} aa`],
+    ])}</table>
+
+<h2>Design Confidence</h2>
+<p><span class="pill">${escapeHtml(design.designConfidence || 'Unknown')}</span></p>
+
+<h2>Validation Plan</h2>
+${validationPlanHtml(record)}
+
+<h2>Structure</h2>
+${snapshot ? `<img src="${snapshot}" alt="Structure view of ${escapeHtml(record.label)}">` : '<p class="note">No viewer snapshot available.</p>'}
+<p class="note">Template ${escapeHtml(design.pdbId || 'none')}${structureSource ? ` (${escapeHtml(structureSource)})` : ''}. Binding pocket residues: ${escapeHtml(design.bindingPocketResidues.join(', ') || 'none')}.</p>
+
+<h2>Sequence</h2>
+<div class="sequence">${sequenceHtml(design.sequence, design.bindingPocketResidues)}</div>
+<p class="note">Highlighted: AI-predicted binding pocket residues.</p>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,86 @@
+import { recordFromNode, recordFromCandidate, toFasta, toGenBank, toCsv, toFileSlug } from './designExport';
+import { createLineage, addNode, updateNode } from '../design/lineage';
+import { computeSequenceProperties } from '../analysis/properties';
+
+// 70 residues, so FASTA wraps after 60 and GenBank fills one full and one partial ORIGIN line.
+const PARENT = 'MKTAYIAKQRQISFVKSHFSRQLEERLGLIEVQAPILSRVGDGTQDNLSGAEKAVQVKVKALPDAQFEVV';
+const CHILD = PARENT.replace('AYIAK', 'AWIAK');
+
+const DESIGN = {
+    sequence: PARENT,
+    bindingAffinity: -9.456,
+    predictedStability: 1.2,
+    designConfidence: 'High',
+    pdbId: '1LYZ',
+    bindingPocketResidues: [12, 13, 14, 30, 45],
+    promptTemplate: { id: 'builtin-design', name: 'Default design', version: 1 },
+};
+
+const buildRecords = () => {
+    let { lineage, node: root } = addNode(createLineage(), { userPrompt: 'a "lysozyme"\nbinder', design: DESIGN });
+    lineage = updateNode(lineage, root.id, { createdAt: '2024-03-05T12:00:00.000Z' });
+    const { lineage: evolved, node: child } = addNode(lineage, { parentId: root.id, evolutionPrompt: 'tighter binding', design: { ...DESIGN, sequence: CHILD } });
+    return [recordFromNode(evolved, evolved.nodes[root.id]), recordFromNode(evolved, child)];
+};
+
+describe('export records', () => {
+    it('lists the mutations from the parent', () => {
+        const [root, child] = buildRecords();
+        expect(root).toMatchObject({ label: 'D1', parentLabel: null, mutations: [] });
+        expect(child).toMatchObject({ label: 'D1.1', parentLabel: 'D1', mutations: ['Y5W'], evolutionPrompt: 'tighter binding' });
+    });
+
+    it('makes file names from labels and prompts', () => {
+        expect(toFileSlug('  Lysozyme binders: round 2! ')).toBe('lysozyme-binders-round-2');
+    });
+});
+
+describe('toFasta', () => {
+    it('writes one record per design with metrics in the header and 60 residues per line', () => {
+        const fasta = toFasta(buildRecords(), { projectName: 'Lysozyme "binders"' });
+        const lines = fasta.split('\n');
+        expect(lines[0]).toMatch(/^>D1 length=70 affinity=-9\.46 stability=1\.20 confidence=High pI=\d+\.\d\d mw=\d+\.\d pdb=1LYZ /);
+        expect(lines[0]).toContain(' template=builtin-design@v1 project="Lysozyme \'binders\'" prompt="a \'lysozyme\' binder"');
+        expect(lines[1]).toBe(PARENT.slice(0, 60));
+        expect(lines[2]).toBe(PARENT.slice(60));
+        expect(lines[3]).toMatch(/^>D1\.1 .* parent=D1 mutations=Y5W .* goal="tighter binding"$/);
+        expect(fasta.endsWith(`${CHILD.slice(60)}\n`)).toBe(true);
+        expect(lines.filter((line) => line.startsWith('>'))).toHaveLength(2);
+    });
+
+    it('adds the sampling of batch candidates', () => {
+        const candidate = { index: 3, nodeLabel: null, sampling: { seed: 42, temperature: 0.85 }, design: DESIGN, properties: computeSequenceProperties(PARENT) };
+        const record = recordFromCandidate({ id: Date.UTC(2024, 2, 5), prompt: 'a lysozyme binder' }, candidate);
+        expect(toFasta([record]).split('\n')[0]).toMatch(/^>C3 .* seed=42 temperature=0\.85 /);
+    });
+});
+
+describe('toGenBank', () => {
+    it('writes a protein record with the pocket as regions and a blocked ORIGIN', () => {
+        const [root, child] = buildRecords();
+        const lines = toGenBank(root).split('\n');
+        expect(lines[0]).toBe('LOCUS       D1                        70 aa            linear   SYN 05-MAR-2024');
+        expect(lines[1]).toBe('DEFINITION  Designed protein D1: a "lysozyme" binder.');
+        expect(lines).toContain('     Region          12..14');
+        expect(lines).toContain('     Region          30');
+        expect(lines).toContain('                     /region_name="binding pocket"');
+        const origin = lines.slice(lines.indexOf('ORIGIN') + 1, lines.indexOf('//'));
+        expect(origin).toEqual([
+            `        1 ${PARENT.toLowerCase().slice(0, 60).match(/.{10}/g).join(' ')}`,
+            `       61 ${PARENT.toLowerCase().slice(60)}`,
+        ]);
+        expect(lines.every((line) => line.length <= 79)).toBe(true);
+        expect(toGenBank(child)).toContain('Evolved from D1 (Y5W).');
+    });
+});
+
+describe('toCsv', () => {
+    it('quotes cells with commas, quotes or line breaks', () => {
+        const [, child] = buildRecords();
+        const [header, row] = toCsv([{ ...child, evolutionPrompt: 'tighter, "stronger"\nbinding' }]).split('\r\n');
+        expect(header.split(',')[0]).toBe('label');
+        expect(row).toContain('"tighter, ""stronger""\nbinding"');
+        expect(row.startsWith('D1.1,')).toBe(true);
+        expect(row.endsWith(`,${CHILD}`)).toBe(true);
+    });
+});
@@ -0,0 +1,101 @@
+import {
+    createGeminiProvider,
+    GEMINI_DEFAULTS,
+    createOpenAIProvider,
+    OPENAI_DEFAULTS,
+    createMockProvider,
+    MOCK_DEFAULTS,
+} from '@protieno/providers';
+import { createServerProvider, SERVER_DEFAULTS } from './server';
+
+// Create React App inlines REACT_APP_ variables into the bundle, where anyone who loads the app
+// can read them. REACT_APP_GEMINI_API_KEY and REACT_APP_OPENAI_API_KEY are therefore ignored
+// unless REACT_APP_DEV_API_KEYS=true opts into them for local development. The checks are
+// written out per key so the minifier drops the keys from builds without the opt-in.
+export const DEV_API_KEYS = process.env.REACT_APP_DEV_API_KEYS === 'true';
+if (DEV_API_KEYS) {
+    console.warn("REACT_APP_DEV_API_KEYS is set: model API keys are compiled into the app. Use this for local development only, never for a deployed build.");
+}
+
+// The shared adapters (shared/providers) carry no build configuration; the browser's comes from REACT_APP_ variables.
+const BROWSER_GEMINI_DEFAULTS = {
+    ...GEMINI_DEFAULTS,
+    model: process.env.REACT_APP_GEMINI_MODEL || GEMINI_DEFAULTS.model,
+    apiKey: process.env.REACT_APP_DEV_API_KEYS === 'true' ? process.env.REACT_APP_GEMINI_API_KEY || '' : '',
+};
+const BROWSER_OPENAI_DEFAULTS = {
+    ...OPENAI_DEFAULTS,
+    baseUrl: process.env.REACT_APP_OPENAI_BASE_URL || OPENAI_DEFAULTS.baseUrl,
+    model: process.env.REACT_APP_OPENAI_MODEL || OPENAI_DEFAULTS.model,
+    apiKey: process.env.REACT_APP_DEV_API_KEYS === 'true' ? process.env.REACT_APP_OPENAI_API_KEY || '' : '',
+};
+
+// Every provider exposes the same shape: { id, model, generate({ prompt, request, signal, onText }) => Promise<string> }.
+// `prompt` is the fully rendered text; `request` carries the structured inputs it was built from,
+// including optional `sampling: { seed, temperature }` that adapters forward when supported.
+// `signal` is an AbortSignal. When `onText` is given the adapter streams and calls it with the
+// text received so far. Failed HTTP calls throw an Error with `status` (and `retryAfter` if known).
+export const PROVIDERS = {
+    gemini: { label: 'Google Gemini', create: createGeminiProvider, defaults: BROWSER_GEMINI_DEFAULTS, fields: ['model', 'apiKey'] },
+    openai: { label: 'OpenAI-compatible', create: createOpenAIProvider, defaults: BROWSER_OPENAI_DEFAULTS, fields: ['baseUrl', 'model', 'apiKey'] },
+    server: { label: 'Protieno server (key kept server-side)', create: createServerProvider, defaults: SERVER_DEFAULTS, fields: ['baseUrl', 'apiKey'] },
+    mock: { label: 'Local mock (offline)', create: createMockProvider, defaults: MOCK_DEFAULTS, fields: [] },
+};
+
+const CONFIG_STORAGE_KEY = 'protieno.providerConfig';
+
+// The server provider keeps credentials server-side, so it is the default.
+export const getDefaultProviderConfig = () => {
+    const envProvider = process.env.REACT_APP_MODEL_PROVIDER;
+    return {
+        provider: PROVIDERS[envProvider] ? envProvider : 'server',
+        options: Object.fromEntries(Object.entries(PROVIDERS).map(([id, { defaults }]) => [id, { ...defaults }])),
+    };
+};
+
+export const loadProviderConfig = () => {
+    const config = getDefaultProviderConfig();
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(CONFIG_STORAGE_KEY));
+        if (!saved) return config;
+        if (PROVIDERS[saved.provider]) config.provider = saved.provider;
+        Object.keys(PROVIDERS).forEach((id) => {
+            config.options[id] = { ...config.options[id], ...saved.options?.[id] };
+        });
+    } catch (e) {
+        console.warn("Ignoring unreadable provider config:", e);
+    }
+    return config;
+};
+
+export const saveProviderConfig = (config) => {
+    try {
+        window.localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(config));
+    } catch (e) {
+        console.warn("Could not persist provider config:", e);
+    }
+};
+
+export const createProvider = (config) => {
+    const entry = PROVIDERS[config.provider];
+    if (!entry) throw new Error(`Unknown model provider "${config.provider}".`);
+    return entry.create({ ...entry.defaults, ...config.options?.[config.provider] });
+};
+
+// Models are asked for bare JSON but often wrap it in markdown fences or prose.
+export const parseModelJson = (text) => {
+    let jsonString = text;
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch && jsonMatch[0]) {
+        jsonString = jsonMatch[0];
+    } else {
+        jsonString = text.replace(/```json/g, '').replace(/```/g, '').trim();
+    }
+
+    try {
+        return JSON.parse(jsonString);
+    } catch (e) {
+        console.error("Failed to parse AI response as JSON:", jsonString);
+        throw new Error("AI response was not valid JSON.");
+    }
+};
@@ -0,0 +1,49 @@
+const ENV_KEYS = ['REACT_APP_MODEL_PROVIDER', 'REACT_APP_DEV_API_KEYS', 'REACT_APP_GEMINI_API_KEY', 'REACT_APP_OPENAI_API_KEY'];
+
+// The defaults are read when the modules load, so every case loads a fresh copy with its environment.
+const defaultConfig = (env) => {
+    const saved = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+    ENV_KEYS.forEach((key) => delete process.env[key]);
+    Object.assign(process.env, env);
+    let config;
+    try {
+        jest.isolateModules(() => {
+            config = require('./index').getDefaultProviderConfig();
+        });
+    } finally {
+        ENV_KEYS.forEach((key) => {
+            if (saved[key] === undefined) delete process.env[key]; else process.env[key] = saved[key];
+        });
+    }
+    return config;
+};
+
+describe('default provider config', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('uses the server provider unless another one is configured', () => {
+        expect(defaultConfig({}).provider).toBe('server');
+        expect(defaultConfig({ REACT_APP_MODEL_PROVIDER: 'mock' }).provider).toBe('mock');
+        expect(defaultConfig({ REACT_APP_MODEL_PROVIDER: 'unknown' }).provider).toBe('server');
+    });
+
+    it('ignores browser API keys without the development opt-in', () => {
+        const { options } = defaultConfig({ REACT_APP_GEMINI_API_KEY: 'g-key', REACT_APP_OPENAI_API_KEY: 'o-key' });
+        expect(options.gemini.apiKey).toBe('');
+        expect(options.openai.apiKey).toBe('');
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('reads browser API keys with the opt-in and warns about it', () => {
+        const { options } = defaultConfig({ REACT_APP_DEV_API_KEYS: 'true', REACT_APP_GEMINI_API_KEY: 'g-key', REACT_APP_OPENAI_API_KEY: 'o-key' });
+        expect(options.gemini.apiKey).toBe('g-key');
+        expect(options.openai.apiKey).toBe('o-key');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/local development only/));
+    });
+});
@@ -0,0 +1,30 @@
+import { abortError, emitInChunks } from '@protieno/providers';
+
+// Plays back the calls of an audit record (see design/auditLog.js) in order instead of asking a
+// model, so a recorded request can be pushed through the app again to reproduce what happened.
+// Recorded HTTP failures and cancellations are replayed as errors; streamed answers are replayed
+// in a few chunks. Not listed in PROVIDERS because it is only used for replays.
+
+export const createReplayProvider = (audit) => {
+    const calls = audit.calls.filter((call) => call.status !== null);
+    let next = 0;
+    return {
+        id: 'replay',
+        model: `${audit.provider}${audit.model ? ` / ${audit.model}` : ''}`,
+        generate: async ({ signal, onText }) => {
+            if (signal && signal.aborted) throw abortError();
+            const call = calls[next++];
+            if (!call) throw Object.assign(new Error('The recorded request has no further responses to replay.'), { status: 400 });
+            if (call.status === 'cancelled') throw abortError(call.error);
+            if (call.status === 'error') {
+                const error = new Error(call.error);
+                if (call.httpStatus !== null) error.status = call.httpStatus;
+                throw error;
+            }
+
+            const text = call.responseText || '';
+            if (!onText) return text;
+            return emitInChunks(text, { signal, onText });
+        },
+    };
+};
@@ -0,0 +1,29 @@
+import { createReplayProvider } from './replay';
+
+describe('createReplayProvider', () => {
+    it('replays recorded answers, errors and cancellations in order', async () => {
+        const provider = createReplayProvider({
+            provider: 'gemini',
+            model: 'test',
+            calls: [
+                { status: 'error', httpStatus: 503, error: 'Unavailable.' },
+                { status: 'cancelled', error: 'Stopped by the user.' },
+                { status: 'ok', responseText: '{"sequence":"MKV"}' },
+                { status: null },
+            ],
+        });
+        expect(provider.model).toBe('gemini / test');
+        await expect(provider.generate({})).rejects.toMatchObject({ message: 'Unavailable.', status: 503 });
+        await expect(provider.generate({})).rejects.toMatchObject({ name: 'AbortError', message: 'Stopped by the user.' });
+        await expect(provider.generate({ onText: () => {} })).resolves.toBe('{"sequence":"MKV"}');
+        await expect(provider.generate({})).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('streams a recorded answer in growing chunks', async () => {
+        const provider = createReplayProvider({ provider: 'mock', model: null, calls: [{ status: 'ok', responseText: '{"sequence":"MKVLAAGG"}' }] });
+        const partials = [];
+        await expect(provider.generate({ onText: (partial) => partials.push(partial) })).resolves.toBe('{"sequence":"MKVLAAGG"}');
+        expect(partials.length).toBeGreaterThan(1);
+        expect(partials[partials.length - 1]).toBe('{"sequence":"MKVLAAGG"}');
+    });
+});
@@ -0,0 +1,42 @@
+import { responseError, readServerSentEvents } from '@protieno/providers';
+
+// Adapter for the protieno backend (server/). The server holds the model credentials and calls
+// the model, so no API key reaches the browser bundle. The access token is only needed when the
+// server is configured with ACCESS_TOKENS.
+export const SERVER_DEFAULTS = {
+    baseUrl: process.env.REACT_APP_API_BASE_URL || '/api',
+    apiKey: '',
+};
+
+export const createServerProvider = ({ baseUrl, apiKey }) => ({
+    id: 'server',
+    model: null,
+    generate: async ({ prompt, request = {}, signal, onText }) => {
+        const apiUrl = `${baseUrl.replace(/\/+$/, '')}/${request.evolutionParams ? 'evolve' : 'design'}`;
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        const payload = { prompt, request, stream: Boolean(onText) };
+
+        const response = await fetch(apiUrl, { method: 'POST', headers, body: JSON.stringify(payload), signal });
+        if (!response.ok) throw await responseError(response, 'Protieno server');
+        if (!onText) {
+            const result = await response.json();
+            return result.text;
+        }
+
+        // Errors after the stream started arrive as an event, with the status the server would have sent.
+        let text = '';
+        let failure = null;
+        await readServerSentEvents(response, (data) => {
+            const event = JSON.parse(data);
+            if (event.error) {
+                failure = Object.assign(new Error(`Protieno server request failed. ${event.error.message}`), { status: event.error.status, retryAfter: event.error.retryAfter });
+            } else if (event.delta) {
+                text += event.delta;
+                onText(text);
+            }
+        });
+        if (failure) throw failure;
+        return text;
+    },
+});
@@ -0,0 +1,42 @@
+// Shared IndexedDB connection. Bump DB_VERSION and extend `upgrade` when adding a store.
+const DB_NAME = 'protieno';
+const DB_VERSION = 2;
+
+export const PROJECT_STORE = 'projects';
+export const STRUCTURE_STORE = 'structures';
+
+const upgrade = (db) => {
+    if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+        db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(STRUCTURE_STORE)) {
+        db.createObjectStore(STRUCTURE_STORE, { keyPath: 'id' });
+    }
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+const openDatabase = () => {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error("IndexedDB is not available in this browser."));
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => upgrade(request.result);
+        dbPromise = promisify(request).catch((error) => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+};
+
+export const withStore = async (storeName, mode, callback) => {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    return promisify(callback(transaction.objectStore(storeName)));
+};
@@ -0,0 +1,69 @@
+// Named projects persisted in IndexedDB, plus single-file JSON bundles for sharing.
+//
+// Project: { id, name, createdAt, updatedAt, prompt, evolutionPrompt, lineage, selectedNodeId }
+import { withStore, PROJECT_STORE } from './db';
+
+export const BUNDLE_FORMAT = 'protieno-project';
+export const BUNDLE_VERSION = 1;
+
+export const createProject = (name = 'Untitled Project') => {
+    const now = new Date().toISOString();
+    return {
+        id: `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        createdAt: now,
+        updatedAt: now,
+    };
+};
+
+// Summaries only, newest first, for the project picker.
+export const listProjects = async () => {
+    const projects = await withStore(PROJECT_STORE, 'readonly', (store) => store.getAll());
+    return projects
+        .map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const loadProject = (id) => withStore(PROJECT_STORE, 'readonly', (store) => store.get(id));
+
+export const saveProject = async (project) => {
+    const saved = { ...project, updatedAt: new Date().toISOString() };
+    await withStore(PROJECT_STORE, 'readwrite', (store) => store.put(saved));
+    return saved;
+};
+
+export const deleteProject = (id) => withStore(PROJECT_STORE, 'readwrite', (store) => store.delete(id));
+
+export const exportProjectBundle = (project) => JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    project,
+}, null, 2);
+
+// Imported projects get a fresh id so they never overwrite a local project with the same origin.
+export const parseProjectBundle = (text) => {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (e) {
+        throw new Error("Project file is not valid JSON.");
+    }
+    if (bundle?.format !== BUNDLE_FORMAT) throw new Error("File is not a protieno project bundle.");
+    if (bundle.version > BUNDLE_VERSION) throw new Error(`Project bundle version ${bundle.version} is newer than this app supports.`);
+
+    const { project } = bundle;
+    if (!project || typeof project !== 'object' || !project.lineage?.nodes || !Array.isArray(project.lineage.rootIds)) {
+        throw new Error("Project bundle is missing its design lineage.");
+    }
+    return { ...project, ...createProject(project.name || 'Imported Project'), createdAt: project.createdAt || new Date().toISOString() };
+};
+
+export const downloadFile = (filename, content, type = 'application/json') => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,45 @@
+import { createProject, exportProjectBundle, parseProjectBundle, BUNDLE_FORMAT, BUNDLE_VERSION } from './projectStore';
+
+const PROJECT = {
+    ...createProject('Lysozyme binders'),
+    createdAt: '2024-03-01T10:00:00.000Z',
+    prompt: 'a lysozyme binder',
+    lineage: { nodes: { 'node-1': { id: 'node-1', label: 'D1', design: { sequence: 'MKV' } } }, rootIds: ['node-1'] },
+    selectedNodeId: 'node-1',
+};
+
+const bundle = (changes) => JSON.stringify({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, project: PROJECT, ...changes });
+
+describe('parseProjectBundle', () => {
+    it('round-trips an exported project under a fresh id', () => {
+        const imported = parseProjectBundle(exportProjectBundle(PROJECT));
+        expect(imported.id).not.toBe(PROJECT.id);
+        expect(imported).toMatchObject({ name: 'Lysozyme binders', createdAt: PROJECT.createdAt, lineage: PROJECT.lineage, selectedNodeId: 'node-1' });
+    });
+
+    it('reads bundles from older versions', () => {
+        expect(parseProjectBundle(bundle({ version: BUNDLE_VERSION - 1 })).name).toBe('Lysozyme binders');
+    });
+
+    it('names unnamed projects', () => {
+        expect(parseProjectBundle(bundle({ project: { ...PROJECT, name: '' } })).name).toBe('Imported Project');
+    });
+
+    it('rejects newer bundle versions', () => {
+        expect(() => parseProjectBundle(bundle({ version: BUNDLE_VERSION + 1 })))
+            .toThrow(`Project bundle version ${BUNDLE_VERSION + 1} is newer than this app supports.`);
+    });
+
+    it('rejects files that are not project bundles', () => {
+        expect(() => parseProjectBundle('{"format": "protieno-proj')).toThrow('Project file is not valid JSON.');
+        expect(() => parseProjectBundle('null')).toThrow('File is not a protieno project bundle.');
+        expect(() => parseProjectBundle(bundle({ format: 'other-app' }))).toThrow('File is not a protieno project bundle.');
+    });
+
+    it('rejects bundles without a lineage', () => {
+        const { lineage, ...withoutLineage } = PROJECT;
+        expect(() => parseProjectBundle(bundle({ project: withoutLineage }))).toThrow('Project bundle is missing its design lineage.');
+        expect(() => parseProjectBundle(bundle({ project: { ...PROJECT, lineage: { nodes: {} } } }))).toThrow('Project bundle is missing its design lineage.');
+        expect(() => parseProjectBundle(bundle({ project: 'Lysozyme binders' }))).toThrow('Project bundle is missing its design lineage.');
+    });
+});
@@ -0,0 +1,42 @@
+// Lifecycle helpers around the bundled 3Dmol library. The library is imported on first
+// use so it stays out of the main bundle and never touches the network.
+
+let libraryPromise = null;
+
+export const load3Dmol = () => {
+    if (!libraryPromise) {
+        libraryPromise = import('3dmol')
+            .then((module) => (module.createViewer ? module : module.default))
+            .catch((error) => {
+                libraryPromise = null;
+                throw error;
+            });
+    }
+    return libraryPromise;
+};
+
+export const isWebGLAvailable = () => {
+    if (typeof window === 'undefined' || !window.WebGLRenderingContext) return false;
+    try {
+        const canvas = document.createElement('canvas');
+        return Boolean(canvas.getContext('webgl2') || canvas.getContext('webgl') || canvas.getContext('experimental-webgl'));
+    } catch (e) {
+        return false;
+    }
+};
+
+// 3Dmol has no dispose(); release what it holds on to so remounts don't leak WebGL contexts.
+export const disposeViewer = (viewer) => {
+    try {
+        viewer.clear();
+        if (viewer.divwatcher) viewer.divwatcher.disconnect();
+        if (viewer.intwatcher) viewer.intwatcher.disconnect();
+        const canvas = viewer.getCanvas();
+        const context = canvas && (canvas.getContext('webgl2') || canvas.getContext('webgl'));
+        const loseContext = context && context.getExtension('WEBGL_lose_context');
+        if (loseContext) loseContext.loseContext();
+        if (canvas && canvas.parentNode) canvas.parentNode.removeChild(canvas);
+    } catch (e) {
+        console.warn("Error while disposing 3Dmol viewer:", e);
+    }
+};
@@ -0,0 +1,162 @@
+// Minimal coordinate parser for PDB and mmCIF text. Only the first model is read and only
+// the first alternate location of each atom is kept, matching what the viewer shows.
+//
+// Atom:  { hetero, serial, name, element, resn, chain, resi, icode, x, y, z, b }
+// Chain: { id, sequence, residues: [{ resi, icode, resn, code }], seqres }
+//
+// parseStructure returns { atoms, chains, predicted }; `predicted` is true for models from a
+// structure predictor rather than an experiment.
+
+export const THREE_TO_ONE = {
+    ALA: 'A', ARG: 'R', ASN: 'N', ASP: 'D', CYS: 'C', GLN: 'Q', GLU: 'E', GLY: 'G', HIS: 'H', ILE: 'I',
+    LEU: 'L', LYS: 'K', MET: 'M', PHE: 'F', PRO: 'P', SER: 'S', THR: 'T', TRP: 'W', TYR: 'Y', VAL: 'V',
+    // Common modified residues, mapped to their parent amino acid.
+    MSE: 'M', SEP: 'S', TPO: 'T', PTR: 'Y', HYP: 'P', MLY: 'K', CSO: 'C', KCX: 'K', SEC: 'U', PYL: 'O',
+};
+
+const parsePdbAtoms = (text) => {
+    const atoms = [];
+    for (const line of text.split(/\r?\n/)) {
+        const record = line.slice(0, 6).trim();
+        if (record === 'ENDMDL') break;
+        if (record !== 'ATOM' && record !== 'HETATM') continue;
+        const altLoc = line[16];
+        if (altLoc && altLoc !== ' ' && altLoc !== 'A') continue;
+        const name = line.slice(12, 16).trim();
+        atoms.push({
+            hetero: record === 'HETATM',
+            serial: parseInt(line.slice(6, 11), 10),
+            name,
+            element: line.slice(76, 78).trim() || name.replace(/[^A-Z]/gi, '').slice(0, 1),
+            resn: line.slice(17, 20).trim(),
+            chain: line[21] && line[21] !== ' ' ? line[21] : '',
+            resi: parseInt(line.slice(22, 26), 10),
+            icode: (line[26] || '').trim(),
+            x: parseFloat(line.slice(30, 38)),
+            y: parseFloat(line.slice(38, 46)),
+            z: parseFloat(line.slice(46, 54)),
+            b: parseFloat(line.slice(60, 66)) || 0,
+        });
+    }
+    return atoms;
+};
+
+const parsePdbSeqres = (text) => {
+    const seqres = {};
+    for (const line of text.split(/\r?\n/)) {
+        if (!line.startsWith('SEQRES')) continue;
+        const chain = line[11].trim();
+        const residues = line.slice(19).trim().split(/\s+/).filter(Boolean);
+        seqres[chain] = (seqres[chain] || '') + residues.map((resn) => THREE_TO_ONE[resn] || 'X').join('');
+    }
+    return seqres;
+};
+
+// Splits an mmCIF data line into values, honouring single and double quotes.
+const tokenizeCifLine = (line) => {
+    const tokens = [];
+    const pattern = /'((?:[^']|'(?!\s|$))*)'|"((?:[^"]|"(?!\s|$))*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        tokens.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return tokens;
+};
+
+const readCifLoop = (lines, category) => {
+    const start = lines.findIndex((line, index) => line.trim() === 'loop_' && (lines[index + 1] || '').startsWith(`_${category}.`));
+    if (start === -1) return [];
+
+    const fields = [];
+    let i = start + 1;
+    while (i < lines.length && lines[i].startsWith(`_${category}.`)) {
+        fields.push(lines[i].trim().slice(category.length + 2));
+        i++;
+    }
+
+    const rows = [];
+    let pending = [];
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.startsWith('#') || line.startsWith('loop_') || line.startsWith('_')) break;
+        pending = pending.concat(tokenizeCifLine(line));
+        while (pending.length >= fields.length) {
+            const values = pending.splice(0, fields.length);
+            rows.push(Object.fromEntries(fields.map((field, index) => [field, values[index]])));
+        }
+    }
+    return rows;
+};
+
+const cifValue = (value) => (value === undefined || value === '?' || value === '.' ? '' : value);
+
+const parseCifAtoms = (text) => {
+    const rows = readCifLoop(text.split(/\r?\n/), 'atom_site');
+    const firstModel = rows.length > 0 ? rows[0].pdbx_PDB_model_num : undefined;
+    const atoms = [];
+    for (const row of rows) {
+        if (firstModel !== undefined && row.pdbx_PDB_model_num !== firstModel) break;
+        const altLoc = cifValue(row.label_alt_id);
+        if (altLoc && altLoc !== 'A') continue;
+        atoms.push({
+            hetero: row.group_PDB === 'HETATM',
+            serial: parseInt(row.id, 10),
+            name: cifValue(row.auth_atom_id) || cifValue(row.label_atom_id),
+            element: cifValue(row.type_symbol),
+            resn: cifValue(row.auth_comp_id) || cifValue(row.label_comp_id),
+            chain: cifValue(row.auth_asym_id) || cifValue(row.label_asym_id),
+            resi: parseInt(cifValue(row.auth_seq_id) || cifValue(row.label_seq_id), 10),
+            icode: cifValue(row.pdbx_PDB_ins_code),
+            x: parseFloat(row.Cartn_x),
+            y: parseFloat(row.Cartn_y),
+            z: parseFloat(row.Cartn_z),
+            b: parseFloat(row.B_iso_or_equiv) || 0,
+        });
+    }
+    return atoms;
+};
+
+const parseCifSeqres = (text) => {
+    const seqres = {};
+    readCifLoop(text.split(/\r?\n/), 'pdbx_poly_seq_scheme').forEach((row) => {
+        const chain = cifValue(row.pdb_strand_id) || cifValue(row.asym_id);
+        seqres[chain] = (seqres[chain] || '') + (THREE_TO_ONE[row.mon_id] || 'X');
+    });
+    return seqres;
+};
+
+// Polymer chains built from the residues that actually have coordinates.
+const buildChains = (atoms, seqres) => {
+    const chains = new Map();
+    for (const atom of atoms) {
+        const code = THREE_TO_ONE[atom.resn];
+        if (!code || (atom.hetero && atom.resn !== 'MSE')) continue;
+        if (!chains.has(atom.chain)) chains.set(atom.chain, { id: atom.chain, residues: [], keys: new Set() });
+        const chain = chains.get(atom.chain);
+        const key = `${atom.resi}${atom.icode}`;
+        if (!chain.keys.has(key)) {
+            chain.keys.add(key);
+            chain.residues.push({ resi: atom.resi, icode: atom.icode, resn: atom.resn, code });
+        }
+    }
+    return [...chains.values()].map(({ id, residues }) => ({
+        id,
+        residues,
+        sequence: residues.map(({ code }) => code).join(''),
+        seqres: seqres[id] || null,
+    }));
+};
+
+// Experimental entries name their method (EXPDTA, _exptl.method); prediction tools leave it out
+// or call it a theoretical model, and ModelCIF files carry their pLDDT as a QA metric.
+const isPredictedModel = ({ data, format }) => {
+    if (format === 'cif' && data.includes('_ma_qa_metric')) return true;
+    const method = format === 'cif' ? data.match(/_exptl\.method\s+(.+)/) : data.match(/^EXPDTA\s+(.+)$/m);
+    return !method || /THEORETICAL|PREDICT/i.test(method[1]);
+};
+
+export const parseStructure = ({ data, format }) => {
+    const atoms = format === 'cif' ? parseCifAtoms(data) : parsePdbAtoms(data);
+    const seqres = format === 'cif' ? parseCifSeqres(data) : parsePdbSeqres(data);
+    return { atoms, chains: buildChains(atoms, seqres), predicted: isPredictedModel({ data, format }) };
+};
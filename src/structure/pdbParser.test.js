@@ -0,0 +1,21 @@
+import { parseStructure } from './pdbParser';
+
+const ATOM = 'ATOM      1  CA  ALA A   1       1.000   2.000   3.000  1.00 90.00           C';
+const pdb = (header) => ({ format: 'pdb', data: [...header, ATOM, 'END'].join('\n') });
+
+describe('parseStructure', () => {
+    it('tells experimental entries from predictions', () => {
+        expect(parseStructure(pdb(['EXPDTA    X-RAY DIFFRACTION'])).predicted).toBe(false);
+        expect(parseStructure(pdb(['EXPDTA    THEORETICAL MODEL'])).predicted).toBe(true);
+        expect(parseStructure(pdb([])).predicted).toBe(true);
+        expect(parseStructure({ format: 'cif', data: "data_1ABC\n_exptl.method 'X-RAY DIFFRACTION'\n" }).predicted).toBe(false);
+        expect(parseStructure({ format: 'cif', data: 'data_AF\n_exptl.method "THEORETICAL MODEL"\n_ma_qa_metric.id 1\n' }).predicted).toBe(true);
+    });
+
+    it('reads atoms and chains', () => {
+        const { atoms, chains } = parseStructure(pdb(['EXPDTA    X-RAY DIFFRACTION']));
+        expect(atoms).toHaveLength(1);
+        expect(atoms[0]).toMatchObject({ name: 'CA', resn: 'ALA', chain: 'A', resi: 1, b: 90 });
+        expect(chains.map(({ id, sequence }) => [id, sequence])).toEqual([['A', 'A']]);
+    });
+});
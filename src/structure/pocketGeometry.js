@@ -0,0 +1,283 @@
+import { THREE_TO_ONE } from './pdbParser';
+import { WATER_RESIDUES } from './viewerStyles';
+import { residueSelection } from './templateMapping';
+
+// Binding pocket geometry from the loaded coordinates, on the template chain the design maps to
+// (see templateMapping.js). Two pockets are described the same way:
+//   claimed: the residues the model listed in binding_pocket_residues
+//   contact: residues with an atom within the contact cutoff of a bound ligand (HETATM, no water)
+//
+// Residue: { key, chain, resi, icode, resn, code, position, exposure }
+//          position is the design position (null when the residue is not aligned to the design),
+//          exposure the relative solvent accessibility in [0, 1].
+// Pocket:  { residues, centroid: { x, y, z }, volume (Å³), meanExposure, hasInsertionCodes }
+//          hasInsertionCodes tells whether any residue of the structure has one (see pocketSelection).
+
+export const DEFAULT_POCKET_OPTIONS = {
+    contactCutoff: 4.0,
+    nearbyCutoff: 5.0,
+};
+
+// Bondi van der Waals radii (Å).
+const VDW_RADII = { C: 1.7, N: 1.55, O: 1.52, S: 1.8, SE: 1.9, P: 1.8 };
+const DEFAULT_RADIUS = 1.8;
+const PROBE_RADIUS = 1.4;
+
+// Theoretical maximum accessible surface areas (Å², Tien et al. 2013).
+const MAX_ASA = {
+    A: 129, R: 274, N: 195, D: 193, C: 167, Q: 225, E: 223, G: 104, H: 224, I: 197,
+    L: 201, K: 236, M: 224, F: 240, P: 159, S: 155, T: 172, W: 285, Y: 263, V: 174,
+};
+
+const radiusOf = (element) => VDW_RADII[element.toUpperCase()] || DEFAULT_RADIUS;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+const isHydrogen = ({ element, name }) => (element || name[0]).toUpperCase() === 'H' || (element || '').toUpperCase() === 'D';
+
+const residueKey = ({ chain, resi, icode }) => `${chain}:${resi}${icode || ''}`;
+
+// Spatial hash for neighbour queries.
+const createGrid = (atoms, cellSize = 4) => {
+    const cells = new Map();
+    const cellOf = (value) => Math.floor(value / cellSize);
+    atoms.forEach((atom) => {
+        const key = `${cellOf(atom.x)},${cellOf(atom.y)},${cellOf(atom.z)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(atom);
+    });
+    const within = (point, radius) => {
+        const found = [];
+        const reach = Math.ceil(radius / cellSize);
+        const [cx, cy, cz] = [cellOf(point.x), cellOf(point.y), cellOf(point.z)];
+        for (let dx = -reach; dx <= reach; dx++) {
+            for (let dy = -reach; dy <= reach; dy++) {
+                for (let dz = -reach; dz <= reach; dz++) {
+                    const cell = cells.get(`${cx + dx},${cy + dy},${cz + dz}`);
+                    if (cell) cell.forEach((atom) => distance(point, atom) <= radius && found.push(atom));
+                }
+            }
+        }
+        return found;
+    };
+    return { within };
+};
+
+// Evenly spread unit vectors (golden spiral) for the Shrake-Rupley surface calculation.
+const SPHERE_POINT_COUNT = 48;
+const SPHERE_POINTS = Array.from({ length: SPHERE_POINT_COUNT }, (_, i) => {
+    const y = 1 - (2 * (i + 0.5)) / SPHERE_POINT_COUNT;
+    const r = Math.sqrt(1 - y * y);
+    const phi = i * Math.PI * (3 - Math.sqrt(5));
+    return { x: Math.cos(phi) * r, y, z: Math.sin(phi) * r };
+});
+
+// Shrake-Rupley accessible surface of the residue's atoms against every protein atom.
+const residueExposure = (residue, grid) => {
+    let area = 0;
+    residue.atoms.forEach((atom) => {
+        const reach = atom.radius + PROBE_RADIUS;
+        const neighbours = grid.within(atom, reach + DEFAULT_RADIUS + PROBE_RADIUS).filter((other) => other !== atom);
+        let accessible = 0;
+        SPHERE_POINTS.forEach((unit) => {
+            const point = { x: atom.x + unit.x * reach, y: atom.y + unit.y * reach, z: atom.z + unit.z * reach };
+            if (!neighbours.some((other) => distance(point, other) < other.radius + PROBE_RADIUS)) accessible++;
+        });
+        area += 4 * Math.PI * reach * reach * (accessible / SPHERE_POINT_COUNT);
+    });
+    return Math.min(1, area / (MAX_ASA[residue.code] || 200));
+};
+
+const centroidOf = (atoms) => ({
+    x: atoms.reduce((sum, { x }) => sum + x, 0) / atoms.length,
+    y: atoms.reduce((sum, { y }) => sum + y, 0) / atoms.length,
+    z: atoms.reduce((sum, { z }) => sum + z, 0) / atoms.length,
+});
+
+// Buriedness rays: the 6 axes and the 8 cube diagonals.
+const RAYS = [
+    [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1],
+    ...[-1, 1].flatMap((x) => [-1, 1].flatMap((y) => [-1, 1].map((z) => [x, y, z].map((value) => value / Math.sqrt(3))))),
+];
+const RAY_LENGTH = 8;
+const MIN_BURIED_RAYS = 10;
+const MAX_GRID_POINTS = 30000;
+
+// Empty grid points around the pocket residues that protein atoms enclose in most directions
+// (a LIGSITE-style buriedness test), times the grid cell volume. Ligand atoms are ignored, so a
+// bound ligand's space counts as pocket.
+const pocketVolume = (pocketAtoms, proteinAtoms) => {
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    pocketAtoms.forEach((atom) => ['x', 'y', 'z'].forEach((axis) => {
+        min[axis] = Math.min(min[axis], atom[axis]);
+        max[axis] = Math.max(max[axis], atom[axis]);
+    }));
+    const boxVolume = (max.x - min.x) * (max.y - min.y) * (max.z - min.z);
+    const spacing = Math.max(1, Math.cbrt(boxVolume / MAX_GRID_POINTS));
+
+    // Occupancy voxels cover the box plus the ray length on every side.
+    const origin = { x: min.x - RAY_LENGTH, y: min.y - RAY_LENGTH, z: min.z - RAY_LENGTH };
+    const size = ['x', 'y', 'z'].map((axis) => Math.ceil((max[axis] - min[axis] + 2 * RAY_LENGTH) / spacing) + 1);
+    const [nx, ny, nz] = size;
+    const index = (i, j, k) => (i * ny + j) * nz + k;
+    const occupied = new Uint8Array(nx * ny * nz);
+    proteinAtoms.forEach((atom) => {
+        const lower = ['x', 'y', 'z'].map((axis) => Math.max(0, Math.ceil((atom[axis] - atom.radius - origin[axis]) / spacing)));
+        const upper = ['x', 'y', 'z'].map((axis, d) => Math.min(size[d] - 1, Math.floor((atom[axis] + atom.radius - origin[axis]) / spacing)));
+        for (let i = lower[0]; i <= upper[0]; i++) {
+            for (let j = lower[1]; j <= upper[1]; j++) {
+                for (let k = lower[2]; k <= upper[2]; k++) {
+                    const dx = origin.x + i * spacing - atom.x;
+                    const dy = origin.y + j * spacing - atom.y;
+                    const dz = origin.z + k * spacing - atom.z;
+                    if (dx * dx + dy * dy + dz * dz < atom.radius * atom.radius) occupied[index(i, j, k)] = 1;
+                }
+            }
+        }
+    });
+
+    // Rays stay inside the voxels because the box is padded by the ray length.
+    const steps = Math.round(RAY_LENGTH / spacing);
+    const last = size.map((n) => n - 1 - steps);
+    const rayOffsets = RAYS.map(([dx, dy, dz]) => Array.from({ length: steps }, (_, step) => (
+        (Math.round(dx * (step + 1)) * ny + Math.round(dy * (step + 1))) * nz + Math.round(dz * (step + 1))
+    )));
+    let count = 0;
+    for (let i = steps; i <= last[0]; i++) {
+        for (let j = steps; j <= last[1]; j++) {
+            for (let k = steps; k <= last[2]; k++) {
+                const voxel = index(i, j, k);
+                if (occupied[voxel]) continue;
+                let buried = 0;
+                for (const offsets of rayOffsets) {
+                    if (offsets.some((offset) => occupied[voxel + offset])) buried++;
+                }
+                if (buried >= MIN_BURIED_RAYS) count++;
+            }
+        }
+    }
+    return count * spacing ** 3;
+};
+
+const describePocket = (residues, proteinAtoms, hasInsertionCodes) => {
+    if (residues.length === 0) return null;
+    const atoms = residues.flatMap((residue) => residue.atoms);
+    return {
+        residues: residues.map(({ atoms: _atoms, ...residue }) => residue),
+        centroid: centroidOf(atoms),
+        volume: pocketVolume(atoms, proteinAtoms),
+        meanExposure: residues.reduce((sum, { exposure }) => sum + exposure, 0) / residues.length,
+        hasInsertionCodes,
+    };
+};
+
+const byResidueNumber = (a, b) => a.resi - b.resi || a.icode.localeCompare(b.icode);
+
+// `parsed` is parseStructure(...) output, `mapping` mapDesignToStructure(...), `pocketPositions`
+// the design positions the model claimed. Returns null without a mapped chain.
+export const analyzePocket = (parsed, mapping, pocketPositions, options = DEFAULT_POCKET_OPTIONS) => {
+    if (!parsed || !mapping) return null;
+    const { contactCutoff, nearbyCutoff } = { ...DEFAULT_POCKET_OPTIONS, ...options };
+    const { chainId } = mapping;
+
+    // Protein atoms of every chain take up space; residues are only reported on the mapped chain.
+    const proteinAtoms = parsed.atoms
+        .filter((atom) => THREE_TO_ONE[atom.resn] && (!atom.hetero || atom.resn === 'MSE') && !isHydrogen(atom))
+        .map((atom) => ({ ...atom, radius: radiusOf(atom.element || atom.name[0]), key: residueKey(atom) }));
+    const grid = createGrid(proteinAtoms);
+    const hasInsertionCodes = proteinAtoms.some(({ icode }) => icode);
+
+    const positionByKey = new Map();
+    mapping.positions.forEach((residue, position) => positionByKey.set(residueKey(residue), position));
+
+    const residues = new Map();
+    proteinAtoms.filter((atom) => atom.chain === chainId).forEach((atom) => {
+        if (!residues.has(atom.key)) {
+            residues.set(atom.key, {
+                key: atom.key,
+                chain: atom.chain,
+                resi: atom.resi,
+                icode: atom.icode,
+                resn: atom.resn,
+                code: THREE_TO_ONE[atom.resn],
+                position: positionByKey.get(atom.key) ?? null,
+                atoms: [],
+            });
+        }
+        residues.get(atom.key).atoms.push(atom);
+    });
+    const chainGrid = createGrid(proteinAtoms.filter((atom) => atom.chain === chainId));
+
+    // Exposure is only computed for the residues that end up in the report.
+    const exposures = new Map();
+    const withExposure = (residue) => {
+        if (!exposures.has(residue.key)) exposures.set(residue.key, residueExposure(residue, grid));
+        return { ...residue, exposure: exposures.get(residue.key) };
+    };
+
+    const unmapped = [];
+    const claimed = [];
+    pocketPositions.forEach((position) => {
+        const target = mapping.positions.get(position);
+        const residue = target && residues.get(residueKey(target));
+        if (residue) claimed.push(residue); else unmapped.push(position);
+    });
+
+    const ligandAtoms = new Map();
+    parsed.atoms
+        .filter((atom) => atom.hetero && atom.resn !== 'MSE' && !WATER_RESIDUES.includes(atom.resn) && !isHydrogen(atom))
+        .forEach((atom) => {
+            const key = `${atom.resn}:${residueKey(atom)}`;
+            if (!ligandAtoms.has(key)) ligandAtoms.set(key, { resn: atom.resn, chain: atom.chain, resi: atom.resi, atoms: [] });
+            ligandAtoms.get(key).atoms.push(atom);
+        });
+    const ligands = [...ligandAtoms.values()]
+        .map(({ atoms, ...ligand }) => {
+            const contacts = new Set();
+            atoms.forEach((atom) => chainGrid.within(atom, contactCutoff).forEach(({ key }) => contacts.add(key)));
+            return { ...ligand, atomCount: atoms.length, contacts: [...contacts] };
+        })
+        .filter(({ contacts }) => contacts.length > 0);
+    const contactKeys = new Set(ligands.flatMap(({ contacts }) => contacts));
+    const contact = [...contactKeys].map((key) => residues.get(key)).sort(byResidueNumber);
+
+    const claimedKeys = new Set(claimed.map(({ key }) => key));
+    const nearby = [];
+    residues.forEach((residue) => {
+        if (claimedKeys.has(residue.key)) return;
+        let closest = Infinity;
+        residue.atoms.forEach((atom) => claimed.forEach((pocketResidue) => pocketResidue.atoms.forEach((other) => {
+            closest = Math.min(closest, distance(atom, other));
+        })));
+        if (closest <= nearbyCutoff) nearby.push({ ...withExposure(residue), distance: closest });
+    });
+
+    const claimedPocket = describePocket(claimed.sort(byResidueNumber).map(withExposure), proteinAtoms, hasInsertionCodes);
+    const contactPocket = describePocket(contact.map(withExposure), proteinAtoms, hasInsertionCodes);
+
+    let comparison = null;
+    if (claimedPocket && contactPocket) {
+        const shared = claimedPocket.residues.filter(({ key }) => contactKeys.has(key));
+        comparison = {
+            shared,
+            claimedOnly: claimedPocket.residues.filter(({ key }) => !contactKeys.has(key)),
+            contactOnly: contactPocket.residues.filter(({ key }) => !claimedKeys.has(key)),
+            jaccard: shared.length / (claimedKeys.size + contactKeys.size - shared.length),
+            centroidDistance: distance(claimedPocket.centroid, contactPocket.centroid),
+        };
+    }
+
+    return {
+        chainId,
+        claimed: claimedPocket,
+        unmapped,
+        contact: contactPocket,
+        ligands,
+        nearby: nearby.sort(byResidueNumber).map(({ atoms: _atoms, ...residue }) => residue),
+        comparison,
+    };
+};
+
+// 3Dmol selection for pocket residues, by chain and insertion code (see residueSelection).
+export const pocketSelection = (pocket) => (pocket ? residueSelection(pocket.residues, pocket) : null);
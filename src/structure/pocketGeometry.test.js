@@ -0,0 +1,104 @@
+import { parseStructure } from './pdbParser';
+import { mapDesignToStructure } from './templateMapping';
+import { analyzePocket, pocketSelection } from './pocketGeometry';
+
+const pdbLine = (record, serial, { name = 'CA', resn, chain, resi, icode = '', x, y, z = 0, element = 'C' }) => [
+    record.padEnd(6), String(serial).padStart(5), ' ', name.padEnd(4), ' ', resn.padStart(3), ' ', chain,
+    String(resi).padStart(4), icode || ' ', '   ', ...[x, y, z].map((value) => value.toFixed(3).padStart(8)),
+    '  1.00', ' 20.00', ' '.repeat(10), element.padStart(2),
+].join('');
+
+// One CA per residue, 3.8 Å apart along x on chain A, with an insertion code after 4. The ligand's
+// two atoms sit 3 Å off the chain above residues 3 and 3-4, so only 3 and 4 are within the 4 Å
+// contact cutoff (residues 2 and 4A are 4.8 Å and more away). A water next to residue 1 and a
+// chain B residue next to the ligand must not count as contacts.
+const CHAIN_A = [
+    { resn: 'MET', resi: 1 }, { resn: 'LYS', resi: 2 }, { resn: 'VAL', resi: 3 }, { resn: 'LEU', resi: 4 },
+    { resn: 'TRP', resi: 4, icode: 'A' }, { resn: 'TYR', resi: 5 }, { resn: 'LEU', resi: 6 },
+].map((residue, i) => ({ ...residue, chain: 'A', x: 3.8 * i, y: 0 }));
+const FIXTURE = [
+    ...CHAIN_A.map((residue) => ['ATOM', residue]),
+    ['ATOM', { resn: 'GLY', chain: 'B', resi: 1, x: 9.5, y: 6 }],
+    ['HETATM', { name: 'C1', resn: 'LIG', chain: 'A', resi: 101, x: 7.6, y: 3 }],
+    ['HETATM', { name: 'C2', resn: 'LIG', chain: 'A', resi: 101, x: 9.5, y: 3 }],
+    ['HETATM', { name: 'O', resn: 'HOH', chain: 'A', resi: 201, x: 0, y: 2, element: 'O' }],
+].map(([record, fields], i) => pdbLine(record, i + 1, fields)).join('\n');
+const DESIGN = 'MKVLWYL';
+
+const analyze = (pocketPositions) => {
+    const parsed = parseStructure({ data: FIXTURE, format: 'pdb' });
+    return analyzePocket(parsed, mapDesignToStructure(DESIGN, parsed), pocketPositions);
+};
+const labels = (residues) => residues.map(({ resi, icode }) => `${resi}${icode}`);
+
+describe('analyzePocket', () => {
+    it('finds the residues in contact with the ligand on the mapped chain', () => {
+        const { chainId, contact, ligands } = analyze([]);
+        expect(chainId).toBe('A');
+        expect(labels(contact.residues)).toEqual(['3', '4']);
+        expect(contact.residues.map(({ position }) => position)).toEqual([3, 4]);
+        expect(contact.centroid.x).toBeCloseTo(9.5, 6);
+        expect(contact.centroid.y).toBeCloseTo(0, 6);
+        expect(ligands).toHaveLength(1);
+        expect(ligands[0]).toMatchObject({ resn: 'LIG', chain: 'A', resi: 101, atomCount: 2 });
+        expect([...ligands[0].contacts].sort()).toEqual(['A:3', 'A:4']);
+    });
+
+    it('places claimed design positions on the structure and compares them with the contacts', () => {
+        const { claimed, unmapped, comparison, nearby } = analyze([3, 5, 40]);
+        expect(labels(claimed.residues)).toEqual(['3', '4A']);
+        expect(unmapped).toEqual([40]);
+        expect(labels(comparison.shared)).toEqual(['3']);
+        expect(labels(comparison.claimedOnly)).toEqual(['4A']);
+        expect(labels(comparison.contactOnly)).toEqual(['4']);
+        expect(comparison.jaccard).toBeCloseTo(1 / 3, 6);
+        expect(labels(nearby)).toEqual(['2', '4', '5']);
+    });
+
+    it('reports exposure as a fraction and a non-negative volume', () => {
+        const { claimed } = analyze([3, 5]);
+        claimed.residues.forEach(({ exposure }) => {
+            expect(exposure).toBeGreaterThan(0);
+            expect(exposure).toBeLessThanOrEqual(1);
+        });
+        expect(claimed.volume).toBeGreaterThanOrEqual(0);
+    });
+
+    it('has no ligand pocket without a ligand and no result without a mapping', () => {
+        const parsed = parseStructure({ data: FIXTURE.split('\n').filter((line) => !line.includes('LIG')).join('\n'), format: 'pdb' });
+        const result = analyzePocket(parsed, mapDesignToStructure(DESIGN, parsed), [3]);
+        expect(result.contact).toBeNull();
+        expect(result.comparison).toBeNull();
+        expect(analyzePocket(parsed, null, [3])).toBeNull();
+    });
+});
+
+describe('pocketSelection', () => {
+    // Atoms as 3Dmol parses them from a PDB file, with blank codes as spaces.
+    const atom = (chain, resi, icode = ' ') => ({ chain, resi, icode });
+    const selected = (selection, atoms) => atoms.filter((candidate) => selection.predicate(candidate))
+        .map(({ chain, resi, icode }) => `${chain}:${resi}${icode.trim()}`);
+
+    it('does not select insertion-code neighbours of a pocket residue', () => {
+        const { contact, claimed } = analyze([5]);
+        expect(contact.hasInsertionCodes).toBe(true);
+        const atoms = [atom('A', 3), atom('A', 4), atom('A', 4, 'A'), atom('A', 5), atom('B', 4)];
+        expect(selected(pocketSelection(contact), atoms)).toEqual(['A:3', 'A:4']);
+        expect(selected(pocketSelection(claimed), atoms)).toEqual(['A:4A']);
+    });
+
+    it('keeps residues on different chains apart', () => {
+        const pocket = {
+            residues: [{ chain: 'A', resi: 10, icode: '' }, { chain: 'B', resi: 20, icode: '' }],
+            hasInsertionCodes: false,
+        };
+        const atoms = [atom('A', 10), atom('A', 20), atom('B', 10), atom('B', 20)];
+        expect(selected(pocketSelection(pocket), atoms)).toEqual(['A:10', 'B:20']);
+    });
+
+    it('selects by number on a single chain without insertion codes', () => {
+        const pocket = { residues: [{ chain: 'A', resi: 10, icode: '' }, { chain: 'A', resi: 12, icode: '' }], hasInsertionCodes: false };
+        expect(pocketSelection(pocket)).toEqual({ resi: [10, 12], chain: 'A' });
+        expect(pocketSelection(null)).toBeNull();
+    });
+});
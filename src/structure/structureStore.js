@@ -0,0 +1,118 @@
+import { withStore, STRUCTURE_STORE } from '../storage/db';
+
+// Structures are passed around as { id, format, data, source }, where format is '3Dmol'
+// model format ('pdb' or 'cif') and source is the URL, 'cache' or 'file:<name>'.
+//
+// Mirrors are URL templates with an {id} placeholder; the file extension decides the format.
+// Point them at a local file server to work without RCSB.
+export const DEFAULT_MIRRORS = [
+    'https://files.rcsb.org/view/{id}.pdb',
+    'https://models.rcsb.org/{id}.pdb',
+    'https://files.rcsb.org/download/{id}.cif',
+];
+
+const MIRRORS_STORAGE_KEY = 'protieno.structureMirrors';
+
+// The mirrors this build is configured with: REACT_APP_STRUCTURE_MIRRORS, else RCSB.
+export const configuredMirrors = () => {
+    const fromEnv = (process.env.REACT_APP_STRUCTURE_MIRRORS || '').split(',').map((url) => url.trim()).filter(Boolean);
+    return fromEnv.length > 0 ? fromEnv : DEFAULT_MIRRORS;
+};
+
+// Only lists edited in the UI are stored, so the configured mirrors apply until the user changes them.
+export const loadMirrors = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(MIRRORS_STORAGE_KEY));
+        if (Array.isArray(saved) && saved.length > 0) return saved;
+    } catch (e) {
+        console.warn("Ignoring unreadable structure mirror config:", e);
+    }
+    return configuredMirrors();
+};
+
+// `null` forgets the edited list and goes back to the configured mirrors.
+export const saveMirrors = (mirrors) => {
+    try {
+        if (mirrors) window.localStorage.setItem(MIRRORS_STORAGE_KEY, JSON.stringify(mirrors));
+        else window.localStorage.removeItem(MIRRORS_STORAGE_KEY);
+    } catch (e) {
+        console.warn("Could not persist structure mirrors:", e);
+    }
+};
+
+// By extension first; fall back to sniffing mmCIF's data block / atom_site category.
+export const detectFormat = (name, text) => {
+    const lower = (name || '').toLowerCase();
+    if (/\.(cif|mmcif)$/.test(lower)) return 'cif';
+    if (/\.(pdb|ent)$/.test(lower)) return 'pdb';
+    return /^\s*data_/.test(text) || text.includes('_atom_site.') ? 'cif' : 'pdb';
+};
+
+const getCachedStructure = async (id) => {
+    try {
+        return await withStore(STRUCTURE_STORE, 'readonly', (store) => store.get(id));
+    } catch (e) {
+        console.warn("Structure cache unavailable:", e);
+        return null;
+    }
+};
+
+export const cacheStructure = async (structure) => {
+    try {
+        await withStore(STRUCTURE_STORE, 'readwrite', (store) => store.put({ ...structure, cachedAt: new Date().toISOString() }));
+    } catch (e) {
+        console.warn("Could not cache structure:", e);
+    }
+};
+
+export const listCachedStructures = async () => {
+    const entries = await withStore(STRUCTURE_STORE, 'readonly', (store) => store.getAll());
+    return entries.map(({ id, format, source, cachedAt, data }) => ({ id, format, source, cachedAt, size: data.length }));
+};
+
+export const clearStructureCache = () => withStore(STRUCTURE_STORE, 'readwrite', (store) => store.clear());
+
+// Cache first, then each mirror in order. Returns null when no source has the entry.
+// An aborted `signal` stops the search with an AbortError.
+export const fetchStructure = async (pdbId, { mirrors = loadMirrors(), signal } = {}) => {
+    if (!pdbId) return null;
+    const id = pdbId.toUpperCase();
+
+    const cached = await getCachedStructure(id);
+    if (cached) {
+        return { id, format: cached.format, data: cached.data, source: 'cache' };
+    }
+
+    for (const template of mirrors) {
+        const url = template.replace(/\{id\}/g, id);
+        try {
+            const response = await fetch(url, { signal });
+            if (response.ok) {
+                const data = await response.text();
+                const structure = { id, format: detectFormat(url.split('?')[0], data), data, source: url };
+                await cacheStructure(structure);
+                return structure;
+            } else {
+                console.warn(`Failed to fetch from ${url}, status: ${response.status}`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error(`Error fetching from ${url}:`, error);
+        }
+    }
+    console.error(`Failed to fetch structure data for ${id} from all sources.`);
+    return null;
+};
+
+// Local PDB / mmCIF files, including AlphaFold and ESMFold predictions (pLDDT in the B-factor column).
+export const readStructureFile = async (file) => {
+    const data = await file.text();
+    const format = detectFormat(file.name, data);
+    if (format === 'pdb' && !/^(ATOM|HETATM)/m.test(data)) {
+        throw new Error(`"${file.name}" does not contain any ATOM records.`);
+    }
+    if (format === 'cif' && !data.includes('_atom_site.')) {
+        throw new Error(`"${file.name}" does not contain an _atom_site loop.`);
+    }
+    return { id: file.name.replace(/\.[^.]+$/, ''), format, data, source: `file:${file.name}` };
+};
@@ -0,0 +1,43 @@
+import { DEFAULT_MIRRORS, configuredMirrors, loadMirrors, saveMirrors, detectFormat } from './structureStore';
+
+const LOCAL_MIRRORS = ['/api/structure/{id}', 'http://files.local/{id}.cif'];
+
+describe('structure mirrors', () => {
+    const savedEnv = process.env.REACT_APP_STRUCTURE_MIRRORS;
+
+    beforeEach(() => {
+        window.localStorage.clear();
+        process.env.REACT_APP_STRUCTURE_MIRRORS = LOCAL_MIRRORS.join(', ');
+    });
+
+    afterEach(() => {
+        if (savedEnv === undefined) delete process.env.REACT_APP_STRUCTURE_MIRRORS; else process.env.REACT_APP_STRUCTURE_MIRRORS = savedEnv;
+    });
+
+    it('uses the configured mirrors, else RCSB', () => {
+        expect(loadMirrors()).toEqual(LOCAL_MIRRORS);
+        delete process.env.REACT_APP_STRUCTURE_MIRRORS;
+        expect(configuredMirrors()).toEqual(DEFAULT_MIRRORS);
+    });
+
+    it('prefers a list the user edited and forgets it on reset', () => {
+        saveMirrors(['http://mirror.example/{id}.pdb']);
+        expect(loadMirrors()).toEqual(['http://mirror.example/{id}.pdb']);
+        saveMirrors(null);
+        expect(loadMirrors()).toEqual(LOCAL_MIRRORS);
+    });
+
+    it('keeps an edited list even when it names the RCSB defaults', () => {
+        saveMirrors(DEFAULT_MIRRORS);
+        expect(loadMirrors()).toEqual(DEFAULT_MIRRORS);
+    });
+});
+
+describe('detectFormat', () => {
+    it('goes by extension, then by content', () => {
+        expect(detectFormat('1abc.cif', 'ATOM')).toBe('cif');
+        expect(detectFormat('1abc.ent', 'data_1ABC')).toBe('pdb');
+        expect(detectFormat('upload', 'data_1ABC\n_atom_site.id')).toBe('cif');
+        expect(detectFormat(null, 'HEADER    HYDROLASE')).toBe('pdb');
+    });
+});
@@ -0,0 +1,87 @@
+import { alignSequences, buildResidueMap } from '../analysis/alignment';
+
+// Maps positions of the designed sequence onto residues of the loaded structure. The model
+// names a template PDB entry whose numbering has nothing to do with the design, so pocket
+// residues and mutations are only meaningful on the structure after this translation.
+//
+// Returns { chainId, alignment, positions: Map<designPosition, { chain, resi, icode, code }>,
+//           coverage, identity, chainLength, seqresLength, hasInsertionCodes } or null when no polymer chain exists.
+export const mapDesignToStructure = (sequence, parsed) => {
+    if (!sequence || !parsed || parsed.chains.length === 0) return null;
+
+    // Homo-oligomers repeat the same chain sequence; align each distinct sequence once.
+    const alignments = new Map();
+    let best = null;
+    for (const chain of parsed.chains) {
+        if (!alignments.has(chain.sequence)) alignments.set(chain.sequence, alignSequences(sequence, chain.sequence));
+        const alignment = alignments.get(chain.sequence);
+        if (!best || alignment.score > best.alignment.score) best = { chain, alignment };
+    }
+
+    const { chain, alignment } = best;
+    const positions = new Map();
+    buildResidueMap(alignment).forEach((chainIndex, designPosition) => {
+        const residue = chain.residues[chainIndex - 1];
+        positions.set(designPosition, { chain: chain.id, resi: residue.resi, icode: residue.icode, code: residue.code });
+    });
+
+    let matches = 0;
+    positions.forEach(({ code }, designPosition) => {
+        if (code === sequence[designPosition - 1]) matches++;
+    });
+
+    return {
+        chainId: chain.id,
+        alignment,
+        positions,
+        coverage: positions.size / sequence.length,
+        identity: positions.size > 0 ? matches / positions.size : 0,
+        chainLength: chain.sequence.length,
+        seqresLength: chain.seqres ? chain.seqres.length : null,
+        hasInsertionCodes: chain.residues.some(({ icode }) => icode),
+    };
+};
+
+// 3Dmol keeps a blank chain or insertion code as ' ' (and '.' from mmCIF files, where its parser
+// reads the alternate location into `icode`).
+export const atomCode = (value) => (value || '').trim().replace(/^[.?]$/, '');
+
+// 3Dmol selection for structure residues ({ chain, resi, icode }). A residue number alone also
+// matches its insertion-code neighbours (52 and 52A), so structures with insertion codes and
+// residues on several chains are matched atom by atom on chain, number and insertion code.
+export const residueSelection = (residues, { hasInsertionCodes = false } = {}) => {
+    if (residues.length === 0) return null;
+    const chains = [...new Set(residues.map(({ chain }) => chain || ''))];
+    if (!hasInsertionCodes && chains.length === 1) {
+        const selection = { resi: residues.map(({ resi }) => resi) };
+        if (chains[0]) selection.chain = chains[0];
+        return selection;
+    }
+    const keys = new Set(residues.map(({ chain, resi, icode }) => `${chain || ''}:${resi}${icode || ''}`));
+    return { predicate: (atom) => keys.has(`${atomCode(atom.chain)}:${atom.resi}${hasInsertionCodes ? atomCode(atom.icode) : ''}`) };
+};
+
+// Builds a 3Dmol selection for the given design positions. Positions without a
+// counterpart in the structure are reported separately instead of being guessed.
+export const toStructureSelection = (mapping, designPositions) => {
+    if (!mapping || designPositions.length === 0) return { selection: null, mapped: [], unmapped: designPositions };
+    const mapped = [];
+    const unmapped = [];
+    designPositions.forEach((position) => {
+        const residue = mapping.positions.get(position);
+        if (residue) mapped.push({ position, ...residue }); else unmapped.push(position);
+    });
+    if (mapped.length === 0) return { selection: null, mapped, unmapped };
+    return { selection: residueSelection(mapped, mapping), mapped, unmapped };
+};
+
+// Design position of a structure residue ({ chain, resi, icode } with blank codes as ''), e.g.
+// one clicked in the viewer; null when it is not aligned to the design. Like residueSelection,
+// the insertion code only counts when the mapped chain has any.
+export const designPositionOf = (mapping, { chain, resi, icode }) => {
+    if (!mapping) return null;
+    for (const [position, residue] of mapping.positions) {
+        if (residue.chain === chain && residue.resi === resi && (!mapping.hasInsertionCodes || residue.icode === icode)) return position;
+    }
+    return null;
+};
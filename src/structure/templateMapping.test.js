@@ -0,0 +1,83 @@
+import { mapDesignToStructure, toStructureSelection, residueSelection, designPositionOf, atomCode } from './templateMapping';
+
+const chainOf = (id, residues) => ({
+    id,
+    sequence: residues.map(({ code }) => code).join(''),
+    residues: residues.map(({ resi, icode = '', code }) => ({ resi, icode, resn: 'ALA', code })),
+    seqres: null,
+});
+
+// Kabat-style numbering: 52, 52A and 52B follow 51.
+const KABAT_RESIDUES = [
+    { resi: 50, code: 'M' }, { resi: 51, code: 'K' }, { resi: 52, code: 'V' },
+    { resi: 52, icode: 'A', code: 'W' }, { resi: 52, icode: 'B', code: 'Y' }, { resi: 53, code: 'L' },
+];
+
+// Atoms as 3Dmol parses them from a PDB file, with blank codes as spaces.
+const atom = (chain, resi, icode = ' ') => ({ chain, resi, icode });
+const matches = (selection, atoms) => atoms.filter((candidate) => selection.predicate(candidate)).map(({ resi, icode }) => `${resi}${icode.trim()}`);
+
+describe('toStructureSelection', () => {
+    it('maps design positions onto structure residue numbers', () => {
+        const mapping = mapDesignToStructure('MKVL', { chains: [chainOf('A', [{ resi: 10, code: 'M' }, { resi: 11, code: 'K' }, { resi: 12, code: 'V' }, { resi: 13, code: 'L' }])] });
+        expect(mapping.hasInsertionCodes).toBe(false);
+        expect(toStructureSelection(mapping, [2, 4]).selection).toEqual({ resi: [11, 13], chain: 'A' });
+    });
+
+    it('keeps insertion codes apart', () => {
+        const mapping = mapDesignToStructure('MKVWYL', { chains: [chainOf('H', KABAT_RESIDUES)] });
+        expect(mapping.hasInsertionCodes).toBe(true);
+        const atoms = [atom('H', 51), atom('H', 52), atom('H', 52, 'A'), atom('H', 52, 'B'), atom('L', 52)];
+
+        expect(matches(toStructureSelection(mapping, [3]).selection, atoms)).toEqual(['52']);
+        expect(matches(toStructureSelection(mapping, [4, 5]).selection, atoms)).toEqual(['52A', '52B']);
+    });
+
+    it('reports positions the structure does not cover', () => {
+        const mapping = mapDesignToStructure('MKVWYL', { chains: [chainOf('H', KABAT_RESIDUES)] });
+        const { unmapped } = toStructureSelection(mapping, [1, 40]);
+        expect(unmapped).toEqual([40]);
+    });
+});
+
+describe('residueSelection', () => {
+    it('selects residues on every chain they are on', () => {
+        const selection = residueSelection([{ chain: 'A', resi: 10, icode: '' }, { chain: 'B', resi: 20, icode: '' }]);
+        expect(matches(selection, [atom('A', 10), atom('A', 20), atom('B', 10), atom('B', 20)])).toEqual(['10', '20']);
+    });
+
+    it('treats mmCIF placeholders as blank insertion codes', () => {
+        const selection = residueSelection([{ chain: 'A', resi: 10, icode: '' }], { hasInsertionCodes: true });
+        expect(selection.predicate(atom('A', 10, '.'))).toBe(true);
+        expect(selection.predicate(atom('A', 10, 'A'))).toBe(false);
+    });
+
+    it('returns null without residues', () => {
+        expect(residueSelection([])).toBeNull();
+    });
+});
+
+describe('designPositionOf', () => {
+    // What the viewer passes on for a clicked 3Dmol atom.
+    const clicked = (chain, resi, icode = ' ') => ({ chain: atomCode(chain), resi, icode: atomCode(icode) });
+
+    it('finds residues of a structure without chain IDs', () => {
+        const mapping = mapDesignToStructure('MKVL', { chains: [chainOf('', [{ resi: 1, code: 'M' }, { resi: 2, code: 'K' }, { resi: 3, code: 'V' }, { resi: 4, code: 'L' }])] });
+        expect(designPositionOf(mapping, clicked(' ', 3))).toBe(3);
+        expect(designPositionOf(mapping, clicked(' ', 9))).toBeNull();
+    });
+
+    it('tells insertion-code residues apart', () => {
+        const mapping = mapDesignToStructure('MKVWYL', { chains: [chainOf('H', KABAT_RESIDUES)] });
+        expect(designPositionOf(mapping, clicked('H', 52))).toBe(3);
+        expect(designPositionOf(mapping, clicked('H', 52, 'A'))).toBe(4);
+        expect(designPositionOf(mapping, clicked('H', 52, 'B'))).toBe(5);
+        expect(designPositionOf(mapping, clicked('L', 52))).toBeNull();
+    });
+
+    it('ignores mmCIF alternate locations on chains without insertion codes', () => {
+        const mapping = mapDesignToStructure('MKVL', { chains: [chainOf('A', [{ resi: 10, code: 'M' }, { resi: 11, code: 'K' }, { resi: 12, code: 'V' }, { resi: 13, code: 'L' }])] });
+        expect(designPositionOf(mapping, clicked('A', 11, 'B'))).toBe(2);
+        expect(designPositionOf(null, clicked('A', 11))).toBeNull();
+    });
+});
@@ -0,0 +1,86 @@
+import { KYTE_DOOLITTLE } from '../analysis/properties';
+import { THREE_TO_ONE } from './pdbParser';
+
+// 3Dmol style specs for the viewer controls.
+
+export const REPRESENTATIONS = [
+    { id: 'cartoon', label: 'Cartoon' },
+    { id: 'stick', label: 'Stick' },
+    { id: 'sphere', label: 'Sphere' },
+    { id: 'line', label: 'Line' },
+    { id: 'surface', label: 'Surface' },
+];
+
+export const WATER_RESIDUES = ['HOH', 'WAT', 'DOD', 'H2O'];
+
+// AlphaFold DB confidence bands, highest first.
+export const PLDDT_BANDS = [
+    { min: 90, color: '#0053D6', label: 'Very high (> 90)' },
+    { min: 70, color: '#65CBF3', label: 'Confident (70-90)' },
+    { min: 50, color: '#FFDB13', label: 'Low (50-70)' },
+    { min: -Infinity, color: '#FF7D45', label: 'Very low (< 50)' },
+];
+
+const plddtColor = (atom) => PLDDT_BANDS.find(({ min }) => atom.b > min).color;
+
+const mix = (from, to, t) => from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+const toHex = (rgb) => `#${rgb.map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+
+// Rigid (low B) blue, through white, to mobile (high B) red.
+export const BFACTOR_GRADIENT = ['#2563EB', '#FFFFFF', '#DC2626'];
+const gradientColor = (t) => (t < 0.5
+    ? toHex(mix([37, 99, 235], [255, 255, 255], t * 2))
+    : toHex(mix([255, 255, 255], [220, 38, 38], (t - 0.5) * 2)));
+
+// The B-factor column holds pLDDT in predicted models (high = confident, banded like AlphaFold DB)
+// and crystallographic B-factors in experimental entries (high = mobile, on the structure's own
+// range). `parsed` is parseStructure(...) of the structure. Returns { predicted, min, max, colorfunc },
+// or null when there are no polymer atoms.
+export const bfactorColoring = (parsed) => {
+    const values = parsed.atoms.filter(({ hetero }) => !hetero).map(({ b }) => b);
+    if (values.length === 0) return null;
+    const min = values.reduce((low, b) => Math.min(low, b), Infinity);
+    const max = values.reduce((high, b) => Math.max(high, b), -Infinity);
+    if (parsed.predicted) {
+        // ESMFold writes pLDDT as a fraction.
+        const scale = max <= 1 ? 100 : 1;
+        return { predicted: true, min: min * scale, max: max * scale, colorfunc: (atom) => plddtColor({ b: atom.b * scale }) };
+    }
+    const span = max - min || 1;
+    return { predicted: false, min, max, colorfunc: (atom) => gradientColor(Math.min(1, Math.max(0, (atom.b - min) / span))) };
+};
+
+// Hydrophilic residues blue, neutral white, hydrophobic orange-red.
+const hydrophobicityColor = (atom) => {
+    const value = KYTE_DOOLITTLE[THREE_TO_ONE[atom.resn]];
+    if (value === undefined) return '#9CA3AF';
+    const t = value / 4.5;
+    return t >= 0 ? toHex(mix([255, 255, 255], [234, 88, 12], t)) : toHex(mix([255, 255, 255], [37, 99, 235], -t));
+};
+
+export const COLOR_SCHEMES = [
+    { id: 'spectrum', label: 'Rainbow (N→C)', style: { color: 'spectrum' } },
+    { id: 'chain', label: 'Chain', style: { colorscheme: 'chain' } },
+    { id: 'secondary', label: 'Secondary structure', style: { colorscheme: 'ssJmol' } },
+    { id: 'bfactor', label: 'B-factor / pLDDT', style: { colorfunc: plddtColor } },
+    { id: 'hydrophobicity', label: 'Hydrophobicity', style: { colorfunc: hydrophobicityColor } },
+    { id: 'residue', label: 'Residue type', style: { colorscheme: 'amino' } },
+];
+
+// `bfactor` is the structure's bfactorColoring(...), used by the B-factor scheme.
+export const getColorStyle = (schemeId, bfactor = null) => {
+    if (schemeId === 'bfactor' && bfactor) return { colorfunc: bfactor.colorfunc };
+    return (COLOR_SCHEMES.find(({ id }) => id === schemeId) || COLOR_SCHEMES[0]).style;
+};
+
+// Sticks and spheres colour individual atoms, so the spectrum gradient falls back to per-chain colours there.
+export const representationStyle = (representation, schemeId, bfactor = null) => {
+    const color = getColorStyle(schemeId, bfactor);
+    const atomColor = color.color === 'spectrum' && representation !== 'cartoon' ? { colorscheme: 'chain' } : color;
+    switch (representation) {
+        case 'stick': return { stick: { radius: 0.2, ...atomColor } };
+        case 'sphere': return { sphere: { scale: 0.9, ...atomColor } };
+        case 'line': return { line: { ...atomColor } };
+        default: return { cartoon: { ...color } };
+    }
+};
@@ -0,0 +1,38 @@
+import { bfactorColoring, getColorStyle, PLDDT_BANDS } from './viewerStyles';
+import { parseStructure } from './pdbParser';
+
+const atomLine = (serial, resi, b, record = 'ATOM  ') => (
+    `${record}${String(serial).padStart(5)}  CA  ALA A${String(resi).padStart(4)}    ${'1.000'.padStart(8)}${'2.000'.padStart(8)}${'3.000'.padStart(8)}  1.00${b.toFixed(2).padStart(6)}           C`
+);
+const pdb = (header, bfactors) => parseStructure({
+    format: 'pdb',
+    data: [...header, ...bfactors.map((b, i) => atomLine(i + 1, i + 1, b)), atomLine(99, 99, 80, 'HETATM'), 'END'].join('\n'),
+});
+
+describe('bfactorColoring', () => {
+    it('scales crystallographic B-factors to the polymer range, low blue and high red', () => {
+        const coloring = bfactorColoring(pdb(['EXPDTA    X-RAY DIFFRACTION'], [10, 30, 50]));
+        expect(coloring).toMatchObject({ predicted: false, min: 10, max: 50 });
+        expect(coloring.colorfunc({ b: 10 })).toBe('#2563eb');
+        expect(coloring.colorfunc({ b: 30 })).toBe('#ffffff');
+        expect(coloring.colorfunc({ b: 50 })).toBe('#dc2626');
+        expect(coloring.colorfunc({ b: 95 })).toBe('#dc2626');
+    });
+
+    it('bands pLDDT of predicted models, also when written as a fraction', () => {
+        const percent = bfactorColoring(pdb([], [95, 40]));
+        expect(percent).toMatchObject({ predicted: true, min: 40, max: 95 });
+        expect(percent.colorfunc({ b: 95 })).toBe(PLDDT_BANDS[0].color);
+        expect(percent.colorfunc({ b: 40 })).toBe(PLDDT_BANDS[3].color);
+
+        const fraction = bfactorColoring(pdb([], [0.95, 0.6]));
+        expect(fraction.max).toBeCloseTo(95);
+        expect(fraction.colorfunc({ b: 0.6 })).toBe(PLDDT_BANDS[2].color);
+    });
+
+    it('is used by the B-factor scheme only', () => {
+        const coloring = bfactorColoring(pdb(['EXPDTA    X-RAY DIFFRACTION'], [10, 50]));
+        expect(getColorStyle('bfactor', coloring).colorfunc).toBe(coloring.colorfunc);
+        expect(getColorStyle('chain', coloring)).toEqual({ colorscheme: 'chain' });
+    });
+});